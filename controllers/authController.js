@@ -4,12 +4,13 @@ const { sendEmail } = require('../utils/sendEmail');
 const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const { OAuth2Client } = require('google-auth-library');
+const { isValidTimeZone } = require('../utils/timezone');
 
 // Initialize Google OAuth client
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
 exports.signup = async (req, res) => {
-  const { fullname, email, password } = req.body;
+  const { fullname, email, password, timezone } = req.body;
   console.log("Incoming request body:", req.body);
   try {
     // Basic input validation for clearer messages
@@ -23,11 +24,14 @@ exports.signup = async (req, res) => {
     if (typeof password !== 'string' || password.length < 8) {
       return res.status(400).json({ message: 'Password must be at least 8 characters long' });
     }
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Please provide a valid IANA time zone (e.g. "Asia/Karachi")' });
+    }
 
     if (await User.findOne({ email })) return res.status(400).json({ message: 'Email already exists' });
-    const user = await User.create({ fullname, email, password });
+    const user = await User.create({ fullname, email, password, ...(timezone ? { timezone } : {}) });
     const token = generateToken(user._id);
-    res.status(201).json({ user: { id: user._id, fullname: user.fullname, email: user.email }, token });
+    res.status(201).json({ user: { id: user._id, fullname: user.fullname, email: user.email, timezone: user.timezone }, token });
   } catch (err) {
     console.error("Signup Error:", err);
 
@@ -55,7 +59,8 @@ exports.getProfile = async (req, res) => {
       id: user._id,
       fullname: user.fullname,
       email: user.email,
-      phone: user.phone || ''
+      phone: user.phone || '',
+      timezone: user.timezone
     }});
   } catch (e) {
     return res.status(500).json({ message: 'Failed to load profile' });
@@ -68,12 +73,18 @@ exports.updateProfile = async (req, res) => {
     const user = req.user; // set by auth middleware
     if (!user) return res.status(401).json({ message: 'Not authenticated' });
 
-    const { fullname, phone, email } = req.body || {};
+    const { fullname, phone, email, timezone } = req.body || {};
 
     if (typeof fullname === 'string' && fullname.trim().length) {
       user.fullname = fullname.trim();
     }
     if (typeof phone === 'string') user.phone = phone;
+    if (timezone !== undefined) {
+      if (!isValidTimeZone(timezone)) {
+        return res.status(400).json({ message: 'Please provide a valid IANA time zone (e.g. "Asia/Karachi")' });
+      }
+      user.timezone = timezone;
+    }
     // Optional email update with validation and uniqueness check
     if (typeof email === 'string' && email.trim().length && email !== user.email) {
       const emailRegex = /^\S+@\S+\.\S+$/;
@@ -93,7 +104,8 @@ exports.updateProfile = async (req, res) => {
       id: user._id,
       fullname: user.fullname,
       email: user.email,
-      phone: user.phone || ''
+      phone: user.phone || '',
+      timezone: user.timezone
     }});
   } catch (e) {
     return res.status(500).json({ message: 'Failed to update profile' });
@@ -132,7 +144,8 @@ exports.login = async (req, res) => {
       user: {
         id: user._id,
         fullname: user.fullname,
-        email: user.email
+        email: user.email,
+        timezone: user.timezone
       }
     });
     
@@ -143,7 +143,7 @@ const syncCalendar = catchAsync(async (req, res, next) => {
 const getCalendarItems = catchAsync(async (req, res) => {
   const { user } = req;
   const calendar = await Calendar.findOne({ user: user._id }).select('events lastSynced accessToken refreshToken tokenExpiry');
-  const reminders = await Reminder.find({ user: user._id }).select('type title description icon startDate endDate location isCompleted aiSuggested isManualSchedule scheduleType scheduleTime scheduleDays createdAt');
+  const reminders = await Reminder.find({ user: user._id }).select('type title description icon startDate endDate location isCompleted aiSuggested isManualSchedule scheduleType scheduleTime scheduleDays rrule exdates createdAt');
 
   const tasks = reminders.filter(r => r.type === 'Task').map(r => ({
     id: r._id,
@@ -160,6 +160,8 @@ const getCalendarItems = catchAsync(async (req, res) => {
     scheduleType: r.scheduleType,
     scheduleTime: r.scheduleTime,
     scheduleDays: r.scheduleDays,
+    rrule: r.rrule,
+    exdates: r.exdates,
     createdAt: r.createdAt
   }));
 
@@ -172,6 +174,8 @@ const getCalendarItems = catchAsync(async (req, res) => {
     endTime: r.endDate,
     location: r.location?.name || '',
     aiSuggested: r.aiSuggested,
+    rrule: r.rrule,
+    exdates: r.exdates,
     createdAt: r.createdAt
   }));
 
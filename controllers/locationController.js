@@ -5,9 +5,11 @@ const { ensureReminderTTS } = require('../utils/ttsService');
 let gemini;
 try { gemini = require('../services/geminiService'); } catch {}
 const { nearbyBestPlaceByKeyword } = require('../utils/placesService');
+const { resolveTimeZone, getZonedParts } = require('../utils/timezone');
 
-function getDayString(date = new Date()) {
-  return ['Sunday','Monday','Tuesday','Wednesday','Thursday','Friday','Saturday'][date.getDay()];
+// Weekday name of the date in the user's time zone
+function getDayString(date = new Date(), timeZone) {
+  return ['Sunday','Monday','Tuesday','Wednesday','Thursday','Friday','Saturday'][getZonedParts(date, timeZone).weekday];
 }
 
 function haversineMeters(lat1, lon1, lat2, lon2) {
@@ -65,8 +67,9 @@ exports.scanAndTrigger = async (req, res) => {
     }).lean();
     console.log('[location] active reminders', reminders.length);
 
-    const dayStr = getDayString(now);
-    const todayIdx = now.getDay(); // 0..6
+    const timeZone = resolveTimeZone(user.timezone);
+    const dayStr = getDayString(now, timeZone);
+    const todayIdx = getZonedParts(now, timeZone).weekday; // 0..6
     const out = [];
 
     for (const r of reminders) {
@@ -77,6 +80,11 @@ exports.scanAndTrigger = async (req, res) => {
         out.push({ reminderId: r._id, skipped: true, reason: 'day_mismatch', expectedDay: r.day, today: dayStr });
         continue;
       }
+      // Snoozed: wait until the snooze is over
+      if (r.snooze?.until && new Date(r.snooze.until) > now) {
+        out.push({ reminderId: r._id, skipped: true, reason: 'snoozed', snoozedUntil: r.snooze.until });
+        continue;
+      }
       // Anti-spam throttle (>= 90 minutes)
       if (r.lastTriggeredAt) {
         const deltaMin = (now - new Date(r.lastTriggeredAt)) / 60000;
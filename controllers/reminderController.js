@@ -1,39 +1,31 @@
 const Reminder = require('../models/reminderModel');
 const { ensureReminderTTS } = require('../utils/ttsService');
+const {
+  updateUserReminder,
+  deleteUserReminder,
+  cancelMeetingOccurrence,
+  setOccurrenceStatus,
+  snoozeReminder,
+  listReminderOccurrences,
+} = require('../services/reminderService');
+const { resolveTimeZone, endOfZonedDay } = require('../utils/timezone');
+const { routineStats } = require('../utils/habits');
+const { simpleRule, untilEndOfDay, buildRecurrenceFields, mirrorDays } = require('../utils/recurrence');
+const { parseRRule, formatRRule, untilInstant } = require('../utils/rrule');
+const {
+  normalizeAttendees,
+  scheduleMeetingInvites,
+  findInvitationByToken,
+  respondByToken,
+  renderRsvpPage,
+  respondAsUser,
+  listInvitations,
+} = require('../services/meetingInvites');
 
 // Lazily require to avoid circular dependencies on startup
 let ai;
 try { ai = require('../services/aiScheduler'); } catch {}
 
-// Helper: sanitize update payload to only allow known fields
-function pickReminderFields(src = {}) {
-  const out = {};
-  const allowed = [
-    'type',
-    'title',
-    'description',
-    'icon',
-    'startDate',
-    'location',
-    // Location-based fields
-    'day',
-    'status',
-    'lastTriggeredAt',
-    'triggeredLocation',
-    'isCompleted',
-    // New scheduling fields
-    'isManualSchedule',
-    'scheduleType',
-    'scheduleTime',
-    'scheduleDays',
-    'notificationPreferenceMinutes',
-  ];
-  for (const k of allowed) {
-    if (Object.prototype.hasOwnProperty.call(src, k)) out[k] = src[k];
-  }
-  return out;
-}
-
 // Create a new reminder
 exports.createReminder = async (req, res) => {
   try {
@@ -52,6 +44,10 @@ exports.createReminder = async (req, res) => {
       scheduleTime,
       scheduleDays,
       notificationPreferenceMinutes,
+      attendees,
+      recurrence,
+      rrule,
+      exdates,
     } = req.body || {};
 
     const payload = {
@@ -71,6 +67,27 @@ exports.createReminder = async (req, res) => {
       notificationPreferenceMinutes: typeof notificationPreferenceMinutes === 'number' ? notificationPreferenceMinutes : 10,
     };
 
+    // A fixed routine time is the user's wall-clock time unless the client says otherwise
+    if (scheduleTime?.fixedTime && !scheduleTime.timeZone) {
+      payload.scheduleTime = { ...scheduleTime, timeZone: resolveTimeZone(user.timezone) };
+    }
+
+    let rule = null;
+    if (rrule) {
+      if (!['Task', 'Meeting'].includes(payload.type)) {
+        return res.status(400).json({ success: false, message: 'Repeat rules (rrule) are only supported for tasks and meetings' });
+      }
+      try {
+        rule = parseRRule(rrule);
+      } catch (e) {
+        return res.status(400).json({ success: false, message: e.message });
+      }
+    }
+    const zone = resolveTimeZone(scheduleTime?.timeZone || user.timezone);
+    const endsBeforeStart = () => {
+      const end = untilInstant(payload.rrule && parseRRule(payload.rrule).until, zone);
+      return end && end < payload.startDate;
+    };
 
     // Enforce Meeting flow: manual-only with required startDate and per-item minutes
     if (payload.type === 'Meeting') {
@@ -78,16 +95,56 @@ exports.createReminder = async (req, res) => {
         return res.status(400).json({ success: false, message: 'Start date is required for meetings' });
       }
       payload.isManualSchedule = true;
-      payload.scheduleType = 'one-day';
       const pref = typeof notificationPreferenceMinutes === 'number' ? notificationPreferenceMinutes : (scheduleTime?.minutesBeforeStart ?? 10);
-      payload.scheduleTime = { minutesBeforeStart: pref };
-      payload.scheduleDays = [];
+      if (rule || scheduleType === 'routine') {
+        // Recurring meeting: startDate is the first occurrence and sets the time of day.
+        // Without an rrule, scheduleDays and `recurrence` ({ interval, until, count }) describe it.
+        Object.assign(payload, buildRecurrenceFields(payload.startDate, rule || simpleRule({
+          scheduleDays: Array.isArray(scheduleDays) ? scheduleDays : [],
+          interval: recurrence?.interval,
+          until: untilEndOfDay(recurrence?.until, zone),
+          count: recurrence?.count
+        }), { timeZone: zone, minutesBeforeStart: pref }));
+        if (endsBeforeStart()) {
+          return res.status(400).json({ success: false, message: 'Recurrence must end after the first meeting' });
+        }
+      } else {
+        payload.scheduleType = 'one-day';
+        payload.scheduleTime = { minutesBeforeStart: pref };
+        payload.scheduleDays = [];
+      }
       payload.notificationPreferenceMinutes = pref;
+      if (attendees !== undefined) {
+        payload.attendees = await normalizeAttendees(attendees, user);
+      }
+    } else if (attendees !== undefined) {
+      return res.status(400).json({ success: false, message: 'Attendees are only supported for meetings' });
+    } else if (rule) {
+      // Repeating task: from its first occurrence (startDate), or from today at scheduleTime.fixedTime
+      payload.isManualSchedule = true;
+      const minutesBeforeStart = scheduleTime?.minutesBeforeStart ?? 10;
+      if (payload.startDate) {
+        Object.assign(payload, buildRecurrenceFields(payload.startDate, rule, { timeZone: zone, minutesBeforeStart }));
+        if (endsBeforeStart()) {
+          return res.status(400).json({ success: false, message: 'Recurrence must end after the first occurrence' });
+        }
+      } else if (/^\d{2}:\d{2}$/.test(scheduleTime?.fixedTime || '')) {
+        payload.scheduleType = 'routine';
+        payload.scheduleTime = { minutesBeforeStart, fixedTime: scheduleTime.fixedTime, timeZone: zone };
+        payload.scheduleDays = mirrorDays(rule, new Date(), zone);
+        payload.rrule = formatRRule(rule);
+      } else {
+        return res.status(400).json({ success: false, message: 'A repeating task needs a startDate or scheduleTime.fixedTime' });
+      }
+    }
+    if (Array.isArray(exdates) && payload.scheduleType === 'routine') {
+      payload.exdates = exdates.map(d => new Date(d));
     }
 
     // Persist
     const created = await Reminder.create(payload);
     const populatedReminder = await Reminder.findById(created._id).populate('user', 'fullname email');
+    if (populatedReminder.attendees?.length) scheduleMeetingInvites(populatedReminder._id);
 
     // If Meeting or manual one-day Task, synchronously generate aiNotificationLine so clients can use it immediately
     try {
@@ -193,56 +250,19 @@ exports.updateReminder = async (req, res) => {
   try {
     const userId = req.user._id || req.user.id || req.user;
     const { id } = req.params;
-    const updates = pickReminderFields(req.body || {});
-
-    // Coerce startDate when provided
-    if (Object.prototype.hasOwnProperty.call(updates, 'startDate')) {
-      updates.startDate = updates.startDate ? new Date(updates.startDate) : null;
-    }
-
-    // Apply update, ensuring ownership
-    const updated = await Reminder.findOneAndUpdate(
-      { _id: id, user: userId },
-      { $set: updates },
-      { new: true }
-    ).populate('user', 'fullname email');
-
-    if (!updated) {
-      return res.status(404).json({ success: false, message: 'Reminder not found' });
-    }
-
-    // Fire-and-forget TTS generation only when we have a startDate
-    try {
-      if (updated.startDate) {
-        await ensureReminderTTS(updated._id, { user: updated.user });
+    if (req.body?.attendees !== undefined) {
+      const current = await Reminder.findOne({ _id: id, user: userId }).select('type');
+      if (!current) return res.status(404).json({ success: false, message: 'Reminder not found' });
+      if ((req.body.type || current.type) !== 'Meeting') {
+        return res.status(400).json({ success: false, message: 'Attendees are only supported for meetings' });
       }
-    } catch (e) {
-      console.warn('[tts] generation failed on update', e?.message);
     }
+    const { reminder, aiMeta } = await updateUserReminder({ userId, id, updates: req.body || {} });
 
-    const useSync = process.env.USE_SYNC_AI === '1';
-    if (useSync && ai?.processBackgroundAI) {
-      console.log('[ai] USE_SYNC_AI enabled: processing AI synchronously on update');
-      try {
-        const { reminder: afterAI, meta } = await ai.processBackgroundAI(updated._id, { user: updated.user });
-        return res.status(200).json({ success: true, data: afterAI || updated, aiMeta: meta || null });
-      } catch (e) {
-        console.warn('[ai] sync AI failed on update; returning base reminder', e?.message);
-        return res.status(200).json({ success: true, data: updated, aiMeta: { error: e?.message } });
-      }
-    } else {
-      res.status(200).json({ success: true, data: updated });
-      // Background AI processing (non-blocking)
-      setImmediate(() => {
-        try {
-          if (ai?.processBackgroundAI) {
-            ai.processBackgroundAI(updated._id, { user: updated.user }).catch(err => console.warn('[ai] background update failed', err?.message));
-          }
-        } catch (err) {
-          console.warn('[ai] scheduler not available', err?.message);
-        }
-      });
+    if (!reminder) {
+      return res.status(404).json({ success: false, message: 'Reminder not found' });
     }
+    res.status(200).json({ success: true, data: reminder, ...(aiMeta !== undefined ? { aiMeta } : {}) });
   } catch (error) {
     console.error('updateReminder error', error);
     res.status(500).json({ success: false, message: error.message || 'Failed to update reminder' });
@@ -254,7 +274,7 @@ exports.deleteReminder = async (req, res) => {
   try {
     const userId = req.user._id || req.user.id || req.user;
     const { id } = req.params;
-    const removed = await Reminder.findOneAndDelete({ _id: id, user: userId });
+    const removed = await deleteUserReminder({ userId, id });
     if (!removed) return res.status(404).json({ success: false, message: 'Reminder not found' });
     res.json({ success: true });
   } catch (error) {
@@ -263,6 +283,202 @@ exports.deleteReminder = async (req, res) => {
   }
 };
 
+// All of the user's reminders as occurrences within ?from=&to= (default: the next 7 days)
+exports.getOccurrences = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id || req.user;
+    const { from: fromQ, to: toQ, type } = req.query || {};
+    const from = fromQ ? new Date(fromQ) : new Date();
+    const to = toQ ? new Date(toQ) : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+    if (to < from) {
+      return res.status(400).json({ success: false, message: '`to` must not be before `from`' });
+    }
+    if (to - from > 366 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ success: false, message: 'The range can be at most 366 days' });
+    }
+    const { items, truncated } = await listReminderOccurrences({
+      userId,
+      from,
+      to,
+      type,
+      timeZone: req.user.timezone
+    });
+    res.json({ success: true, data: items, from, to, truncated });
+  } catch (error) {
+    console.error('getOccurrences error', error);
+    res.status(500).json({ success: false, message: error.message || 'Failed to list occurrences' });
+  }
+};
+
+// Cancel one occurrence of a recurring meeting (the rest of the series stays)
+exports.cancelOccurrence = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id || req.user;
+    const { id, occurrence } = req.params;
+    const result = await cancelMeetingOccurrence({ userId, id, occurrence });
+    if (!result.reminder) return res.status(404).json({ success: false, message: 'Meeting not found' });
+    if (result.reminder.scheduleType !== 'routine') {
+      return res.status(400).json({ success: false, message: 'Only recurring meetings have occurrences to cancel' });
+    }
+    if (!result.occurrence) {
+      return res.status(400).json({ success: false, message: 'The meeting does not occur at that time' });
+    }
+    res.json({ success: true, data: result.reminder, cancelledOccurrence: result.occurrence });
+  } catch (error) {
+    console.error('cancelOccurrence error', error);
+    res.status(500).json({ success: false, message: error.message || 'Failed to cancel occurrence' });
+  }
+};
+
+// Log one occurrence of a routine (occurrence: its ISO start time or its day)
+function logOccurrence(status) {
+  return async (req, res) => {
+    try {
+      const userId = req.user._id || req.user.id || req.user;
+      const { id, occurrence } = req.params;
+      const timeZone = req.user.timezone;
+      const day = /^\d{4}-\d{2}-\d{2}$/.test(occurrence) ? occurrence : null;
+      const result = await setOccurrenceStatus({
+        userId,
+        id,
+        occurrence,
+        status,
+        source: req.body?.source || 'app',
+        // Today's occurrence can be done early; later ones can only be skipped
+        notAfter: status === 'done' ? endOfZonedDay(new Date(), resolveTimeZone(timeZone)) : null
+      });
+      if (!result.reminder) return res.status(404).json({ success: false, message: 'Reminder not found' });
+      if (result.reminder.scheduleType !== 'routine') {
+        return res.status(400).json({ success: false, message: 'Only routines have occurrences to log' });
+      }
+      if (!result.occurrence) {
+        return res.status(400).json({ success: false, message: `The routine does not occur ${day ? 'on that day' : 'at that time'}` });
+      }
+      if (result.tooEarly) {
+        return res.status(400).json({ success: false, message: 'Only occurrences up to today can be completed' });
+      }
+      const stats = routineStats(result.reminder, { timeZone });
+      res.json({ success: true, data: result.entry, occurrence: result.occurrence, stats });
+    } catch (error) {
+      console.error(`logOccurrence (${status}) error`, error);
+      res.status(500).json({ success: false, message: error.message || 'Failed to log occurrence' });
+    }
+  };
+}
+
+// Mark one occurrence of a routine done / skipped, or clear what was logged for it
+exports.completeOccurrence = logOccurrence('done');
+exports.skipOccurrence = logOccurrence('skipped');
+exports.clearOccurrence = logOccurrence(null);
+
+// The routine's completion log (?from=&to=, days YYYY-MM-DD) with its streaks and completion rate (?days=)
+exports.getCompletions = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id || req.user;
+    const reminder = await Reminder.findOne({ _id: req.params.id, user: userId });
+    if (!reminder) return res.status(404).json({ success: false, message: 'Reminder not found' });
+    if (reminder.scheduleType !== 'routine') {
+      return res.status(400).json({ success: false, message: 'Only routines have a completion history' });
+    }
+    const { from, to } = req.query || {};
+    const days = Math.min(Math.max(parseInt(req.query?.days, 10) || 30, 1), 366);
+    const log = (reminder.completions || [])
+      .filter(c => (!from || c.date >= from.slice(0, 10)) && (!to || c.date <= to.slice(0, 10)))
+      .sort((a, b) => b.occurrence - a.occurrence);
+    res.json({ success: true, data: log, stats: routineStats(reminder, { timeZone: req.user.timezone, days }) });
+  } catch (error) {
+    console.error('getCompletions error', error);
+    res.status(500).json({ success: false, message: error.message || 'Failed to fetch completions' });
+  }
+};
+
+// Snooze a reminder's notification ({ preset } | { minutes } | { until }); for a
+// routine, one occurrence of it. The schedule itself is not changed.
+exports.snoozeReminder = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id || req.user;
+    const { preset, minutes, until, occurrence, source } = req.body || {};
+    const result = await snoozeReminder({ userId, id: req.params.id, preset, minutes, until, occurrence, source });
+    if (!result.reminder) return res.status(404).json({ success: false, message: 'Reminder not found' });
+    const errors = {
+      invalid_duration: 'Snooze until a time in the next 7 days',
+      not_scheduled: 'Only scheduled reminders can be snoozed',
+      no_occurrence: 'The routine does not occur at that time',
+      past_next_occurrence: `A routine can only be snoozed until its next occurrence (${result.next?.toISOString()})`
+    };
+    if (result.error) return res.status(400).json({ success: false, message: errors[result.error] });
+    res.json({
+      success: true,
+      data: result.reminder,
+      snoozedUntil: result.snoozedUntil,
+      occurrence: result.occurrence,
+      snoozeCount: result.reminder.snooze?.count || 0
+    });
+  } catch (error) {
+    console.error('snoozeReminder error', error);
+    res.status(500).json({ success: false, message: error.message || 'Failed to snooze reminder' });
+  }
+};
+
+// Upcoming meetings the user was invited to, with their RSVP status
+exports.getInvitations = async (req, res) => {
+  try {
+    const invitations = await listInvitations(req.user);
+    res.json({ success: true, data: invitations });
+  } catch (error) {
+    console.error('getInvitations error', error);
+    res.status(500).json({ success: false, message: error.message || 'Failed to fetch invitations' });
+  }
+};
+
+// RSVP as a signed-in attendee
+exports.rsvpMeeting = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await respondAsUser(id, req.user, req.body.status);
+    if (!result) return res.status(404).json({ success: false, message: 'Invitation not found' });
+    res.json({ success: true, data: { id: result.reminder._id, title: result.reminder.title, status: result.attendee.status } });
+  } catch (error) {
+    console.error('rsvpMeeting error', error);
+    res.status(500).json({ success: false, message: error.message || 'Failed to save RSVP' });
+  }
+};
+
+// Page the link in an invitation email opens (no sign-in; the token identifies
+// the attendee). It only shows the answer form: GET never records an RSVP.
+exports.rsvpPage = async (req, res) => {
+  try {
+    const invitation = await findInvitationByToken(req.params.token);
+    res.status(invitation ? 200 : 404).type('html').send(await renderRsvpPage(invitation, { status: req.query.status }));
+  } catch (error) {
+    console.error('rsvpPage error', error);
+    res.status(500).json({ success: false, message: error.message || 'Failed to load invitation' });
+  }
+};
+
+// RSVP submitted from that page (or by a client holding the token)
+exports.rsvpByToken = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const wantsPage = req.accepts(['json', 'html']) === 'html';
+    const result = await respondByToken(token, req.body.status);
+    if (!result) {
+      if (wantsPage) return res.status(404).type('html').send(await renderRsvpPage(null));
+      return res.status(404).json({ success: false, message: 'Invitation not found' });
+    }
+    const { reminder, attendee } = result;
+    if (wantsPage) return res.type('html').send(await renderRsvpPage(result, { saved: true }));
+    res.json({
+      success: true,
+      message: `Your response to "${reminder.title}" was saved`,
+      data: { title: reminder.title, startDate: reminder.startDate, status: attendee.status }
+    });
+  } catch (error) {
+    console.error('rsvpByToken error', error);
+    res.status(500).json({ success: false, message: error.message || 'Failed to save RSVP' });
+  }
+};
+
 // Stream saved TTS audio
 exports.getReminderTTS = async (req, res) => {
   try {
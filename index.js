@@ -9,6 +9,8 @@ const locationRoutes = require('./routes/locationRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const { errorHandler } = require('./middleware/errorMiddleware');
 const assistantRoutes = require('./routes/assistant');
+const adminRoutes = require('./routes/adminRoutes');
+const { migrateLegacyRecurrences } = require('./services/reminderService');
 const app = express();
 
 // Middleware
@@ -19,12 +21,20 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json());
+// POST /api/assistant/voice parses its own body: base64 recordings are over the default 100kb
+const jsonParser = express.json();
+app.use((req, res, next) => (req.path === '/api/assistant/voice' ? next() : jsonParser(req, res, next)));
 app.use(express.urlencoded({ extended: true }));
 
 // Database connection
 mongoose.connect(process.env.MONGO_URI)
-  .then(() => console.log('MongoDB connected'))
+  .then(() => {
+    console.log('MongoDB connected');
+    // Reminders saved before rrule existed get one in the background
+    migrateLegacyRecurrences()
+      .then(count => { if (count) console.log(`[recurrence] migrated ${count} reminders to rrule`); })
+      .catch(err => console.warn('[recurrence] migration failed', err?.message));
+  })
   .catch((err) => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -34,6 +44,7 @@ app.use('/api/reminders', reminderRoutes);
 app.use('/api/calendar', calendarRoutes);
 app.use('/api/locations', locationRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/admin', adminRoutes);
 // Error handling middleware
 app.use(errorHandler);
 
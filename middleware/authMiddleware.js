@@ -69,4 +69,15 @@ exports.auth = async (req, res, next) => {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-};
\ No newline at end of file
+};
+
+// Only let users with one of the given roles through (use after auth)
+exports.restrictTo = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user?.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to access this resource'
+    });
+  }
+  next();
+};
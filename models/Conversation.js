@@ -13,7 +13,33 @@ const messageSchema = new mongoose.Schema({
   timestamp: {
     type: Date,
     default: Date.now
-  }
+  },
+  // Reminders this assistant turn created or changed (used to annotate exports)
+  reminderChanges: [{
+    _id: false,
+    reminderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Reminder' },
+    operation: { type: String, enum: ['created', 'updated', 'deleted', 'restored', 'reverted'] }
+  }]
+});
+
+// A reminder change the assistant applied; see services/assistantActions.js
+const actionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  label: String,
+  changes: [{
+    _id: false,
+    reminderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Reminder' },
+    operation: { type: String, enum: ['created', 'updated', 'deleted'] },
+    previous: mongoose.Schema.Types.Mixed
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  undoneAt: Date
 });
 
 const conversationSchema = new mongoose.Schema({
@@ -23,15 +49,57 @@ const conversationSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Threads: each user can keep several named conversations
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: 'New conversation'
+  },
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  // The thread /chat falls back to when no conversationId is given
+  isActive: {
+    type: Boolean,
+    default: false
+  },
   messages: [messageSchema],
+  // Rolling summary of the turns folded out of `messages` by the history policy
+  summary: {
+    text: { type: String, default: '' },
+    messageCount: { type: Number, default: 0 },
+    coveredUntil: Date,
+    updatedAt: Date
+  },
+  // Applied assistant actions, newest last, kept so they can be undone
+  actions: [actionSchema],
   pendingAction: {
     type: {
       type: String,
-      enum: ['create_task', 'schedule_meeting']
+      enum: [
+        'create_task',
+        'schedule_meeting',
+        'create_location_reminder',
+        'reschedule_reminder',
+        'complete_reminder',
+        'delete_reminder',
+        // Several new items from one message; data.items holds one entry per item
+        'batch'
+      ]
     },
     data: mongoose.Schema.Types.Mixed,
     confirmationNeeded: Boolean,
-    missingFields: [String]
+    // Several reminders matched a change request; the user has to pick one
+    needsSelection: Boolean,
+    candidates: mongoose.Schema.Types.Mixed,
+    needsRoutineConfirmation: Boolean,
+    needsRoutineSchedule: Boolean,
+    needsSpecificDays: Boolean,
+    missingFields: [String],
+    // Last step of the pending action; it expires a while after this
+    updatedAt: Date
   },
   createdAt: {
     type: Date,
@@ -69,8 +137,26 @@ conversationSchema.methods.addMessage = async function(role, content) {
   return this.save();
 };
 
+// Add a method to summarize the thread for listings
+conversationSchema.methods.toSummary = function() {
+  const visible = this.messages.filter(m => m.role !== 'system');
+  const last = visible[visible.length - 1];
+  return {
+    id: this._id,
+    title: this.title,
+    archived: this.archived,
+    isActive: this.isActive,
+    messageCount: visible.length + (this.summary?.messageCount || 0),
+    lastMessage: last ? { role: last.role, content: last.content.slice(0, 120), timestamp: last.timestamp } : null,
+    hasPendingAction: !!(this.pendingAction && this.pendingAction.type),
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
 // Create a compound index for faster lookups
 conversationSchema.index({ userId: 1, updatedAt: -1 });
+conversationSchema.index({ userId: 1, archived: 1, isActive: 1 });
 
 const Conversation = mongoose.model('Conversation', conversationSchema);
 
@@ -15,15 +15,17 @@ const eventSchema = new mongoose.Schema({
   start: {
     dateTime: {
       type: Date,
-      required: true
+      required: function () { return !this.start?.date; }
     },
+    date: String, // "YYYY-MM-DD" for all-day events (Google sends no dateTime then)
     timeZone: String
   },
   end: {
     dateTime: {
       type: Date,
-      required: true
+      required: function () { return !this.end?.date; }
     },
+    date: String, // "YYYY-MM-DD" for all-day events (Google sends no dateTime then)
     timeZone: String
   },
   status: {
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Messages folded out of a conversation by the history policy
+// (see services/conversationHistory.js). One document per fold keeps the
+// live conversation small while the full transcript stays recoverable.
+const archivedMessageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: true,
+    enum: ['system', 'user', 'assistant']
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Date
+  },
+  reminderChanges: [{
+    _id: false,
+    reminderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Reminder' },
+    operation: String
+  }]
+});
+
+const conversationArchiveSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  messages: [archivedMessageSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+conversationArchiveSchema.index({ conversationId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ConversationArchive', conversationArchiveSchema);
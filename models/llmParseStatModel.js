@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Daily counters of structured (JSON) model responses per prompt, written by
+// services/llm/structured.js, so flaky prompts show up over time.
+const llmParseStatSchema = new mongoose.Schema({
+  task: {
+    type: String,
+    required: true
+  },
+  // "YYYY-MM-DD" (UTC)
+  day: {
+    type: String,
+    required: true
+  },
+  requests: { type: Number, default: 0 },
+  // Reply was not JSON at all
+  parseFailures: { type: Number, default: 0 },
+  // Reply was JSON but did not match the schema
+  validationFailures: { type: Number, default: 0 },
+  // Values the validator repaired (e.g. "MO" where 1 was expected)
+  repairs: { type: Number, default: 0 },
+  retries: { type: Number, default: 0 },
+  // The retry produced a valid reply
+  recovered: { type: Number, default: 0 },
+  // Still invalid after the retry; the caller fell back
+  failures: { type: Number, default: 0 }
+});
+
+llmParseStatSchema.index({ task: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('LlmParseStat', llmParseStatSchema);
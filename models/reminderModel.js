@@ -1,4 +1,55 @@
 const mongoose = require('mongoose');
+const { parseRRule } = require('../utils/rrule');
+const { migrateRecurrence } = require('../utils/recurrence');
+const { COMPLETION_STATUSES, COMPLETION_SOURCES } = require('../utils/habits');
+const { SNOOZE_PRESETS, SNOOZE_SOURCES } = require('../utils/snooze');
+
+// People invited to a Meeting: Voxa users (linked by email) or external addresses.
+// Entries without an email (a name the assistant could not resolve) are kept but not invited.
+const attendeeSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: { type: String, lowercase: true, trim: true },
+  name: { type: String, trim: true },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'tentative'],
+    default: 'pending'
+  },
+  // Secret for the RSVP links in the invitation email
+  rsvpToken: { type: String },
+  invitedAt: { type: Date, default: null },
+  respondedAt: { type: Date, default: null }
+}, { _id: false });
+
+// RSVP tokens only ever leave the server inside the invitation email
+attendeeSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.rsvpToken;
+    return ret;
+  }
+});
+
+// One occurrence of a routine logged as done or skipped (utils/habits.js)
+const completionSchema = new mongoose.Schema({
+  // Start of the occurrence, and its day ("YYYY-MM-DD") in the routine's zone
+  occurrence: { type: Date, required: true },
+  date: { type: String, required: true },
+  status: { type: String, enum: COMPLETION_STATUSES, required: true },
+  // Where it was logged from: the app, a notification action or the assistant
+  source: { type: String, enum: COMPLETION_SOURCES, default: 'app' },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// One snooze of a reminder (utils/snooze.js)
+const snoozeEntrySchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  until: { type: Date, required: true },
+  // Preset used ('10m', 'tomorrow', ...), or none for a custom duration
+  preset: { type: String, enum: Object.keys(SNOOZE_PRESETS) },
+  // Start of the routine occurrence (or the one-day start) that was snoozed
+  occurrence: { type: Date },
+  source: { type: String, enum: SNOOZE_SOURCES, default: 'app' }
+}, { _id: false });
 
 const reminderSchema = new mongoose.Schema({
   user: {
@@ -58,8 +109,10 @@ const reminderSchema = new mongoose.Schema({
   scheduleTime: {
     minutesBeforeStart: { type: Number, min: 0 },
     fixedTime: { type: String }, // HH:mm 24h string
+    timeZone: { type: String }, // IANA zone fixedTime is local to; falls back to the owner's timezone
   },
   // For routine tasks: days of week as numbers 0(Sun)-6(Sat). Empty array means daily.
+  // Tasks and meetings with an rrule keep these as a mirror of it for older clients.
   scheduleDays: {
     type: [Number],
     validate: {
@@ -70,10 +123,43 @@ const reminderSchema = new mongoose.Schema({
     },
     default: undefined
   },
+  // How a routine task or recurring meeting repeats: an RFC 5545 RRULE value
+  // ("FREQ=WEEKLY;BYDAY=MO,TH;COUNT=6") from its first occurrence, at
+  // scheduleTime.fixedTime. See utils/recurrence.js
+  rrule: {
+    type: String,
+    default: undefined,
+    validate: {
+      validator: function(value) {
+        try {
+          parseRRule(value);
+          return true;
+        } catch {
+          return false;
+        }
+      },
+      message: 'rrule must be a valid RRULE value'
+    }
+  },
+  // Start times of occurrences left out of the series (EXDATE), e.g. one cancelled meeting
+  exdates: { type: [Date], default: undefined },
+  // Deprecated: the first recurring meetings stored their interval/end and cancelled
+  // occurrences here; migrateRecurrence moves them into rrule and exdates
+  recurrence: {
+    interval: { type: Number, min: 1 },
+    until: { type: Date },
+    count: { type: Number, min: 1 }
+  },
+  cancelledOccurrences: { type: [Date], default: undefined },
   // Flags for AI suggested scheduling and human-friendly notification line
   aiSuggested: { type: Boolean, default: false },
   aiNotificationLine: { type: String },
 
+  // Meeting attendees and their RSVP status (services/meetingInvites.js)
+  attendees: { type: [attendeeSchema], default: undefined },
+  // iCalendar SEQUENCE of the last invitation sent; bumped when a sent invite changes
+  inviteSequence: { type: Number, default: 0 },
+
   // Per-item notification preference in minutes (used for Meetings and one-day Tasks). Default 10.
   notificationPreferenceMinutes: { type: Number, default: 10, min: 0 },
 
@@ -81,6 +167,16 @@ const reminderSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Routines are never completed as a whole; each occurrence is logged here instead
+  completions: { type: [completionSchema], default: undefined },
+  // Snoozed notification: rings again at `until` (for a routine, only for
+  // `occurrence`); startDate and the routine's schedule stay as they are
+  snooze: {
+    until: { type: Date, default: null },
+    occurrence: { type: Date, default: null },
+    count: { type: Number, default: 0 },
+    history: { type: [snoozeEntrySchema], default: undefined }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -110,5 +206,23 @@ reminderSchema.index({ user: 1, isManualSchedule: 1 });
 // Indexes to query active location reminders and throttle triggers
 reminderSchema.index({ user: 1, type: 1, status: 1 });
 reminderSchema.index({ user: 1, lastTriggeredAt: 1 });
+// Meetings a user or address is invited to, and RSVP links
+reminderSchema.index({ 'attendees.user': 1 });
+reminderSchema.index({ 'attendees.email': 1 });
+reminderSchema.index({ 'attendees.rsvpToken': 1 }, { sparse: true });
+
+// Keep rrule in step with the older recurrence fields: a reminder saved with only
+// scheduleType/scheduleDays (older clients, the AI scheduler) gets the matching
+// rule, and one whose days changed without a new rule has its rule rewritten
+reminderSchema.pre('save', function(next) {
+  const rebuild = !this.isNew && !this.isModified('rrule') &&
+    (this.isModified('scheduleDays') || this.isModified('scheduleType'));
+  const changes = migrateRecurrence(this.toObject(), { rebuild });
+  if (changes) {
+    for (const [path, value] of Object.entries(changes.set)) this.set(path, value);
+    for (const path of Object.keys(changes.unset)) this.set(path, undefined);
+  }
+  next();
+});
 
 module.exports = mongoose.model('Reminder', reminderSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Long-term assistant memory: short facts about a user's habits and preferences
+// ("Goes to the gym at 06:00"), picked up from chat when the user has opted in
+// (assistantSettings.memoryEnabled). See services/userMemory.js.
+const userMemorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  category: {
+    type: String,
+    enum: ['habit', 'schedule', 'preference', 'other'],
+    default: 'other'
+  },
+  // Thread the fact was learned in
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  }
+}, { timestamps: true });
+
+userMemorySchema.index({ user: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('UserMemory', userMemorySchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isValidTimeZone, DEFAULT_TIME_ZONE } = require('../utils/timezone');
 
 const userSchema = new mongoose.Schema({
   fullname: { 
@@ -26,6 +27,36 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // IANA time zone (e.g. "Asia/Karachi") used to resolve relative dates and routine times
+  timezone: {
+    type: String,
+    default: DEFAULT_TIME_ZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Please provide a valid IANA time zone (e.g. "Asia/Karachi")'
+    }
+  },
+  // Assistant preferences
+  assistantSettings: {
+    // Number of recent turns the assistant replays verbatim; older ones are summarized
+    historyTurns: {
+      type: Number,
+      default: 10,
+      min: [2, 'historyTurns must be between 2 and 50'],
+      max: [50, 'historyTurns must be between 2 and 50']
+    },
+    // Language of the assistant's replies and of the messages it parses
+    language: {
+      type: String,
+      enum: ['en', 'ur'],
+      default: 'en'
+    },
+    // Consent to remember habits and preferences mentioned in chat (services/userMemory.js)
+    memoryEnabled: {
+      type: Boolean,
+      default: false
+    }
+  },
   // Legacy reset token fields (kept for backward compatibility)
   resetPasswordToken: {
     type: String,
@@ -105,6 +136,7 @@ userSchema.methods.getProfile = function() {
     id: this._id,
     fullname: this.fullname,
     email: this.email,
+    timezone: this.timezone,
     reminders: this.reminders,
     calendars: this.calendars
   };
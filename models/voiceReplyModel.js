@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Spoken assistant replies from the voice endpoint (POST /api/assistant/voice)
+// and the daily briefing (GET /api/assistant/briefing).
+// Audio is served from GET /api/assistant/voice/replies/:id/audio and expires
+// after a day; identical text + voice is reused instead of regenerated.
+const voiceReplySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  voiceId: { type: String },
+  textHash: { type: String },
+  // Hash of what the text was written from (e.g. a briefing's agenda), so the
+  // text itself can be reused without asking the model again
+  sourceHash: { type: String },
+  audio: {
+    data: Buffer,
+    contentType: String,
+    size: Number
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'ready', 'failed'],
+    default: 'pending'
+  },
+  generatedAt: { type: Date },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24
+  }
+});
+
+voiceReplySchema.index({ user: 1, textHash: 1 });
+voiceReplySchema.index({ user: 1, sourceHash: 1 });
+
+module.exports = mongoose.model('VoiceReply', voiceReplySchema);
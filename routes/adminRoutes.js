@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const { auth, restrictTo } = require('../middleware/authMiddleware');
+const { getParseStats } = require('../services/llm/structured');
+
+// Operator endpoints over process-wide data; admins only
+router.use(auth, restrictTo('admin'));
+
+// Structured-output health per prompt: how often the model's JSON had to be
+// repaired, retried or was given up on (?days=7, max 90)
+router.get('/llm-stats', async (req, res) => {
+  try {
+    const days = Math.min(90, Math.max(1, parseInt(req.query.days, 10) || 7));
+    res.json({ success: true, data: { days, tasks: await getParseStats({ days }) } });
+  } catch (error) {
+    console.error('Error loading LLM stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading LLM stats',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,96 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { auth } = require('../middleware/authMiddleware');
 const Conversation = require('../models/Conversation');
 const Reminder = require('../models/reminderModel');
 const User = require('../models/userModel');
 
-const { suggestFullScheduleWithGemini } = require('../services/geminiService');
-
-// Initialize Google's Generative AI
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_GEMINI_API_KEY);
-
-// System prompt for the AI assistant
+const llm = require('../services/llm');
+const { generateJSON } = require('../services/llm/structured');
+const stt = require('../services/stt');
+const VoiceReply = require('../models/voiceReplyModel');
+const { ensureVoiceReplyTTS } = require('../utils/ttsService');
+const { answerScheduleQuery } = require('../services/scheduleQuery');
+const {
+  updateUserReminder,
+  deleteUserReminder,
+  cancelMeetingOccurrence,
+  setOccurrenceStatus,
+  findReminderCandidates
+} = require('../services/reminderService');
+const {
+  resolveTimeZone,
+  formatOffset,
+  getZonedParts,
+  addZonedDays,
+  zonedTimeToUtc,
+  parseZonedDateTime,
+  toZonedDateString,
+  toZonedTimeString,
+  endOfZonedDay
+} = require('../utils/timezone');
+const { listOccurrences, simpleRule, untilEndOfDay, buildRecurrenceFields } = require('../utils/recurrence');
+const { routineStats } = require('../utils/habits');
+const { parseDateTime, splitRequestClauses } = require('../utils/dateParser');
+const { parseAttendeeMentions } = require('../utils/attendeeMentions');
+const {
+  MIN_HISTORY_TURNS,
+  MAX_HISTORY_TURNS,
+  resolveHistoryTurns,
+  buildChatHistory,
+  scheduleCompaction,
+  clearHistoryArchive
+} = require('../services/conversationHistory');
+const {
+  recordAction,
+  findLatestAction,
+  toActionSummary,
+  reminderChangesOf,
+  reminderSnapshot,
+  undoAction
+} = require('../services/assistantActions');
+const { buildConversationExport, renderConversationMarkdown } = require('../services/conversationExport');
+const { buildDailyBriefing } = require('../services/dailyBriefing');
+const {
+  DEFAULT_TASK_MINUTES,
+  DEFAULT_MEETING_MINUTES,
+  checkScheduleConflicts
+} = require('../services/scheduleConflicts');
+const ConversationArchive = require('../models/conversationArchiveModel');
+const {
+  parseSuggestionPayload,
+  buildSuggestions,
+  describeSuggestionChoice,
+  choiceToUserIntent,
+  choiceToRoutineSchedule
+} = require('../services/assistantSuggestions');
+const {
+  isMemoryEnabled,
+  listMemories,
+  deleteMemory,
+  clearMemories,
+  loadPromptMemories,
+  scheduleMemoryExtraction
+} = require('../services/userMemory');
+const { normalizeAttendees, scheduleMeetingInvites } = require('../services/meetingInvites');
+const {
+  SUPPORTED_LANGUAGES,
+  isSupportedLanguage,
+  resolveLanguage,
+  withLanguage,
+  t,
+  hasMessage,
+  dateLocale,
+  joinList,
+  dayName,
+  replyInstruction,
+  findDayCodes,
+  isCancelPhrase,
+  describeDayNames
+} = require('../utils/i18n');
+
+// System prompt for the AI assistant (the reply language is added per user in buildChatHistory)
 const SYSTEM_PROMPT = `You are Bela, a helpful AI assistant. 
 Your main functions are:
 1. Answer general questions helpfully and concisely
@@ -23,151 +102,963 @@ When creating tasks or meetings, you should:
 - Confirm details before creating
 - Be friendly and professional in all responses`;
 
+const DEFAULT_TITLE = 'New conversation';
+
+// A pending action untouched for this long is dropped instead of resumed
+const PENDING_ACTION_TTL_MINUTES = 30;
+
+// Two-letter day codes used in assistant data, indexed like Date#getDay (0 = Sunday)
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Assistant intents that change an existing reminder, mapped to pendingAction types
+const REMINDER_CHANGE_TYPES = {
+  reschedule: 'reschedule_reminder',
+  complete: 'complete_reminder',
+  delete: 'delete_reminder'
+};
+
+// Assistant intents that create a new reminder, mapped to pendingAction types
+const CREATE_INTENT_TYPES = {
+  task: 'create_task',
+  meeting: 'schedule_meeting',
+  location: 'create_location_reminder'
+};
+
+const ACTION_LABELS = {
+  batch: 'Creating several tasks, meetings or location reminders at once',
+  create_task: 'Creating a Task',
+  schedule_meeting: 'Scheduling a Meeting',
+  create_location_reminder: 'Creating a Location Reminder',
+  reschedule_reminder: 'Rescheduling an existing reminder',
+  complete_reminder: 'Marking an existing reminder as done',
+  delete_reminder: 'Deleting an existing reminder'
+};
+
+// Helper function to derive a short thread title from the first user message
+function buildTitleFromMessage(message) {
+  const text = String(message || '').replace(/\s+/g, ' ').trim();
+  if (!text) return DEFAULT_TITLE;
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+// Helper function to create a fresh thread and make it the user's active one
+async function createConversation(userId, title) {
+  await Conversation.updateMany({ userId, isActive: true }, { $set: { isActive: false } });
+  return Conversation.create({
+    userId,
+    title: title || DEFAULT_TITLE,
+    isActive: true,
+    messages: [{ role: 'system', content: SYSTEM_PROMPT }]
+  });
+}
+
+// Helper function to load a thread by id (scoped to the user), or the active thread.
+// Falls back to the most recently used unarchived thread, then creates one.
+// Returns null when an explicit conversationId does not belong to the user.
+async function resolveConversation(userId, conversationId) {
+  if (conversationId) {
+    if (!mongoose.isValidObjectId(conversationId)) return null;
+    return Conversation.findOne({ _id: conversationId, userId });
+  }
+
+  let conversation = await Conversation.findOne({ userId, archived: { $ne: true }, isActive: true });
+  if (!conversation) {
+    conversation = await Conversation.findOne({ userId, archived: { $ne: true } }).sort({ updatedAt: -1 });
+    if (conversation) {
+      conversation.isActive = true;
+      await conversation.save();
+    }
+  }
+  return conversation || createConversation(userId);
+}
+
+// Helper function to run the first half of a chat turn: load the thread, record the
+// user message, then resolve any pending action or detect a new one.
+// Returns { conversation, result, expiredAction }: result is the response envelope when
+// an action handled the turn, or null when the message should get a normal chat reply.
+// conversation is null when the requested thread does not belong to the user.
+// expiredAction describes a stale pending action that was dropped this turn.
+// payload is a tapped suggestion (services/assistantSuggestions.js), answered without the model.
+async function startChatTurn(turn) {
+  // Canned replies and model prompts follow the user's language for the whole turn
+  return withLanguage(resolveLanguage(turn.userObj), () => resolveChatTurn(turn));
+}
+
+async function resolveChatTurn({ userId, userObj, message, conversationId, payload }) {
+  // Get the requested thread, or the active one (created on first use)
+  const conversation = await resolveConversation(userId, conversationId);
+  if (!conversation) return { conversation: null, result: null };
+  // Relative dates and times are resolved in the user's own time zone
+  const timeZone = resolveTimeZone(userObj?.timezone);
+
+  // A tapped suggestion: the payload is the choice; its label stands in for a missing message
+  const choice = parseSuggestionPayload(payload);
+  if (choice && !String(message || '').trim()) {
+    message = describeSuggestionChoice(choice, { pendingAction: conversation.pendingAction, timeZone });
+  }
+
+  // Name untitled threads after their first user message
+  if (conversation.title === DEFAULT_TITLE && !conversation.messages.some(m => m.role === 'user')) {
+    conversation.title = buildTitleFromMessage(message);
+  }
+
+  // Add user message to conversation
+  conversation.messages.push({ role: 'user', content: message });
+  // Habits mentioned in passing are remembered in the background (if the user opted in)
+  scheduleMemoryExtraction({ user: userObj, message, conversationId: conversation._id });
+
+  let expiredAction = null;
+  const reply = async (envelope) => {
+    // Save assistant's response to conversation, noting the reminders it touched
+    conversation.messages.push({
+      role: 'assistant',
+      content: envelope.response,
+      reminderChanges: turnReminderChanges(conversation, envelope)
+    });
+    // Every step restarts the pending action's expiry clock
+    if (conversation.pendingAction && conversation.pendingAction.type) {
+      conversation.pendingAction.updatedAt = new Date();
+    }
+    await conversation.save();
+    scheduleCompaction(conversation, userObj);
+    return {
+      conversation,
+      result: {
+        ...envelope,
+        suggestions: buildSuggestions({ pendingAction: conversation.pendingAction, envelope, timeZone }),
+        ...(expiredAction ? { expiredAction } : {}),
+        conversationId: conversation._id
+      },
+      expiredAction
+    };
+  };
+
+  // "undo that" reverts the latest applied action, even mid-way through another one
+  if (choice?.kind === 'undo' || isUndoRequest(message)) {
+    return reply(await undoLatestAction(conversation, userId));
+  }
+
+  // Drop a pending action the user walked away from
+  if (conversation.pendingAction && conversation.pendingAction.type && isPendingActionExpired(conversation)) {
+    expiredAction = describePendingAction(conversation.pendingAction);
+    console.log('⌛ Pending action expired:', expiredAction);
+    conversation.pendingAction = null;
+    // A bare "yes" or "7pm" (or a suggestion) only made sense as an answer to the dropped question
+    if (choice || looksLikePendingReply(message)) {
+      return reply({
+        success: true,
+        response: t('pending.expired', { label: expiredAction.label }),
+        action: 'pending_expired',
+        data: { expiredAction }
+      });
+    }
+  }
+
+  // "never mind" / "stop" cancels whatever is in progress, at any step
+  if (conversation.pendingAction && conversation.pendingAction.type && isCancelPhrase(message)) {
+    const cancelled = describePendingAction(conversation.pendingAction);
+    console.log('🛑 Pending action cancelled by user:', cancelled);
+    conversation.pendingAction = null;
+    return reply({
+      success: true,
+      response: t('pending.cancelled', { label: cancelled.label }),
+      action: 'action_cancelled',
+      data: { cancelled }
+    });
+  }
+
+  // Check for pending action first
+  if (conversation.pendingAction && conversation.pendingAction.type) {
+    console.log('🔔 Pending action exists:', JSON.stringify(conversation.pendingAction, null, 2));
+    console.log('🔔 Handling user response:', message);
+    const result = await handlePendingAction(conversation, message, userId, userObj, choice);
+    if (result) {
+      console.log('✅ Pending action handled');
+      return reply(result);
+    }
+  }
+
+  // A suggestion from a step that is no longer pending
+  if (choice) {
+    return reply({
+      success: true,
+      response: t('suggestions.stale'),
+      action: 'suggestion_expired'
+    });
+  }
+
+  const lastAssistantResponse =
+    conversation.messages[conversation.messages.length - 1]?.content || '';
+  // Detect action from the message
+  const action = await detectAction(lastAssistantResponse, message, userId, timeZone);
+
+  if (action) {
+    console.log('🔍 Action detected:', { type: action.type, confirmationNeeded: action.confirmationNeeded });
+
+    // Answer questions about existing reminders and calendar events
+    if (action.isQuery) {
+      const answer = await answerScheduleQuery({ userId, question: message, query: action.query, timeZone });
+      return reply({
+        success: true,
+        response: answer.response,
+        action: 'schedule_query',
+        data: { range: answer.range, items: answer.items }
+      });
+    }
+
+    // Reschedule / complete / delete an existing reminder
+    if (action.isReminderChange) {
+      return reply(await startReminderChange(conversation, action, userId, timeZone));
+    }
+
+    // Several new items: ask for what each one is missing, then confirm them together
+    if (action.isBatch) {
+      return reply(await advanceBatch(conversation, action.items, timeZone));
+    }
+
+    // If we need to ask about routine scheduling
+    if (action.needsRoutineConfirmation) {
+      conversation.pendingAction = {
+        type: action.type,
+        data: action.data,
+        needsRoutineConfirmation: true
+      };
+      return reply({
+        success: true,
+        response: action.question,
+        action: 'needs_routine_confirmation',
+        data: action.data
+      });
+    }
+
+    // If we need more info, ask for it
+    if (action.needsMoreInfo) {
+      conversation.pendingAction = {
+        type: action.type,
+        data: action.data,
+        missingFields: action.missingFields
+      };
+      return reply({
+        success: true,
+        response: action.question,
+        action: 'needs_info',
+        data: { missingFields: action.missingFields }
+      });
+    }
+
+    // If we have all info, confirm before creating
+    if (action.confirmationNeeded) {
+      conversation.pendingAction = {
+        type: action.type,
+        data: action.data,
+        confirmationNeeded: true
+      };
+      console.log('💾 Pending action saved to conversation:', conversation.pendingAction);
+      return reply({
+        success: true,
+        response: action.confirmationMessage,
+        action: 'confirm_action',
+        data: action.data,
+        conflicts: action.conflicts,
+        suggestedSlots: action.suggestedSlots
+      });
+    }
+  }
+
+  // Nothing pending or detected: the message gets a normal chat reply
+  return { conversation, result: null, expiredAction };
+}
+
+function isPendingActionExpired(conversation, now = new Date()) {
+  const since = conversation.pendingAction?.updatedAt || conversation.updatedAt;
+  return !!since && now.getTime() - new Date(since).getTime() > PENDING_ACTION_TTL_MINUTES * 60000;
+}
+
+// Helper function to describe a pending action for expiry / cancel messages
+function describePendingAction(pendingAction) {
+  const title = pendingAction.data?.title || null;
+  const label = ACTION_LABELS[pendingAction.type] ? t(`actionLabel.${pendingAction.type}`) : t('actionLabel.unknown');
+  return {
+    type: pendingAction.type,
+    title,
+    label: title ? `${label}: "${title}"` : label
+  };
+}
+
+// Helper function to spot short replies that only answer a previous question
+function looksLikePendingReply(message) {
+  const text = String(message || '').trim().toLowerCase();
+  if (!text || text.split(/\s+/).length > 6) return false;
+  return /^(y|yes|yeah|yep|sure|ok|okay|n|no|nope|confirm|go ahead|do it|create it|\d+|daily|every ?day|weekdays?|weekends?|the (first|second|third|last)( one)?)\b/.test(text) ||
+    !!parseDateTime(text);
+}
+
+// Helper function to list the reminders an action turn created, changed or restored
+function turnReminderChanges(conversation, envelope) {
+  if (envelope.actionId) {
+    return reminderChangesOf(conversation.actions.id(envelope.actionId));
+  }
+  if (envelope.action === 'action_undone' && envelope.data?.id) {
+    return reminderChangesOf(conversation.actions.id(envelope.data.id), { undone: true });
+  }
+  return [];
+}
+
+// Helper function to run a whole (non-streaming) chat turn: resolve actions,
+// otherwise get a normal chat reply. Returns { conversation, result } where
+// result is the /chat response envelope; conversation is null for a foreign thread.
+async function runChatTurn({ userId, userObj, message, conversationId, payload }) {
+  const { conversation, result: actionResult, expiredAction } = await startChatTurn({
+    userId,
+    userObj,
+    message,
+    conversationId,
+    payload
+  });
+  if (!conversation) return { conversation: null, result: null };
+  if (actionResult) return { conversation, result: actionResult };
+
+  // If no action or confirmation needed, proceed with normal chat
+  const responseText = await llm.chat({
+    history: buildChatHistory(conversation, { language: resolveLanguage(userObj) }),
+    message
+  });
+
+  // Save assistant's response
+  conversation.messages.push({ role: 'assistant', content: responseText });
+  await conversation.save();
+  scheduleCompaction(conversation, userObj);
+
+  return {
+    conversation,
+    result: {
+      success: true,
+      response: responseText,
+      suggestions: [],
+      ...(expiredAction ? { expiredAction } : {}),
+      conversationId: conversation._id
+    }
+  };
+}
+
+// Options a voice request may pass along with its audio
+const VOICE_OPTIONS = ['conversationId', 'language', 'voiceId', 'transcript'];
+
+// Helper function to read the uploaded audio of a voice request: either a raw
+// audio body (the options above in the query string) or JSON with base64 `audio`
+function readVoiceUpload(req) {
+  const fromBody = !Buffer.isBuffer(req.body);
+  const source = fromBody ? req.body || {} : req.query;
+  const options = Object.fromEntries(VOICE_OPTIONS.filter(key => source[key] !== undefined).map(key => [key, source[key]]));
+  if (!fromBody) {
+    return { ...options, audio: req.body, mimeType: req.get('content-type') };
+  }
+  const { audio, mimeType } = source;
+  return {
+    ...options,
+    audio: typeof audio === 'string' ? Buffer.from(audio, 'base64') : null,
+    mimeType: mimeType || 'audio/mpeg'
+  };
+}
+
+// Helper function to write one Server-Sent Event
+function sendSSE(res, event, payload) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
 // Chat with the AI assistant
+// Body: { message, conversationId?, payload? } - payload is the `payload` of one of the
+// previous response's `suggestions` (message may then be omitted; the label is used)
 router.post('/chat', auth, async (req, res) => {
   console.log('\n--- New Chat Request ---');
   console.log('Headers:', req.headers);
   console.log('Body:', req.body);
   console.log('User:', req.user);
   try {
-    const { message } = req.body;
+    const { message, conversationId, payload } = req.body;
     const userId = req.user?.id || req.user?._id;
+    if (payload !== undefined && !parseSuggestionPayload(payload)) {
+      return res.status(400).json({ success: false, message: 'Unknown suggestion payload' });
+    }
 
-    // Get or create conversation
-    let conversation = await Conversation.findOne({ userId });
+    const { conversation, result } = await runChatTurn({
+      userId,
+      userObj: req.user,
+      message,
+      conversationId,
+      payload
+    });
     if (!conversation) {
-      conversation = new Conversation({
-        userId,
-        messages: [{ role: 'system', content: SYSTEM_PROMPT }]
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+    res.json(result);
+
+  } catch (error) {
+    console.error('Error in chat endpoint:', error);
+     console.error('\n--- Error in /chat endpoint ---');
+    console.error('Error details:', {
+      message: error.message,
+      stack: error.stack,
+      name: error.name,
+      code: error.code
+    });
+   res.status(500).json({
+      success: false,
+      message: 'Error processing your request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Chat with the AI assistant, streaming the reply as Server-Sent Events.
+// Emits `delta` events ({ text }) while the model generates, then a single `done`
+// event carrying the same envelope /chat returns. Errors after the stream has
+// started are sent as an `error` event. Takes the same body as /chat.
+router.post('/chat/stream', auth, async (req, res) => {
+  let streaming = false;
+  try {
+    const { message, conversationId, payload } = req.body;
+    const userId = req.user?.id || req.user?._id;
+    if (payload !== undefined && !parseSuggestionPayload(payload)) {
+      return res.status(400).json({ success: false, message: 'Unknown suggestion payload' });
+    }
+
+    const { conversation, result: actionResult, expiredAction } = await startChatTurn({
+      userId,
+      userObj: req.user,
+      message,
+      conversationId,
+      payload
+    });
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    streaming = true;
+
+    // Action turns are not generated token by token; send them as one delta
+    if (actionResult) {
+      sendSSE(res, 'delta', { text: actionResult.response });
+      sendSSE(res, 'done', actionResult);
+      return res.end();
+    }
+
+    let clientGone = false;
+    res.on('close', () => { clientGone = !res.writableEnded; });
+
+    let responseText = '';
+    for await (const text of llm.chatStream({
+      history: buildChatHistory(conversation, { language: resolveLanguage(req.user) }),
+      message
+    })) {
+      responseText += text;
+      if (!clientGone) sendSSE(res, 'delta', { text });
+    }
+
+    // Keep the full reply even if the client disconnected mid-stream
+    conversation.messages.push({ role: 'assistant', content: responseText });
+    await conversation.save();
+    scheduleCompaction(conversation, req.user);
+
+    if (!clientGone) {
+      sendSSE(res, 'done', {
+        success: true,
+        response: responseText,
+        suggestions: [],
+        ...(expiredAction ? { expiredAction } : {}),
+        conversationId: conversation._id
       });
     }
+    res.end();
+  } catch (error) {
+    console.error('\n--- Error in /chat/stream endpoint ---');
+    console.error('Error details:', {
+      message: error.message,
+      stack: error.stack,
+      name: error.name,
+      code: error.code
+    });
+    const payload = {
+      success: false,
+      message: 'Error processing your request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    };
+    if (!streaming) return res.status(500).json(payload);
+    sendSSE(res, 'error', payload);
+    res.end();
+  }
+});
 
-    // Add user message to conversation
-    conversation.messages.push({ role: 'user', content: message });
-    
-    // Check for pending action first
-    if (conversation.pendingAction && conversation.pendingAction.type) {
-      console.log('🔔 Pending action exists:', JSON.stringify(conversation.pendingAction, null, 2));
-      console.log('🔔 Handling user response:', message);
-      const result = await handlePendingAction(conversation, message, userId, req.user);
-      if (result) {
-        // Save assistant's response to conversation
-        conversation.messages.push({ role: 'assistant', content: result.response });
-        await conversation.save();
-        console.log('✅ Response sent and conversation saved');
-        return res.json(result);
-      }
+// Voice round-trip: transcribe the uploaded audio, run it through the chat
+// pipeline and speak the reply. Send the recording as the raw body (audio/*, up
+// to 10mb) or as JSON { audio: <base64>, mimeType } (up to 15mb; index.js leaves
+// this route's JSON to the parser here); conversationId, language, voiceId and
+// transcript (a client-side hint used by the offline STT stub) are optional.
+// Responds with the /chat envelope plus transcript and audioUrl (null when
+// speech could not be generated).
+router.post('/voice', auth, express.raw({ type: ['audio/*', 'application/octet-stream'], limit: '10mb' }), express.json({ limit: '15mb' }), async (req, res) => {
+  try {
+    const userId = req.user?.id || req.user?._id;
+    const { audio, mimeType, conversationId, language, voiceId, transcript: hint } = readVoiceUpload(req);
+    if (!audio || !audio.length) {
+      return res.status(400).json({ success: false, message: 'No audio provided' });
     }
-const lastAssistantResponse =
-  conversation.messages[conversation.messages.length - 1]?.content || '';
-    // Detect action from the message
-    const action = await detectAction(lastAssistantResponse, message, userId);
-    
-    if (action) {
-      console.log('🔍 Action detected:', { type: action.type, confirmationNeeded: action.confirmationNeeded });
-      
-      // If we need to ask about routine scheduling
-      if (action.needsRoutineConfirmation) {
-        conversation.pendingAction = {
-          type: action.type,
-          data: action.data,
-          needsRoutineConfirmation: true
-        };
-        await conversation.save();
-        
-        return res.json({
-          success: true,
-          response: action.question,
-          action: 'needs_routine_confirmation',
-          data: action.data
-        });
-      }
-      
-      // If we need more info, ask for it
-      if (action.needsMoreInfo) {
-        conversation.pendingAction = {
-          type: action.type,
-          data: action.data,
-          missingFields: action.missingFields
-        };
-        await conversation.save();
-        
-        return res.json({
-          success: true,
-          response: action.question,
-          action: 'needs_info',
-          data: { missingFields: action.missingFields }
-        });
+
+    let transcript;
+    try {
+      ({ text: transcript } = await stt.transcribe({ audio, mimeType, language, hint }));
+    } catch (error) {
+      console.error('[voice] transcription failed:', error?.response?.status || '', error.message);
+      return res.status(502).json({ success: false, message: 'Could not transcribe the audio' });
+    }
+    if (!transcript) {
+      return res.status(422).json({ success: false, message: "Sorry, I couldn't make out any speech in that recording." });
+    }
+    console.log('🎙️ Voice transcript:', transcript);
+
+    const { conversation, result } = await runChatTurn({
+      userId,
+      userObj: req.user,
+      message: transcript,
+      conversationId
+    });
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+
+    const spoken = await ensureVoiceReplyTTS(result.response, {
+      userId,
+      conversationId: conversation._id,
+      overrideVoiceId: voiceId
+    });
+    const audioReady = spoken.status === 'ready';
+
+    res.json({
+      ...result,
+      transcript,
+      audioUrl: audioReady ? `/api/assistant/voice/replies/${spoken._id}/audio` : null,
+      audioStatus: spoken.status
+    });
+  } catch (error) {
+    console.error('Error in voice endpoint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing your voice request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Stream the audio of a spoken assistant reply
+router.get('/voice/replies/:id/audio', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Voice reply not found' });
+    }
+    const reply = await VoiceReply.findOne({ _id: req.params.id, user: req.user.id });
+    const audio = reply?.audio;
+    if (!audio?.data || !audio?.contentType) {
+      return res.status(404).json({ success: false, message: 'Voice reply not found' });
+    }
+    res.setHeader('Content-Type', audio.contentType || 'audio/mpeg');
+    if (audio.size) res.setHeader('Content-Length', audio.size);
+    return res.end(audio.data);
+  } catch (error) {
+    console.error('Error streaming voice reply:', error);
+    res.status(500).json({ success: false, message: 'Error streaming voice reply' });
+  }
+});
+
+// List conversation threads (archived ones only with ?archived=true)
+router.get('/conversations', auth, async (req, res) => {
+  try {
+    const q = { userId: req.user.id };
+    if (req.query.archived !== 'true') q.archived = { $ne: true };
+    const conversations = await Conversation.find(q).sort({ updatedAt: -1 });
+    res.json({ success: true, data: conversations.map(c => c.toSummary()) });
+  } catch (error) {
+    console.error('Error listing conversations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error listing conversations',
+      error: error.message
+    });
+  }
+});
+
+// Start a new thread and switch to it
+router.post('/conversations', auth, async (req, res) => {
+  try {
+    const title = typeof req.body?.title === 'string' ? req.body.title.trim() : '';
+    const conversation = await createConversation(req.user.id, title);
+    res.status(201).json({ success: true, data: conversation.toSummary() });
+  } catch (error) {
+    console.error('Error creating conversation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating conversation',
+      error: error.message
+    });
+  }
+});
+
+// Get a single thread with its messages
+router.get('/conversations/:id', auth, async (req, res) => {
+  try {
+    const conversation = await resolveConversation(req.user.id, req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+    res.json({
+      success: true,
+      data: {
+        ...conversation.toSummary(),
+        summary: conversation.summary?.text || '',
+        messages: conversation.messages,
+        pendingAction: conversation.pendingAction
       }
-      
-      // If we have all info, confirm before creating
-      if (action.confirmationNeeded) {
-        conversation.pendingAction = {
-          type: action.type,
-          data: action.data,
-          confirmationNeeded: true
-        };
-        await conversation.save();
-        
-        console.log('💾 Pending action saved to conversation:', conversation.pendingAction);
-        
-        return res.json({
-          success: true,
-          response: action.confirmationMessage,
-          action: 'confirm_action',
-          data: action.data
-        });
+    });
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching conversation',
+      error: error.message
+    });
+  }
+});
+
+// Export a thread as Markdown (default) or JSON: ?format=markdown|json
+// System messages are left out; turns that created or changed reminders list their ids.
+router.get('/conversations/:id/export', auth, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'markdown').toLowerCase();
+    if (!['markdown', 'md', 'json'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'format must be "markdown" or "json"' });
+    }
+    const conversation = await resolveConversation(req.user.id, req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+    // Turns folded out of the live thread by the history policy come first
+    const archives = await ConversationArchive.find({ conversationId: conversation._id }).sort({ createdAt: 1 }).lean();
+    const exported = buildConversationExport(conversation, archives, { timeZone: resolveTimeZone(req.user.timezone) });
+
+    const filename = `conversation-${conversation._id}.${format === 'json' ? 'json' : 'md'}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+      return res.json({ success: true, data: exported });
+    }
+    res.type('text/markdown').send(renderConversationMarkdown(exported));
+  } catch (error) {
+    console.error('Error exporting conversation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting conversation',
+      error: error.message
+    });
+  }
+});
+
+// Rename and/or archive a thread
+router.patch('/conversations/:id', auth, async (req, res) => {
+  try {
+    const conversation = await resolveConversation(req.user.id, req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+
+    const { title, archived } = req.body || {};
+    if (typeof title !== 'undefined') {
+      if (typeof title !== 'string' || !title.trim()) {
+        return res.status(400).json({ success: false, message: 'Title cannot be empty' });
       }
+      conversation.title = title.trim();
+    }
+    if (typeof archived !== 'undefined') {
+      conversation.archived = !!archived;
+      // An archived thread can't stay the default chat target
+      if (conversation.archived) conversation.isActive = false;
+    }
+    await conversation.save();
+
+    res.json({ success: true, data: conversation.toSummary() });
+  } catch (error) {
+    console.error('Error updating conversation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating conversation',
+      error: error.message
+    });
+  }
+});
+
+// Switch the active thread used by /chat when no conversationId is sent
+router.post('/conversations/:id/activate', auth, async (req, res) => {
+  try {
+    const conversation = await resolveConversation(req.user.id, req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
     }
 
-    // If no action or confirmation needed, proceed with normal chat
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    const chat = model.startChat({
-      history: conversation.messages.map(msg => ({
-        role: msg.role === 'assistant' ? 'model' : 'user',
-        parts: [{ text: msg.content }]
-      }))
+    await Conversation.updateMany(
+      { userId: req.user.id, _id: { $ne: conversation._id }, isActive: true },
+      { $set: { isActive: false } }
+    );
+    conversation.isActive = true;
+    conversation.archived = false;
+    await conversation.save();
+
+    res.json({ success: true, data: conversation.toSummary() });
+  } catch (error) {
+    console.error('Error switching conversation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error switching conversation',
+      error: error.message
+    });
+  }
+});
+
+// Delete a single thread
+router.delete('/conversations/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+    const removed = await Conversation.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+    await clearHistoryArchive(removed._id);
+    res.json({ success: true, message: 'Conversation deleted' });
+  } catch (error) {
+    console.error('Error deleting conversation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting conversation',
+      error: error.message
     });
+  }
+});
 
-    // Get response from Gemini
-    const result = await chat.sendMessage(message);
-    const response = await result.response;
-    const responseText = response.text();
+// Undo an action the assistant applied (within the undo window)
+router.post('/actions/:id/undo', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Action not found' });
+    }
+    const conversation = await Conversation.findOne({ userId: req.user.id, 'actions._id': req.params.id });
+    const action = conversation?.actions.id(req.params.id);
+    if (!action) {
+      return res.status(404).json({ success: false, message: 'Action not found' });
+    }
+    const result = await undoAction(action, req.user.id);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.message, data: toActionSummary(action) });
+    }
+    await conversation.save();
+    res.json({ success: true, message: result.message, data: toActionSummary(action) });
+  } catch (error) {
+    console.error('Error undoing action:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error undoing action',
+      error: error.message
+    });
+  }
+});
 
-    // Save assistant's response
-    conversation.messages.push({ role: 'assistant', content: responseText });
+// Cancel the pending assistant action of the active thread (or ?conversationId=)
+router.delete('/pending', auth, async (req, res) => {
+  try {
+    const { conversationId } = req.query;
+    const conversation = conversationId
+      ? await resolveConversation(req.user.id, conversationId)
+      : await Conversation.findOne({ userId: req.user.id, archived: { $ne: true } }).sort({ isActive: -1, updatedAt: -1 });
+    if (conversationId && !conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+    const pending = conversation?.pendingAction;
+    if (!pending || !pending.type) {
+      return res.json({ success: true, message: 'Nothing to cancel', data: { cancelled: null } });
+    }
+    const cancelled = describePendingAction(pending);
+    conversation.pendingAction = null;
     await conversation.save();
+    res.json({ success: true, message: 'Pending action cancelled', data: { cancelled, conversationId: conversation._id } });
+  } catch (error) {
+    console.error('Error cancelling pending action:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling pending action',
+      error: error.message
+    });
+  }
+});
+
+// Daily briefing: the day's agenda (?date=YYYY-MM-DD in the user's time zone,
+// default today) with a short summary and its spoken audio (?audio=false skips TTS)
+router.get('/briefing', auth, async (req, res) => {
+  try {
+    const { date, audio } = req.query;
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ success: false, message: 'date must be in YYYY-MM-DD format' });
+    }
+    const briefing = await buildDailyBriefing({ user: req.user, date, withAudio: audio !== 'false' });
+    if (!briefing) {
+      return res.status(400).json({ success: false, message: 'Invalid date' });
+    }
+    res.json({ success: true, data: briefing });
+  } catch (error) {
+    console.error('Error building daily briefing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building daily briefing',
+      error: error.message
+    });
+  }
+});
+
+// Get the user's assistant settings
+router.get('/settings', auth, async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      historyTurns: resolveHistoryTurns(req.user),
+      language: resolveLanguage(req.user),
+      memoryEnabled: isMemoryEnabled(req.user)
+    }
+  });
+});
+
+// Update the user's assistant settings
+// Body: { historyTurns } - recent turns replayed verbatim (older ones are summarized)
+//       { language } - language of the assistant's replies ('en' or 'ur')
+//       { memoryEnabled } - remember habits and preferences mentioned in chat
+router.patch('/settings', auth, async (req, res) => {
+  try {
+    const { historyTurns, language, memoryEnabled } = req.body || {};
+    const update = {};
+    if (historyTurns !== undefined) {
+      const n = Number(historyTurns);
+      if (!Number.isInteger(n) || n < MIN_HISTORY_TURNS || n > MAX_HISTORY_TURNS) {
+        return res.status(400).json({
+          success: false,
+          message: `historyTurns must be a whole number between ${MIN_HISTORY_TURNS} and ${MAX_HISTORY_TURNS}`
+        });
+      }
+      update['assistantSettings.historyTurns'] = n;
+    }
+    if (language !== undefined) {
+      if (!isSupportedLanguage(language)) {
+        return res.status(400).json({
+          success: false,
+          message: `language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`
+        });
+      }
+      update['assistantSettings.language'] = language;
+    }
+    if (memoryEnabled !== undefined) {
+      if (typeof memoryEnabled !== 'boolean') {
+        return res.status(400).json({ success: false, message: 'memoryEnabled must be true or false' });
+      }
+      update['assistantSettings.memoryEnabled'] = memoryEnabled;
+    }
+    if (!Object.keys(update).length) {
+      return res.status(400).json({ success: false, message: 'No settings to update' });
+    }
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: update }, { new: true, runValidators: true });
+    res.json({
+      success: true,
+      data: {
+        historyTurns: resolveHistoryTurns(user),
+        language: resolveLanguage(user),
+        memoryEnabled: isMemoryEnabled(user)
+      }
+    });
+  } catch (error) {
+    console.error('Error updating assistant settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating assistant settings',
+      error: error.message
+    });
+  }
+});
 
+// List what the assistant remembers about the user (newest first).
+// enabled tells whether new facts are still being picked up from chat.
+router.get('/memory', auth, async (req, res) => {
+  try {
     res.json({
       success: true,
-      response: responseText
+      data: { enabled: isMemoryEnabled(req.user), memories: await listMemories(req.user.id) }
+    });
+  } catch (error) {
+    console.error('Error listing memories:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error listing memories',
+      error: error.message
     });
+  }
+});
 
+// Forget one remembered fact
+router.delete('/memory/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Memory not found' });
+    }
+    const memory = await deleteMemory(req.user.id, req.params.id);
+    if (!memory) {
+      return res.status(404).json({ success: false, message: 'Memory not found' });
+    }
+    res.json({ success: true, message: 'Memory deleted' });
   } catch (error) {
-    console.error('Error in chat endpoint:', error);
-     console.error('\n--- Error in /chat endpoint ---');
-    console.error('Error details:', {
-      message: error.message,
-      stack: error.stack,
-      name: error.name,
-      code: error.code
+    console.error('Error deleting memory:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting memory',
+      error: error.message
     });
-   res.status(500).json({
+  }
+});
+
+// Forget everything remembered about the user
+router.delete('/memory', auth, async (req, res) => {
+  try {
+    const deleted = await clearMemories(req.user.id);
+    res.json({ success: true, message: 'Memory cleared', data: { deleted } });
+  } catch (error) {
+    console.error('Error clearing memory:', error);
+    res.status(500).json({
       success: false,
-      message: 'Error processing your request',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      message: 'Error clearing memory',
+      error: error.message
     });
   }
 });
 
-// Get conversation history
+// Get conversation history of the active thread (or ?conversationId=)
 router.get('/conversation', auth, async (req, res) => {
   try {
-    const conversation = await Conversation.findOne({ userId: req.user.id });
+    const { conversationId } = req.query;
+    const conversation = conversationId
+      ? await resolveConversation(req.user.id, conversationId)
+      : await Conversation.findOne({ userId: req.user.id, archived: { $ne: true } }).sort({ isActive: -1, updatedAt: -1 });
     if (!conversation) {
       return res.json({ messages: [] });
     }
-    res.json({ messages: conversation.messages });
+    res.json({ conversationId: conversation._id, summary: conversation.summary?.text || '', messages: conversation.messages });
   } catch (error) {
     console.error('Error fetching conversation:', error);
     res.status(500).json({
@@ -178,10 +1069,20 @@ router.get('/conversation', auth, async (req, res) => {
   }
 });
 
-// Clear conversation history
+// Clear the active thread's history (or ?conversationId=); other threads are kept
 router.delete('/conversation', auth, async (req, res) => {
   try {
-    await Conversation.deleteOne({ userId: req.user.id });
+    const { conversationId } = req.query;
+    const conversation = conversationId
+      ? await resolveConversation(req.user.id, conversationId)
+      : await Conversation.findOne({ userId: req.user.id, archived: { $ne: true } }).sort({ isActive: -1, updatedAt: -1 });
+    if (conversation) {
+      conversation.messages = [{ role: 'system', content: SYSTEM_PROMPT }];
+      conversation.summary = { text: '', messageCount: 0 };
+      conversation.pendingAction = null;
+      await conversation.save();
+      await clearHistoryArchive(conversation._id);
+    }
     res.json({ success: true, message: 'Conversation cleared' });
   } catch (error) {
     console.error('Error clearing conversation:', error);
@@ -193,20 +1094,33 @@ router.delete('/conversation', auth, async (req, res) => {
   }
 });
 
+// Helper function to describe "now" in the user's time zone for the prompts
+function buildTimeContext(timeZone) {
+  const now = new Date();
+  const tomorrow = addZonedDays(now, 1, timeZone);
+  return {
+    now,
+    today: toZonedDateString(now, timeZone),
+    tomorrow: toZonedDateString(tomorrow, timeZone),
+    tomorrowAt5pmISO: zonedTimeToUtc({ ...getZonedParts(tomorrow, timeZone), hour: 17, minute: 0, second: 0 }, timeZone).toISOString(),
+    header: `Current date and time: ${now.toISOString()} (UTC), which is ${now.toLocaleString('en-US', { timeZone, dateStyle: 'full', timeStyle: 'short' })} for the user
+User time zone: ${timeZone} (UTC${formatOffset(now, timeZone)}). Interpret every date and time the user mentions in this zone and write ISO date-times in UTC; "HH:mm" fields such as fixedTime stay in the user's local time.`
+  };
+}
+
 // Helper function to use Gemini to intelligently detect user intent and extract details
-async function detectActionWithGemini(userMessage, userId) {
+async function detectActionWithGemini(userMessage, userId, timeZone) {
   try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    
-    const currentDate = new Date(); // October 25, 2025 based on context
+    const time = buildTimeContext(timeZone);
+    const memories = await loadPromptMemories(userId);
     const prompt = `You are an intelligent assistant that analyzes user messages to detect scheduling intents.
 
-Current date and time: ${currentDate.toISOString()} (${currentDate.toLocaleString('en-US', { timeZone: 'UTC', dateStyle: 'full', timeStyle: 'short' })})
+${time.header}
 
 Analyze this user message: "${userMessage}"
 
 Your task:
-1. Detect if the user wants to create a TASK or MEETING, or neither
+1. Detect if the user wants to create a TASK, MEETING or LOCATION reminder, is asking a QUERY about their existing schedule, wants to RESCHEDULE, COMPLETE or DELETE an existing item, or neither
 2. INTELLIGENTLY GENERATE a meaningful title and description based on the user's intent (not just extract words)
 3. Calculate the EXACT date and time based on relative terms (tomorrow, next week, etc.)
 4. Extract all scheduling details (duration, recurrence, etc.)
@@ -214,7 +1128,7 @@ Your task:
 
 Return a JSON object with this EXACT structure:
 {
-  "intent": "task" | "meeting" | "none",
+  "intent": "task" | "meeting" | "location" | "multiple" | "query" | "reschedule" | "complete" | "delete" | "none",
   "data": {
     "title": "GENERATE a clear, concise, professional title that captures the user's intent",
     "description": "GENERATE a helpful description that explains what this is about based on context",
@@ -222,17 +1136,80 @@ Return a JSON object with this EXACT structure:
     "duration": number (in minutes, for meetings, default 30),
     "isRoutine": boolean (true if daily/weekly/monthly pattern),
     "isRecurring": boolean (for meetings),
+    "recurrenceInterval": number or null (recurring meetings: every n weeks, or n days when it repeats daily; "every other week" = 2),
+    "recurrenceUntilISO": "YYYY-MM-DD or null (recurring meetings: last day of the series, if the user gives one)",
+    "recurrenceCount": number or null (recurring meetings: how many meetings in total, e.g. "for 6 weeks" on Mondays = 6),
     "scheduleType": "one-day" | "routine" | "specific-days",
     "scheduleDays": ["MO", "TU", "WE", "TH", "FR", "SA", "SU"] (if routine/recurring),
     "scheduleTime": {
       "fixedTime": "HH:mm" or null,
       "minutesBeforeStart": number (default 15 for tasks, 10 for meetings)
-    }
+    },
+    "placeKeyword": "kind of place to search nearby, e.g. grocery store, pharmacy (ONLY for location)",
+    "attendees": [{ "name": "person's name or null", "email": "email address or null" }] (ONLY for meetings, the people the user meets with)
   },
+  "query": {
+    "rangeStartISO": "YYYY-MM-DDTHH:mm:ss.sssZ or null (start of the period the user asks about)",
+    "rangeEndISO": "YYYY-MM-DDTHH:mm:ss.sssZ or null (end of the period the user asks about)",
+    "keywords": ["words identifying a specific item, e.g. dentist"] (empty for general questions),
+    "itemType": "task" | "meeting" | "any"
+  } (ONLY when intent is "query", otherwise omit),
+  "target": {
+    "keywords": ["words identifying the existing item, e.g. gym"],
+    "dateISO": "YYYY-MM-DD or null (the day the existing item is on, if the user mentions it)",
+    "itemType": "task" | "meeting" | "any"
+  } (ONLY when intent is "reschedule", "complete" or "delete", otherwise omit),
+  "changes": {
+    "dateISO": "YYYY-MM-DD or null (new day, if the user gives one)",
+    "time": "HH:mm or null (new time, if the user gives one)"
+  } (ONLY when intent is "reschedule", otherwise omit),
+  "items": [
+    {
+      "intent": "task" | "meeting" | "location",
+      "text": "the part of the user's message about this item",
+      "data": { same structure as "data" above },
+      "missingFields": ["field1"]
+    }
+  ] (ONLY when intent is "multiple", otherwise omit),
   "missingFields": ["field1", "field2"] (array of missing required fields),
   "confidence": number (0-100, how confident you are about the detection)
 }
 
+QUERY RULES:
+- Use intent "query" when the user asks what is on their schedule or when something is ("what do I have tomorrow?", "am I free Friday afternoon?", "when is my dentist appointment?")
+- For a day ("tomorrow"), rangeStartISO is that day at 00:00 and rangeEndISO is that day at 23:59:59
+- "this week" = from now to the end of Sunday; "next week" = next Monday 00:00 to next Sunday 23:59:59
+- If the user asks about a specific item without a period, set both range fields to null and fill keywords
+- For queries, leave "data" as an empty object and "missingFields" as []
+
+LOCATION RULES:
+- Use intent "location" when the reminder should fire near a kind of place ("when I'm near", "when I pass", "at the pharmacy")
+- title/description describe what to do ("Buy Milk" / "Buy milk at the grocery store"); placeKeyword is the kind of place ("grocery store")
+- scheduleDays are the days it should be active; "every day" = all seven codes; leave [] when the user does not say
+- startDateISO, duration and scheduleTime do not apply to location reminders; do not list them as missing
+- Example: "remind me to buy milk when I'm near a grocery store on Saturdays" → intent "location", title "Buy Milk", placeKeyword "grocery store", scheduleDays ["SA"]
+
+MULTIPLE ITEMS RULES:
+- Use intent "multiple" when the message asks to create MORE THAN ONE new task, meeting or location reminder
+- Put one entry per item in "items", in the order the user mentioned them; leave the top-level "data" empty and "missingFields" []
+- Each item follows the same title, date and location rules as a single item, with its own missingFields
+- Example: "Remind me to pay rent on the 1st, call mom Sunday evening and book a dentist appointment next week" → intent "multiple" with three task items: "Pay Rent" (the 1st), "Call Mom" (Sunday 18:00) and "Book Dentist Appointment" (next week)
+- A single request that mentions several people or things ("meeting with Ali and Sara") is ONE item
+
+ATTENDEE RULES (meetings):
+- List the people the user is meeting with in "attendees": "meeting with Sara and Ali tomorrow at 3" → [{"name":"Sara","email":null},{"name":"Ali","email":null}]
+- Copy email addresses exactly as written ("sync with ali@example.com" → [{"name":null,"email":"ali@example.com"}]); never invent an email
+- Do not list the user themselves, groups ("the team", "clients") or people only mentioned in the topic ("discuss Sara's report"); leave [] when nobody is named
+- Attendees are never a missing field
+
+CHANGE RULES (existing items):
+- "move my gym session to 7pm" → intent "reschedule", target.keywords ["gym"], changes.time "19:00"
+- "push the dentist to next Tuesday" → intent "reschedule", target.keywords ["dentist"], changes.dateISO = next Tuesday
+- "mark call John as done" / "I finished the report" → intent "complete", target.keywords ["john"] / ["report"]
+- "cancel Friday's standup" / "delete my gym reminder" → intent "delete", target.keywords ["standup"], target.dateISO = this Friday
+- Keywords should be short words likely to appear in the item's title
+- For these intents, leave "data" as an empty object and "missingFields" as []
+
 CRITICAL RULES FOR TITLE & DESCRIPTION:
 - CREATE intelligent titles, don't just extract words
 - Title should be clear, professional, and action-oriented
@@ -245,15 +1222,20 @@ CRITICAL RULES FOR TITLE & DESCRIPTION:
   * "gym workout" → title: "Gym Workout Session", description: "Physical fitness and exercise routine"
 
 DATE & TIME CALCULATION RULES:
-- If user says "tomorrow", calculate from current date (${currentDate.toLocaleDateString()})
-- If user says "tomorrow 5pm" = ${new Date(currentDate.getTime() + 24*60*60*1000).toLocaleDateString()} at 17:00:00
+- If user says "tomorrow", calculate from the user's current date (${time.today})
+- If user says "tomorrow 5pm" = ${time.tomorrow} at 17:00 local time = ${time.tomorrowAt5pmISO}
 - If user says "next Monday" = calculate the next Monday from today
 - For time: convert "5pm" to "17:00", "9am" to "09:00", "3:30pm" to "15:30"
 - If no time specified for task, use scheduleTime.minutesBeforeStart instead of fixedTime
 - If time IS specified, use scheduleTime.fixedTime with HH:mm format
 - Mark field as missing ONLY if it's required and truly cannot be inferred
 
-SMART DEFAULTS:
+${memories.length ? `WHAT YOU KNOW ABOUT THIS USER (facts from earlier conversations):
+${memories.map(m => `- ${m}`).join('\n')}
+- When the request matches one of these facts, use its time, days and duration for anything the message leaves out ("gym tomorrow" → tomorrow at the user's usual gym time) and do not mark those fields as missing
+- These facts take priority over the SMART DEFAULTS below; what the user says in this message takes priority over both
+
+` : ''}SMART DEFAULTS:
 - "team standup" without time → 9:00 AM (typical standup time)
 - "lunch meeting" without time → 12:00 PM
 - "workout" without time → ask for time (missing field)
@@ -261,7 +1243,7 @@ SMART DEFAULTS:
 
 Examples:
 "Create task for tomorrow 5pm" → 
-  title: "Task", description: "Scheduled task", startDateISO: "${new Date(new Date(currentDate).setDate(currentDate.getDate() + 1)).toISOString().split('T')[0]}T17:00:00.000Z"
+  title: "Task", description: "Scheduled task", startDateISO: "${time.tomorrowAt5pmISO}"
 
 "Meeting next Monday at 2pm" → 
   title: "Meeting", description: "Scheduled meeting", calculate next Monday, set time to 14:00
@@ -274,46 +1256,226 @@ Examples:
 
 Return ONLY valid JSON, no markdown, no explanation.`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text().trim();
-    
-    // Remove markdown code blocks if present
-    const jsonText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    
-    console.log('🤖 Gemini Intent Detection Response:', jsonText);
-    
-    const analysis = JSON.parse(jsonText);
+    const analysis = await generateJSON({
+      task: 'intent_detection',
+      prompt,
+      input: { message: userMessage, now: time.now, timeZone, memories }
+    });
+    console.log('🤖 Gemini Intent Detection Response:', JSON.stringify(analysis));
     
     // If confidence is too low or no intent detected, return null
     if (analysis.intent === 'none' || analysis.confidence < 50) {
       return null;
     }
     
+    if (analysis.intent === 'multiple') {
+      const items = (Array.isArray(analysis.items) ? analysis.items : [])
+        .filter(item => item && CREATE_INTENT_TYPES[item.intent] && item.data);
+      for (const item of items) {
+        if (item.intent !== 'location') crossCheckScheduleWithText(item, item.text || '', timeZone);
+      }
+      if (!items.length) return null;
+      // A "list" of one is just a single request
+      if (items.length === 1) return { ...items[0], confidence: analysis.confidence };
+      return { ...analysis, items };
+    }
+    if (analysis.intent === 'task' || analysis.intent === 'meeting') {
+      crossCheckScheduleWithText(analysis, userMessage, timeZone);
+    }
     return analysis;
     
   } catch (error) {
     console.error('Error in Gemini intent detection:', error);
-    return null;
+    // Fall back to the rule-based parser so scheduling still works
+    return detectActionLocally(userMessage, timeZone);
   }
 }
 
+// Helper function to detect a task/meeting without the model, using the rule-based date parser.
+// Returns the same shape as detectActionWithGemini, or null.
+function detectActionLocally(userMessage, timeZone) {
+  const text = String(userMessage).toLowerCase();
+  const isTask = /\b(remind|reminder|task|todo|to-do|need to|have to|don'?t forget)\b/.test(text);
+  if (!isTask && !LOCAL_MEETING_PATTERN.test(text)) return null;
+
+  const items = splitRequestClauses(userMessage, { timeZone })
+    .map(clause => detectItemLocally(clause, timeZone))
+    .filter(Boolean);
+  if (!items.length) return null;
+  if (items.length === 1) return items[0];
+  return { intent: 'multiple', data: {}, items, missingFields: [], confidence: 60, source: 'local' };
+}
+
+const LOCAL_MEETING_PATTERN = /\b(meeting|meet|standup|stand-up|sync|appointment|interview|call with)\b/;
+
+// Helper function to read one task/meeting request with the rule-based date parser
+function detectItemLocally(userMessage, timeZone) {
+  const parsed = parseDateTime(userMessage, { timeZone });
+  if (!parsed) return null;
+
+  const needsTime = parsed.isRoutine && !parsed.matched.time;
+  const isMeeting = LOCAL_MEETING_PATTERN.test(String(userMessage).toLowerCase());
+
+  const subject = parsed.rest
+    .replace(/^(and |then |also )*(please |can you |could you )*/i, '')
+    .replace(/^(remind me (to |about )?|set (a |up a )?reminder (to |for )?|create (a )?(task|reminder) (to |for )?|add (a )?(task|reminder) (to |for )?|schedule (a |an )?|i (need|have) to )/i, '')
+    .replace(/\b(to|for|at|on|about)$/i, '')
+    .trim();
+  const title = subject
+    ? subject.charAt(0).toUpperCase() + subject.slice(1, 60)
+    : (isMeeting ? 'Meeting' : 'Task');
+
+  console.log('🧩 Local parser intent:', { intent: isMeeting ? 'meeting' : 'task', parsed });
+  return {
+    intent: isMeeting ? 'meeting' : 'task',
+    text: userMessage,
+    data: {
+      title,
+      description: userMessage,
+      startDateISO: needsTime ? null : parsed.startDateISO,
+      duration: 30,
+      isRoutine: parsed.isRoutine,
+      isRecurring: isMeeting && parsed.isRoutine,
+      scheduleType: parsed.scheduleType,
+      scheduleDays: parsed.scheduleDays,
+      scheduleTime: { fixedTime: parsed.scheduleTime.fixedTime, minutesBeforeStart: isMeeting ? 10 : 15 },
+      attendees: isMeeting ? parseAttendeeMentions(userMessage) : []
+    },
+    // A routine needs a time of day; one-off items default to 09:00
+    missingFields: needsTime ? ['startDateISO'] : [],
+    confidence: 60,
+    source: 'local'
+  };
+}
+
+// Helper function to compare the model's schedule with the dates written in the message.
+// Fills a missing date and corrects the parts (day / time / recurrence) the text states
+// explicitly when the model disagrees. Mutates and returns the analysis.
+function crossCheckScheduleWithText(analysis, userMessage, timeZone) {
+  const parsed = parseDateTime(userMessage, { timeZone });
+  const data = analysis.data;
+  if (!parsed || !data) return analysis;
+
+  const modelStart = data.startDateISO ? new Date(data.startDateISO) : null;
+  if (!modelStart || isNaN(modelStart.getTime())) {
+    // A routine without a time of day still has to ask for it
+    if (!parsed.isRoutine || parsed.matched.time) {
+      console.warn('⚠️ Model returned no usable date; using the parsed one:', parsed.startDateISO);
+      data.startDateISO = parsed.startDateISO;
+      if (parsed.matched.time) data.scheduleTime = { ...(data.scheduleTime || {}), fixedTime: parsed.scheduleTime.fixedTime };
+      if (Array.isArray(analysis.missingFields)) {
+        analysis.missingFields = analysis.missingFields.filter(f => f !== 'startDateISO');
+      }
+    }
+  } else {
+    const modelDate = toZonedDateString(modelStart, timeZone);
+    const modelTime = toZonedTimeString(modelStart, timeZone);
+    const dateDiffers = parsed.matched.date && !parsed.isRoutine && modelDate !== parsed.dateISO;
+    const timeDiffers = parsed.matched.time && modelTime !== parsed.scheduleTime.fixedTime;
+    if (dateDiffers || timeDiffers) {
+      const date = dateDiffers ? parsed.dateISO : modelDate;
+      const time = timeDiffers ? parsed.scheduleTime.fixedTime : modelTime;
+      console.warn('⚠️ Model date disagrees with the message; using the parsed parts:', {
+        model: data.startDateISO, date, time
+      });
+      data.startDateISO = parseZonedDateTime(date, time, timeZone).toISOString();
+      if (timeDiffers && data.scheduleTime?.fixedTime) data.scheduleTime.fixedTime = time;
+    }
+  }
+
+  if (parsed.isRoutine && !data.isRoutine) {
+    console.warn('⚠️ Message describes a routine the model missed:', parsed.scheduleDays);
+    data.isRoutine = true;
+    data.scheduleType = 'routine';
+    data.scheduleDays = parsed.scheduleDays;
+    if (analysis.intent === 'meeting') data.isRecurring = true;
+  } else if (parsed.isRoutine && !normalizeDayCodes(data.scheduleDays).length) {
+    data.scheduleDays = parsed.scheduleDays;
+  }
+  return analysis;
+}
+
 // Helper function to detect actions in the conversation
-async function detectAction(assistantResponse, userMessage, userId) {
+async function detectAction(assistantResponse, userMessage, userId, timeZone) {
   console.log('🔍 Detecting action for message:', userMessage);
   
   // Use Gemini for intelligent intent detection
-  const geminiAnalysis = await detectActionWithGemini(userMessage, userId);
+  const geminiAnalysis = await detectActionWithGemini(userMessage, userId, timeZone);
   
   if (!geminiAnalysis || geminiAnalysis.intent === 'none') {
     console.log('❌ No action detected by Gemini');
     return null;
   }
+
+  // Several new items at once: collected and confirmed as one batch
+  if (geminiAnalysis.intent === 'multiple') {
+    console.log('🧺 Multiple items detected:', geminiAnalysis.items.length);
+    return {
+      type: 'batch',
+      isBatch: true,
+      items: geminiAnalysis.items.map(item => {
+        const type = CREATE_INTENT_TYPES[item.intent];
+        return {
+          type,
+          text: item.text || '',
+          data: item.data,
+          missingFields: findMissingCreateFields(type, item.data, item.missingFields)
+        };
+      })
+    };
+  }
+
+  // Questions about the existing schedule are answered right away, no confirmation
+  if (geminiAnalysis.intent === 'query') {
+    console.log('🔎 Schedule query detected:', JSON.stringify(geminiAnalysis.query || {}));
+    return {
+      type: 'query_schedule',
+      isQuery: true,
+      query: geminiAnalysis.query || {}
+    };
+  }
   
   console.log('✅ Gemini detected intent:', geminiAnalysis.intent);
   console.log('📊 Extracted data:', JSON.stringify(geminiAnalysis.data, null, 2));
   console.log('⚠️ Missing fields:', geminiAnalysis.missingFields);
   
+  // Changes to an existing reminder resolve their target before confirming
+  if (REMINDER_CHANGE_TYPES[geminiAnalysis.intent]) {
+    console.log('✏️ Reminder change detected:', geminiAnalysis.intent, JSON.stringify(geminiAnalysis.target || {}));
+    return {
+      type: REMINDER_CHANGE_TYPES[geminiAnalysis.intent],
+      isReminderChange: true,
+      target: geminiAnalysis.target || {},
+      changes: geminiAnalysis.changes || {}
+    };
+  }
+
+  // Location reminders only need a place and the days they are active
+  if (geminiAnalysis.intent === 'location') {
+    const locationData = buildCreateActionData('create_location_reminder', geminiAnalysis.data, userMessage);
+    const missingFields = findMissingCreateFields('create_location_reminder', locationData);
+
+    if (missingFields.length > 0) {
+      return {
+        type: 'create_location_reminder',
+        data: locationData,
+        needsMoreInfo: true,
+        missingFields,
+        question: generateMissingFieldsQuestion(missingFields, locationData, timeZone)
+      };
+    }
+
+    const confirmation = await prepareActionConfirmation('create_location_reminder', locationData, userId, timeZone);
+    return {
+      type: 'create_location_reminder',
+      data: confirmation.data,
+      confirmationNeeded: true,
+      confirmationMessage: confirmation.confirmationMessage,
+      conflicts: confirmation.conflicts,
+      suggestedSlots: confirmation.suggestedSlots
+    };
+  }
+
   // Check if we have missing required fields
   if (geminiAnalysis.missingFields && geminiAnalysis.missingFields.length > 0) {
     const actionType = geminiAnalysis.intent === 'task' ? 'create_task' : 'schedule_meeting';
@@ -323,21 +1485,13 @@ async function detectAction(assistantResponse, userMessage, userId) {
       data: geminiAnalysis.data,
       needsMoreInfo: true,
       missingFields: geminiAnalysis.missingFields,
-      question: generateMissingFieldsQuestion(geminiAnalysis.missingFields, geminiAnalysis.data)
+      question: generateMissingFieldsQuestion(geminiAnalysis.missingFields, geminiAnalysis.data, timeZone)
     };
   }
   
   // We have all required info, prepare for confirmation
   if (geminiAnalysis.intent === 'task') {
-    const taskData = {
-      title: geminiAnalysis.data.title,
-      description: geminiAnalysis.data.description || userMessage,
-      scheduleType: geminiAnalysis.data.scheduleType || 'one-day',
-      startDateISO: geminiAnalysis.data.startDateISO,
-      scheduleDays: geminiAnalysis.data.scheduleDays || [],
-      scheduleTime: geminiAnalysis.data.scheduleTime || { minutesBeforeStart: 15, fixedTime: null },
-      isRoutine: geminiAnalysis.data.isRoutine || false
-    };
+    const taskData = buildCreateActionData('create_task', geminiAnalysis.data, userMessage);
 
     // Check if this task might be a routine activity (playing, studying, workout, etc.)
     const routineCheck = await checkIfRoutineActivity(taskData.title, taskData.description);
@@ -348,82 +1502,104 @@ async function detectAction(assistantResponse, userMessage, userId) {
         type: 'create_task',
         data: taskData,
         needsRoutineConfirmation: true,
-        question: routineCheck.question
+        question: routineCheck.question || t('routine.question')
       };
     }
 
-    const confirmation = await prepareActionConfirmation('create_task', taskData, userId);
+    const confirmation = await prepareActionConfirmation('create_task', taskData, userId, timeZone);
 
     return {
       type: 'create_task',
       data: confirmation.data,
       confirmationNeeded: true,
-      confirmationMessage: confirmation.confirmationMessage
+      confirmationMessage: confirmation.confirmationMessage,
+      conflicts: confirmation.conflicts,
+      suggestedSlots: confirmation.suggestedSlots
     };
   } 
   
   if (geminiAnalysis.intent === 'meeting') {
-    const startDate = new Date(geminiAnalysis.data.startDateISO);
-    const duration = geminiAnalysis.data.duration || 30;
-    const endDate = new Date(startDate.getTime() + duration * 60000);
-    
-    const meetingData = {
-      title: geminiAnalysis.data.title,
-      description: geminiAnalysis.data.description || userMessage,
-      startTime: geminiAnalysis.data.startDateISO,
-      endTime: endDate.toISOString(),
-      duration: duration,
-      isRecurring: geminiAnalysis.data.isRecurring || false,
-      recurrencePattern: geminiAnalysis.data.isRecurring && geminiAnalysis.data.scheduleDays 
-        ? `FREQ=WEEKLY;BYDAY=${geminiAnalysis.data.scheduleDays.join(',')}`
-        : null,
-      scheduleTime: geminiAnalysis.data.scheduleTime || { minutesBeforeStart: 10, fixedTime: null }
-    };
+    const meetingData = buildCreateActionData('schedule_meeting', geminiAnalysis.data, userMessage);
 
-    const confirmation = await prepareActionConfirmation('schedule_meeting', meetingData, userId);
+    const confirmation = await prepareActionConfirmation('schedule_meeting', meetingData, userId, timeZone);
 
     return {
       type: 'schedule_meeting',
       data: confirmation.data,
       confirmationNeeded: true,
-      confirmationMessage: confirmation.confirmationMessage
+      confirmationMessage: confirmation.confirmationMessage,
+      conflicts: confirmation.conflicts,
+      suggestedSlots: confirmation.suggestedSlots
     };
   }
   
   return null;
 }
 
-// Helper function to generate a friendly question for missing fields
-function generateMissingFieldsQuestion(missingFields, extractedData) {
-  const fieldMap = {
-    title: 'a title or name',
-    startDateISO: 'a date and time',
-    duration: 'a duration (how long)',
-    description: 'more details or description'
-  };
-  
-  let extracted = [];
-  if (extractedData.title) extracted.push(`"${extractedData.title}"`);
-  if (extractedData.startDateISO) {
-    const date = new Date(extractedData.startDateISO);
-    extracted.push(`on ${date.toLocaleDateString()} at ${date.toLocaleTimeString()}`);
+// Helper function to shape the model's item data the way the confirmation and create helpers expect
+function buildCreateActionData(type, data = {}, userMessage) {
+  if (type === 'create_location_reminder') {
+    return {
+      title: data.title || '',
+      description: data.description || userMessage,
+      placeKeyword: data.placeKeyword || '',
+      scheduleDays: normalizeDayCodes(data.scheduleDays)
+    };
   }
-  
-  const missingList = missingFields.map(f => fieldMap[f] || f).join(' and ');
-  
-  let message = '';
-  if (extracted.length > 0) {
-    message = `I understand you want to create ${extracted.join(' ')}. `;
+
+  if (type === 'schedule_meeting') {
+    const startDate = new Date(data.startDateISO);
+    const duration = data.duration || 30;
+    const hasStart = !isNaN(startDate.getTime());
+    return {
+      title: data.title,
+      description: data.description || userMessage,
+      startTime: data.startDateISO,
+      endTime: hasStart ? new Date(startDate.getTime() + duration * 60000).toISOString() : null,
+      duration: duration,
+      isRecurring: data.isRecurring || false,
+      recurrencePattern: data.isRecurring && data.scheduleDays
+        ? `FREQ=WEEKLY;BYDAY=${data.scheduleDays.join(',')}`
+        : null,
+      scheduleTime: data.scheduleTime || { minutesBeforeStart: 10, fixedTime: null },
+      scheduleDays: normalizeDayCodes(data.scheduleDays),
+      recurrenceInterval: data.recurrenceInterval || null,
+      recurrenceUntilISO: data.recurrenceUntilISO || null,
+      recurrenceCount: data.recurrenceCount || null,
+      attendees: Array.isArray(data.attendees) ? data.attendees : []
+    };
   }
-  
-  message += `Could you please provide ${missingList}?`;
-  
-  return message;
+
+  return {
+    title: data.title,
+    description: data.description || userMessage,
+    scheduleType: data.scheduleType || 'one-day',
+    startDateISO: data.startDateISO,
+    scheduleDays: data.scheduleDays || [],
+    scheduleTime: data.scheduleTime || { minutesBeforeStart: 15, fixedTime: null },
+    isRoutine: data.isRoutine || false
+  };
+}
+
+// Helper function to list the fields a new item still needs before it can be confirmed
+function findMissingCreateFields(type, data = {}, reported = []) {
+  if (type === 'create_location_reminder') {
+    const missing = [];
+    if (!data.placeKeyword) missing.push('placeKeyword');
+    if (!normalizeDayCodes(data.scheduleDays).length) missing.push('scheduleDays');
+    return missing;
+  }
+  const missing = (reported || []).filter(f => ['title', 'startDateISO', 'duration', 'description'].includes(f));
+  const hasTime = data.startDateISO || (data.isRoutine && data.scheduleTime?.fixedTime);
+  if (!hasTime && !missing.includes('startDateISO')) missing.push('startDateISO');
+  if (!data.title && !missing.includes('title')) missing.push('title');
+  return missing;
 }
 
 // Helper function to handle pending actions (confirmations, missing info)
-async function handlePendingAction(conversation, message, userId, userObj) {
+async function handlePendingAction(conversation, message, userId, userObj, choice = null) {
   const pendingAction = conversation.pendingAction;
+  const timeZone = resolveTimeZone(userObj?.timezone);
   
   console.log('📋 handlePendingAction called with:', {
     pendingActionType: pendingAction?.type,
@@ -433,11 +1609,17 @@ async function handlePendingAction(conversation, message, userId, userObj) {
     userId: userId
   });
   
+  // Several new items from one message
+  if (pendingAction.type === 'batch') {
+    return handleBatchAction(conversation, message, userId, timeZone, choice);
+  }
+
   // Handle routine confirmation
   if (pendingAction.needsRoutineConfirmation) {
     console.log('🔄 Handling routine confirmation...');
     
-    const userIntent = await analyzeUserResponseWithGemini(message, pendingAction.data, pendingAction.type);
+    const userIntent = choiceToUserIntent(choice, pendingAction.data, timeZone) ||
+      await analyzeUserResponseWithGemini(message, pendingAction.data, pendingAction.type, timeZone);
     
     if (userIntent.intent === 'confirm') {
       console.log('✅ User wants routine task! Asking for schedule details...');
@@ -450,7 +1632,7 @@ async function handlePendingAction(conversation, message, userId, userObj) {
       
       return {
         success: true,
-        response: "Great! Would you like this as a:\n1. Daily routine (every day)\n2. Specific days of the week\n\nPlease specify which option you'd like.",
+        response: t('routine.askSchedule'),
         action: 'needs_routine_schedule',
         data: pendingAction.data
       };
@@ -462,7 +1644,7 @@ async function handlePendingAction(conversation, message, userId, userObj) {
       pendingAction.data.isRoutine = false;
       pendingAction.data.scheduleType = 'one-day';
       
-      const confirmation = await prepareActionConfirmation('create_task', pendingAction.data, userId);
+      const confirmation = await prepareActionConfirmation('create_task', pendingAction.data, userId, timeZone);
       
       conversation.pendingAction = {
         type: 'create_task',
@@ -475,7 +1657,9 @@ async function handlePendingAction(conversation, message, userId, userObj) {
         success: true,
         response: confirmation.confirmationMessage,
         action: 'confirm_action',
-        data: pendingAction.data
+        data: pendingAction.data,
+        conflicts: confirmation.conflicts,
+        suggestedSlots: confirmation.suggestedSlots
       };
     }
   }
@@ -484,7 +1668,7 @@ async function handlePendingAction(conversation, message, userId, userObj) {
   if (pendingAction.needsRoutineSchedule) {
     console.log('📅 Handling routine schedule details...');
     
-    const scheduleDetails = await analyzeRoutineScheduleWithGemini(message);
+    const scheduleDetails = choiceToRoutineSchedule(choice) || await analyzeRoutineScheduleWithGemini(message);
     
     if (scheduleDetails.scheduleType === 'daily') {
       console.log('🗓️ Daily routine selected');
@@ -493,7 +1677,7 @@ async function handlePendingAction(conversation, message, userId, userObj) {
       pendingAction.data.scheduleDays = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
       pendingAction.data.isRoutine = true;
       
-      const confirmation = await prepareActionConfirmation('create_task', pendingAction.data, userId);
+      const confirmation = await prepareActionConfirmation('create_task', pendingAction.data, userId, timeZone);
       
       conversation.pendingAction = {
         type: 'create_task',
@@ -506,7 +1690,9 @@ async function handlePendingAction(conversation, message, userId, userObj) {
         success: true,
         response: confirmation.confirmationMessage,
         action: 'confirm_action',
-        data: pendingAction.data
+        data: pendingAction.data,
+        conflicts: confirmation.conflicts,
+        suggestedSlots: confirmation.suggestedSlots
       };
       
     } else if (scheduleDetails.scheduleType === 'specific-days') {
@@ -518,7 +1704,7 @@ async function handlePendingAction(conversation, message, userId, userObj) {
         pendingAction.data.scheduleDays = scheduleDetails.days;
         pendingAction.data.isRoutine = true;
         
-        const confirmation = await prepareActionConfirmation('create_task', pendingAction.data, userId);
+        const confirmation = await prepareActionConfirmation('create_task', pendingAction.data, userId, timeZone);
         
         conversation.pendingAction = {
           type: 'create_task',
@@ -531,7 +1717,9 @@ async function handlePendingAction(conversation, message, userId, userObj) {
           success: true,
           response: confirmation.confirmationMessage,
           action: 'confirm_action',
-          data: pendingAction.data
+          data: pendingAction.data,
+          conflicts: confirmation.conflicts,
+          suggestedSlots: confirmation.suggestedSlots
         };
       } else {
         // Ask for specific days
@@ -541,7 +1729,7 @@ async function handlePendingAction(conversation, message, userId, userObj) {
         
         return {
           success: true,
-          response: "Please specify which days of the week:\nYou can say days like 'Monday, Wednesday, Friday' or 'weekdays' or 'weekends'",
+          response: t('routine.askDays'),
           action: 'needs_specific_days',
           data: pendingAction.data
         };
@@ -553,14 +1741,16 @@ async function handlePendingAction(conversation, message, userId, userObj) {
   if (pendingAction.needsSpecificDays) {
     console.log('📋 Handling specific days selection...');
     
-    const daysAnalysis = await extractDaysFromMessageWithGemini(message);
+    const daysAnalysis = choice?.kind === 'days'
+      ? { days: choice.days }
+      : await extractDaysFromMessageWithGemini(message);
     
     if (daysAnalysis.days && daysAnalysis.days.length > 0) {
       pendingAction.data.scheduleType = 'specific-days';
       pendingAction.data.scheduleDays = daysAnalysis.days;
       pendingAction.data.isRoutine = true;
       
-      const confirmation = await prepareActionConfirmation('create_task', pendingAction.data, userId);
+      const confirmation = await prepareActionConfirmation('create_task', pendingAction.data, userId, timeZone);
       
       conversation.pendingAction = {
         type: 'create_task',
@@ -573,24 +1763,65 @@ async function handlePendingAction(conversation, message, userId, userObj) {
         success: true,
         response: confirmation.confirmationMessage,
         action: 'confirm_action',
-        data: pendingAction.data
+        data: pendingAction.data,
+        conflicts: confirmation.conflicts,
+        suggestedSlots: confirmation.suggestedSlots
       };
     } else {
       return {
         success: true,
-        response: "I couldn't understand the days. Please specify like 'Monday and Wednesday' or 'weekdays' or 'Monday, Tuesday, Friday'",
+        response: t('routine.daysNotUnderstood'),
         action: 'needs_specific_days',
         data: pendingAction.data
       };
     }
   }
   
+  // Handle picking one of several matching reminders
+  if (pendingAction.needsSelection) {
+    console.log('👆 Handling reminder selection...');
+
+    const candidates = pendingAction.candidates || [];
+    const picked = choice?.kind === 'select' ? candidates[choice.index] : pickCandidate(message, candidates);
+    if (!picked) {
+      return {
+        success: true,
+        response: t('change.whichOne', { list: formatCandidateList(candidates, timeZone) }),
+        action: 'needs_selection',
+        data: { candidates }
+      };
+    }
+
+    const reminder = await Reminder.findOne({ _id: picked.id, user: userId });
+    if (!reminder) {
+      conversation.pendingAction = null;
+      await conversation.save();
+      return {
+        success: true,
+        response: t('change.notFoundAnymore'),
+        action: 'reminder_not_found'
+      };
+    }
+    return confirmReminderChange(conversation, pendingAction.type, reminder, pendingAction.data?.changes || {}, userId, timeZone);
+  }
+
   // Check if this is a confirmation
   if (pendingAction.confirmationNeeded) {
+    // "Change time": ask for it; the answer comes back as a normal modification
+    if (choice?.kind === 'change') {
+      return {
+        success: true,
+        response: t('suggestions.askTime'),
+        action: 'awaiting_confirmation',
+        data: pendingAction.data
+      };
+    }
+
     console.log('🤔 Analyzing user response with Gemini...');
     
-    // Use Gemini to understand user's intent (confirm, reject, or modify)
-    const userIntent = await analyzeUserResponseWithGemini(message, pendingAction.data, pendingAction.type);
+    // Use Gemini to understand user's intent (confirm, reject, or modify), unless a suggestion says it
+    const userIntent = choiceToUserIntent(choice, pendingAction.data, timeZone) ||
+      await analyzeUserResponseWithGemini(message, pendingAction.data, pendingAction.type, timeZone);
     
     console.log('🤖 Gemini analyzed user intent:', userIntent.intent);
     
@@ -600,6 +1831,8 @@ async function handlePendingAction(conversation, message, userId, userObj) {
       try {
         let createdItem;
         let responseMessage;
+        let change;
+        let labelType;
         
         // Create task or meeting based on type
         if (pendingAction.type === 'create_task') {
@@ -607,36 +1840,67 @@ async function handlePendingAction(conversation, message, userId, userObj) {
             data: pendingAction.data,
             userId 
           });
-          createdItem = await createTask(pendingAction.data, userId);
+          createdItem = await createTask(pendingAction.data, userId, timeZone);
           console.log('✅ Task created successfully:', createdItem);
-          responseMessage = `✅ Task "${createdItem.title}" has been created successfully!`;
+          responseMessage = t('created.task', { title: createdItem.title });
           
         } else if (pendingAction.type === 'schedule_meeting') {
           console.log('🔄 Attempting to create meeting with data:', { 
             data: pendingAction.data,
             userId 
           });
-          createdItem = await createMeeting(pendingAction.data, userId);
+          createdItem = await createMeeting(pendingAction.data, userId, timeZone);
           console.log('✅ Meeting created successfully:', createdItem);
-          responseMessage = `✅ Meeting "${createdItem.title}" has been scheduled successfully!`;
+          responseMessage = t('created.meeting', { title: createdItem.title });
+          const invited = (createdItem.attendees || []).filter(a => a.email);
+          if (invited.length) {
+            responseMessage += `\n${t('created.invites', { names: joinList(invited.map(a => a.name || a.email)) })}`;
+          }
+
+        } else if (pendingAction.type === 'create_location_reminder') {
+          console.log('🔄 Attempting to create location reminder with data:', {
+            data: pendingAction.data,
+            userId
+          });
+          createdItem = await createLocationReminder(pendingAction.data, userId);
+          console.log('✅ Location reminder created successfully:', createdItem);
+          responseMessage = t('created.location', {
+            what: createdItem.description || t('created.locationDefault'),
+            place: createdItem.title
+          });
+
+        } else if (Object.values(REMINDER_CHANGE_TYPES).includes(pendingAction.type)) {
+          console.log('🔄 Applying reminder change:', { type: pendingAction.type, data: pendingAction.data });
+          const applied = await applyReminderChange(pendingAction.type, pendingAction.data, userId, timeZone);
+          createdItem = applied.item;
+          responseMessage = applied.message;
+          change = applied.change;
+          labelType = applied.labelType;
         }
         
-        // Clear pending action
+        // Clear pending action (read the type first; the nested path is reset with it)
+        const completedType = pendingAction.type;
         conversation.pendingAction = null;
+        const recorded = recordAction(conversation, {
+          type: completedType,
+          label: describeAppliedAction(labelType || completedType, createdItem),
+          changes: [change || { reminderId: createdItem._id, operation: 'created' }]
+        });
         await conversation.save();
         
         return {
           success: true,
           response: responseMessage,
-          action: `${pendingAction.type}_success`,
-          data: createdItem
+          action: `${completedType}_success`,
+          data: createdItem,
+          actionId: recorded._id
         };
         
       } catch (error) {
         console.error('Error creating item:', error);
         return {
           success: false,
-          response: `Sorry, I couldn't create that. ${error.message}`,
+          response: t('created.failed', { error: error.message }),
           action: 'creation_failed'
         };
       }
@@ -647,7 +1911,7 @@ async function handlePendingAction(conversation, message, userId, userObj) {
       await conversation.save();
       return {
         success: true,
-        response: "Okay, I won't create that. Is there anything else I can help with?",
+        response: t('confirm.declined'),
         action: 'action_cancelled'
       };
     } else if (userIntent.intent === 'modify') {
@@ -665,21 +1929,24 @@ async function handlePendingAction(conversation, message, userId, userObj) {
       const confirmation = await prepareActionConfirmation(
         pendingAction.type,
         updatedData,
-        userId
+        userId,
+        timeZone
       );
       
       return {
         success: true,
-        response: `Got it! I've updated the details.\n\n${confirmation.confirmationMessage}`,
+        response: t('confirm.updated', { confirmation: confirmation.confirmationMessage }),
         action: 'confirm_action',
-        data: updatedData
+        data: updatedData,
+        conflicts: confirmation.conflicts,
+        suggestedSlots: confirmation.suggestedSlots
       };
     } else {
       // Unclear response, re-prompt
       console.log('⚠️ User response unclear, re-prompting for confirmation');
       return {
         success: true,
-        response: "I didn't quite catch that. Would you like me to create this? Please say 'yes' to confirm, 'no' to cancel, or tell me what you'd like to change.",
+        response: t('confirm.unclear'),
         action: 'awaiting_confirmation',
         data: pendingAction.data
       };
@@ -687,6 +1954,9 @@ async function handlePendingAction(conversation, message, userId, userObj) {
   }
   
   // Handle missing information
+  if (pendingAction.missingFields && pendingAction.missingFields.length > 0 && pendingAction.type === 'create_location_reminder') {
+    return fillLocationReminderFields(conversation, message, userId, timeZone);
+  }
   if (pendingAction.missingFields && pendingAction.missingFields.length > 0) {
     console.log('📝 Handling missing fields with Gemini. Missing:', pendingAction.missingFields);
     
@@ -695,12 +1965,13 @@ async function handlePendingAction(conversation, message, userId, userObj) {
       message, 
       pendingAction.missingFields, 
       pendingAction.data,
-      pendingAction.type
+      pendingAction.type,
+      timeZone
     );
     
     console.log('🤖 Gemini extracted info:', JSON.stringify(extractedInfo, null, 2));
     
-    const updatedData = { ...pendingAction.data, ...extractedInfo.extractedData };
+    const updatedData = alignRoutineStart({ ...pendingAction.data, ...extractedInfo.extractedData }, timeZone);
     
     if (extractedInfo.allFieldsFilled) {
       console.log('✅ All fields filled! Preparing confirmation...');
@@ -708,7 +1979,8 @@ async function handlePendingAction(conversation, message, userId, userObj) {
       const action = await prepareActionConfirmation(
         pendingAction.type,
         updatedData,
-        userId
+        userId,
+        timeZone
       );
       
       conversation.pendingAction = {
@@ -723,7 +1995,9 @@ async function handlePendingAction(conversation, message, userId, userObj) {
         success: true,
         response: action.confirmationMessage,
         action: 'confirm_action',
-        data: updatedData
+        data: updatedData,
+        conflicts: action.conflicts,
+        suggestedSlots: action.suggestedSlots
       };
     } else {
       console.log('⚠️ Still missing fields:', extractedInfo.remainingFields);
@@ -734,7 +2008,7 @@ async function handlePendingAction(conversation, message, userId, userObj) {
       
       return {
         success: true,
-        response: generateMissingFieldsQuestion(extractedInfo.remainingFields, updatedData),
+        response: generateMissingFieldsQuestion(extractedInfo.remainingFields, updatedData, timeZone),
         action: 'needs_info',
         data: { 
           missingFields: extractedInfo.remainingFields,
@@ -750,8 +2024,6 @@ async function handlePendingAction(conversation, message, userId, userObj) {
 // Helper function to check if a task is likely a routine activity
 async function checkIfRoutineActivity(title, description) {
   try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    
     const prompt = `You are analyzing if a task is likely a routine/recurring activity.
 
 Task title: "${title}"
@@ -791,14 +2063,12 @@ RULES:
 
 Return ONLY valid JSON, no markdown, no explanation.`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text().trim();
-    const jsonText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    
-    console.log('🤖 Routine Activity Check:', jsonText);
-    
-    const analysis = JSON.parse(jsonText);
+    const analysis = await generateJSON({
+      task: 'routine_check',
+      prompt,
+      input: { title, description }
+    });
+    console.log('🤖 Routine Activity Check:', JSON.stringify(analysis));
     return analysis;
     
   } catch (error) {
@@ -810,8 +2080,6 @@ Return ONLY valid JSON, no markdown, no explanation.`;
 // Helper function to analyze routine schedule preference (daily or specific days)
 async function analyzeRoutineScheduleWithGemini(userMessage) {
   try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    
     const prompt = `You are analyzing a user's response about routine scheduling preferences.
 
 User's response: "${userMessage}"
@@ -836,6 +2104,9 @@ DAY CODES:
 - Friday: FR (5)
 - Saturday: SA (6)
 
+Day names the user may write (any language, incl. Roman Urdu), by code:
+${describeDayNames()}
+
 RULES:
 - If user says "daily", "every day", "all days", "1", etc. → scheduleType: "daily"
 - If user says "specific days", "certain days", "2", "weekdays", etc. → scheduleType: "specific-days"
@@ -854,18 +2125,23 @@ Examples:
 
 Return ONLY valid JSON, no markdown, no explanation.`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text().trim();
-    const jsonText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    
-    console.log('🤖 Routine Schedule Analysis:', jsonText);
-    
-    const analysis = JSON.parse(jsonText);
+    const analysis = await generateJSON({
+      task: 'routine_schedule',
+      prompt,
+      input: { message: userMessage }
+    });
+    console.log('🤖 Routine Schedule Analysis:', JSON.stringify(analysis));
+    // Day names the model missed still answer "which days?"
+    if (analysis.scheduleType === 'unclear') {
+      const days = findDayCodes(userMessage);
+      if (days.length) return { scheduleType: days.length === 7 ? 'daily' : 'specific-days', days, confidence: 90 };
+    }
     return analysis;
     
   } catch (error) {
     console.error('Error analyzing routine schedule:', error);
+    const days = findDayCodes(userMessage);
+    if (days.length) return { scheduleType: days.length === 7 ? 'daily' : 'specific-days', days, confidence: 90 };
     return { scheduleType: 'unclear', days: [], confidence: 0 };
   }
 }
@@ -873,8 +2149,6 @@ Return ONLY valid JSON, no markdown, no explanation.`;
 // Helper function to extract days from user message
 async function extractDaysFromMessageWithGemini(userMessage) {
   try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    
     const prompt = `You are extracting specific days of the week from a user's message.
 
 User's message: "${userMessage}"
@@ -896,10 +2170,14 @@ DAY CODES:
 - Friday: FR (5)
 - Saturday: SA (6)
 
+Day names the user may write (any language, incl. Roman Urdu), by code:
+${describeDayNames()}
+
 RULES:
 - Extract all mentioned days
 - "weekdays" = ["MO", "TU", "WE", "TH", "FR"]
 - "weekends" = ["SA", "SU"]
+- "every day" or "daily" = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"]
 - "Monday and Wednesday" = ["MO", "WE"]
 - "MWF" or "Mon Wed Fri" = ["MO", "WE", "FR"]
 - If unclear or no days mentioned, return empty array
@@ -911,44 +2189,48 @@ Examples:
 "MWF" → {"days": ["MO", "WE", "FR"], "confidence": 95}
 "Weekends" → {"days": ["SA", "SU"], "confidence": 100}
 "Every Monday" → {"days": ["MO"], "confidence": 100}
+"پیر اور جمعہ" → {"days": ["MO", "FR"], "confidence": 100}
+"mangal aur budh" → {"days": ["TU", "WE"], "confidence": 95}
 
 Return ONLY valid JSON, no markdown, no explanation.`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text().trim();
-    const jsonText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    
-    console.log('🤖 Days Extraction:', jsonText);
-    
-    const analysis = JSON.parse(jsonText);
+    const analysis = await generateJSON({
+      task: 'days_extraction',
+      prompt,
+      input: { message: userMessage }
+    });
+    console.log('🤖 Days Extraction:', JSON.stringify(analysis));
+    // Catch day names the model missed ("پیر", "jumma")
+    if (!analysis.days?.length) {
+      const days = findDayCodes(userMessage);
+      if (days.length) return { days, confidence: 90 };
+    }
     return analysis;
     
   } catch (error) {
     console.error('Error extracting days:', error);
-    return { days: [], confidence: 0 };
+    const days = findDayCodes(userMessage);
+    return { days, confidence: days.length ? 90 : 0 };
   }
 }
 
 // Helper function to use Gemini to analyze user response (confirm/reject/modify)
-async function analyzeUserResponseWithGemini(userMessage, currentData, actionType) {
+async function analyzeUserResponseWithGemini(userMessage, currentData, actionType, timeZone) {
   try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    
-    const currentDate = new Date(); // October 25, 2025
+    const time = buildTimeContext(timeZone);
     
     const prompt = `You are analyzing a user's response to a confirmation request.
 
-Current date and time: ${currentDate.toISOString()} (${currentDate.toLocaleString('en-US', { timeZone: 'UTC', dateStyle: 'full', timeStyle: 'short' })})
+${time.header}
 
-Action type: ${actionType === 'create_task' ? 'Creating a Task' : 'Scheduling a Meeting'}
+Action type: ${ACTION_LABELS[actionType] || 'Scheduling a Meeting'}
 
 Current item details that were presented to user: ${JSON.stringify(currentData, null, 2)}
 
 User's response: "${userMessage}"
 
 Determine if the user wants to:
-1. CONFIRM - proceed with creating the item (yes, sure, ok, go ahead, create it, etc.)
+1. CONFIRM - proceed with the action (yes, sure, ok, go ahead, create it, do it, etc.)
 2. REJECT - cancel the action (no, cancel, don't, never mind, etc.)
 3. MODIFY - make changes to the details (change time, different date, update title, etc.)
 4. UNCLEAR - response is ambiguous or unrelated
@@ -967,7 +2249,9 @@ Return a JSON object with this EXACT structure:
     "scheduleTime": {
       "fixedTime": "HH:mm if user specifies new time",
       "minutesBeforeStart": number
-    }
+    },
+    "placeKeyword": "new kind of place (location reminders only)",
+    "scheduleDays": ["MO", "TU", ...] (new active days, location reminders only)
     // Only include fields that need to be changed
   },
   "confidence": number (0-100, how confident you are)
@@ -977,7 +2261,7 @@ CRITICAL RULES:
 - Be smart about detecting affirmations: "yes", "yeah", "sure", "ok", "proceed", "go ahead", "create it", "confirm", "looks good", "perfect", etc.
 - Be smart about rejections: "no", "cancel", "stop", "don't", "never mind", "forget it", "abort", etc.
 - For modifications: extract the specific changes requested
-- Calculate exact dates for relative terms like "tomorrow", "next week", etc. from ${currentDate.toLocaleDateString()}
+- Calculate exact dates for relative terms like "tomorrow", "next week", etc. from ${time.today}
 - Convert times: "5pm" to "17:00", "9am" to "09:00"
 - If user just provides a time like "make it 6pm", update the time in startDateISO
 - Only include modified fields in modifications object
@@ -991,15 +2275,12 @@ Examples:
 
 Return ONLY valid JSON, no markdown, no explanation.`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text().trim();
-    
-    const jsonText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    
-    console.log('🤖 Gemini User Response Analysis:', jsonText);
-    
-    const analysis = JSON.parse(jsonText);
+    const analysis = await generateJSON({
+      task: 'user_response',
+      prompt,
+      input: { message: userMessage, data: currentData, actionType, now: time.now, timeZone }
+    });
+    console.log('🤖 Gemini User Response Analysis:', JSON.stringify(analysis));
     
     return analysis;
     
@@ -1014,15 +2295,13 @@ Return ONLY valid JSON, no markdown, no explanation.`;
 }
 
 // Helper function to use Gemini to detect modifications user wants to make
-async function detectModificationsWithGemini(userMessage, currentData, actionType) {
+async function detectModificationsWithGemini(userMessage, currentData, actionType, timeZone) {
   try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    
-    const currentDate = new Date(); // October 25, 2025
+    const time = buildTimeContext(timeZone);
     
     const prompt = `You are helping detect modifications a user wants to make to a scheduled item.
 
-Current date and time: ${currentDate.toISOString()} (${currentDate.toLocaleString('en-US', { timeZone: 'UTC', dateStyle: 'full', timeStyle: 'short' })})
+${time.header}
 
 Action type: ${actionType === 'create_task' ? 'Task' : 'Meeting'}
 
@@ -1048,7 +2327,7 @@ Return a JSON object with this EXACT structure:
 
 CRITICAL RULES:
 - If user says "change time to 6pm", update scheduleTime.fixedTime to "18:00"
-- If user says "make it tomorrow", calculate tomorrow's date from ${currentDate.toLocaleDateString()}
+- If user says "make it tomorrow", calculate tomorrow's date from ${time.today}
 - If user says "change title to X", update title to "X"
 - If user says "make it 1 hour" or "45 minutes", update duration
 - Keep ALL other fields unchanged from currentData
@@ -1063,15 +2342,12 @@ Examples:
 
 Return ONLY valid JSON, no markdown, no explanation.`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text().trim();
-    
-    const jsonText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    
-    console.log('🤖 Gemini Modification Detection:', jsonText);
-    
-    const modifications = JSON.parse(jsonText);
+    const modifications = await generateJSON({
+      task: 'modification_detection',
+      prompt,
+      input: { message: userMessage, data: currentData, actionType, now: time.now, timeZone }
+    });
+    console.log('🤖 Gemini Modification Detection:', JSON.stringify(modifications));
     
     return modifications;
     
@@ -1086,17 +2362,15 @@ Return ONLY valid JSON, no markdown, no explanation.`;
 }
 
 // Helper function to use Gemini to extract missing field information
-async function extractMissingFieldsWithGemini(userMessage, missingFields, existingData, actionType) {
+async function extractMissingFieldsWithGemini(userMessage, missingFields, existingData, actionType, timeZone) {
   try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    
-    const currentDate = new Date(); // October 25, 2025
+    const time = buildTimeContext(timeZone);
     
     const prompt = `You are helping extract missing information from a user's response.
 
-Current date and time: ${currentDate.toISOString()} (${currentDate.toLocaleString('en-US', { timeZone: 'UTC', dateStyle: 'full', timeStyle: 'short' })})
+${time.header}
 
-Action type: ${actionType === 'create_task' ? 'Creating a Task' : 'Scheduling a Meeting'}
+Action type: ${ACTION_LABELS[actionType] || 'Scheduling a Meeting'}
 
 Existing data: ${JSON.stringify(existingData, null, 2)}
 
@@ -1112,7 +2386,8 @@ Return a JSON object with this EXACT structure:
     "title": "extracted title if missing",
     "startDateISO": "YYYY-MM-DDTHH:mm:ss.sssZ (exact ISO datetime)",
     "duration": number (minutes),
-    "description": "extracted description"
+    "description": "extracted description",
+    "placeKeyword": "kind of place, e.g. grocery store (location reminders)"
   },
   "allFieldsFilled": boolean (true if all missing fields are now filled),
   "remainingFields": ["field1", "field2"] (fields still missing)
@@ -1120,7 +2395,7 @@ Return a JSON object with this EXACT structure:
 
 CRITICAL RULES:
 - Only include fields in extractedData that were in the missingFields list
-- Calculate exact dates: "tomorrow 5pm" from ${currentDate.toLocaleDateString()} = ${new Date(currentDate.getTime() + 24*60*60*1000).toLocaleDateString()} at 17:00:00
+- Calculate exact dates: "tomorrow 5pm" from ${time.today} = ${time.tomorrow} at 17:00 local time = ${time.tomorrowAt5pmISO}
 - Convert times: "5pm" = "17:00", "9am" = "09:00"
 - If user says "tomorrow" without time for a task, provide startDateISO for tomorrow at 00:00 (time will be set via scheduleTime)
 - If user says "tomorrow 3pm" for a meeting/task, provide exact datetime
@@ -1129,61 +2404,224 @@ CRITICAL RULES:
 
 Return ONLY valid JSON, no markdown, no explanation.`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text().trim();
-    
-    const jsonText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    
-    console.log('🤖 Gemini Missing Fields Extraction:', jsonText);
-    
-    const extraction = JSON.parse(jsonText);
+    const extraction = await generateJSON({
+      task: 'missing_fields',
+      prompt,
+      input: { message: userMessage, missingFields, data: existingData, actionType, now: time.now, timeZone }
+    });
+    console.log('🤖 Gemini Missing Fields Extraction:', JSON.stringify(extraction));
     
-    return extraction;
+    return fillDateFromText(extraction, userMessage, missingFields, existingData, timeZone);
     
   } catch (error) {
     console.error('Error in Gemini field extraction:', error);
-    // Fallback: return empty extraction
-    return {
+    // Fallback: whatever the rule-based date parser can read
+    return fillDateFromText({
       extractedData: {},
       allFieldsFilled: false,
       remainingFields: missingFields
-    };
+    }, userMessage, missingFields, existingData, timeZone);
+  }
+}
+
+// Helper function to fill a still-missing startDateISO from the rule-based date parser.
+// A reply with only a time ("7am") is read together with the original request
+// so its day or recurrence ("on Saturdays") still applies.
+function fillDateFromText(extraction, userMessage, missingFields, existingData = {}, timeZone) {
+  const extractedData = extraction.extractedData || {};
+  if (!missingFields.includes('startDateISO') || extractedData.startDateISO) return extraction;
+
+  let parsed = parseDateTime(userMessage, { timeZone });
+  if (parsed && !parsed.matched.date && !parsed.matched.recurrence && existingData.description) {
+    parsed = parseDateTime(`${existingData.description} ${userMessage}`, { timeZone }) || parsed;
+  }
+  if (!parsed) return extraction;
+
+  extractedData.startDateISO = parsed.startDateISO;
+  if (parsed.matched.time) extractedData.scheduleTime = { fixedTime: parsed.scheduleTime.fixedTime };
+  const remainingFields = (extraction.remainingFields || missingFields).filter(f => f !== 'startDateISO');
+  return {
+    ...extraction,
+    extractedData,
+    remainingFields,
+    allFieldsFilled: remainingFields.length === 0
+  };
+}
+
+// Helper function to prepare action confirmation, warning about overlapping items.
+// Returns { confirmationMessage, data, conflicts, suggestedSlots }
+async function prepareActionConfirmation(type, data, userId, timeZone) {
+  const confirmation = await describeActionConfirmation(type, data, userId, timeZone);
+  const check = await findActionConflicts(type, data, userId, timeZone);
+
+  if (check.conflicts.length) {
+    console.log('⚠️ Confirmation overlaps existing items:', check.conflicts.map(c => c.title));
+    // Warning goes right above the closing question
+    const message = confirmation.confirmationMessage;
+    const at = message.lastIndexOf('\n\n');
+    const warning = formatConflictWarning(check, timeZone);
+    confirmation.confirmationMessage = at === -1
+      ? `${warning}\n\n${message}`
+      : `${message.slice(0, at)}\n\n${warning}${message.slice(at)}`;
+  }
+  return { ...confirmation, ...check };
+}
+
+// Helper function to check a pending item against what is already scheduled.
+// Returns { conflicts, suggestedSlots } (both empty when the check fails)
+async function findActionConflicts(type, data, userId, timeZone) {
+  try {
+    const spans = await conflictSpansFor(type, data, userId, timeZone);
+    if (spans.length) {
+      return await checkScheduleConflicts({
+        userId,
+        spans,
+        excludeIds: data.reminderId ? [data.reminderId] : [],
+        timeZone
+      });
+    }
+  } catch (error) {
+    console.warn('⚠️ Conflict check failed:', error.message);
+  }
+  return { conflicts: [], suggestedSlots: [] };
+}
+
+// Helper function to list the time spans a pending item would occupy.
+// Routines are checked over their next week of occurrences.
+async function conflictSpansFor(type, data, userId, timeZone) {
+  const span = (startISO, minutes) => {
+    const start = startISO ? new Date(startISO) : null;
+    if (!start || isNaN(start.getTime())) return null;
+    return { start, end: new Date(start.getTime() + minutes * 60000) };
+  };
+
+  if (type === 'schedule_meeting') {
+    const first = span(data.startTime, data.duration || DEFAULT_MEETING_MINUTES);
+    return first ? [first] : [];
+  }
+
+  if (type === 'create_task') {
+    const first = span(data.startDateISO, DEFAULT_TASK_MINUTES);
+    if (!first) return [];
+    if (!data.isRoutine) return [first];
+    const days = normalizeDayCodes(data.scheduleDays);
+    const spans = [];
+    for (let i = 0; i < 7; i++) {
+      const start = addZonedDays(first.start, i, timeZone);
+      const code = DAY_CODES[getZonedParts(start, timeZone).weekday];
+      if (days.length && !days.includes(code)) continue;
+      spans.push({ start, end: new Date(start.getTime() + DEFAULT_TASK_MINUTES * 60000) });
+    }
+    return spans;
+  }
+
+  if (type === 'reschedule_reminder' && !data.isRoutine && data.startDateISO) {
+    // Keep the reminder's own length when it moves
+    const reminder = await Reminder.findOne({ _id: data.reminderId, user: userId }).select('type startDate endDate').lean();
+    let minutes = reminder?.type === 'Meeting' ? DEFAULT_MEETING_MINUTES : DEFAULT_TASK_MINUTES;
+    if (reminder?.startDate && reminder?.endDate && reminder.endDate > reminder.startDate) {
+      minutes = Math.round((new Date(reminder.endDate) - new Date(reminder.startDate)) / 60000);
+    }
+    const moved = span(data.startDateISO, minutes);
+    return moved ? [moved] : [];
+  }
+
+  return [];
+}
+
+// Helper function to word the overlap warning and the free alternatives
+function formatConflictWarning({ conflicts, suggestedSlots }, timeZone) {
+  const locale = dateLocale();
+  const when = (iso) => new Date(iso).toLocaleString(locale, {
+    weekday: 'short', hour: 'numeric', minute: '2-digit', timeZone
+  });
+  const until = (iso) => new Date(iso).toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit', timeZone });
+
+  const lines = conflicts.slice(0, 5).map(c => {
+    const kind = c.source === 'calendar' ? t('conflicts.calendarEvent') : reminderTypeLabel(c.type).toLowerCase();
+    return t('conflicts.item', { title: c.title, kind, start: when(c.start), end: until(c.end) });
+  });
+  if (conflicts.length > 5) lines.push(t('conflicts.more', { count: conflicts.length - 5 }));
+
+  let warning = `${t('conflicts.headsUp')}\n${lines.join('\n')}`;
+  if (suggestedSlots.length) {
+    const options = suggestedSlots.map(slot => when(slot.start));
+    warning += `\n${t('conflicts.freeNearby', { slots: joinList(options, 'or') })}`;
+  }
+  return warning;
+}
+
+// Helper function to pick the Reminder days a new recurring meeting repeats on:
+// a weekly meeting said without days repeats on the day it starts, all days is daily
+function meetingRepeatDays(data, timeZone) {
+  const codes = normalizeDayCodes(data.scheduleDays);
+  if (codes.length) return toReminderDays(codes);
+  const start = data.startTime ? new Date(data.startTime) : new Date();
+  return [getZonedParts(isNaN(start.getTime()) ? new Date() : start, timeZone).weekday];
+}
+
+// Helper function to describe how a new meeting repeats ("Every Monday and Thursday, 6 times")
+function describeMeetingRepeat(data, timeZone) {
+  const days = meetingRepeatDays(data, timeZone).map(d => DAY_CODES[d]);
+  const interval = data.recurrenceInterval > 1 ? data.recurrenceInterval : 1;
+  let repeat;
+  if (!days.length) {
+    repeat = interval > 1 ? t('confirm.meeting.everyNDays', { interval }) : t('confirm.meeting.everyDay');
+  } else {
+    repeat = interval > 1
+      ? t('confirm.meeting.everyNWeeks', { interval, days: formatDayCodes(days) })
+      : t('confirm.meeting.everyDays', { days: formatDayCodes(days) });
   }
+  if (data.recurrenceCount) return t('confirm.meeting.times', { repeat, count: data.recurrenceCount });
+  const until = data.recurrenceUntilISO ? parseZonedDateTime(data.recurrenceUntilISO, null, timeZone) : null;
+  if (until) {
+    const date = until.toLocaleDateString(dateLocale(), { month: 'long', day: 'numeric', year: 'numeric', timeZone });
+    return t('confirm.meeting.until', { repeat, date });
+  }
+  return repeat;
+}
+
+// Helper function to show a meeting attendee: "Sara (sara@example.com)", "Ali" or "ali@example.com"
+function formatAttendee(attendee) {
+  if (attendee.name && attendee.email) return `${attendee.name} (${attendee.email})`;
+  return attendee.name || attendee.email;
 }
 
-// Helper function to prepare action confirmation
-async function prepareActionConfirmation(type, data, userId) {
+// Helper function to render the confirmation details for a pending action
+async function describeActionConfirmation(type, data, userId, timeZone) {
+  const locale = dateLocale();
   if (type === 'create_task') {
     // Format the date and time for user-friendly display
     let scheduleInfo = '';
     
     if (data.startDateISO) {
       const startDate = new Date(data.startDateISO);
-      const dateStr = startDate.toLocaleDateString('en-US', { 
+      const dateStr = startDate.toLocaleDateString(locale, { 
         weekday: 'long', 
         year: 'numeric', 
         month: 'long', 
-        day: 'numeric' 
+        day: 'numeric',
+        timeZone
       });
       
       if (data.scheduleTime?.fixedTime) {
-        scheduleInfo = ` on ${dateStr} at ${data.scheduleTime.fixedTime}`;
+        scheduleInfo = t('confirm.task.on', { date: dateStr, time: data.scheduleTime.fixedTime });
       } else {
-        const timeStr = startDate.toLocaleTimeString('en-US', { 
+        const timeStr = startDate.toLocaleTimeString(locale, { 
           hour: 'numeric', 
           minute: '2-digit',
-          hour12: true 
+          hour12: true,
+          timeZone
         });
-        scheduleInfo = ` on ${dateStr} at ${timeStr}`;
+        scheduleInfo = t('confirm.task.on', { date: dateStr, time: timeStr });
       }
     } else if (data.scheduleTime?.fixedTime) {
-      scheduleInfo = ` at ${data.scheduleTime.fixedTime}`;
+      scheduleInfo = t('confirm.task.at', { time: data.scheduleTime.fixedTime });
     }
     
     let reminderInfo = '';
     if (data.scheduleTime?.minutesBeforeStart && !data.scheduleTime.fixedTime) {
-      reminderInfo = ` (${data.scheduleTime.minutesBeforeStart} min reminder)`;
+      reminderInfo = t('confirm.task.reminder', { minutes: data.scheduleTime.minutesBeforeStart });
     }
     
     // Format routine information with day names
@@ -1191,36 +2629,26 @@ async function prepareActionConfirmation(type, data, userId) {
     let daysInfo = '';
     
     if (data.isRoutine && data.scheduleDays && data.scheduleDays.length > 0) {
-      const dayNames = {
-        'SU': 'Sunday',
-        'MO': 'Monday',
-        'TU': 'Tuesday',
-        'WE': 'Wednesday',
-        'TH': 'Thursday',
-        'FR': 'Friday',
-        'SA': 'Saturday'
-      };
-      
-      const dayNamesList = data.scheduleDays.map(d => dayNames[d] || d).join(', ');
+      const dayNamesList = formatDayCodes(data.scheduleDays);
       
       if (data.scheduleDays.length === 7) {
-        routineInfo = ' (Daily Routine)';
+        routineInfo = t('confirm.task.daily');
       } else {
-        routineInfo = ' (Routine Task)';
-        daysInfo = `\n• Repeats: ${dayNamesList}`;
+        routineInfo = t('confirm.task.routine');
+        daysInfo = `\n${t('confirm.task.repeats', { days: dayNamesList })}`;
       }
     }
     
-    let detailedMessage = `📋 Task Details:\n`;
-    detailedMessage += `• Title: "${data.title}"\n`;
-    if (scheduleInfo) detailedMessage += `• Scheduled:${scheduleInfo}${reminderInfo}\n`;
-    if (routineInfo) detailedMessage += `• Type:${routineInfo}`;
+    let detailedMessage = `${t('confirm.task.header')}\n`;
+    detailedMessage += `${t('confirm.title', { title: data.title })}\n`;
+    if (scheduleInfo) detailedMessage += `${t('confirm.task.scheduled', { when: scheduleInfo, reminder: reminderInfo })}\n`;
+    if (routineInfo) detailedMessage += t('confirm.task.type', { type: routineInfo });
     if (daysInfo) detailedMessage += daysInfo;
     if (routineInfo || daysInfo) detailedMessage += `\n`;
     if (data.description && data.description !== data.title) {
-      detailedMessage += `• Description: ${data.description}\n`;
+      detailedMessage += `${t('confirm.description', { description: data.description })}\n`;
     }
-    detailedMessage += `\nShould I create this task? (Yes/No, or tell me what to change)`;
+    detailedMessage += `\n${t('confirm.task.ask')}`;
       
     return {
       confirmationMessage: detailedMessage,
@@ -1233,154 +2661,839 @@ async function prepareActionConfirmation(type, data, userId) {
     
     if (data.startTime) {
       const startDate = new Date(data.startTime);
-      const dateStr = startDate.toLocaleDateString('en-US', { 
+      const dateStr = startDate.toLocaleDateString(locale, { 
         weekday: 'long', 
         year: 'numeric', 
         month: 'long', 
-        day: 'numeric' 
+        day: 'numeric',
+        timeZone
       });
-      const timeStr = startDate.toLocaleTimeString('en-US', { 
+      const timeStr = startDate.toLocaleTimeString(locale, { 
         hour: 'numeric', 
         minute: '2-digit',
-        hour12: true 
+        hour12: true,
+        timeZone
       });
-      scheduleInfo = `${dateStr} at ${timeStr}`;
+      scheduleInfo = t('confirm.meeting.dateTime', { date: dateStr, time: timeStr });
     }
     
-    const durationInfo = data.duration ? `${data.duration} minutes` : '30 minutes';
-    const recurrenceInfo = data.isRecurring ? 'Yes' : 'No';
-    
-    let detailedMessage = `📅 Meeting Details:\n`;
-    detailedMessage += `• Title: "${data.title}"\n`;
-    if (scheduleInfo) detailedMessage += `• When: ${scheduleInfo}\n`;
-    detailedMessage += `• Duration: ${durationInfo}\n`;
-    detailedMessage += `• Recurring: ${recurrenceInfo}\n`;
+    const recurrenceInfo = data.isRecurring ? describeMeetingRepeat(data, timeZone) : t('confirm.no');
+
+    // Names said without an email may match people invited to earlier meetings
+    if (data.attendees?.length) {
+      const organizer = await User.findById(userId).select('fullname email');
+      data.attendees = (await normalizeAttendees(data.attendees, organizer))
+        .map(a => ({ name: a.name || null, email: a.email || null }));
+    }
+    const attendees = data.attendees || [];
+    const withoutEmail = attendees.filter(a => !a.email);
+    
+    let detailedMessage = `${t('confirm.meeting.header')}\n`;
+    detailedMessage += `${t('confirm.title', { title: data.title })}\n`;
+    if (scheduleInfo) detailedMessage += `${t('confirm.meeting.when', { when: scheduleInfo })}\n`;
+    detailedMessage += `${t('confirm.meeting.duration', { minutes: data.duration || 30 })}\n`;
+    detailedMessage += `${t('confirm.meeting.recurring', { value: recurrenceInfo })}\n`;
+    if (attendees.length) {
+      detailedMessage += `${t('confirm.meeting.with', { names: joinList(attendees.map(formatAttendee)) })}\n`;
+    }
     if (data.description && data.description !== data.title) {
-      detailedMessage += `• Description: ${data.description}\n`;
+      detailedMessage += `${t('confirm.description', { description: data.description })}\n`;
+    }
+    if (withoutEmail.length) {
+      detailedMessage += `\n${t('confirm.meeting.noEmail', { names: joinList(withoutEmail.map(a => a.name)) })}\n`;
     }
-    detailedMessage += `\nShould I schedule this meeting? (Yes/No, or tell me what to change)`;
+    detailedMessage += `\n${t('confirm.meeting.ask')}`;
     
     return {
       confirmationMessage: detailedMessage,
       data
     };
+
+  } else if (type === 'create_location_reminder') {
+    const days = normalizeDayCodes(data.scheduleDays);
+    const daysInfo = days.length === 7 || !days.length ? t('confirm.location.everyDay') : formatDayCodes(days);
+
+    let detailedMessage = `${t('confirm.location.header')}\n`;
+    detailedMessage += `${t('confirm.location.reminder', { title: data.title || data.description })}\n`;
+    detailedMessage += `${t('confirm.location.near', { place: data.placeKeyword })}\n`;
+    detailedMessage += `${t('confirm.location.active', { days: daysInfo })}\n`;
+    if (data.description && data.description !== data.title) {
+      detailedMessage += `${t('confirm.description', { description: data.description })}\n`;
+    }
+    detailedMessage += `\n${t('confirm.location.ask')}`;
+
+    return { confirmationMessage: detailedMessage, data };
+
+  } else if (type === 'reschedule_reminder') {
+    const from = formatReminderWhen(data.previousStartISO, data.previousFixedTime, data.isRoutine, timeZone);
+    const to = formatReminderWhen(data.startDateISO, routineTimeFrom(data, timeZone), data.isRoutine, timeZone);
+
+    let detailedMessage = `${t('confirm.reschedule.header')}\n`;
+    detailedMessage += `${t('confirm.item', { type: reminderTypeLabel(data.reminderType), title: data.title })}\n`;
+    if (from) detailedMessage += `${t('confirm.reschedule.from', { when: from })}\n`;
+    detailedMessage += `${t('confirm.reschedule.to', { when: to || t('confirm.reschedule.unchanged') })}\n`;
+    detailedMessage += `\n${t('confirm.reschedule.ask')}`;
+
+    return { confirmationMessage: detailedMessage, data };
+
+  } else if (type === 'delete_reminder' && data.occurrenceISO) {
+    let detailedMessage = `${t('confirm.cancelOccurrence.header')}\n`;
+    detailedMessage += `${t('confirm.item', { type: reminderTypeLabel(data.reminderType), title: data.title })}\n`;
+    detailedMessage += `${t('confirm.when', { when: formatReminderWhen(data.occurrenceISO, null, false, timeZone) })}\n`;
+    detailedMessage += `\n${t('confirm.cancelOccurrence.ask')}`;
+
+    return { confirmationMessage: detailedMessage, data };
+
+  } else if (type === 'complete_reminder' || type === 'delete_reminder') {
+    const when = data.occurrenceISO
+      ? formatReminderWhen(data.occurrenceISO, null, false, timeZone)
+      : formatReminderWhen(data.previousStartISO, data.previousFixedTime, data.isRoutine, timeZone);
+    const step = type === 'complete_reminder' ? 'complete' : 'delete';
+
+    let detailedMessage = `${t(`confirm.${step}.header`)}\n`;
+    detailedMessage += `${t('confirm.item', { type: reminderTypeLabel(data.reminderType), title: data.title })}\n`;
+    if (when) detailedMessage += `${t('confirm.when', { when })}\n`;
+    detailedMessage += `\n${t(`confirm.${step}.ask`)}`;
+
+    return { confirmationMessage: detailedMessage, data };
   }
   
-  return { confirmationMessage: 'Should I proceed with this?', data };
+  return { confirmationMessage: t('confirm.fallback'), data };
+}
+
+// Helper function to name a reminder type ("Task", "Meeting", "Location") in the user's language
+function reminderTypeLabel(type) {
+  return t(`reminderType.${type || 'Reminder'}`);
 }
 
 // Helper function to generate a friendly question for missing fields
-function generateMissingFieldsQuestion(missingFields, extractedData) {
-  const fieldMap = {
-    title: 'a title or name',
-    startDateISO: 'a date and time',
-    duration: 'a duration (how long)',
-    description: 'more details or description'
-  };
-  
+function generateMissingFieldsQuestion(missingFields, extractedData, timeZone) {
+  const locale = dateLocale();
   let extracted = [];
   if (extractedData.title) extracted.push(`"${extractedData.title}"`);
   if (extractedData.startDateISO) {
     const date = new Date(extractedData.startDateISO);
-    extracted.push(`on ${date.toLocaleDateString()} at ${date.toLocaleTimeString()}`);
+    extracted.push(t('missing.on', {
+      date: date.toLocaleDateString(locale, { timeZone }),
+      time: date.toLocaleTimeString(locale, { timeZone })
+    }));
   }
   
-  const missingList = missingFields.map(f => fieldMap[f] || f).join(' and ');
+  const missingList = joinList(missingFields.map(f => (hasMessage(`missing.fields.${f}`) ? t(`missing.fields.${f}`) : f)));
   
   let message = '';
   if (extracted.length > 0) {
-    message = `I understand you want to create ${extracted.join(' ')}. `;
+    message = t('missing.understood', { what: extracted.join(' ') });
   }
   
-  message += `Could you please provide ${missingList}?`;
+  message += t('missing.ask', { fields: missingList });
   
   return message;
 }
 
-// Helper function to create a task in the database
-async function createTask(taskData, userId) {
-  console.log('📝 Creating task with data:', JSON.stringify({ taskData, userId }, null, 2));
-  
-  // Prepare reminder data matching the reminderModel schema
+// Helper function to clean up day codes from Gemini ("mo", "Monday", 1 → "MO")
+function normalizeDayCodes(days) {
+  if (!Array.isArray(days)) return [];
+  const out = [];
+  for (const d of days) {
+    let code = null;
+    if (Number.isInteger(d) && d >= 0 && d <= 6) code = DAY_CODES[d];
+    else if (typeof d === 'string') code = DAY_CODES.find(c => c === d.trim().slice(0, 2).toUpperCase()) || null;
+    if (code && !out.includes(code)) out.push(code);
+  }
+  return out;
+}
+
+// Helper function to convert assistant day codes to the Reminder model's 0-6 numbers
+// (all seven days is stored as [] = daily)
+function toReminderDays(days) {
+  const codes = normalizeDayCodes(days);
+  return codes.length === 7 ? [] : codes.map(c => DAY_CODES.indexOf(c));
+}
+
+function formatDayCodes(codes) {
+  return joinList(codes.map(c => dayName(c)));
+}
+
+// Helper function to fill the place and/or days of a pending location reminder
+async function fillLocationReminderFields(conversation, message, userId, timeZone) {
+  const pendingAction = conversation.pendingAction;
+  const { data, remaining } = await extractLocationFields(message, pendingAction.data, pendingAction.missingFields, timeZone);
+
+  if (remaining.length) {
+    conversation.pendingAction.data = data;
+    conversation.pendingAction.missingFields = remaining;
+    await conversation.save();
+    return {
+      success: true,
+      response: generateMissingFieldsQuestion(remaining, data, timeZone),
+      action: 'needs_info',
+      data: { missingFields: remaining, extractedFields: data }
+    };
+  }
+
+  const confirmation = await prepareActionConfirmation(pendingAction.type, data, userId, timeZone);
+  conversation.pendingAction = {
+    type: pendingAction.type,
+    data,
+    confirmationNeeded: true
+  };
+  await conversation.save();
+
+  return {
+    success: true,
+    response: confirmation.confirmationMessage,
+    action: 'confirm_action',
+    data,
+    conflicts: confirmation.conflicts,
+    suggestedSlots: confirmation.suggestedSlots
+  };
+}
+
+// Helper function to move a routine's first occurrence onto one of its days, keeping the
+// time of day the user gave (used when the time arrives in a follow-up like "7am")
+function alignRoutineStart(data, timeZone) {
+  const start = data.isRoutine && data.startDateISO ? new Date(data.startDateISO) : null;
+  if (!start || isNaN(start.getTime())) return data;
+
+  const fixedTime = data.scheduleTime?.fixedTime || toZonedTimeString(start, timeZone);
+  const [hour, minute] = fixedTime.split(':').map(Number);
+  const days = normalizeDayCodes(data.scheduleDays);
+  const now = new Date();
+  const today = getZonedParts(now, timeZone);
+  for (let i = 0; i <= 7; i++) {
+    const at = zonedTimeToUtc({ year: today.year, month: today.month, day: today.day + i, hour, minute, second: 0 }, timeZone);
+    if (at <= now) continue;
+    if (!days.length || days.includes(DAY_CODES[getZonedParts(at, timeZone).weekday])) {
+      return { ...data, startDateISO: at.toISOString(), scheduleTime: { ...(data.scheduleTime || {}), fixedTime } };
+    }
+  }
+  return data;
+}
+
+// Helper function to read a location reminder's missing place / days from a reply.
+// Returns { data, remaining }
+async function extractLocationFields(message, currentData, missingFields, timeZone) {
+  const data = { ...currentData };
+  let remaining = [...missingFields];
+
+  if (remaining.includes('scheduleDays')) {
+    const daysAnalysis = await extractDaysFromMessageWithGemini(message);
+    const days = normalizeDayCodes(daysAnalysis.days);
+    if (days.length) {
+      data.scheduleDays = days;
+      remaining = remaining.filter(f => f !== 'scheduleDays');
+    }
+  }
+
+  if (remaining.includes('placeKeyword')) {
+    const extractedInfo = await extractMissingFieldsWithGemini(message, ['placeKeyword'], data, 'create_location_reminder', timeZone);
+    const place = extractedInfo.extractedData?.placeKeyword;
+    if (place) {
+      data.placeKeyword = String(place).trim();
+      remaining = remaining.filter(f => f !== 'placeKeyword');
+    }
+  }
+  return { data, remaining };
+}
+
+// Helper function to move a batch forward: ask for the next item's missing fields,
+// or put the whole batch up for confirmation once every item is complete
+async function advanceBatch(conversation, items, timeZone) {
+  const index = items.findIndex(item => item.missingFields?.length);
+  if (index !== -1) {
+    const item = items[index];
+    conversation.pendingAction = { type: 'batch', data: { items }, missingFields: item.missingFields };
+    await conversation.save();
+    return {
+      success: true,
+      response: t('batch.progress', {
+        index: index + 1,
+        total: items.length,
+        question: generateMissingFieldsQuestion(item.missingFields, item.data, timeZone)
+      }),
+      action: 'needs_info',
+      data: { item: index + 1, missingFields: item.missingFields }
+    };
+  }
+
+  const ready = items.map(item => item.ready
+    ? item
+    : { type: item.type, data: buildCreateActionData(item.type, item.data, item.text), missingFields: [], ready: true });
+  // Each item is checked against what is already scheduled, before asking
+  const checks = [];
+  for (const item of ready) {
+    checks.push(await findActionConflicts(item.type, item.data, conversation.userId, timeZone));
+  }
+  if (checks.some(check => check.conflicts.length)) {
+    console.log('⚠️ Batch items overlap existing items:', checks.map(check => check.conflicts.map(c => c.title)));
+  }
+  conversation.pendingAction = { type: 'batch', data: { items: ready }, confirmationNeeded: true };
+  await conversation.save();
+  // conflicts / suggestedSlots as for single items, each with the item number it belongs to
+  const perItem = key => checks.flatMap((check, i) => check[key].map(entry => ({ ...entry, item: i + 1 })));
+  return {
+    success: true,
+    response: formatBatchConfirmation(ready, timeZone, checks),
+    action: 'confirm_batch',
+    data: { items: ready.map(item => ({ type: item.type, ...item.data })) },
+    conflicts: perItem('conflicts'),
+    suggestedSlots: perItem('suggestedSlots')
+  };
+}
+
+// Helper function to describe one confirmed-ready batch item on a single line
+function formatBatchItem(item, timeZone) {
+  const data = item.data;
+  const type = hasMessage(`batch.labels.${item.type}`) ? t(`batch.labels.${item.type}`) : t('batch.labels.item');
+  const label = `${type} "${data.title || data.description}"`;
+  if (item.type === 'create_location_reminder') {
+    const days = normalizeDayCodes(data.scheduleDays);
+    return t('batch.near', {
+      label,
+      place: data.placeKeyword,
+      days: days.length === 7 || !days.length ? t('batch.everyDay') : formatDayCodes(days)
+    });
+  }
+  if (item.type === 'schedule_meeting') {
+    const when = formatReminderWhen(data.startTime, null, false, timeZone);
+    return t('batch.meeting', { label, on: when ? t('batch.onWhen', { when }) : '', minutes: data.duration || 30 });
+  }
+  const days = normalizeDayCodes(data.scheduleDays);
+  if (data.isRoutine) {
+    return t('batch.routine', {
+      label,
+      days: days.length === 7 || !days.length ? t('batch.day') : formatDayCodes(days),
+      at: data.scheduleTime?.fixedTime ? t('batch.at', { time: data.scheduleTime.fixedTime }) : ''
+    });
+  }
+  const when = formatReminderWhen(data.startDateISO, null, false, timeZone);
+  return `${label}${when ? t('batch.onWhen', { when }) : ''}`;
+}
+
+// Helper function to list a ready batch; items that overlap something already
+// scheduled get the overlap warning under their line
+function formatBatchConfirmation(items, timeZone, checks = []) {
+  const lines = items.map((item, i) => {
+    const line = `${i + 1}. ${formatBatchItem(item, timeZone)}`;
+    if (!checks[i]?.conflicts.length) return line;
+    const warning = formatConflictWarning(checks[i], timeZone).split('\n').map(text => `   ${text}`).join('\n');
+    return `${line}\n${warning}`;
+  });
+  return `${t('batch.header', { count: items.length })}\n${lines.join('\n')}\n\n${t('batch.ask')}`;
+}
+
+// Helper function to read item-specific batch edits: "remove 2", "change 3 to Friday", "#1: 6pm".
+// Returns { op: 'remove' | 'edit', index, text } or null
+function parseBatchItemCommand(message, count) {
+  const text = String(message || '').trim();
+  const remove = text.match(/^(?:please\s+)?(?:remove|drop|skip|delete|cancel|don'?t create)\s+(?:item\s+|number\s+|#)?(\d+)\s*[.!]*$/i);
+  const edit = text.match(/^(?:please\s+)?(?:(?:change|edit|update|move|make|set)\s+)?(?:item\s+|number\s+|#)(\d+)\s*[:,-]?\s*(.+)$/i) ||
+    text.match(/^(?:please\s+)?(?:change|edit|update|move|make|set)\s+(\d+)\b\s*[:,-]?\s*(.+)$/i) ||
+    text.match(/^(\d+)\s*[:.)-]\s*(.+)$/);
+  const match = remove || edit;
+  if (!match) return null;
+  const index = parseInt(match[1], 10) - 1;
+  if (index < 0 || index >= count) return null;
+  return remove ? { op: 'remove', index } : { op: 'edit', index, text: match[2].trim() };
+}
+
+// Helper function to apply edits to one ready batch item. Times given without a day
+// keep the item's current day, as the user sees it in their zone.
+function applyBatchItemModifications(item, modifications = {}, text, timeZone) {
+  const data = { ...item.data, ...modifications };
+  const isMeeting = item.type === 'schedule_meeting';
+  const currentStart = isMeeting ? item.data.startTime : item.data.startDateISO;
+  let start = modifications.startDateISO || null;
+
+  const parsed = parseDateTime(text, { timeZone });
+  if (parsed?.matched.time && !parsed.matched.date && currentStart) {
+    start = parseZonedDateTime(toZonedDateString(new Date(currentStart), timeZone), parsed.scheduleTime.fixedTime, timeZone).toISOString();
+  }
+  if (parsed?.matched.time && data.scheduleTime?.fixedTime) {
+    data.scheduleTime = { ...data.scheduleTime, fixedTime: parsed.scheduleTime.fixedTime };
+  }
+
+  if (isMeeting) {
+    delete data.startDateISO;
+    if (start) data.startTime = start;
+    if (data.startTime) {
+      data.endTime = new Date(new Date(data.startTime).getTime() + (data.duration || 30) * 60000).toISOString();
+    }
+  } else if (start) {
+    data.startDateISO = start;
+  }
+  return data;
+}
+
+// Helper function to create a location-based reminder in the database.
+// scanAndTrigger searches nearby places by the reminder title, so the place
+// keyword is stored as the title and the errand as the description.
+async function createLocationReminder(locationData, userId) {
+  console.log('📍 Creating location reminder with data:', JSON.stringify({ locationData, userId }, null, 2));
+
   const reminderData = {
     user: userId,
-    type: 'Task',
-    title: taskData.title,
-    description: taskData.description || '',
-    startDate: taskData.startDateISO ? new Date(taskData.startDateISO) : null,
+    type: 'Location',
+    title: locationData.placeKeyword,
+    description: locationData.description || locationData.title || '',
+    location: { name: locationData.placeKeyword },
+    // Empty scheduleDays means the reminder is active every day
+    scheduleDays: toReminderDays(locationData.scheduleDays),
+    status: 'active',
     isCompleted: false,
-    isManualSchedule: taskData.scheduleType === 'routine' ? true : (taskData.startDateISO ? true : false),
     aiSuggested: true,
-    scheduleType: taskData.scheduleType || 'one-day',
-    scheduleTime: taskData.scheduleTime || { minutesBeforeStart: 15, fixedTime: null },
-    scheduleDays: taskData.scheduleDays || [],
-    notificationPreferenceMinutes: taskData.scheduleTime?.minutesBeforeStart || 15,
     icon: 'star'
   };
-  
-  console.log('💾 Prepared reminder data:', JSON.stringify(reminderData, null, 2));
-  
+
   try {
-    const task = new Reminder(reminderData);
-    const savedTask = await task.save();
-    console.log('✅ Task saved to database with ID:', savedTask._id);
-    console.log('✅ Full saved task:', JSON.stringify(savedTask.toObject(), null, 2));
-    return savedTask;
-  } catch (error) {
-    console.error('❌ Error saving task to database:', {
-      error: error.message,
-      stack: error.stack,
-      validationErrors: error.errors,
-      reminderData: reminderData
+    const saved = await Reminder.create(reminderData);
+    console.log('✅ Location reminder saved to database with ID:', saved._id);
+    return saved;
+  } catch (err) {
+    console.error('❌ Location Reminder Save Error:', {
+      error: err.message,
+      stack: err.stack,
+      validationErrors: err.errors,
+      locationData
     });
-    throw error;
+    throw err;
   }
 }
 
-// Helper function to create a meeting in the database
-async function createMeeting(meetingData, userId) {
-  console.log('📅 Creating meeting with data:', JSON.stringify({ meetingData, userId }, null, 2));
-  
-  try {
-    const duration = meetingData.duration || 30;
-    const startDate = meetingData.startTime ? new Date(meetingData.startTime) : new Date();
-    const endDate = new Date(startDate.getTime() + duration * 60000);
+// Helper function to create the reminder for one confirmed create action
+async function createFromAction(type, data, userId, timeZone) {
+  if (type === 'create_task') return createTask(data, userId, timeZone);
+  if (type === 'schedule_meeting') return createMeeting(data, userId, timeZone);
+  if (type === 'create_location_reminder') return createLocationReminder(data, userId);
+  throw new Error(`Unsupported action type: ${type}`);
+}
 
-    const reminderData = {
-      type: 'Meeting',
-      user: userId,
-      title: meetingData.title,
-      description: meetingData.description || '',
-      startDate,
-      endDate,
-      isManualSchedule: true,
-      scheduleType: 'one-day',
-      scheduleTime: meetingData.scheduleTime || { minutesBeforeStart: 10 },
-      notificationPreferenceMinutes: 10,
-      aiSuggested: true,
-      icon: 'star'
+// Helper function to create every item of a confirmed batch. Items that fail are
+// reported without stopping the others; the created ones are undone together.
+async function createBatch(conversation, items, userId, timeZone) {
+  const created = [];
+  const failed = [];
+  for (const item of items) {
+    try {
+      const saved = await createFromAction(item.type, item.data, userId, timeZone);
+      created.push({ item, saved });
+    } catch (error) {
+      console.error('❌ Batch item failed:', { type: item.type, title: item.data?.title, error: error.message });
+      failed.push({ item, error: error.message });
+    }
+  }
+
+  conversation.pendingAction = null;
+  let recorded = null;
+  if (created.length) {
+    recorded = recordAction(conversation, {
+      type: 'batch',
+      label: t('batch.actionLabel', { count: created.length }),
+      changes: created.map(({ saved }) => ({ reminderId: saved._id, operation: 'created' }))
+    });
+  }
+  await conversation.save();
+
+  let response = created.length
+    ? `${t('batch.created', { created: created.length, total: items.length })}\n${created.map(({ item }) => `• ${formatBatchItem(item, timeZone)}`).join('\n')}`
+    : t('batch.noneCreated');
+  if (failed.length) {
+    response += `\n\n${t('batch.failed')}\n${failed.map(({ item, error }) => `• "${item.data?.title || item.data?.description}": ${error}`).join('\n')}`;
+  }
+  return {
+    success: created.length > 0,
+    response,
+    action: created.length ? 'batch_success' : 'creation_failed',
+    data: { created: created.map(({ saved }) => saved), failed: failed.map(({ item, error }) => ({ type: item.type, title: item.data?.title, error })) },
+    ...(recorded ? { actionId: recorded._id } : {})
+  };
+}
+
+// Helper function to handle replies while a batch of new items is pending:
+// per-item follow-ups first, then accept / cancel / edit item by item
+async function handleBatchAction(conversation, message, userId, timeZone, choice = null) {
+  const items = (conversation.pendingAction.data?.items || []).map(item => ({ ...item }));
+
+  // Still collecting details for one of the items
+  const index = items.findIndex(item => item.missingFields?.length);
+  if (index !== -1) {
+    const item = items[index];
+    if (item.type === 'create_location_reminder') {
+      const { data, remaining } = await extractLocationFields(message, item.data, item.missingFields, timeZone);
+      items[index] = { ...item, data, missingFields: remaining };
+    } else {
+      const extractedInfo = await extractMissingFieldsWithGemini(message, item.missingFields, item.data, item.type, timeZone);
+      const data = alignRoutineStart({ ...item.data, ...extractedInfo.extractedData }, timeZone);
+      items[index] = {
+        ...item,
+        data,
+        missingFields: extractedInfo.allFieldsFilled ? [] : (extractedInfo.remainingFields || item.missingFields)
+      };
+    }
+    return advanceBatch(conversation, items, timeZone);
+  }
+
+  const command = choice ? null : parseBatchItemCommand(message, items.length);
+  if (command?.op === 'remove') {
+    const [removed] = items.splice(command.index, 1);
+    if (!items.length) {
+      conversation.pendingAction = null;
+      await conversation.save();
+      return {
+        success: true,
+        response: t('batch.removedLast'),
+        action: 'action_cancelled'
+      };
+    }
+    const result = await advanceBatch(conversation, items, timeZone);
+    return { ...result, response: t('batch.removed', { title: removed.data?.title || removed.data?.description, next: result.response }) };
+  }
+  if (command?.op === 'edit') {
+    const item = items[command.index];
+    const userIntent = await analyzeUserResponseWithGemini(command.text, item.data, item.type, timeZone);
+    if (userIntent.intent !== 'modify') {
+      return {
+        success: true,
+        response: t('batch.editUnclear', { number: command.index + 1 }),
+        action: 'awaiting_confirmation',
+        data: { items: items.map(i => ({ type: i.type, ...i.data })) }
+      };
+    }
+    items[command.index] = { ...item, data: applyBatchItemModifications(item, userIntent.modifications, command.text, timeZone) };
+    const result = await advanceBatch(conversation, items, timeZone);
+    return { ...result, response: t('batch.updated', { number: command.index + 1, next: result.response }) };
+  }
+
+  const userIntent = choiceToUserIntent(choice, {}, timeZone) ||
+    await analyzeUserResponseWithGemini(message, { items: items.map(i => i.data) }, 'batch', timeZone);
+  if (userIntent.intent === 'confirm') {
+    console.log('✅ User confirmed batch of', items.length, 'items');
+    return createBatch(conversation, items, userId, timeZone);
+  }
+  if (userIntent.intent === 'reject') {
+    conversation.pendingAction = null;
+    await conversation.save();
+    return {
+      success: true,
+      response: t('batch.declined'),
+      action: 'action_cancelled'
     };
+  }
+  return {
+    success: true,
+    response: userIntent.intent === 'modify' ? t('batch.whichItem') : t('batch.unclear'),
+    action: 'awaiting_confirmation',
+    data: { items: items.map(i => ({ type: i.type, ...i.data })) }
+  };
+}
 
-    console.log('💾 Prepared meeting reminder data:', JSON.stringify(reminderData, null, 2));
+// Helper function to describe when a reminder happens ("Friday, October 24 at 5:00 PM" / "every day at 07:00")
+function formatReminderWhen(startISO, fixedTime, isRoutine, timeZone) {
+  if (isRoutine) return fixedTime ? t('when.routine', { time: fixedTime }) : '';
+  if (!startISO) return '';
+  const date = new Date(startISO);
+  const locale = dateLocale();
+  return t('when.dateTime', {
+    date: date.toLocaleDateString(locale, { weekday: 'long', month: 'long', day: 'numeric', timeZone }),
+    time: date.toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit', hour12: true, timeZone })
+  });
+}
 
-    const meeting = new Reminder(reminderData);
-    const saved = await meeting.save();
-    console.log('✅ Meeting saved to database with ID:', saved._id);
-    console.log('✅ Full saved meeting:', JSON.stringify(saved.toObject(), null, 2));
-    return saved;
-  } catch (err) {
-    console.error('❌ Meeting Save Error:', {
-      error: err.message,
-      stack: err.stack,
-      validationErrors: err.errors,
-      meetingData: meetingData
+// Helper function to get the new "HH:mm" of a routine reschedule (explicit time or taken from startDateISO)
+function routineTimeFrom(data, timeZone) {
+  if (data.scheduleTime?.fixedTime) return data.scheduleTime.fixedTime;
+  return data.startDateISO ? toZonedTimeString(data.startDateISO, timeZone) : null;
+}
+
+function toCandidate(reminder) {
+  return {
+    id: String(reminder._id),
+    title: reminder.title,
+    type: reminder.type,
+    startISO: reminder.startDate ? reminder.startDate.toISOString() : null,
+    fixedTime: reminder.scheduleTime?.fixedTime || null,
+    isRoutine: reminder.scheduleType === 'routine'
+  };
+}
+
+function formatCandidateList(candidates, timeZone) {
+  return candidates
+    .map((c, i) => {
+      const when = formatReminderWhen(c.startISO, c.fixedTime, c.isRoutine, timeZone);
+      return `${i + 1}. ${c.title}${when ? ` (${when})` : ''}`;
+    })
+    .join('\n');
+}
+
+// Helper function to match a selection reply ("2", "the second one", a title) to a candidate
+function pickCandidate(message, candidates) {
+  const text = String(message || '').toLowerCase().trim();
+  const ordinals = ['first', 'second', 'third', 'fourth', 'fifth'];
+  const num = text.match(/\b(\d+)\b/);
+  let index = num ? parseInt(num[1], 10) - 1 : ordinals.findIndex(o => text.includes(o));
+  if (index >= 0 && index < candidates.length) return candidates[index];
+  const byTitle = candidates.filter(c => text.includes(String(c.title).toLowerCase()));
+  return byTitle.length === 1 ? byTitle[0] : null;
+}
+
+// Helper function to build the pending data for a change to a specific reminder
+function buildReminderChangeData(type, reminder, changes = {}, timeZone) {
+  const data = {
+    reminderId: String(reminder._id),
+    title: reminder.title,
+    reminderType: reminder.type,
+    isRoutine: reminder.scheduleType === 'routine',
+    previousStartISO: reminder.startDate ? reminder.startDate.toISOString() : null,
+    previousFixedTime: reminder.scheduleTime?.fixedTime || null,
+    previousScheduleTime: reminder.scheduleTime ? {
+      minutesBeforeStart: reminder.scheduleTime.minutesBeforeStart,
+      fixedTime: reminder.scheduleTime.fixedTime,
+      timeZone: reminder.scheduleTime.timeZone
+    } : null,
+    changes
+  };
+  // "cancel Monday's standup" on a recurring meeting cancels that one occurrence
+  if (type === 'delete_reminder' && data.reminderType === 'Meeting' && data.isRoutine && changes.occurrenceDateISO) {
+    const day = parseZonedDateTime(changes.occurrenceDateISO, null, timeZone);
+    const [occurrence] = day ? listOccurrences(reminder, day, endOfZonedDay(day, timeZone), { timeZone }) : [];
+    if (occurrence) data.occurrenceISO = occurrence.toISOString();
+  }
+  // "I did my workout" logs one occurrence of a routine: the one on the day asked
+  // about (today by default), else the latest one of the past week
+  if (type === 'complete_reminder' && data.isRoutine && data.reminderType !== 'Location') {
+    const now = new Date();
+    const today = endOfZonedDay(now, timeZone);
+    const day = parseZonedDateTime(changes.occurrenceDateISO || toZonedDateString(now, timeZone), null, timeZone);
+    const [onDay] = day && day <= today ? listOccurrences(reminder, day, endOfZonedDay(day, timeZone), { timeZone, limit: 1 }) : [];
+    const occurrence = onDay || listOccurrences(reminder, addZonedDays(now, -7, timeZone), now, { timeZone }).pop();
+    if (occurrence) data.occurrenceISO = occurrence.toISOString();
+  }
+  if (type !== 'reschedule_reminder') return data;
+
+  const time = /^\d{2}:\d{2}$/.test(changes.time || '') ? changes.time : null;
+  if (data.isRoutine) {
+    data.scheduleTime = { fixedTime: time };
+    return data;
+  }
+
+  if (!changes.dateISO && !time) {
+    data.startDateISO = null;
+    return data;
+  }
+  // Keep whichever of the day / time the user did not change, as seen in their zone
+  const current = reminder.startDate ? new Date(reminder.startDate) : new Date();
+  const dateStr = /^\d{4}-\d{2}-\d{2}/.test(changes.dateISO || '')
+    ? String(changes.dateISO).slice(0, 10)
+    : toZonedDateString(current, timeZone);
+  const next = parseZonedDateTime(dateStr, time || toZonedTimeString(current, timeZone), timeZone);
+  data.startDateISO = next.toISOString();
+  return data;
+}
+
+// Helper function to start a reschedule/complete/delete request:
+// find the target reminder, ask the user to pick when several match, otherwise confirm
+async function startReminderChange(conversation, action, userId, timeZone) {
+  // The day of a delete or completion may pick one occurrence of a series
+  const changes = ['delete_reminder', 'complete_reminder'].includes(action.type) && action.target?.dateISO
+    ? { ...(action.changes || {}), occurrenceDateISO: action.target.dateISO }
+    : (action.changes || {});
+  const candidates = await findReminderCandidates({
+    userId,
+    target: action.target,
+    excludeCompleted: action.type === 'complete_reminder',
+    timeZone
+  });
+
+  if (!candidates.length) {
+    conversation.pendingAction = null;
+    return {
+      success: true,
+      response: t('change.notFound'),
+      action: 'reminder_not_found'
+    };
+  }
+
+  if (candidates.length > 1) {
+    const list = candidates.map(toCandidate);
+    conversation.pendingAction = {
+      type: action.type,
+      data: { changes },
+      needsSelection: true,
+      candidates: list
+    };
+    return {
+      success: true,
+      response: t('change.fewMatches', { list: formatCandidateList(list, timeZone) }),
+      action: 'needs_selection',
+      data: { candidates: list }
+    };
+  }
+
+  return confirmReminderChange(conversation, action.type, candidates[0], changes, userId, timeZone);
+}
+
+// Helper function to put a change to one reminder up for confirmation
+async function confirmReminderChange(conversation, type, reminder, changes, userId, timeZone) {
+  const data = buildReminderChangeData(type, reminder, changes, timeZone);
+
+  // A reschedule without a new time or day has to ask for it first
+  const missingTime = type === 'reschedule_reminder' &&
+    (data.isRoutine ? !data.scheduleTime?.fixedTime : !data.startDateISO);
+  if (missingTime) {
+    conversation.pendingAction = { type, data, missingFields: ['startDateISO'] };
+    return {
+      success: true,
+      response: t('change.askWhen', { title: data.title }),
+      action: 'needs_info',
+      data: { missingFields: ['startDateISO'] }
+    };
+  }
+
+  const confirmation = await prepareActionConfirmation(type, data, userId, timeZone);
+  conversation.pendingAction = { type, data, confirmationNeeded: true };
+  return {
+    success: true,
+    response: confirmation.confirmationMessage,
+    action: 'confirm_action',
+    data,
+    conflicts: confirmation.conflicts,
+    suggestedSlots: confirmation.suggestedSlots
+  };
+}
+
+// Helper function to apply a confirmed change through the shared reminder service.
+// Returns { item, message, change } (change is recorded for undo)
+async function applyReminderChange(type, data, userId, timeZone) {
+  if (type === 'delete_reminder' && data.occurrenceISO) {
+    const before = await Reminder.findOne({ _id: data.reminderId, user: userId }).lean();
+    if (!before) throw new Error(t('change.gone'));
+    const { reminder, occurrence } = await cancelMeetingOccurrence({ userId, id: data.reminderId, occurrence: data.occurrenceISO });
+    if (!reminder || !occurrence) throw new Error(t('change.gone'));
+    return {
+      item: reminder,
+      message: t('change.occurrenceCancelled', {
+        title: reminder.title,
+        when: formatReminderWhen(occurrence.toISOString(), null, false, timeZone)
+      }),
+      change: { reminderId: reminder._id, operation: 'updated', previous: { exdates: [...(before.exdates || []), ...(before.cancelledOccurrences || [])] } },
+      labelType: 'cancel_occurrence'
+    };
+  }
+  if (type === 'complete_reminder' && data.occurrenceISO) {
+    const { reminder, occurrence, previous } = await setOccurrenceStatus({
+      userId,
+      id: data.reminderId,
+      occurrence: data.occurrenceISO,
+      status: 'done',
+      source: 'assistant'
     });
-    throw err;
+    if (!reminder || !occurrence) throw new Error(t('change.gone'));
+    const streak = routineStats(reminder, { timeZone })?.currentStreak || 0;
+    const done = t('change.occurrenceDone', {
+      title: reminder.title,
+      when: formatReminderWhen(occurrence.toISOString(), null, false, timeZone)
+    });
+    return {
+      item: reminder,
+      message: streak > 1 ? `${done} ${t('change.streak', { count: streak })}` : done,
+      change: {
+        reminderId: reminder._id,
+        operation: 'updated',
+        previous: { occurrenceLog: { occurrence: occurrence.toISOString(), ...(previous ? { status: previous.status, source: previous.source, at: previous.at } : { status: null }) } }
+      },
+      labelType: 'complete_occurrence'
+    };
+  }
+  if (type === 'delete_reminder') {
+    const removed = await deleteUserReminder({ userId, id: data.reminderId });
+    if (!removed) throw new Error(t('change.gone'));
+    return {
+      item: removed,
+      message: t('change.deleted', { title: removed.title }),
+      change: { reminderId: removed._id, operation: 'deleted', previous: reminderSnapshot(removed) }
+    };
+  }
+
+  let updates;
+  if (type === 'complete_reminder') {
+    updates = { isCompleted: true };
+    if (data.reminderType === 'Location') updates.status = 'completed';
+  } else if (data.isRoutine) {
+    // Routines keep their days; only the fixed time moves
+    updates = {
+      scheduleTime: {
+        ...(data.previousScheduleTime || {}),
+        fixedTime: routineTimeFrom(data, timeZone),
+        timeZone: data.previousScheduleTime?.timeZone || timeZone
+      }
+    };
+  } else {
+    updates = { startDate: data.startDateISO };
+  }
+
+  // Remember the overwritten values so the change can be undone
+  const before = await Reminder.findOne({ _id: data.reminderId, user: userId }).lean();
+  if (!before) throw new Error(t('change.gone'));
+  const previous = {};
+  for (const key of Object.keys(updates)) previous[key] = before[key] ?? null;
+  const change = { reminderId: before._id, operation: 'updated', previous };
+
+  const { reminder } = await updateUserReminder({ userId, id: data.reminderId, updates });
+  if (!reminder) throw new Error(t('change.gone'));
+
+  if (type === 'complete_reminder') {
+    return { item: reminder, message: t('change.done', { title: reminder.title }), change };
+  }
+  const when = formatReminderWhen(
+    reminder.startDate ? reminder.startDate.toISOString() : null,
+    reminder.scheduleTime?.fixedTime,
+    reminder.scheduleType === 'routine',
+    timeZone
+  );
+  return { item: reminder, message: when ? t('change.movedTo', { title: reminder.title, when }) : t('change.moved', { title: reminder.title }), change };
+}
+
+// Helper function to name an applied action for the undo log
+function describeAppliedAction(type, item) {
+  const title = item?.title ? `"${item.title}"` : t('applied.theReminder');
+  return hasMessage(`applied.${type}`) ? t(`applied.${type}`, { title }) : t('applied.other', { title });
+}
+
+// Helper function to spot "undo that" style messages
+function isUndoRequest(message) {
+  return /^\s*(please\s+)?(undo|revert|reverse|take (that|it) back)\b(\s+(that|it|this|the last (one|action|change)))?\s*(please)?[.!]*\s*$/i
+    .test(String(message || ''));
+}
+
+// Helper function to undo the latest applied action of a conversation from chat
+async function undoLatestAction(conversation, userId) {
+  const action = findLatestAction(conversation);
+  if (!action) {
+    return {
+      success: true,
+      response: t('undo.nothing'),
+      action: 'undo_unavailable'
+    };
+  }
+  try {
+    const result = await undoAction(action, userId);
+    if (!result.ok) {
+      return { success: true, response: result.message, action: 'undo_unavailable', data: toActionSummary(action) };
+    }
+    return { success: true, response: result.message, action: 'action_undone', data: toActionSummary(action) };
+  } catch (error) {
+    console.error('Error undoing action:', error);
+    return {
+      success: false,
+      response: t('undo.failed', { error: error.message }),
+      action: 'undo_failed'
+    };
   }
 }
 
-module.exports = router;
-async function createTask(taskData, userId) {
+// Helper function to create a task in the database
+async function createTask(taskData, userId, timeZone) {
   console.log('📝 Creating task with data:', JSON.stringify({ taskData, userId }, null, 2));
   
   // Prepare reminder data matching the reminderModel schema
@@ -1393,9 +3506,13 @@ async function createTask(taskData, userId) {
     isCompleted: false,
     isManualSchedule: taskData.scheduleType === 'routine' ? true : (taskData.startDateISO ? true : false),
     aiSuggested: true,
-    scheduleType: taskData.scheduleType || 'one-day',
-    scheduleTime: taskData.scheduleTime || { minutesBeforeStart: 15, fixedTime: null },
-    scheduleDays: taskData.scheduleDays || [],
+    // The model keeps routines as 'routine' with a list of days
+    scheduleType: taskData.scheduleType === 'specific-days' ? 'routine' : (taskData.scheduleType || 'one-day'),
+    // A fixed routine time is wall-clock time in the user's zone
+    scheduleTime: taskData.scheduleTime?.fixedTime
+      ? { ...taskData.scheduleTime, timeZone: taskData.scheduleTime.timeZone || timeZone }
+      : (taskData.scheduleTime || { minutesBeforeStart: 15, fixedTime: null }),
+    scheduleDays: toReminderDays(taskData.scheduleDays),
     notificationPreferenceMinutes: taskData.scheduleTime?.minutesBeforeStart || 15,
     icon: 'star'
   };
@@ -1420,7 +3537,7 @@ async function createTask(taskData, userId) {
 }
 
 // Helper function to create a meeting in the database
-async function createMeeting(meetingData, userId) {
+async function createMeeting(meetingData, userId, timeZone) {
   console.log('📅 Creating meeting with data:', JSON.stringify({ meetingData, userId }, null, 2));
   
   try {
@@ -1442,6 +3559,29 @@ async function createMeeting(meetingData, userId) {
       aiSuggested: true,
       icon: 'star'
     };
+    if (meetingData.isRecurring) {
+      const scheduleDays = meetingRepeatDays(meetingData, timeZone);
+      // The series starts at its first occurrence on or after the asked start
+      const fixedTime = meetingData.startTime ? toZonedTimeString(startDate, timeZone) : meetingData.scheduleTime?.fixedTime;
+      const [first] = listOccurrences(
+        { type: 'Meeting', startDate, scheduleType: 'routine', scheduleDays, scheduleTime: { fixedTime } },
+        startDate, addZonedDays(startDate, 8, timeZone), { timeZone, limit: 1 }
+      );
+      if (first) {
+        reminderData.startDate = first;
+        reminderData.endDate = new Date(first.getTime() + duration * 60000);
+      }
+      Object.assign(reminderData, buildRecurrenceFields(reminderData.startDate, simpleRule({
+        scheduleDays,
+        interval: meetingData.recurrenceInterval,
+        until: untilEndOfDay(meetingData.recurrenceUntilISO, timeZone),
+        count: meetingData.recurrenceCount
+      }), { timeZone, minutesBeforeStart: 10 }));
+    }
+    if (meetingData.attendees?.length) {
+      const organizer = await User.findById(userId).select('fullname email');
+      reminderData.attendees = await normalizeAttendees(meetingData.attendees, organizer);
+    }
 
     console.log('💾 Prepared meeting reminder data:', JSON.stringify(reminderData, null, 2));
 
@@ -1449,6 +3589,7 @@ async function createMeeting(meetingData, userId) {
     const saved = await meeting.save();
     console.log('✅ Meeting saved to database with ID:', saved._id);
     console.log('✅ Full saved meeting:', JSON.stringify(saved.toObject(), null, 2));
+    if (saved.attendees?.length) scheduleMeetingInvites(saved._id);
     return saved;
   } catch (err) {
     console.error('❌ Meeting Save Error:', {
@@ -4,6 +4,38 @@ const { body, query, param } = require('express-validator');
 const reminderController = require('../controllers/reminderController');
 const { auth } = require('../middleware/authMiddleware');
 const validate = require('../middleware/validate');
+const { isValidTimeZone } = require('../utils/timezone');
+const { parseRRule } = require('../utils/rrule');
+const { COMPLETION_SOURCES } = require('../utils/habits');
+const { SNOOZE_PRESETS, SNOOZE_SOURCES, MAX_SNOOZE_MINUTES } = require('../utils/snooze');
+const { MAX_ATTENDEES, RSVP_STATUSES } = require('../services/meetingInvites');
+
+// Meeting attendees: emails, or { email, name } / { userId } objects
+const attendeeRules = [
+  body('attendees').optional().isArray({ max: MAX_ATTENDEES }).withMessage(`attendees must be an array of at most ${MAX_ATTENDEES}`),
+  body('attendees.*').custom(value => typeof value === 'string' || (value && typeof value === 'object')).withMessage('Invalid attendee'),
+  body('attendees.*').if(value => typeof value === 'string').isEmail().withMessage('Invalid attendee email'),
+  body('attendees.*.email').optional().isEmail().withMessage('Invalid attendee email'),
+  body('attendees.*.name').optional().isString().trim(),
+  body('attendees.*.userId').optional().isMongoId().withMessage('Invalid attendee user ID'),
+];
+
+// Repeating tasks and meetings: an RRULE value ("FREQ=MONTHLY;BYDAY=-1FR") and the
+// occurrences left out of it, or, for recurring meetings (scheduleType 'routine'),
+// every `interval` weeks on scheduleDays, ending at `until` or after `count`
+const recurrenceRules = [
+  body('rrule').optional({ values: 'null' }).isString().withMessage('rrule must be a string').bail().custom(value => {
+    parseRRule(value);
+    return true;
+  }),
+  body('exdates').optional().isArray().withMessage('exdates must be an array'),
+  body('exdates.*').optional().isISO8601().withMessage('exdates values must be dates'),
+  body('recurrence').optional().isObject().withMessage('recurrence must be an object'),
+  body('recurrence.interval').optional({ values: 'null' }).isInt({ min: 1, max: 52 }).withMessage('recurrence.interval must be 1-52'),
+  body('recurrence.until').optional({ values: 'null' }).isISO8601().withMessage('recurrence.until must be a date'),
+  body('recurrence.count').optional({ values: 'null' }).isInt({ min: 1, max: 500 }).withMessage('recurrence.count must be 1-500'),
+  body('recurrence').optional().custom(value => !(value.until && value.count)).withMessage('Give either recurrence.until or recurrence.count, not both'),
+];
 
 // Create a new reminder
 router.post(
@@ -30,8 +62,11 @@ router.post(
     body('scheduleTime').optional().isObject().withMessage('scheduleTime must be an object'),
     body('scheduleTime.minutesBeforeStart').optional().isInt({ min: 0 }).withMessage('minutesBeforeStart must be >= 0'),
     body('scheduleTime.fixedTime').optional().matches(/^\d{2}:\d{2}$/).withMessage('fixedTime must be HH:mm'),
+    body('scheduleTime.timeZone').optional().custom(isValidTimeZone).withMessage('timeZone must be an IANA time zone'),
     body('scheduleDays').optional().isArray().withMessage('scheduleDays must be an array'),
     body('scheduleDays.*').optional().isInt({ min: 0, max: 6 }).withMessage('scheduleDays values must be 0-6'),
+    ...attendeeRules,
+    ...recurrenceRules,
   ],
   validate,
   reminderController.createReminder
@@ -71,6 +106,56 @@ router.get(
     reminderController.getReminders
 );
 
+// Meetings other users invited the authenticated user to
+router.get('/invitations', auth, reminderController.getInvitations);
+
+// Every reminder of the user expanded into occurrences within [from, to]
+router.get(
+  '/occurrences',
+  auth,
+  [
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date'),
+    query('type').optional().isIn(['Task', 'Meeting', 'Location']).withMessage('Type must be one of: Task, Meeting, Location'),
+  ],
+  validate,
+  reminderController.getOccurrences
+);
+
+// RSVP link from an invitation email (public; the token identifies the attendee).
+// Opening it shows a confirm page; the answer is recorded by the form's POST.
+router.get(
+  '/rsvp/:token',
+  [
+    param('token').isHexadecimal().withMessage('Invalid RSVP link'),
+    query('status').optional().isIn(RSVP_STATUSES).withMessage(`status must be one of: ${RSVP_STATUSES.join(', ')}`),
+  ],
+  validate,
+  reminderController.rsvpPage
+);
+
+router.post(
+  '/rsvp/:token',
+  [
+    param('token').isHexadecimal().withMessage('Invalid RSVP link'),
+    body('status').isIn(RSVP_STATUSES).withMessage(`status must be one of: ${RSVP_STATUSES.join(', ')}`),
+  ],
+  validate,
+  reminderController.rsvpByToken
+);
+
+// RSVP to a meeting as a signed-in attendee
+router.post(
+  '/:id/rsvp',
+  auth,
+  [
+    param('id').isMongoId().withMessage('Invalid reminder ID'),
+    body('status').isIn(RSVP_STATUSES).withMessage(`status must be one of: ${RSVP_STATUSES.join(', ')}`),
+  ],
+  validate,
+  reminderController.rsvpMeeting
+);
+
 // Update a reminder
 router.put(
   '/:id',
@@ -91,8 +176,13 @@ router.put(
     body('scheduleTime').optional().isObject(),
     body('scheduleTime.minutesBeforeStart').optional().isInt({ min: 0 }),
     body('scheduleTime.fixedTime').optional().matches(/^\d{2}:\d{2}$/),
+    body('scheduleTime.timeZone').optional().custom(isValidTimeZone),
     body('scheduleDays').optional().isArray(),
     body('scheduleDays.*').optional().isInt({ min: 0, max: 6 }),
+    ...attendeeRules,
+    ...recurrenceRules,
+    body('cancelledOccurrences').optional().isArray().withMessage('cancelledOccurrences must be an array'),
+    body('cancelledOccurrences.*').optional().isISO8601().withMessage('cancelledOccurrences values must be dates'),
   ],
   validate,
   reminderController.updateReminder
@@ -114,6 +204,61 @@ router.get(
 // Delete a reminder
 router.delete('/:id', auth, reminderController.deleteReminder);
 
+// Cancel one occurrence of a recurring meeting (occurrence: its ISO start time)
+router.delete(
+  '/:id/occurrences/:occurrence',
+  auth,
+  [
+    param('id').isMongoId().withMessage('Invalid reminder ID'),
+    param('occurrence').isISO8601().withMessage('Invalid occurrence date'),
+  ],
+  validate,
+  reminderController.cancelOccurrence
+);
+
+// Routine occurrences (occurrence: its ISO start time or its day, YYYY-MM-DD):
+// mark one done or skipped, or clear what was logged for it
+const occurrenceLogRules = [
+  param('id').isMongoId().withMessage('Invalid reminder ID'),
+  param('occurrence').isISO8601().withMessage('Invalid occurrence date'),
+  body('source').optional().isIn(COMPLETION_SOURCES).withMessage(`source must be one of: ${COMPLETION_SOURCES.join(', ')}`),
+];
+router.post('/:id/occurrences/:occurrence/complete', auth, occurrenceLogRules, validate, reminderController.completeOccurrence);
+router.post('/:id/occurrences/:occurrence/skip', auth, occurrenceLogRules, validate, reminderController.skipOccurrence);
+router.delete('/:id/occurrences/:occurrence/log', auth, occurrenceLogRules, validate, reminderController.clearOccurrence);
+
+// Snooze a reminder's notification by a preset or custom duration, or until a time
+router.post(
+  '/:id/snooze',
+  auth,
+  [
+    param('id').isMongoId().withMessage('Invalid reminder ID'),
+    body('preset').optional().isIn(Object.keys(SNOOZE_PRESETS)).withMessage(`preset must be one of: ${Object.keys(SNOOZE_PRESETS).join(', ')}`),
+    body('minutes').optional().isInt({ min: 1, max: MAX_SNOOZE_MINUTES }).withMessage(`minutes must be between 1 and ${MAX_SNOOZE_MINUTES}`),
+    body('until').optional().isISO8601().withMessage('until must be a valid date'),
+    body().custom(value => ['preset', 'minutes', 'until'].filter(k => value?.[k] !== undefined).length === 1)
+      .withMessage('Give one of preset, minutes or until'),
+    body('occurrence').optional().isISO8601().withMessage('Invalid occurrence date'),
+    body('source').optional().isIn(SNOOZE_SOURCES).withMessage(`source must be one of: ${SNOOZE_SOURCES.join(', ')}`),
+  ],
+  validate,
+  reminderController.snoozeReminder
+);
+
+// A routine's completion log with its current/longest streak and completion rate over ?days=
+router.get(
+  '/:id/completions',
+  auth,
+  [
+    param('id').isMongoId().withMessage('Invalid reminder ID'),
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date'),
+    query('days').optional().isInt({ min: 1, max: 366 }).withMessage('days must be between 1 and 366'),
+  ],
+  validate,
+  reminderController.getCompletions
+);
+
 // Stream saved TTS audio for a reminder
 router.get(
   '/:id/tts',
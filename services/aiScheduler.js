@@ -1,12 +1,15 @@
 const Reminder = require('../models/reminderModel');
 const { buildNotificationText, ensureReminderTTS } = require('../utils/ttsService');
+const { resolveTimeZone, getZonedParts } = require('../utils/timezone');
 let gemini;
 try { gemini = require('./geminiService'); } catch (e) {
   console.warn('[ai] gemini service module failed to load; falling back if needed', e?.message);
 }
 
-// Heuristic fallback: find a free 60-minute slot within next 7 days (future-only)
-async function findSmartSlot({ userId, now = new Date() }) {
+// Heuristic fallback: find a free 60-minute slot within next 7 days (future-only).
+// Working hours are the user's local hours.
+async function findSmartSlot({ userId, now = new Date(), timeZone }) {
+  const zone = resolveTimeZone(timeZone);
   const startHour = 9;   // 9 AM
   const endHour = 18;    // 6 PM
   const oneHour = 60 * 60 * 1000;
@@ -18,7 +21,7 @@ async function findSmartSlot({ userId, now = new Date() }) {
   const busy = new Set(existing.filter(e => e.startDate).map(e => new Date(e.startDate).toISOString()));
 
   for (let d = new Date(now.getTime() + oneHour); d <= horizon; d = new Date(d.getTime() + oneHour)) {
-    const hour = d.getHours();
+    const { hour } = getZonedParts(d, zone);
     if (hour < startHour || hour >= endHour) continue;
     const iso = d.toISOString();
     if (!busy.has(iso)) return new Date(iso);
@@ -28,11 +31,12 @@ async function findSmartSlot({ userId, now = new Date() }) {
 
 // Background processing for a reminder: smart schedule + human-friendly line + TTS
 async function processBackgroundAI(reminderId, { user }) {
-  const rem = await Reminder.findById(reminderId).populate('user', 'fullname');
+  const rem = await Reminder.findById(reminderId).populate('user', 'fullname timezone');
   if (!rem) return null;
 
   // Smart scheduling for Column B (unscheduled Tasks only; Meetings are manual-only)
   let scheduleSource = null;
+  const timeZone = resolveTimeZone(rem.user?.timezone);
   if (!rem.isManualSchedule && rem.type === 'Task' && !rem.startDate) {
     let schedule = null;
     scheduleSource = null;
@@ -42,6 +46,7 @@ async function processBackgroundAI(reminderId, { user }) {
         schedule = await gemini.suggestFullScheduleWithGemini({
           userId: rem.user._id,
           now: new Date(),
+          timeZone,
           item: { type: rem.type, title: rem.title, description: rem.description || '' }
         });
         if (schedule) {
@@ -60,7 +65,7 @@ async function processBackgroundAI(reminderId, { user }) {
     }
     // 2) Fallback heuristic
     if (!schedule) {
-      const suggested = await findSmartSlot({ userId: rem.user._id, now: new Date() }).catch(() => null);
+      const suggested = await findSmartSlot({ userId: rem.user._id, now: new Date(), timeZone }).catch(() => null);
       if (suggested) {
         schedule = {
           startDateISO: suggested.toISOString(),
@@ -81,7 +86,9 @@ async function processBackgroundAI(reminderId, { user }) {
       if (schedule.startDateISO) rem.startDate = new Date(schedule.startDateISO);
       rem.scheduleType = schedule.scheduleType || undefined;
       rem.scheduleDays = Array.isArray(schedule.scheduleDays) ? schedule.scheduleDays : undefined;
-      rem.scheduleTime = schedule.scheduleTime || undefined;
+      rem.scheduleTime = schedule.scheduleTime
+        ? { ...schedule.scheduleTime, ...(schedule.scheduleTime.fixedTime ? { timeZone } : {}) }
+        : undefined;
       if (rem.scheduleType === 'one-day') {
         const pref = (schedule.scheduleTime && typeof schedule.scheduleTime.minutesBeforeStart === 'number') ? schedule.scheduleTime.minutesBeforeStart : 10;
         rem.notificationPreferenceMinutes = pref;
@@ -0,0 +1,146 @@
+// Log of reminder changes the assistant applied on the user's behalf, so the
+// latest ones can be reverted ("undo that" or POST /api/assistant/actions/:id/undo).
+// Actions are stored on the conversation that applied them:
+//   { type, label, changes: [{ reminderId, operation, previous }], createdAt, undoneAt }
+// operation is 'created' | 'updated' | 'deleted'; previous holds the fields an
+// update overwrote (occurrenceLog: what one occurrence of a routine had logged),
+// or the whole reminder for a delete (less its TTS audio, made again on restore).
+const Reminder = require('../models/reminderModel');
+const { updateUserReminder, deleteUserReminder, setOccurrenceStatus } = require('./reminderService');
+const { scheduleMeetingInvites } = require('./meetingInvites');
+const { t } = require('../utils/i18n');
+const { ensureReminderTTS } = require('../utils/ttsService');
+
+// How long after an action it can still be undone
+const UNDO_WINDOW_MINUTES = 15;
+// Older actions are dropped from the conversation
+const MAX_RECORDED_ACTIONS = 20;
+
+// Record an applied action on the conversation (the caller saves it).
+// Returns the stored action.
+function recordAction(conversation, { type, label, changes }) {
+  if (!conversation.actions) conversation.actions = [];
+  conversation.actions.push({ type, label, changes });
+  if (conversation.actions.length > MAX_RECORDED_ACTIONS) {
+    conversation.actions.splice(0, conversation.actions.length - MAX_RECORDED_ACTIONS);
+  }
+  return conversation.actions[conversation.actions.length - 1];
+}
+
+function isWithinUndoWindow(action, now = new Date()) {
+  return now.getTime() - new Date(action.createdAt).getTime() <= UNDO_WINDOW_MINUTES * 60000;
+}
+
+// Most recent action that has not been undone yet (may be outside the window)
+function findLatestAction(conversation) {
+  const actions = conversation.actions || [];
+  for (let i = actions.length - 1; i >= 0; i--) {
+    if (!actions[i].undoneAt) return actions[i];
+  }
+  return null;
+}
+
+// Public shape for API responses
+function toActionSummary(action) {
+  return {
+    id: action._id,
+    type: action.type,
+    label: action.label,
+    reminderIds: (action.changes || []).map(c => c.reminderId),
+    createdAt: action.createdAt,
+    undoneAt: action.undoneAt || null,
+    undoableUntil: new Date(new Date(action.createdAt).getTime() + UNDO_WINDOW_MINUTES * 60000)
+  };
+}
+
+// What happened to each reminder when an action was applied, or when it was undone
+const UNDONE_OPERATIONS = { created: 'deleted', deleted: 'restored', updated: 'reverted' };
+function reminderChangesOf(action, { undone = false } = {}) {
+  return (action?.changes || []).map(c => ({
+    reminderId: c.reminderId,
+    operation: undone ? UNDONE_OPERATIONS[c.operation] : c.operation
+  }));
+}
+
+// What a delete records to restore the reminder from: the reminder without its
+// TTS audio (regenerated on restore), so undo entries stay small
+function reminderSnapshot(reminder) {
+  const { tts, __v, ...snapshot } = reminder.toObject ? reminder.toObject() : reminder;
+  return snapshot;
+}
+
+async function revertChange(change, userId) {
+  if (change.operation === 'created') {
+    await deleteUserReminder({ userId, id: change.reminderId });
+    return;
+  }
+  if (change.operation === 'deleted') {
+    const exists = await Reminder.exists({ _id: change.reminderId });
+    if (!exists) {
+      const { __v, tts, ...snapshot } = change.previous || {};
+      const restored = await Reminder.create({ ...snapshot, _id: change.reminderId, user: userId });
+      if (restored.startDate) {
+        setImmediate(() => {
+          ensureReminderTTS(restored._id).catch(err => console.warn('[tts] generation failed on restore', err?.message));
+        });
+      }
+      // Attendees were sent a cancellation (one sequence number up) when it was
+      // deleted, so the re-sent invitation has to go past that
+      if (restored.type === 'Meeting' && restored.attendees?.length) {
+        restored.inviteSequence = (restored.inviteSequence || 0) + 1;
+        await restored.save();
+        scheduleMeetingInvites(restored._id, { resend: true });
+      }
+    }
+    return;
+  }
+  if (change.previous?.occurrenceLog) {
+    // One occurrence of a routine was logged: put back what it had before
+    const { occurrence, status, source, at } = change.previous.occurrenceLog;
+    const { reminder } = await setOccurrenceStatus({
+      userId,
+      id: change.reminderId,
+      occurrence,
+      status,
+      source,
+      loggedAt: at ? new Date(at) : undefined
+    });
+    if (!reminder) throw new Error(t('undo.reminderGone'));
+    return;
+  }
+  const { reminder } = await updateUserReminder({ userId, id: change.reminderId, updates: change.previous || {} });
+  if (!reminder) throw new Error(t('undo.reminderGone'));
+}
+
+// Revert an action. Marks it undone on success (the caller saves the conversation).
+// Returns { ok: true, message } or { ok: false, status, message }
+async function undoAction(action, userId, now = new Date()) {
+  if (action.undoneAt) {
+    return { ok: false, status: 409, message: t('undo.alreadyUndone') };
+  }
+  if (!isWithinUndoWindow(action, now)) {
+    return {
+      ok: false,
+      status: 410,
+      message: t('undo.expired', { minutes: UNDO_WINDOW_MINUTES })
+    };
+  }
+
+  // Revert newest-first so later changes do not resurrect earlier state
+  for (const change of [...(action.changes || [])].reverse()) {
+    await revertChange(change, userId);
+  }
+  action.undoneAt = now;
+  console.log('↩️ Assistant action undone:', { actionId: String(action._id), type: action.type });
+  return { ok: true, message: t('undo.done', { label: action.label }) };
+}
+
+module.exports = {
+  UNDO_WINDOW_MINUTES,
+  recordAction,
+  findLatestAction,
+  toActionSummary,
+  reminderChangesOf,
+  reminderSnapshot,
+  undoAction,
+};
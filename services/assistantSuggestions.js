@@ -0,0 +1,179 @@
+// Quick replies for the assistant's chat responses. Each suggestion is a label
+// to show and a payload the client sends back (POST /chat { payload }), so the
+// pending step can take the choice as it is instead of asking the model what
+// the user meant. Payloads:
+//   'confirm' | 'reject' | 'undo' | 'change:time'
+//   'routine:daily' | 'routine:specific-days'
+//   'days:MO,WE,FR'      - day codes 'SU'..'SA'
+//   'select:<n>'         - nth candidate (1-based) when several reminders match
+//   'time:<ISO>'         - move the pending item to a suggested free slot
+const { t, joinList, dayName, dateLocale } = require('../utils/i18n');
+const { toZonedTimeString } = require('../utils/timezone');
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+// Common day sets offered for routines, with their message keys
+const DAY_PRESETS = [
+  { key: 'weekdays', days: ['MO', 'TU', 'WE', 'TH', 'FR'] },
+  { key: 'weekends', days: ['SA', 'SU'] },
+  { key: 'monWedFri', days: ['MO', 'WE', 'FR'] },
+  { key: 'tueThu', days: ['TU', 'TH'] },
+];
+// Pending actions whose time can be changed before confirming
+const TIME_CHANGE_TYPES = ['create_task', 'schedule_meeting', 'reschedule_reminder'];
+
+// Parse a payload into { kind, ... }, or null when it is not one we hand out
+function parseSuggestionPayload(payload) {
+  if (typeof payload !== 'string') return null;
+  const [kind, ...rest] = payload.trim().split(':');
+  // ISO date-times contain colons themselves
+  const value = rest.join(':');
+  switch (kind) {
+    case 'confirm':
+    case 'reject':
+    case 'undo':
+      return value ? null : { kind };
+    case 'change':
+      return value === 'time' ? { kind, value } : null;
+    case 'routine':
+      return ['daily', 'specific-days'].includes(value) ? { kind, value } : null;
+    case 'days': {
+      const days = [...new Set(value.split(',').map(d => d.trim().toUpperCase()))];
+      return value && days.every(d => DAY_CODES.includes(d)) ? { kind, days } : null;
+    }
+    case 'select': {
+      const n = Number(value);
+      return Number.isInteger(n) && n >= 1 ? { kind, index: n - 1 } : null;
+    }
+    case 'time': {
+      const date = new Date(value);
+      return value && !isNaN(date.getTime()) ? { kind, date } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+function daysLabel(days) {
+  const preset = DAY_PRESETS.find(p => p.days.length === days.length && p.days.every(d => days.includes(d)));
+  return preset ? t(`suggestions.${preset.key}`) : joinList(days.map(dayName));
+}
+
+function slotLabel(iso, timeZone) {
+  const time = new Date(iso).toLocaleString(dateLocale(), { weekday: 'short', hour: 'numeric', minute: '2-digit', timeZone });
+  return t('suggestions.moveTo', { time });
+}
+
+// One occurrence of a recurring meeting is cancelled rather than deleted
+function confirmLabel(pending) {
+  const type = pending.type === 'delete_reminder' && pending.data?.occurrenceISO ? 'cancel_occurrence' : pending.type;
+  return t(`suggestions.confirm.${type}`);
+}
+
+const daysSuggestion = days => ({ label: daysLabel(days), payload: `days:${days.join(',')}` });
+
+// Suggestions for a chat response, from the step the conversation is now at
+// (pendingAction) and the response itself (free slots, an action to undo)
+function buildSuggestions({ pendingAction, envelope = {}, timeZone }) {
+  const pending = pendingAction && pendingAction.type ? pendingAction : null;
+  if (!pending) {
+    return envelope.actionId ? [{ label: t('suggestions.undo'), payload: 'undo' }] : [];
+  }
+
+  if (pending.needsRoutineConfirmation) {
+    return [
+      { label: t('suggestions.makeRoutine'), payload: 'confirm' },
+      { label: t('suggestions.justOnce'), payload: 'reject' }
+    ];
+  }
+  if (pending.needsRoutineSchedule) {
+    return [
+      { label: t('suggestions.daily'), payload: 'routine:daily' },
+      ...DAY_PRESETS.slice(0, 3).map(p => daysSuggestion(p.days)),
+      { label: t('suggestions.pickDays'), payload: 'routine:specific-days' }
+    ];
+  }
+  if (pending.needsSpecificDays) {
+    return DAY_PRESETS.map(p => daysSuggestion(p.days));
+  }
+  if (pending.needsSelection) {
+    return (pending.candidates || []).map((c, i) => ({ label: `${i + 1}. ${c.title}`, payload: `select:${i + 1}` }));
+  }
+  if (pending.confirmationNeeded) {
+    const slots = Array.isArray(envelope.suggestedSlots) ? envelope.suggestedSlots : [];
+    return [
+      { label: confirmLabel(pending), payload: 'confirm' },
+      ...(TIME_CHANGE_TYPES.includes(pending.type) ? [{ label: t('suggestions.changeTime'), payload: 'change:time' }] : []),
+      ...(TIME_CHANGE_TYPES.includes(pending.type)
+        ? slots.map(slot => ({ label: slotLabel(slot.start, timeZone), payload: `time:${slot.start}` }))
+        : []),
+      { label: t('suggestions.no'), payload: 'reject' }
+    ];
+  }
+  return [];
+}
+
+// What the user "said" by tapping a suggestion, for the conversation history
+function describeSuggestionChoice(choice, { pendingAction, timeZone } = {}) {
+  const routineQuestion = !!pendingAction?.needsRoutineConfirmation;
+  switch (choice.kind) {
+    case 'confirm':
+      if (routineQuestion) return t('suggestions.makeRoutine');
+      return pendingAction?.type ? confirmLabel(pendingAction) : t('suggestions.yes');
+    case 'reject':
+      return routineQuestion ? t('suggestions.justOnce') : t('suggestions.no');
+    case 'undo':
+      return t('suggestions.undo');
+    case 'change':
+      return t('suggestions.changeTime');
+    case 'routine':
+      return choice.value === 'daily' ? t('suggestions.daily') : t('suggestions.pickDays');
+    case 'days':
+      return daysLabel(choice.days);
+    case 'select': {
+      const candidate = pendingAction?.candidates?.[choice.index];
+      return candidate ? `${choice.index + 1}. ${candidate.title}` : String(choice.index + 1);
+    }
+    case 'time':
+      return slotLabel(choice.date.toISOString(), timeZone);
+    default:
+      return '';
+  }
+}
+
+// The confirm / reject / modify answer a choice stands for (the shape
+// analyzeUserResponseWithGemini returns), or null when it does not answer a yes/no step
+function choiceToUserIntent(choice, data = {}, timeZone) {
+  if (!choice) return null;
+  if (choice.kind === 'confirm' || choice.kind === 'reject') {
+    return { intent: choice.kind, modifications: {}, confidence: 100 };
+  }
+  if (choice.kind === 'time') {
+    const modifications = { startDateISO: choice.date.toISOString() };
+    if (data.isRoutine || data.scheduleTime?.fixedTime) {
+      modifications.scheduleTime = { ...(data.scheduleTime || {}), fixedTime: toZonedTimeString(choice.date, timeZone) };
+    }
+    return { intent: 'modify', modifications, confidence: 100 };
+  }
+  return null;
+}
+
+// The routine schedule a choice stands for (the shape analyzeRoutineScheduleWithGemini returns), or null
+function choiceToRoutineSchedule(choice) {
+  if (choice?.kind === 'routine') {
+    return { scheduleType: choice.value, days: [], confidence: 100 };
+  }
+  if (choice?.kind === 'days') {
+    return choice.days.length === DAY_CODES.length
+      ? { scheduleType: 'daily', days: [], confidence: 100 }
+      : { scheduleType: 'specific-days', days: choice.days, confidence: 100 };
+  }
+  return null;
+}
+
+module.exports = {
+  parseSuggestionPayload,
+  buildSuggestions,
+  describeSuggestionChoice,
+  choiceToUserIntent,
+  choiceToRoutineSchedule,
+};
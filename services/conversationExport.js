@@ -0,0 +1,71 @@
+// Transcript export for assistant conversations (GET /api/assistant/conversations/:id/export).
+// System messages are never exported. Messages archived by the history policy are
+// included ahead of the live ones, so the export covers the whole thread.
+
+// Reminders are linked by their REST path
+function reminderLink(id) {
+  return `/api/reminders/${id}`;
+}
+
+function toExportMessage(msg) {
+  return {
+    role: msg.role,
+    content: msg.content,
+    timestamp: msg.timestamp ? new Date(msg.timestamp).toISOString() : null,
+    reminders: (msg.reminderChanges || []).map(change => ({
+      id: String(change.reminderId),
+      operation: change.operation,
+      link: reminderLink(change.reminderId)
+    }))
+  };
+}
+
+// Structured export: { id, title, timeZone, createdAt, updatedAt, exportedAt, messages }
+function buildConversationExport(conversation, archives = [], { timeZone = 'UTC', now = new Date() } = {}) {
+  const archived = archives.flatMap(archive => archive.messages || []);
+  const messages = [...archived, ...conversation.messages]
+    .filter(msg => msg.role !== 'system')
+    .map(toExportMessage);
+
+  return {
+    id: String(conversation._id),
+    title: conversation.title,
+    timeZone,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    exportedAt: now.toISOString(),
+    messages
+  };
+}
+
+function formatTimestamp(iso, timeZone) {
+  if (!iso) return '';
+  return new Date(iso).toLocaleString('en-US', { timeZone, dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function renderConversationMarkdown(exported) {
+  const { timeZone } = exported;
+  const lines = [
+    `# ${exported.title || 'Conversation'}`,
+    '',
+    `- Conversation: \`${exported.id}\``,
+    `- Exported: ${formatTimestamp(exported.exportedAt, timeZone)} (${timeZone})`,
+    `- Messages: ${exported.messages.length}`,
+    ''
+  ];
+
+  for (const msg of exported.messages) {
+    const speaker = msg.role === 'user' ? 'You' : 'Assistant';
+    lines.push('---', '', `**${speaker}** · ${formatTimestamp(msg.timestamp, timeZone)}`, '', msg.content, '');
+    if (msg.reminders.length) {
+      const refs = msg.reminders.map(r => `${r.operation} [\`${r.id}\`](${r.link})`);
+      lines.push(`> Reminders: ${refs.join(', ')}`, '');
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  buildConversationExport,
+  renderConversationMarkdown,
+};
@@ -0,0 +1,165 @@
+// History policy for assistant conversations.
+// The model sees the system prompt, a rolling summary of older turns and the
+// last N turns verbatim (N = the user's assistantSettings.historyTurns).
+// After a reply is saved, turns that have fallen out of the window are folded
+// into the summary and moved to ConversationArchive, so the conversation
+// document stays bounded however long the user keeps chatting.
+const Conversation = require('../models/Conversation');
+const ConversationArchive = require('../models/conversationArchiveModel');
+const llm = require('./llm');
+const { replyInstruction } = require('../utils/i18n');
+
+const DEFAULT_HISTORY_TURNS = 10;
+const MIN_HISTORY_TURNS = 2;
+const MAX_HISTORY_TURNS = 50;
+// Fold only once this many messages are outside the window, so the summary
+// call runs every few turns instead of on every reply
+const FOLD_BATCH_MESSAGES = 6;
+const MAX_SUMMARY_CHARS = 2000;
+
+// Window size (in turns) for a user, clamped to the allowed range
+function resolveHistoryTurns(user) {
+  const n = Number(user?.assistantSettings?.historyTurns);
+  if (!Number.isInteger(n)) return DEFAULT_HISTORY_TURNS;
+  return Math.min(MAX_HISTORY_TURNS, Math.max(MIN_HISTORY_TURNS, n));
+}
+
+// Provider chat history: system prompt (+ reply language, summary), then the retained turns
+function buildChatHistory(conversation, { language } = {}) {
+  const system = [
+    ...conversation.messages.filter(m => m.role === 'system').map(m => m.content),
+    replyInstruction(language)
+  ].filter(Boolean).join('\n\n');
+  const summary = conversation.summary?.text;
+  const history = [];
+  if (system || summary) {
+    history.push({
+      role: 'system',
+      content: summary ? `${system}\n\nSummary of the earlier conversation:\n${summary}`.trim() : system
+    });
+  }
+  for (const msg of conversation.messages) {
+    if (msg.role !== 'system') history.push({ role: msg.role, content: msg.content });
+  }
+  return history;
+}
+
+// Keep the newest lines of a summary within MAX_SUMMARY_CHARS
+function clipSummary(text) {
+  let out = String(text || '').trim();
+  while (out.length > MAX_SUMMARY_CHARS && out.includes('\n')) {
+    out = out.slice(out.indexOf('\n') + 1);
+  }
+  return out.slice(-MAX_SUMMARY_CHARS);
+}
+
+// Used when the model is unavailable or returns nothing: one line per user request
+function buildTemplateSummary(previous, messages) {
+  const lines = messages
+    .filter(m => m.role === 'user')
+    .map(m => `- User: ${m.content.replace(/\s+/g, ' ').trim().slice(0, 140)}`);
+  return clipSummary([previous, ...lines].filter(Boolean).join('\n'));
+}
+
+async function summarizeMessages(previous, messages) {
+  const transcript = messages.map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`).join('\n');
+  const systemPrompt = `You maintain a running summary of a conversation between a user and their productivity assistant.
+Merge the EXISTING SUMMARY with the NEW MESSAGES into one updated summary.
+- Keep facts that matter later: the user's preferences, people and places they mentioned, tasks or meetings that were created, changed or declined, and open questions.
+- Drop greetings and small talk.
+- At most 150 words, plain text, no preamble.`;
+  const userContent = `EXISTING SUMMARY:\n${previous || '(none)'}\n\nNEW MESSAGES:\n${transcript}`;
+
+  try {
+    const raw = await llm.generateText({
+      task: 'history_summary',
+      system: systemPrompt,
+      prompt: userContent,
+      input: { previous, messages }
+    });
+    const text = String(raw || '').trim();
+    if (text) return clipSummary(text);
+  } catch (e) {
+    console.warn('[history] summary generation failed; using template', e?.message);
+  }
+  return buildTemplateSummary(previous, messages);
+}
+
+// Fold the turns outside the user's window into the summary and archive them.
+// Returns the number of messages folded.
+async function compactConversation(conversationId, { historyTurns = DEFAULT_HISTORY_TURNS } = {}) {
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation) return 0;
+
+  const visible = conversation.messages.filter(m => m.role !== 'system');
+  const excess = visible.length - historyTurns * 2;
+  if (excess < FOLD_BATCH_MESSAGES) return 0;
+
+  const folded = visible.slice(0, excess);
+  const previousCount = conversation.summary?.messageCount || 0;
+  const text = await summarizeMessages(conversation.summary?.text || '', folded);
+
+  // Archive first so the folded messages are never only in memory; the summary
+  // update is guarded on the old count so two overlapping folds cannot both
+  // apply, and the loser drops its archive entry again
+  const archived = await ConversationArchive.create({
+    conversationId: conversation._id,
+    userId: conversation.userId,
+    messages: folded.map(m => ({
+      role: m.role,
+      content: m.content,
+      timestamp: m.timestamp,
+      reminderChanges: m.reminderChanges
+    }))
+  });
+  const result = await Conversation.updateOne(
+    { _id: conversation._id, 'summary.messageCount': previousCount ? previousCount : { $in: [0, null] } },
+    {
+      $set: {
+        'summary.text': text,
+        'summary.messageCount': previousCount + folded.length,
+        'summary.coveredUntil': folded[folded.length - 1].timestamp,
+        'summary.updatedAt': new Date()
+      },
+      $pull: { messages: { _id: { $in: folded.map(m => m._id) } } }
+    }
+  );
+  if (!result.modifiedCount) {
+    await ConversationArchive.deleteOne({ _id: archived._id });
+    return 0;
+  }
+
+  console.log('[history] folded messages into summary', {
+    conversationId: String(conversation._id),
+    folded: folded.length,
+    summarized: previousCount + folded.length
+  });
+  return folded.length;
+}
+
+// Run compactConversation after the response has been sent (non-blocking)
+function scheduleCompaction(conversation, user) {
+  const historyTurns = resolveHistoryTurns(user);
+  const visible = conversation.messages.filter(m => m.role !== 'system').length;
+  if (visible - historyTurns * 2 < FOLD_BATCH_MESSAGES) return;
+  setImmediate(() => {
+    compactConversation(conversation._id, { historyTurns })
+      .catch(err => console.warn('[history] compaction failed', err?.message));
+  });
+}
+
+// Drop a conversation's summary and archived messages (used when clearing/deleting)
+async function clearHistoryArchive(conversationId) {
+  await ConversationArchive.deleteMany({ conversationId });
+}
+
+module.exports = {
+  DEFAULT_HISTORY_TURNS,
+  MIN_HISTORY_TURNS,
+  MAX_HISTORY_TURNS,
+  resolveHistoryTurns,
+  buildChatHistory,
+  compactConversation,
+  scheduleCompaction,
+  clearHistoryArchive,
+};
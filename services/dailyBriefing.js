@@ -0,0 +1,202 @@
+// Daily briefing (GET /api/assistant/briefing): the day's agenda plus a short
+// spoken summary. The summary is written by the model from the agenda only,
+// with a template fallback, and its audio is cached on VoiceReply keyed by a
+// hash of the agenda, so asking again for an unchanged day costs nothing.
+const crypto = require('crypto');
+const Reminder = require('../models/reminderModel');
+const VoiceReply = require('../models/voiceReplyModel');
+const llm = require('./llm');
+const { findScheduleItems } = require('./scheduleQuery');
+const { ensureVoiceReplyTTS } = require('../utils/ttsService');
+const {
+  resolveTimeZone,
+  getZonedParts,
+  endOfZonedDay,
+  parseZonedDateTime,
+  toZonedDateString
+} = require('../utils/timezone');
+const {
+  resolveLanguage,
+  withLanguage,
+  currentLanguage,
+  t,
+  dateLocale,
+  joinList,
+  replyInstruction
+} = require('../utils/i18n');
+
+const MAX_OVERDUE_TASKS = 20;
+
+// Start of the requested "YYYY-MM-DD" day in the zone (today when absent); null when invalid
+function resolveBriefingDay(date, now, timeZone) {
+  const day = date || toZonedDateString(now, timeZone);
+  const start = parseZonedDateTime(day, null, timeZone);
+  // Rejects rollovers such as 2026-02-30
+  if (!start || isNaN(start.getTime()) || toZonedDateString(start, timeZone) !== day) return null;
+  return start;
+}
+
+async function findOverdueTasks(userId, before) {
+  const tasks = await Reminder.find({
+    user: userId,
+    type: 'Task',
+    isCompleted: false,
+    scheduleType: { $ne: 'routine' },
+    startDate: { $lt: before }
+  })
+    .select('title description startDate')
+    .sort({ startDate: 1 })
+    .limit(MAX_OVERDUE_TASKS)
+    .lean();
+  return tasks.map(t => ({
+    id: t._id,
+    title: t.title,
+    description: t.description || '',
+    dueAt: new Date(t.startDate).toISOString()
+  }));
+}
+
+// Collect the agenda for the day starting at dayStart
+async function collectAgenda(userId, dayStart, timeZone) {
+  const dayEnd = endOfZonedDay(dayStart, timeZone);
+  const { items } = await findScheduleItems({
+    userId,
+    query: { rangeStartISO: dayStart.toISOString(), rangeEndISO: dayEnd.toISOString() },
+    now: dayStart,
+    timeZone
+  });
+
+  return {
+    reminders: items.filter(it => it.source === 'reminder' && it.type !== 'Location'),
+    events: items.filter(it => it.source === 'calendar'),
+    overdueTasks: await findOverdueTasks(userId, dayStart),
+    locationReminders: items.filter(it => it.type === 'Location' && it.status === 'active')
+  };
+}
+
+function formatTime(iso, timeZone) {
+  return new Date(iso).toLocaleTimeString(dateLocale(), { hour: 'numeric', minute: '2-digit', timeZone });
+}
+
+// Opening sentence: "Good morning Sara, here's your day for Monday, October 19."
+function greetingFor(dayStart, now, timeZone, name) {
+  const date = dayStart.toLocaleDateString(dateLocale(), { weekday: 'long', month: 'long', day: 'numeric', timeZone });
+  const today = toZonedDateString(now, timeZone) === toZonedDateString(dayStart, timeZone);
+  if (!today) return t('briefing.greetingPlan', { name, date });
+  const hour = getZonedParts(now, timeZone).hour;
+  const part = hour < 12 ? 'morning' : hour < 17 ? 'afternoon' : 'evening';
+  return t(`briefing.${part}`, { name, date });
+}
+
+// Plain-text summary used when the model is unavailable
+function buildTemplateSummary(agenda, { dayStart, now, timeZone, name }) {
+  const sentences = [greetingFor(dayStart, now, timeZone, name)];
+
+  const scheduled = [...agenda.reminders, ...agenda.events]
+    .sort((a, b) => new Date(a.start) - new Date(b.start))
+    .map(it => (it.allDay
+      ? t('briefing.allDayItem', { title: it.title })
+      : t('briefing.scheduledItem', { title: it.title, time: formatTime(it.start, timeZone) })));
+  if (scheduled.length) {
+    sentences.push(t('briefing.scheduled', {
+      count: scheduled.length,
+      list: joinList(scheduled.slice(0, 6)),
+      more: scheduled.length > 6
+    }));
+  } else {
+    sentences.push(t('briefing.nothing'));
+  }
+  if (agenda.overdueTasks.length) {
+    sentences.push(t('briefing.overdue', {
+      count: agenda.overdueTasks.length,
+      list: joinList(agenda.overdueTasks.slice(0, 3).map(task => task.title)),
+      more: agenda.overdueTasks.length > 3
+    }));
+  }
+  if (agenda.locationReminders.length) {
+    const places = agenda.locationReminders.slice(0, 3)
+      .map(r => (r.location ? t('briefing.near', { title: r.title, place: r.location }) : r.title));
+    sentences.push(t('briefing.out', { list: joinList(places) }));
+  }
+  return sentences.join(' ');
+}
+
+async function summarizeWithModel(agenda, { dayStart, now, timeZone, name }) {
+  const systemPrompt = `You are Bela, a friendly voice assistant giving ${name} their daily briefing. It will be read aloud.
+Use ONLY the agenda provided; never invent items, times or details.
+- Greet ${name} briefly, then cover the scheduled items in time order, then overdue tasks, then location reminders.
+- Times in a friendly 12-hour format in the user's time zone.
+- At most 90 words, plain sentences: no lists, markdown or emoji.
+${replyInstruction()}`.trim();
+  const userContent = `Now (UTC): ${now.toISOString()}\nUser time zone: ${timeZone}\nBriefing date: ${toZonedDateString(dayStart, timeZone)}\nAgenda:\n${JSON.stringify(agenda, null, 2)}`;
+  const text = await llm.generateText({
+    task: 'daily_briefing',
+    system: systemPrompt,
+    prompt: userContent,
+    input: { agenda, date: toZonedDateString(dayStart, timeZone), now, timeZone, name }
+  });
+  return String(text || '').trim();
+}
+
+// Same agenda, day, greeting and language -> same briefing text
+function agendaHash(agenda, date, greeting) {
+  const key = JSON.stringify({
+    date,
+    greeting,
+    language: currentLanguage(),
+    items: [...agenda.reminders, ...agenda.events, ...agenda.overdueTasks, ...agenda.locationReminders]
+      .map(it => [String(it.id), it.title, it.start || it.dueAt || null, !!it.isCompleted])
+  });
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Build the briefing for a user, in their language. date is "YYYY-MM-DD" in the user's
+// zone (default today). Returns null for an invalid date, otherwise
+// { date, timeZone, summary, summarySource, audioUrl, audioStatus, reminders, events, overdueTasks, locationReminders }
+async function buildDailyBriefing(options) {
+  return withLanguage(resolveLanguage(options.user), () => assembleBriefing(options));
+}
+
+async function assembleBriefing({ user, date, now = new Date(), withAudio = true }) {
+  const timeZone = resolveTimeZone(user?.timezone);
+  const dayStart = resolveBriefingDay(date, now, timeZone);
+  if (!dayStart) return null;
+
+  const userId = user._id || user.id;
+  const name = user?.fullname?.split(' ')[0] || t('briefing.defaultName');
+  const day = toZonedDateString(dayStart, timeZone);
+  const agenda = await collectAgenda(userId, dayStart, timeZone);
+  const sourceHash = agendaHash(agenda, day, greetingFor(dayStart, now, timeZone, name));
+
+  let summary = '';
+  let summarySource = 'model';
+  let spoken = await VoiceReply.findOne({ user: userId, sourceHash, status: 'ready' });
+  if (spoken) {
+    summary = spoken.text;
+    summarySource = 'cache';
+  } else {
+    try {
+      summary = await summarizeWithModel(agenda, { dayStart, now, timeZone, name });
+    } catch (e) {
+      console.warn('[briefing] model summary failed; using template', e?.message);
+    }
+    if (!summary) {
+      summary = buildTemplateSummary(agenda, { dayStart, now, timeZone, name });
+      summarySource = 'template';
+    }
+    if (withAudio) spoken = await ensureVoiceReplyTTS(summary, { userId, sourceHash });
+  }
+
+  const audioReady = spoken?.status === 'ready';
+  return {
+    date: day,
+    timeZone,
+    summary,
+    summarySource,
+    audioUrl: audioReady ? `/api/assistant/voice/replies/${spoken._id}/audio` : null,
+    audioStatus: spoken ? spoken.status : 'skipped',
+    ...agenda
+  };
+}
+
+module.exports = { buildDailyBriefing };
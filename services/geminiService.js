@@ -1,31 +1,10 @@
 const Reminder = require('../models/reminderModel');
 const Calendar = require('../models/calendarModel');
 
-let GoogleGenerativeAI = null;
-try {
-  // CommonJS require of a package that exports named class
-  const mod = require('@google/generative-ai');
-  GoogleGenerativeAI = mod?.GoogleGenerativeAI || null;
-  if (!GoogleGenerativeAI) {
-    console.warn('[gemini] SDK loaded but GoogleGenerativeAI export missing');
-  }
-} catch (e) {
-  console.warn('[gemini] SDK load failed:', e?.message);
-}
-
-function getModel() {
-  if (!GoogleGenerativeAI) {
-    console.warn('[gemini] SDK not installed/loaded');
-    throw new Error('Gemini SDK not installed');
-  }
-  const apiKey = process.env.GOOGLE_GEMINI_API_KEY;
-  if (!apiKey) {
-    console.warn('[gemini] Missing GOOGLE_GEMINI_API_KEY');
-    throw new Error('GOOGLE_GEMINI_API_KEY not configured');
-  }
-  const client = new GoogleGenerativeAI(apiKey);
-  return client.getGenerativeModel({ model: 'gemini-2.5-flash' });
-}
+const llm = require('./llm');
+const { generateJSON } = require('./llm/structured');
+const { loadPromptMemories } = require('./userMemory');
+const { resolveTimeZone, formatOffset } = require('../utils/timezone');
 
 // Build Column A: future tasks/meetings within 7 days
 async function buildColumnA({ userId, now = new Date() }) {
@@ -59,43 +38,39 @@ async function buildColumnA({ userId, now = new Date() }) {
 // Ask Gemini to fully determine the schedule for an unscheduled task/meeting
 // item: { type: 'Task'|'Meeting', title: string, description?: string }
 // Returns: { startDateISO, scheduleType: 'one-day'|'routine', scheduleDays: number[], scheduleTime: { minutesBeforeStart?: number, fixedTime?: string } } | null
-async function suggestFullScheduleWithGemini({ userId, now = new Date(), item = {} }) {
+async function suggestFullScheduleWithGemini({ userId, now = new Date(), item = {}, timeZone }) {
+  timeZone = resolveTimeZone(timeZone);
   const colA = await buildColumnA({ userId, now });
-  const model = getModel();
+  const memories = await loadPromptMemories(userId);
   const systemPrompt = `You are an expert scheduler. Given Column A (existing items with ISO UTC timestamps for next 7 days), the current time, and the NEW ITEM details, choose a smart schedule for the new item.
 
 Decision heuristics:
-- If the NEW ITEM's title suggests a recurring habit or routine (e.g., pray, namaz, prayer, workout, gym, run, walk, meditation, study, read, take medicine, hydrate/water plants, journal), prefer scheduleType "routine" with a fixedTime (HH:mm, 24h) during typical waking hours (06:00–22:00). For daily routines, scheduleDays should be an empty array [].
+- If the user's known habits and preferences (when given) cover the NEW ITEM, follow them: use the time and days they mention instead of the generic choices below.
+- If the NEW ITEM's title suggests a recurring habit or routine (e.g., pray, namaz, prayer, workout, gym, run, walk, meditation, study, read, take medicine, hydrate/water plants, journal), prefer scheduleType "routine" with a fixedTime (HH:mm, 24h, the user's local time) during typical waking hours (06:00–22:00 local). For daily routines, scheduleDays should be an empty array [].
 - If the item seems one-off, choose scheduleType "one-day" and propose a future startDateISO within 7 days.
 - If it seems recurring but not daily, choose specific scheduleDays (0=Sun..6=Sat) and a fixedTime.
+- Waking and working hours refer to the user's time zone; startDateISO must still be written in UTC.
 - Ensure the startDateISO is in the future within the next 7 days if scheduleType is one-day.
 - Avoid conflicts with Column A and leave at least 30 minutes buffer.
 - Output ONLY strict JSON with the following exact shape and no extra text:
 {"startDateISO":"YYYY-MM-DDTHH:MM:SSZ or null for routine","scheduleType":"one-day|routine","scheduleDays":[ints 0-6],"scheduleTime":{"minutesBeforeStart":int or null,"fixedTime":"HH:MM" or null}}
 If no acceptable schedule within the next 7 days is possible for one-day, select routine with an appropriate fixed time. If absolutely no suggestion is possible, output {"startDateISO":null,"scheduleType":"one-day","scheduleDays":[],"scheduleTime":{"minutesBeforeStart":null,"fixedTime":null}}`;
 
-  const userContent = `Column A:\n${JSON.stringify(colA, null, 2)}\nNow (UTC): ${now.toISOString()}\nNEW ITEM:\n${JSON.stringify({ type: item.type, title: item.title, description: item.description || '' }, null, 2)}`;
+  const userContent = `Column A:\n${JSON.stringify(colA, null, 2)}\nNow (UTC): ${now.toISOString()}\nUser time zone: ${timeZone} (UTC${formatOffset(now, timeZone)})\nNEW ITEM:\n${JSON.stringify({ type: item.type, title: item.title, description: item.description || '' }, null, 2)}${memories.length ? `\nKnown habits and preferences of the user:\n${memories.map(m => `- ${m}`).join('\n')}` : ''}`;
 
-  let raw = '';
+  let obj;
   try {
-    const result = await model.generateContent([{ text: systemPrompt }, { text: userContent }]);
-    raw = result?.response?.text?.() || result?.response?.candidates?.[0]?.content?.parts?.[0]?.text || '';
+    // Validated against schemas.full_schedule; day codes like "MO" are repaired to 1
+    obj = await generateJSON({
+      task: 'full_schedule',
+      system: systemPrompt,
+      prompt: userContent,
+      input: { item, now, timeZone, existing: colA, memories }
+    });
   } catch (e) {
     console.warn('[gemini] generate schedule failed:', e?.message);
     throw e;
   }
-  const text = String(raw).trim();
-  let obj = null;
-  try {
-    obj = JSON.parse(text);
-  } catch (e) {
-    // Try to extract JSON block
-    const m = text.match(/\{[\s\S]*\}/);
-    if (m) {
-      try { obj = JSON.parse(m[0]); } catch {}
-    }
-  }
-  if (!obj || typeof obj !== 'object') throw new Error('Gemini returned non-JSON schedule');
 
   const schedule = {
     startDateISO: obj.startDateISO || null,
@@ -120,7 +95,6 @@ If no acceptable schedule within the next 7 days is possible for one-day, select
 }
 
 async function generateNotificationLineWithGemini({ reminder, user }) {
-  const model = getModel();
   const name = (user?.fullname || '').split(' ')[0] || 'there';
   const type = reminder.type;
   const title = reminder.title || '';
@@ -129,8 +103,12 @@ async function generateNotificationLineWithGemini({ reminder, user }) {
 
   let lineRaw = '';
   try {
-    const result = await model.generateContent([{ text: systemPrompt }, { text: userContent }]);
-    lineRaw = result?.response?.text?.() || result?.response?.candidates?.[0]?.content?.parts?.[0]?.text || '';
+    lineRaw = await llm.generateText({
+      task: 'notification_line',
+      system: systemPrompt,
+      prompt: userContent,
+      input: { name, type, title }
+    });
   } catch (e) {
     console.warn('[gemini] generate line failed:', e?.message);
     throw e;
@@ -0,0 +1,68 @@
+let GoogleGenerativeAI = null;
+try {
+  // CommonJS require of a package that exports named class
+  const mod = require('@google/generative-ai');
+  GoogleGenerativeAI = mod?.GoogleGenerativeAI || null;
+  if (!GoogleGenerativeAI) {
+    console.warn('[gemini] SDK loaded but GoogleGenerativeAI export missing');
+  }
+} catch (e) {
+  console.warn('[gemini] SDK load failed:', e?.message);
+}
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+function createProvider({ apiKey = process.env.GOOGLE_GEMINI_API_KEY, model = process.env.GEMINI_MODEL || DEFAULT_MODEL } = {}) {
+  let client = null;
+
+  function getModel() {
+    if (!GoogleGenerativeAI) {
+      console.warn('[gemini] SDK not installed/loaded');
+      throw new Error('Gemini SDK not installed');
+    }
+    if (!apiKey) {
+      console.warn('[gemini] Missing GOOGLE_GEMINI_API_KEY');
+      throw new Error('GOOGLE_GEMINI_API_KEY not configured');
+    }
+    if (!client) client = new GoogleGenerativeAI(apiKey);
+    return client.getGenerativeModel({ model });
+  }
+
+  function toGeminiHistory(history = []) {
+    return history.map(msg => ({
+      role: msg.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: msg.content }]
+    }));
+  }
+
+  function readText(response) {
+    return response?.text?.() || response?.candidates?.[0]?.content?.parts?.[0]?.text || '';
+  }
+
+  return {
+    name: 'gemini',
+
+    async generateText({ system, prompt }) {
+      const parts = system ? [{ text: system }, { text: prompt }] : prompt;
+      const result = await getModel().generateContent(parts);
+      return readText(await result.response);
+    },
+
+    async chat({ history, message }) {
+      const session = getModel().startChat({ history: toGeminiHistory(history) });
+      const result = await session.sendMessage(message);
+      return readText(await result.response);
+    },
+
+    async *chatStream({ history, message }) {
+      const session = getModel().startChat({ history: toGeminiHistory(history) });
+      const result = await session.sendMessageStream(message);
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield text;
+      }
+    },
+  };
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,49 @@
+// LLM provider selection. Every prompt in the app goes through one provider:
+//   generateText({ task, system?, prompt, input? }) -> Promise<string>
+//   chat({ history, message })                      -> Promise<string>
+//   chatStream({ history, message })                -> AsyncIterable<string>
+// `task` names the prompt (e.g. 'intent_detection', 'full_schedule') and `input`
+// carries its raw values, so non-LLM providers can answer without parsing prompts.
+// history is [{ role: 'system'|'user'|'assistant', content }].
+//
+// LLM_PROVIDER selects the implementation: 'gemini' (default) or 'local'
+// (deterministic, offline; see localProvider.js).
+
+const providers = {
+  gemini: () => require('./geminiProvider'),
+  local: () => require('./localProvider'),
+};
+
+let cached = null;
+
+function getProvider() {
+  let name = String(process.env.LLM_PROVIDER || 'gemini').toLowerCase().trim();
+  if (!providers[name]) {
+    console.warn(`[llm] unknown LLM_PROVIDER "${name}", using gemini`);
+    name = 'gemini';
+  }
+  if (!cached || cached.name !== name) {
+    cached = providers[name]().createProvider();
+    console.log('[llm] provider:', cached.name);
+  }
+  return cached;
+}
+
+function generateText(options) {
+  return getProvider().generateText(options);
+}
+
+function chat(options) {
+  return getProvider().chat(options);
+}
+
+function chatStream(options) {
+  return getProvider().chatStream(options);
+}
+
+module.exports = {
+  getProvider,
+  generateText,
+  chat,
+  chatStream,
+};
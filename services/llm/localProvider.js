@@ -0,0 +1,395 @@
+const fs = require('fs');
+const { startOfZonedDay, addZonedDays, toZonedDateString } = require('../../utils/timezone');
+const { parseDateTime, splitRequestClauses } = require('../../utils/dateParser');
+const { findDayCodes } = require('../../utils/i18n');
+const { parseAttendeeMentions } = require('../../utils/attendeeMentions');
+
+// Deterministic offline provider (LLM_PROVIDER=local).
+// Answers come from, in order:
+//   1. a script file (LLM_SCRIPT_PATH) mapping task name -> response or list of
+//      responses; lists are consumed in order and the last entry repeats.
+//      Objects are returned as JSON text, like a model would.
+//   2. built-in rule-based handlers per task, good enough to walk through the
+//      assistant flows (create, confirm, query, change) without network access.
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_WORDS = {
+  sunday: 'SU', sun: 'SU',
+  monday: 'MO', mon: 'MO',
+  tuesday: 'TU', tue: 'TU', tues: 'TU',
+  wednesday: 'WE', wed: 'WE',
+  thursday: 'TH', thu: 'TH', thurs: 'TH',
+  friday: 'FR', fri: 'FR',
+  saturday: 'SA', sat: 'SA',
+};
+// Third-person forms for remembered habits ("I go" -> "Goes")
+const HABIT_VERBS = { go: 'goes', finish: 'finishes' };
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'my', 'me', 'to', 'at', 'on', 'in', 'for', 'of', 'and', 'is', 'i', 'am', 'it', 'as',
+  'please', 'remind', 'create', 'task', 'meeting', 'schedule', 'set', 'up', 'add', 'new', 'reminder',
+  'tomorrow', 'today', 'tonight', 'next', 'this', 'every', 'daily', 'am', 'pm', 'move', 'reschedule',
+  'push', 'mark', 'done', 'complete', 'completed', 'finished', 'cancel', 'delete', 'remove', 'when',
+  'what', 'do', 'have', 'with', 'about', 'near', 'im', "i'm", 'get', 'go', 'session',
+  'morning', 'afternoon', 'evening', 'night', 'week', 'month',
+  'weeks', 'weekly', 'biweekly', 'fortnightly', 'other', 'until', 'times',
+]);
+
+function loadScript(path) {
+  if (!path) return {};
+  try {
+    return JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (e) {
+    console.warn('[llm:local] could not read script file', path, e?.message);
+    return {};
+  }
+}
+
+function titleCase(text) {
+  return text.replace(/\b\w/g, c => c.toUpperCase());
+}
+
+function keywordsOf(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s']/g, ' ')
+    .split(/\s+/)
+    .filter(w => w && !STOP_WORDS.has(w) && !/^\d/.test(w) && !DAY_WORDS[w] && !DAY_WORDS[w.replace(/s$/, '')]);
+}
+
+function extractDays(text) {
+  const lower = String(text || '').toLowerCase();
+  if (/\b(every ?day|daily|all days)\b/.test(lower)) return [...DAY_CODES.slice(1), 'SU'];
+  if (/\bweekdays?\b/.test(lower)) return ['MO', 'TU', 'WE', 'TH', 'FR'];
+  if (/\bweekends?\b/.test(lower)) return ['SA', 'SU'];
+  const out = [];
+  for (const word of lower.split(/[^a-z]+/)) {
+    const base = word.endsWith('s') && DAY_WORDS[word.slice(0, -1)] ? word.slice(0, -1) : word;
+    const code = DAY_WORDS[base];
+    if (code && !out.includes(code)) out.push(code);
+  }
+  // Urdu / Roman Urdu day names ("پیر اور بدھ", "mangal")
+  for (const code of findDayCodes(text)) {
+    if (!out.includes(code)) out.push(code);
+  }
+  return out;
+}
+
+// "5pm", "5:30 pm", "17:00" -> "HH:mm"
+function extractTime(text, now, timeZone) {
+  const parsed = parseDateTime(text, { now, timeZone });
+  return parsed?.matched.time ? parsed.scheduleTime.fixedTime : null;
+}
+
+// Resolve "today"/"tomorrow"/a weekday name/"the 3rd" to the start of that day in the zone, or null
+function extractDay(text, now, timeZone) {
+  const parsed = parseDateTime(text, { now, timeZone });
+  return parsed?.matched.date ? startOfZonedDay(new Date(parsed.startDateISO), timeZone) : null;
+}
+
+function extractDateTime(text, now, timeZone) {
+  const parsed = parseDateTime(text, { now, timeZone });
+  return parsed && (parsed.matched.date || parsed.matched.time) ? new Date(parsed.startDateISO) : null;
+}
+
+function toDateOnly(date, timeZone) {
+  return date ? toZonedDateString(date, timeZone) : null;
+}
+
+// Time of a remembered habit about the same thing ("Goes to the gym at 06:00"), or null
+function habitTimeFor(message, memories) {
+  const words = new Set(keywordsOf(message));
+  for (const fact of memories) {
+    const time = (String(fact).match(/\b(?:[01]\d|2[0-3]):[0-5]\d\b/) || [])[0];
+    if (time && keywordsOf(fact).some(w => words.has(w))) return time;
+  }
+  return null;
+}
+
+// How a recurring meeting repeats: "every other week" / "every 3 weeks", "for 6 weeks",
+// "10 times", "until June 30" -> { interval, count, untilISO }
+function extractRecurrence(message, days, now, timeZone) {
+  const text = message.toLowerCase();
+  const every = text.match(/\bevery (\d+) (weeks?|days?)\b/);
+  const interval = /\b(every other|bi-?weekly|fortnightly)\b/.test(text) ? 2 : every ? Number(every[1]) : null;
+  const perWeek = days.length || 1;
+  const forWeeks = text.match(/\bfor (\d+) weeks?\b/);
+  const times = text.match(/\b(\d+) (times|sessions|meetings)\b/);
+  const count = times ? Number(times[1])
+    : forWeeks ? Math.ceil(Number(forWeeks[1]) / (interval || 1)) * perWeek
+      : null;
+  const untilText = message.split(/\buntil\b/i)[1];
+  const until = untilText ? extractDay(untilText, now, timeZone) : null;
+  return { interval, count, untilISO: until ? toDateOnly(until, timeZone) : null };
+}
+
+// One task/meeting item of an intent_detection answer; a missing time comes
+// from the user's remembered habits when one matches
+function createItem(message, now, timeZone, memories = []) {
+  const text = message.toLowerCase();
+  // "... until June 30" names where a series ends, not when it starts
+  const startText = message.split(/\buntil\b/i)[0];
+  let at = extractDateTime(startText, now, timeZone);
+  let time = extractTime(startText, now, timeZone);
+  const habitTime = time ? null : habitTimeFor(message, memories);
+  if (habitTime) {
+    time = habitTime;
+    at = extractDateTime(`${message} at ${habitTime}`, now, timeZone) || at;
+  }
+  const isMeeting = /\b(meeting|meet|call with|standup|sync|1:1|one on one|appointment)\b/.test(text);
+  const days = extractDays(text);
+  const isRoutine = /\b(every|daily|weekly|bi-?weekly|fortnightly|weekdays?|weekends?)\b/.test(text);
+  const repeat = isMeeting && isRoutine ? extractRecurrence(message, days, now, timeZone) : {};
+  const title = titleCase(keywordsOf(message).slice(0, 5).join(' ')) || (isMeeting ? 'Meeting' : 'Task');
+  return {
+    intent: isMeeting ? 'meeting' : 'task',
+    data: {
+      title,
+      description: message,
+      startDateISO: at ? at.toISOString() : null,
+      duration: 30,
+      isRoutine,
+      isRecurring: isMeeting && isRoutine,
+      scheduleType: isRoutine ? 'routine' : 'one-day',
+      scheduleDays: isRoutine ? days : [],
+      scheduleTime: { fixedTime: time, minutesBeforeStart: isMeeting ? 10 : 15 },
+      recurrenceInterval: repeat.interval || null,
+      recurrenceCount: repeat.count || null,
+      recurrenceUntilISO: repeat.untilISO || null,
+      attendees: isMeeting ? parseAttendeeMentions(message) : [],
+    },
+    missingFields: at || (isRoutine && time) ? [] : ['startDateISO'],
+  };
+}
+
+const handlers = {
+  intent_detection({ message = '', now = new Date(), timeZone, memories = [] }) {
+    const text = message.toLowerCase();
+    const time = extractTime(message, now, timeZone);
+    const keywords = keywordsOf(message);
+    const none = { intent: 'none', data: {}, missingFields: [], confidence: 90 };
+
+    if (/\b(what do i have|what's on|whats on|when is|when's|am i free|my schedule|agenda)\b/.test(text)) {
+      const day = extractDay(message, now, timeZone);
+      return {
+        intent: 'query',
+        data: {},
+        query: {
+          rangeStartISO: day ? day.toISOString() : null,
+          rangeEndISO: day ? new Date(addZonedDays(day, 1, timeZone).getTime() - 1).toISOString() : null,
+          keywords: day ? [] : keywords.slice(0, 3),
+          itemType: 'any',
+        },
+        missingFields: [],
+        confidence: 85,
+      };
+    }
+    if (/\b(move|reschedule|push|postpone)\b/.test(text)) {
+      const [subject] = text.split(/\bto\b/);
+      return {
+        intent: 'reschedule',
+        data: {},
+        target: { keywords: keywordsOf(subject).slice(0, 3), dateISO: null, itemType: 'any' },
+        changes: { dateISO: toDateOnly(extractDay(text.split(/\bto\b/).slice(1).join(' '), now, timeZone), timeZone), time },
+        missingFields: [],
+        confidence: 80,
+      };
+    }
+    if (/\b(mark|done|finished|completed?)\b/.test(text) && !/\bremind\b/.test(text)) {
+      return { intent: 'complete', data: {}, target: { keywords: keywords.slice(0, 3), dateISO: null, itemType: 'any' }, missingFields: [], confidence: 80 };
+    }
+    if (/\b(cancel|delete|remove)\b/.test(text)) {
+      return {
+        intent: 'delete',
+        data: {},
+        target: { keywords: keywords.slice(0, 3), dateISO: toDateOnly(extractDay(message, now, timeZone), timeZone), itemType: 'any' },
+        missingFields: [],
+        confidence: 80,
+      };
+    }
+    if (/\b(near|nearby|pass by|when i'?m at)\b/.test(text)) {
+      const place = (text.match(/\bnear (?:a |an |the )?([a-z ]+?)(?: on | every |$|[.,!])/) || [])[1] || '';
+      const errand = (text.match(/\bto (.+?) when\b/) || [])[1] || '';
+      return {
+        intent: 'location',
+        data: {
+          title: titleCase(errand || place || 'Location reminder'),
+          description: errand || message,
+          placeKeyword: place.trim(),
+          scheduleDays: extractDays(text),
+        },
+        missingFields: [],
+        confidence: 80,
+      };
+    }
+
+    const isMeeting = /\b(meeting|meet|call with|standup|sync|1:1|one on one)\b/.test(text);
+    const isTask = /\b(remind|task|todo|to-do|need to|have to)\b/.test(text);
+    if (!isMeeting && !isTask) return none;
+
+    // Several requests in one message: one item per clause
+    const clauses = splitRequestClauses(message, { now, timeZone });
+    if (clauses.length > 1) {
+      return {
+        intent: 'multiple',
+        data: {},
+        items: clauses.map(clause => ({ text: clause, ...createItem(clause, now, timeZone, memories) })),
+        missingFields: [],
+        confidence: 75,
+      };
+    }
+    return { ...createItem(message, now, timeZone, memories), confidence: 75 };
+  },
+
+  routine_check() {
+    return { likelyRoutine: false, confidence: 100, question: '' };
+  },
+
+  routine_schedule({ message = '' }) {
+    const text = message.toLowerCase().trim();
+    if (/^1\b|\b(daily|every ?day|all days)\b/.test(text)) return { scheduleType: 'daily', days: [], confidence: 100 };
+    const days = extractDays(text);
+    if (/^2\b|\bspecific\b|\bcertain\b/.test(text) || days.length) {
+      return { scheduleType: 'specific-days', days, confidence: 90 };
+    }
+    return { scheduleType: 'unclear', days: [], confidence: 0 };
+  },
+
+  days_extraction({ message = '' }) {
+    const days = extractDays(message);
+    return { days, confidence: days.length ? 100 : 0 };
+  },
+
+  user_response({ message = '', now = new Date(), timeZone }) {
+    const text = message.toLowerCase().trim();
+    if (/^(y|yes|yeah|yep|sure|ok|okay|confirm|go ahead|do it|create it|looks good|perfect)\b/.test(text)) {
+      return { intent: 'confirm', modifications: {}, confidence: 100 };
+    }
+    if (/^(n|no|nope|cancel|stop|don'?t|never ?mind|forget it|abort)\b/.test(text)) {
+      return { intent: 'reject', modifications: {}, confidence: 100 };
+    }
+    const at = extractDateTime(message, now, timeZone);
+    if (at) {
+      const time = extractTime(message, now, timeZone);
+      return {
+        intent: 'modify',
+        modifications: { startDateISO: at.toISOString(), ...(time ? { scheduleTime: { fixedTime: time } } : {}) },
+        confidence: 80,
+      };
+    }
+    return { intent: 'unclear', modifications: {}, confidence: 0 };
+  },
+
+  modification_detection({ message = '', data = {}, now = new Date(), timeZone }) {
+    const at = extractDateTime(message, now, timeZone);
+    if (!at) return { hasChanges: false, updatedData: data, changesSummary: '' };
+    return { hasChanges: true, updatedData: { ...data, startDateISO: at.toISOString() }, changesSummary: 'Updated the date/time' };
+  },
+
+  missing_fields({ message = '', missingFields = [], now = new Date(), timeZone }) {
+    const extractedData = {};
+    if (missingFields.includes('startDateISO')) {
+      const at = extractDateTime(message, now, timeZone);
+      if (at) extractedData.startDateISO = at.toISOString();
+    }
+    if (missingFields.includes('title') && message.trim()) extractedData.title = titleCase(message.trim());
+    if (missingFields.includes('description') && message.trim()) extractedData.description = message.trim();
+    if (missingFields.includes('placeKeyword') && message.trim()) {
+      extractedData.placeKeyword = message.trim().replace(/^(a|an|the)\s+/i, '');
+    }
+    const duration = message.match(/\b(\d+)\s*(min|minutes|hours?|h)\b/i);
+    if (missingFields.includes('duration') && duration) {
+      extractedData.duration = /^h/i.test(duration[2]) ? parseInt(duration[1], 10) * 60 : parseInt(duration[1], 10);
+    }
+    const remainingFields = missingFields.filter(f => !Object.prototype.hasOwnProperty.call(extractedData, f));
+    return { extractedData, allFieldsFilled: remainingFields.length === 0, remainingFields };
+  },
+
+  // No suggestion: callers fall back to their own heuristics (findSmartSlot)
+  full_schedule() {
+    return { startDateISO: null, scheduleType: 'one-day', scheduleDays: [], scheduleTime: { minutesBeforeStart: null, fixedTime: null } };
+  },
+
+  notification_line({ name = 'there', type = 'Task', title = '' }) {
+    return type === 'Meeting' ? `Hey ${name}, time for your meeting: ${title}.` : `Hey ${name}, reminder: ${title}.`;
+  },
+
+  // Empty answer: callers use their template answer
+  schedule_answer() {
+    return '';
+  },
+
+  daily_briefing() {
+    return '';
+  },
+
+  // First-person habits and preferences: "I go to the gym at 6am",
+  // "my standup is always at 9:30", "I prefer meetings after lunch"
+  memory_extraction({ message = '', known = [], now = new Date(), timeZone }) {
+    const facts = [];
+    const add = (text, category) => {
+      const fact = text.charAt(0).toUpperCase() + text.slice(1);
+      const seen = [...known, ...facts.map(f => f.text)].some(k => k.toLowerCase() === fact.toLowerCase());
+      if (!seen) facts.push({ text: fact, category, replaces: null });
+    };
+    for (const sentence of message.toLowerCase().split(/[.!?;\n]+/)) {
+      const text = sentence.trim();
+      // One-off requests are not habits
+      if (!text || /\b(remind|tomorrow|today|tonight|next|this)\b/.test(text)) continue;
+      const time = extractTime(text, now, timeZone);
+      const fixed = text.match(/\bmy ([a-z0-9' -]+?) (?:is|are|starts?) (?:always |usually |normally )?(?:at|around)\b/);
+      const habit = text.match(/\bi (?:usually |always |normally |often )?(go|wake|work|run|walk|pray|study|read|eat|leave|start|finish|sleep|get)\b(.*?)\s+(?:at|around|by)\b/);
+      const preference = text.match(/\bi (?:really )?prefer (.+)/);
+      if (fixed && time) add(`${fixed[1]} is at ${time}`, 'schedule');
+      else if (habit && time) add(`${HABIT_VERBS[habit[1]] || `${habit[1]}s`}${habit[2]} at ${time}`, 'habit');
+      else if (preference) add(`prefers ${preference[1].trim()}`, 'preference');
+    }
+    return { facts };
+  },
+};
+
+function createProvider({ scriptPath = process.env.LLM_SCRIPT_PATH } = {}) {
+  const script = loadScript(scriptPath);
+  const cursors = {};
+
+  function scripted(task) {
+    if (!Object.prototype.hasOwnProperty.call(script, task)) return undefined;
+    const entry = script[task];
+    if (!Array.isArray(entry)) return entry;
+    const i = Math.min(cursors[task] || 0, entry.length - 1);
+    cursors[task] = i + 1;
+    return entry[i];
+  }
+
+  function respond(task, input) {
+    let out = scripted(task);
+    if (out === undefined && handlers[task]) out = handlers[task](input || {});
+    if (out === undefined) out = '';
+    return typeof out === 'string' ? out : JSON.stringify(out);
+  }
+
+  function chatReply(message) {
+    const out = scripted('chat');
+    if (out !== undefined) return typeof out === 'string' ? out : JSON.stringify(out);
+    return `I'm running in offline mode, so I can only help with tasks, meetings and your schedule right now. You said: "${message}"`;
+  }
+
+  return {
+    name: 'local',
+
+    async generateText({ task, input }) {
+      return respond(task, input);
+    },
+
+    async chat({ message }) {
+      return chatReply(message);
+    },
+
+    async *chatStream({ message }) {
+      // Emit word by word so streaming clients see several deltas
+      const words = chatReply(message).split(/(?<=\s)/);
+      for (const word of words) yield word;
+    },
+  };
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,429 @@
+// Schemas for the structured (JSON) responses the app asks the model for, keyed
+// by task name, plus a small validator that also repairs mistakes models commonly
+// make. Schema nodes:
+//   { type, nullable?, enum?, min?, max?, default?, properties?, required?, items? }
+// (nullable keeps an explicit null instead of filling in the default)
+// type is one of 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'any'
+// or a domain type:
+//   'dayCode'  — 'SU'..'SA' (accepts 0-6, "mon", "Monday", "پیر")
+//   'dayIndex' — 0 (Sun)..6 (Sat) (accepts "MO", "Monday", "1")
+//   'time'     — "HH:mm" 24h (accepts "9:00", "5pm", "17:30:00")
+//   'dateTime' — ISO date-time string
+//   'date'     — "YYYY-MM-DD" (accepts a full ISO date-time)
+// Object properties not listed in the schema are kept as they are; optional
+// properties may be null.
+const { findDayCodes } = require('../../utils/i18n');
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function dayIndexOf(value) {
+  if (typeof value === 'number') return Number.isInteger(value) && value >= 0 && value <= 6 ? value : -1;
+  const text = String(value ?? '').trim().toLowerCase();
+  if (/^[0-6]$/.test(text)) return Number(text);
+  const code = DAY_CODES.indexOf(text.toUpperCase());
+  if (code !== -1) return code;
+  if (text.length >= 3) {
+    const index = DAY_NAMES.findIndex(name => name.startsWith(text));
+    if (index !== -1) return index;
+  }
+  // A single day named in another language ("پیر", "juma")
+  const localized = findDayCodes(text);
+  return localized.length === 1 ? DAY_CODES.indexOf(localized[0]) : -1;
+}
+
+function toTime(value) {
+  const m = String(value ?? '').trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?(?::\d{2}(?:\.\d+)?)?\s*(am|pm)?$/);
+  if (!m) return null;
+  let hour = Number(m[1]);
+  const minute = Number(m[2] || 0);
+  if (m[3] === 'pm' && hour < 12) hour += 12;
+  if (m[3] === 'am' && hour === 12) hour = 0;
+  if (!m[2] && !m[3]) return null;
+  if (hour > 23 || minute > 59) return null;
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+function describe(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+// Validate `value` against `schema`. Returns { value, errors, repaired }:
+// value is the coerced copy, errors lists "path: problem" strings and
+// repaired lists the paths whose values had to be coerced.
+function validate(schema, value) {
+  const errors = [];
+  const repaired = [];
+
+  function visit(node, input, path) {
+    const at = path || '(root)';
+    if (input === undefined || input === null) {
+      if (node.default !== undefined) {
+        if (input === null && node.nullable) return null;
+        return typeof node.default === 'function' ? node.default() : node.default;
+      }
+      // Optional fields may be null or absent; required ones are checked by their object
+      return input;
+    }
+
+    switch (node.type) {
+      case 'any':
+        return input;
+
+      case 'string': {
+        let out = input;
+        if (typeof out === 'number' || typeof out === 'boolean') {
+          out = String(out);
+          repaired.push(at);
+        }
+        if (typeof out !== 'string') {
+          errors.push(`${at}: expected a string, got ${describe(input)}`);
+          return input;
+        }
+        if (node.enum && !node.enum.includes(out)) {
+          const normalized = out.trim().toLowerCase().replace(/[_\s]+/g, '-');
+          const match = node.enum.find(option => option.toLowerCase() === normalized || option.toLowerCase() === out.trim().toLowerCase());
+          if (match === undefined) {
+            errors.push(`${at}: ${describe(input)} is not one of ${node.enum.map(e => `"${e}"`).join(', ')}`);
+            return input;
+          }
+          repaired.push(at);
+          return match;
+        }
+        return out;
+      }
+
+      case 'number':
+      case 'integer': {
+        let out = input;
+        if (typeof out === 'string' && out.trim() !== '' && !isNaN(Number(out))) {
+          out = Number(out);
+          repaired.push(at);
+        }
+        if (typeof out !== 'number' || !isFinite(out)) {
+          errors.push(`${at}: expected a number, got ${describe(input)}`);
+          return input;
+        }
+        if (node.type === 'integer' && !Number.isInteger(out)) {
+          out = Math.round(out);
+          repaired.push(at);
+        }
+        if (node.min !== undefined && out < node.min) { out = node.min; repaired.push(at); }
+        if (node.max !== undefined && out > node.max) { out = node.max; repaired.push(at); }
+        return out;
+      }
+
+      case 'boolean': {
+        if (typeof input === 'boolean') return input;
+        const text = String(input).trim().toLowerCase();
+        if (['true', 'yes', '1'].includes(text)) { repaired.push(at); return true; }
+        if (['false', 'no', '0'].includes(text)) { repaired.push(at); return false; }
+        errors.push(`${at}: expected true or false, got ${describe(input)}`);
+        return input;
+      }
+
+      case 'dayCode':
+      case 'dayIndex': {
+        const index = dayIndexOf(input);
+        if (index === -1) {
+          errors.push(`${at}: ${describe(input)} is not a day (use ${node.type === 'dayCode' ? '"SU".."SA"' : '0 (Sunday)..6 (Saturday)'})`);
+          return input;
+        }
+        const out = node.type === 'dayCode' ? DAY_CODES[index] : index;
+        if (out !== input) repaired.push(at);
+        return out;
+      }
+
+      case 'time': {
+        const out = toTime(input);
+        if (!out) {
+          errors.push(`${at}: ${describe(input)} is not a time in "HH:mm" format`);
+          return input;
+        }
+        if (out !== input) repaired.push(at);
+        return out;
+      }
+
+      case 'dateTime': {
+        const date = input instanceof Date ? input : (typeof input === 'string' ? new Date(input) : null);
+        if (!date || isNaN(date.getTime())) {
+          errors.push(`${at}: ${describe(input)} is not an ISO date-time`);
+          return input;
+        }
+        return typeof input === 'string' ? input : date.toISOString();
+      }
+
+      case 'date': {
+        const m = String(input).match(/^(\d{4}-\d{2}-\d{2})/);
+        if (!m || isNaN(new Date(`${m[1]}T00:00:00Z`).getTime())) {
+          errors.push(`${at}: ${describe(input)} is not a date in "YYYY-MM-DD" format`);
+          return input;
+        }
+        if (m[1] !== input) repaired.push(at);
+        return m[1];
+      }
+
+      case 'array': {
+        let list = input;
+        if (!Array.isArray(list)) {
+          // "MO, WE" or a lone value where a list was asked for
+          list = typeof list === 'string' && list.includes(',') ? list.split(',').map(s => s.trim()).filter(Boolean) : [list];
+          repaired.push(at);
+        }
+        return node.items ? list.map((item, i) => visit(node.items, item, `${path}[${i}]`)) : list;
+      }
+
+      case 'object': {
+        if (typeof input !== 'object' || Array.isArray(input)) {
+          errors.push(`${at}: expected an object, got ${describe(input)}`);
+          return input;
+        }
+        const out = { ...input };
+        for (const key of node.required || []) {
+          if ((out[key] === undefined || out[key] === null) && node.properties?.[key]?.default === undefined) {
+            errors.push(`${path ? `${path}.` : ''}${key}: is required`);
+          }
+        }
+        for (const [key, child] of Object.entries(node.properties || {})) {
+          if (out[key] === undefined && child.default === undefined) continue;
+          out[key] = visit(child, out[key], path ? `${path}.${key}` : key);
+        }
+        return out;
+      }
+
+      default:
+        return input;
+    }
+  }
+
+  const out = visit(schema, value, '');
+  return { value: out, errors, repaired };
+}
+
+// ---- shared pieces ----
+const confidence = { type: 'number', min: 0, max: 100 };
+const isoDateTime = { type: 'dateTime', nullable: true };
+const stringList = { type: 'array', items: { type: 'string' } };
+const dayCodes = { type: 'array', items: { type: 'dayCode' } };
+const scheduleTime = {
+  type: 'object',
+  nullable: true,
+  properties: {
+    fixedTime: { type: 'time', nullable: true },
+    minutesBeforeStart: { type: 'integer', nullable: true, min: 0 }
+  }
+};
+const itemData = {
+  type: 'object',
+  default: () => ({}),
+  properties: {
+    title: { type: 'string' },
+    description: { type: 'string' },
+    startDateISO: isoDateTime,
+    duration: { type: 'integer', nullable: true, min: 1 },
+    isRoutine: { type: 'boolean' },
+    isRecurring: { type: 'boolean' },
+    // Recurring meetings: every n weeks (days when daily), and where the series ends
+    recurrenceInterval: { type: 'integer', nullable: true, min: 1 },
+    recurrenceUntilISO: { type: 'date', nullable: true },
+    recurrenceCount: { type: 'integer', nullable: true, min: 1 },
+    scheduleType: { type: 'string', nullable: true, enum: ['one-day', 'routine', 'specific-days'] },
+    scheduleDays: dayCodes,
+    scheduleTime,
+    placeKeyword: { type: 'string', nullable: true },
+    // Meeting attendees; email is null when only a name was said
+    attendees: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', nullable: true },
+          email: { type: 'string', nullable: true }
+        }
+      }
+    }
+  }
+};
+const itemType = { type: 'string', enum: ['task', 'meeting', 'any'], default: 'any' };
+const target = {
+  type: 'object',
+  nullable: true,
+  properties: {
+    keywords: stringList,
+    dateISO: { type: 'date', nullable: true },
+    itemType
+  }
+};
+
+const schemas = {
+  intent_detection: {
+    type: 'object',
+    required: ['intent'],
+    properties: {
+      intent: {
+        type: 'string',
+        enum: ['task', 'meeting', 'location', 'multiple', 'query', 'reschedule', 'complete', 'delete', 'none']
+      },
+      data: itemData,
+      query: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          rangeStartISO: isoDateTime,
+          rangeEndISO: isoDateTime,
+          keywords: stringList,
+          itemType
+        }
+      },
+      target,
+      changes: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          dateISO: { type: 'date', nullable: true },
+          time: { type: 'time', nullable: true }
+        }
+      },
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['intent', 'data'],
+          properties: {
+            intent: { type: 'string', enum: ['task', 'meeting', 'location'] },
+            text: { type: 'string' },
+            data: itemData,
+            missingFields: stringList
+          }
+        }
+      },
+      missingFields: { ...stringList, default: () => [] },
+      confidence
+    }
+  },
+
+  routine_check: {
+    type: 'object',
+    required: ['likelyRoutine'],
+    properties: {
+      likelyRoutine: { type: 'boolean' },
+      confidence: { ...confidence, default: 0 },
+      question: { type: 'string', default: '' }
+    }
+  },
+
+  routine_schedule: {
+    type: 'object',
+    required: ['scheduleType'],
+    properties: {
+      scheduleType: { type: 'string', enum: ['daily', 'specific-days', 'unclear'] },
+      days: { ...dayCodes, default: () => [] },
+      confidence: { ...confidence, default: 0 }
+    }
+  },
+
+  days_extraction: {
+    type: 'object',
+    required: ['days'],
+    properties: {
+      days: dayCodes,
+      confidence: { ...confidence, default: 0 }
+    }
+  },
+
+  user_response: {
+    type: 'object',
+    required: ['intent'],
+    properties: {
+      intent: { type: 'string', enum: ['confirm', 'reject', 'modify', 'unclear'] },
+      modifications: {
+        type: 'object',
+        default: () => ({}),
+        properties: {
+          title: { type: 'string' },
+          description: { type: 'string' },
+          startDateISO: isoDateTime,
+          duration: { type: 'integer', nullable: true, min: 1 },
+          scheduleTime,
+          placeKeyword: { type: 'string', nullable: true },
+          scheduleDays: dayCodes
+        }
+      },
+      confidence: { ...confidence, default: 0 }
+    }
+  },
+
+  modification_detection: {
+    type: 'object',
+    required: ['hasChanges'],
+    properties: {
+      hasChanges: { type: 'boolean' },
+      updatedData: {
+        type: 'object',
+        default: () => ({}),
+        properties: {
+          startDateISO: isoDateTime,
+          duration: { type: 'integer', nullable: true, min: 1 },
+          scheduleDays: dayCodes,
+          scheduleTime
+        }
+      },
+      changesSummary: { type: 'string', default: '' }
+    }
+  },
+
+  missing_fields: {
+    type: 'object',
+    properties: {
+      extractedData: {
+        type: 'object',
+        default: () => ({}),
+        properties: {
+          title: { type: 'string' },
+          description: { type: 'string' },
+          startDateISO: isoDateTime,
+          duration: { type: 'integer', nullable: true, min: 1 },
+          placeKeyword: { type: 'string', nullable: true }
+        }
+      },
+      allFieldsFilled: { type: 'boolean', default: false },
+      remainingFields: { ...stringList, default: () => [] }
+    }
+  },
+
+  full_schedule: {
+    type: 'object',
+    required: ['scheduleType'],
+    properties: {
+      startDateISO: isoDateTime,
+      scheduleType: { type: 'string', enum: ['one-day', 'routine'] },
+      scheduleDays: { type: 'array', default: () => [], items: { type: 'dayIndex' } },
+      scheduleTime: { ...scheduleTime, default: () => ({ minutesBeforeStart: null, fixedTime: null }) }
+    }
+  },
+
+  memory_extraction: {
+    type: 'object',
+    properties: {
+      facts: {
+        type: 'array',
+        default: () => [],
+        items: {
+          type: 'object',
+          required: ['text'],
+          properties: {
+            text: { type: 'string' },
+            category: { type: 'string', enum: ['habit', 'schedule', 'preference', 'other'], default: 'other' },
+            replaces: { type: 'string', nullable: true }
+          }
+        }
+      }
+    }
+  },
+};
+
+module.exports = {
+  schemas,
+  validate,
+};
@@ -0,0 +1,124 @@
+// Structured (JSON) responses from the model. generateJSON asks the provider,
+// extracts the JSON, validates and repairs it against the task's schema
+// (see schemas.js) and, when it is still invalid, asks once more with the
+// problems listed. Outcomes are counted per task in LlmParseStat.
+const llm = require('./index');
+const { schemas, validate } = require('./schemas');
+const LlmParseStat = require('../../models/llmParseStatModel');
+const { parsingInstruction } = require('../../utils/i18n');
+
+// Parse a model reply: strips markdown fences and surrounding prose.
+// Returns undefined when there is no JSON object in it.
+function extractJSON(raw) {
+  const text = String(raw ?? '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  try {
+    return JSON.parse(text);
+  } catch {
+    const m = text.match(/\{[\s\S]*\}/);
+    if (m) {
+      try { return JSON.parse(m[0]); } catch {}
+    }
+  }
+  return undefined;
+}
+
+// Non-blocking: stats must never break a chat turn
+function recordStats(task, counts) {
+  const $inc = {};
+  for (const [key, n] of Object.entries(counts)) if (n) $inc[key] = n;
+  const day = new Date().toISOString().slice(0, 10);
+  LlmParseStat.updateOne({ task, day }, { $inc }, { upsert: true })
+    .catch(err => console.warn('[llm:json] could not record stats', err?.message));
+}
+
+function buildRetryPrompt(prompt, raw, errors) {
+  return `${prompt}
+
+Your previous reply could not be used:
+- ${errors.join('\n- ')}
+
+Previous reply:
+${String(raw ?? '').slice(0, 2000)}
+
+Return ONLY the corrected JSON object with the structure requested above, no markdown, no explanation.`;
+}
+
+// generateText for prompts that must return JSON.
+// Resolves to the validated (and repaired) object; rejects with code
+// 'LLM_INVALID_JSON' (err.task, err.errors) when the retry is invalid too.
+// Provider errors (network, quota) are passed through without retrying.
+async function generateJSON({ task, system, prompt, input, schema = schemas[task] }) {
+  // Messages in the user's language are read with that language in mind
+  const languageNote = parsingInstruction();
+  if (languageNote) prompt = `${prompt}\n\n${languageNote}`;
+  const counts = { requests: 1, parseFailures: 0, validationFailures: 0, repairs: 0, retries: 0, recovered: 0, failures: 0 };
+  let attemptPrompt = prompt;
+  let attemptInput = input;
+  let errors = [];
+
+  try {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const raw = await llm.generateText({ task, system, prompt: attemptPrompt, input: attemptInput });
+      const parsed = extractJSON(raw);
+
+      if (parsed === undefined || parsed === null || typeof parsed !== 'object') {
+        counts.parseFailures++;
+        errors = ['the reply is not a JSON object'];
+      } else if (!schema) {
+        return parsed;
+      } else {
+        const result = validate(schema, parsed);
+        if (!result.errors.length) {
+          counts.repairs += result.repaired.length;
+          if (result.repaired.length) {
+            console.log('[llm:json] repaired', task, result.repaired);
+          }
+          if (attempt > 0) counts.recovered++;
+          return result.value;
+        }
+        counts.validationFailures++;
+        errors = result.errors;
+      }
+
+      console.warn(`[llm:json] ${task} reply invalid (attempt ${attempt + 1}):`, errors);
+      if (attempt === 0) {
+        counts.retries++;
+        attemptPrompt = buildRetryPrompt(prompt, raw, errors);
+        attemptInput = { ...input, validationErrors: errors };
+      }
+    }
+
+    counts.failures++;
+    const err = new Error(`Model returned invalid JSON for ${task}: ${errors.join('; ')}`);
+    err.code = 'LLM_INVALID_JSON';
+    err.task = task;
+    err.errors = errors;
+    throw err;
+  } finally {
+    recordStats(task, counts);
+  }
+}
+
+// Totals per task for the last `days` days (including today)
+async function getParseStats({ days = 7, now = new Date() } = {}) {
+  const since = new Date(now.getTime() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const rows = await LlmParseStat.find({ day: { $gte: since } }).lean();
+  const byTask = {};
+  for (const row of rows) {
+    const total = byTask[row.task] || (byTask[row.task] = {
+      task: row.task, requests: 0, parseFailures: 0, validationFailures: 0, repairs: 0, retries: 0, recovered: 0, failures: 0
+    });
+    for (const key of Object.keys(total)) {
+      if (key !== 'task') total[key] += row[key] || 0;
+    }
+  }
+  return Object.values(byTask)
+    .map(t => ({ ...t, failureRate: t.requests ? Math.round((t.failures / t.requests) * 1000) / 1000 : 0 }))
+    .sort((a, b) => b.failureRate - a.failureRate || b.retries - a.retries);
+}
+
+module.exports = {
+  extractJSON,
+  generateJSON,
+  getParseStats,
+};
@@ -0,0 +1,432 @@
+// Meeting attendees: turning what clients and the assistant send into attendee
+// entries, emailing .ics invitations (and updates / cancellations), and RSVPs,
+// either from the links in the email or from Voxa users in the app.
+const crypto = require('crypto');
+const Reminder = require('../models/reminderModel');
+const User = require('../models/userModel');
+const Notification = require('../models/notificationModel');
+const { sendEmail } = require('../utils/sendEmail');
+const { buildIcsEvent } = require('../utils/ics');
+const { resolveTimeZone } = require('../utils/timezone');
+const { listOccurrences, ruleOf, recurrenceOf, toRRule } = require('../utils/recurrence');
+const { describeRRule } = require('../utils/rrule');
+
+const MAX_ATTENDEES = 50;
+const RSVP_STATUSES = ['accepted', 'declined', 'tentative'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Meetings store no length of their own unless endDate was set
+const DEFAULT_MEETING_MINUTES = 30;
+const MAX_MEETING_HOURS = 12;
+
+function apiBaseUrl() {
+  return (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+}
+
+function isEmail(value) {
+  return EMAIL_PATTERN.test(String(value || '').trim());
+}
+
+function attendeeKey(a) {
+  return a.email ? a.email : `name:${String(a.name || '').toLowerCase()}`;
+}
+
+// People with an email address from the organizer's earlier meetings, so
+// "meeting with Sara" can reach the Sara they invited before
+async function loadKnownContacts(organizerId) {
+  const meetings = await Reminder.find({ user: organizerId, type: 'Meeting' })
+    .sort({ createdAt: -1 })
+    .limit(100)
+    .select('attendees')
+    .lean();
+  return meetings.flatMap(m => m.attendees || []).filter(a => a.email && a.name);
+}
+
+function findContact(contacts, name) {
+  const wanted = name.toLowerCase();
+  const matches = contacts.filter(c => {
+    const full = c.name.toLowerCase();
+    return full === wanted || full.split(/\s+/)[0] === wanted;
+  });
+  const emails = [...new Set(matches.map(c => c.email))];
+  return emails.length === 1 ? matches[0] : null;
+}
+
+// Attendee entries from a request: emails, names, { email, name } or { userId }.
+// Voxa users are linked by email, names are looked up among earlier attendees,
+// the organizer is left out and duplicates are merged. Entries already on the
+// meeting (existing) keep their RSVP status and token.
+async function normalizeAttendees(list, organizer, existing = []) {
+  const organizerId = organizer?._id || organizer?.id;
+  const organizerEmail = String(organizer?.email || '').toLowerCase();
+  const previous = (existing || []).map(a => (a.toObject ? a.toObject() : a));
+  let contacts = null;
+  const out = [];
+
+  for (const entry of (Array.isArray(list) ? list : []).slice(0, MAX_ATTENDEES)) {
+    const raw = typeof entry === 'string'
+      ? (isEmail(entry) ? { email: entry } : { name: entry })
+      : (entry || {});
+    let email = isEmail(raw.email) ? String(raw.email).trim().toLowerCase() : null;
+    let name = raw.name ? String(raw.name).trim() : null;
+    let user = null;
+
+    if (raw.userId) {
+      user = await User.findById(raw.userId).select('fullname email');
+      if (!user) continue;
+      email = user.email.toLowerCase();
+      name = name || user.fullname;
+    }
+    if (!email && name) {
+      contacts = contacts || await loadKnownContacts(organizerId);
+      const contact = findContact(contacts, name);
+      if (contact) {
+        email = contact.email;
+        name = contact.name;
+      }
+    }
+    if (!email && !name) continue;
+    if (email && email === organizerEmail) continue;
+    if (email && !user) user = await User.findOne({ email }).select('fullname email');
+
+    const attendee = { email: email || undefined, name: name || user?.fullname || undefined };
+    if (out.some(a => attendeeKey(a) === attendeeKey(attendee))) continue;
+    const before = previous.find(a => attendeeKey(a) === attendeeKey(attendee));
+    out.push({
+      ...attendee,
+      user: user?._id || before?.user || undefined,
+      status: before?.status || 'pending',
+      rsvpToken: before?.rsvpToken || (email ? crypto.randomBytes(24).toString('hex') : undefined),
+      invitedAt: before?.invitedAt || null,
+      respondedAt: before?.respondedAt || null
+    });
+  }
+  return out;
+}
+
+function meetingEnd(reminder) {
+  const start = new Date(reminder.startDate);
+  const end = reminder.endDate ? new Date(reminder.endDate) : null;
+  const length = end ? end.getTime() - start.getTime() : 0;
+  return length > 0 && length <= MAX_MEETING_HOURS * 3600000
+    ? end
+    : new Date(start.getTime() + DEFAULT_MEETING_MINUTES * 60000);
+}
+
+function isRecurring(reminder) {
+  return reminder.scheduleType === 'routine';
+}
+
+// Zone a meeting's times are shown in: the one a recurring meeting repeats in, else the organizer's
+function meetingTimeZone(reminder, organizer) {
+  return resolveTimeZone(reminder.scheduleTime?.timeZone || organizer?.timezone);
+}
+
+// "every Monday, Wednesday", "every 2 weeks on Monday", "every day until Dec 1, 2026"
+function describeRepeat(reminder, timeZone) {
+  const rule = ruleOf(reminder);
+  return rule ? describeRRule(rule, timeZone) : '';
+}
+
+function describeMeetingTime(reminder, organizer, occurrence) {
+  const timeZone = meetingTimeZone(reminder, organizer);
+  const when = new Date(occurrence || reminder.startDate).toLocaleString('en-US', { dateStyle: 'full', timeStyle: 'short', timeZone });
+  if (occurrence || !isRecurring(reminder)) return `${when} (${timeZone})`;
+  return `${when} (${timeZone}), repeating ${describeRepeat(reminder, timeZone)}`;
+}
+
+function escapeHtml(value) {
+  return String(value || '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// One invitation, update or cancellation email with its .ics attachment.
+// occurrence: start of the single occurrence of a recurring meeting the email is about
+async function emailAttendee(reminder, organizer, attendee, { method, isUpdate = false, occurrence = null }) {
+  const timeZone = meetingTimeZone(reminder, organizer);
+  const length = meetingEnd(reminder).getTime() - new Date(reminder.startDate).getTime();
+  const start = occurrence || reminder.startDate;
+  const event = {
+    uid: `${reminder._id}@voxa`,
+    sequence: reminder.inviteSequence || 0,
+    start,
+    end: new Date(new Date(start).getTime() + length),
+    title: reminder.title,
+    description: reminder.description,
+    organizer: { name: organizer?.fullname, email: organizer?.email },
+    attendees: reminder.attendees,
+    timeZone
+  };
+  if (occurrence) {
+    event.recurrenceId = occurrence;
+  } else if (isRecurring(reminder)) {
+    event.rrule = toRRule(reminder);
+    event.exdates = recurrenceOf(reminder, { timeZone })?.exdates || [];
+  }
+  const ics = buildIcsEvent(event, { method });
+
+  const host = escapeHtml(organizer?.fullname || organizer?.email || 'Someone');
+  const title = escapeHtml(reminder.title);
+  const when = escapeHtml(describeMeetingTime(reminder, organizer, occurrence));
+  let subject;
+  let html;
+  if (method === 'CANCEL' && occurrence) {
+    subject = `Cancelled: ${reminder.title} on ${new Date(occurrence).toLocaleDateString('en-US', { dateStyle: 'medium', timeZone })}`;
+    html = `<p>${host} cancelled <strong>${title}</strong> on ${when}. The rest of the series is unchanged.</p>`;
+  } else if (method === 'CANCEL') {
+    subject = `Cancelled: ${reminder.title}`;
+    html = `<p>${host} cancelled <strong>${title}</strong> (${when}).</p>`;
+  } else {
+    const link = status => `${apiBaseUrl()}/api/reminders/rsvp/${attendee.rsvpToken}?status=${status}`;
+    subject = `${isUpdate ? 'Updated invitation' : 'Invitation'}: ${reminder.title}`;
+    html = `<p>${host} ${isUpdate ? 'updated' : 'invited you to'} <strong>${title}</strong>.</p>
+<p>When: ${when}</p>
+${reminder.description ? `<p>${escapeHtml(reminder.description)}</p>` : ''}
+<p>Will you attend? <a href="${link('accepted')}">Yes</a> · <a href="${link('tentative')}">Maybe</a> · <a href="${link('declined')}">No</a></p>`;
+  }
+
+  await sendEmail(attendee.email, subject, html, {
+    attachments: [{
+      filename: method === 'CANCEL' ? 'cancel.ics' : 'invite.ics',
+      content: ics,
+      contentType: `text/calendar; charset=utf-8; method=${method}`
+    }]
+  });
+}
+
+// Email invitations to attendees who have not had one yet. With resend, those
+// already invited get the updated invitation too (and with resetResponses,
+// their earlier answer is cleared because the time changed).
+// Returns the addresses that were emailed.
+async function sendMeetingInvites(reminderId, { resend = false, resetResponses = false } = {}) {
+  const reminder = await Reminder.findById(reminderId);
+  if (!reminder || reminder.type !== 'Meeting' || !reminder.startDate || !reminder.attendees?.length) return [];
+  const organizer = await User.findById(reminder.user).select('fullname email timezone');
+
+  const targets = reminder.attendees.filter(a => a.email && (resend || !a.invitedAt));
+  if (!targets.length) return [];
+  // Only the fields invitations own are written, and attendee by attendee, so an
+  // RSVP recorded while the emails go out is kept
+  const reset = {};
+  if (targets.some(a => a.invitedAt)) {
+    reminder.inviteSequence = (reminder.inviteSequence || 0) + 1;
+    reset.inviteSequence = reminder.inviteSequence;
+  }
+  if (resetResponses) {
+    for (const attendee of reminder.attendees) {
+      attendee.status = 'pending';
+      attendee.respondedAt = null;
+    }
+    reset['attendees.$[].status'] = 'pending';
+    reset['attendees.$[].respondedAt'] = null;
+  }
+  if (Object.keys(reset).length) await Reminder.updateOne({ _id: reminder._id }, { $set: reset });
+
+  const sent = [];
+  for (const attendee of targets) {
+    try {
+      await emailAttendee(reminder, organizer, attendee, { method: 'REQUEST', isUpdate: !!attendee.invitedAt });
+      await Reminder.updateOne(
+        { _id: reminder._id, 'attendees.rsvpToken': attendee.rsvpToken },
+        { $set: { 'attendees.$.invitedAt': new Date() } }
+      );
+      sent.push(attendee.email);
+    } catch (err) {
+      console.warn(`[invite] could not email ${attendee.email}:`, err?.message);
+    }
+  }
+  if (sent.length) console.log(`📧 [invite] "${reminder.title}" sent to ${sent.length} attendee(s)`);
+  return sent;
+}
+
+// Tell invited attendees that a (deleted) meeting is off
+async function sendMeetingCancellation(reminder) {
+  const invited = (reminder.attendees || []).filter(a => a.email && a.invitedAt);
+  if (reminder.type !== 'Meeting' || !reminder.startDate || !invited.length) return [];
+  const organizer = await User.findById(reminder.user?._id || reminder.user).select('fullname email timezone');
+  const event = { ...(reminder.toObject ? reminder.toObject() : reminder), inviteSequence: (reminder.inviteSequence || 0) + 1 };
+
+  const sent = [];
+  for (const attendee of invited) {
+    try {
+      await emailAttendee(event, organizer, attendee, { method: 'CANCEL' });
+      sent.push(attendee.email);
+    } catch (err) {
+      console.warn(`[invite] could not email cancellation to ${attendee.email}:`, err?.message);
+    }
+  }
+  return sent;
+}
+
+// Tell invited attendees that one occurrence of a recurring meeting is off
+async function sendOccurrenceCancellation(reminderId, occurrence) {
+  const reminder = await Reminder.findById(reminderId);
+  const invited = (reminder?.attendees || []).filter(a => a.email && a.invitedAt);
+  if (!reminder || !isRecurring(reminder) || !invited.length) return [];
+  const organizer = await User.findById(reminder.user).select('fullname email timezone');
+  reminder.inviteSequence = (reminder.inviteSequence || 0) + 1;
+  await reminder.save();
+
+  const sent = [];
+  for (const attendee of invited) {
+    try {
+      await emailAttendee(reminder, organizer, attendee, { method: 'CANCEL', occurrence: new Date(occurrence) });
+      sent.push(attendee.email);
+    } catch (err) {
+      console.warn(`[invite] could not email cancellation to ${attendee.email}:`, err?.message);
+    }
+  }
+  return sent;
+}
+
+// Fire-and-forget versions, so creating or changing a meeting never waits on email
+function scheduleMeetingInvites(reminderId, options) {
+  setImmediate(() => {
+    sendMeetingInvites(reminderId, options)
+      .catch(err => console.warn('[invite] sending failed', err?.message));
+  });
+}
+
+function scheduleMeetingCancellation(reminder) {
+  if (reminder?.type !== 'Meeting' || !reminder.attendees?.some(a => a.email && a.invitedAt)) return;
+  setImmediate(() => {
+    sendMeetingCancellation(reminder)
+      .catch(err => console.warn('[invite] cancellation failed', err?.message));
+  });
+}
+
+function scheduleOccurrenceCancellation(reminder, occurrence) {
+  if (!reminder.attendees?.some(a => a.email && a.invitedAt)) return;
+  setImmediate(() => {
+    sendOccurrenceCancellation(reminder._id, occurrence)
+      .catch(err => console.warn('[invite] cancellation failed', err?.message));
+  });
+}
+
+function findAttendee(reminder, user) {
+  const id = String(user._id || user.id);
+  const email = String(user.email || '').toLowerCase();
+  return (reminder.attendees || []).find(a => (a.user && String(a.user) === id) || (a.email && a.email === email));
+}
+
+async function recordResponse(reminder, attendee, status) {
+  attendee.status = status;
+  attendee.respondedAt = new Date();
+  await reminder.save();
+  try {
+    await Notification.create({
+      userId: reminder.user?._id || reminder.user,
+      type: 'meeting',
+      message: `${attendee.name || attendee.email} ${status === 'tentative' ? 'might attend' : status} "${reminder.title}"`,
+      reminderId: reminder._id
+    });
+  } catch (err) {
+    console.warn('[invite] RSVP notification failed', err?.message);
+  }
+  return { reminder, attendee };
+}
+
+// The invitation an email link points at: { reminder, attendee } or null for an unknown token
+async function findInvitationByToken(token) {
+  const reminder = await Reminder.findOne({ type: 'Meeting', 'attendees.rsvpToken': token });
+  const attendee = reminder?.attendees.find(a => a.rsvpToken === token);
+  return attendee ? { reminder, attendee } : null;
+}
+
+// RSVP from an invitation email link. Returns { reminder, attendee } or null for an unknown token
+async function respondByToken(token, status) {
+  const invitation = await findInvitationByToken(token);
+  if (!invitation) return null;
+  return recordResponse(invitation.reminder, invitation.attendee, status);
+}
+
+const RSVP_LABELS = { accepted: 'Yes', tentative: 'Maybe', declined: 'No' };
+
+// The page an email link opens. Opening it only shows the meeting and a form;
+// the answer is recorded when the form is submitted (POST), so mail scanners
+// and link previews that fetch the URL cannot answer for the attendee.
+// status: the answer the link was for (focused in the form); saved: just recorded
+async function renderRsvpPage(invitation, { status, saved = false } = {}) {
+  if (!invitation) {
+    return '<!DOCTYPE html><html><head><meta charset="utf-8"><title>Invitation not found</title></head><body><p>This invitation link is no longer valid.</p></body></html>';
+  }
+  const { reminder, attendee } = invitation;
+  const organizer = await User.findById(reminder.user?._id || reminder.user).select('fullname email timezone');
+  const title = escapeHtml(reminder.title);
+  const when = escapeHtml(describeMeetingTime(reminder, organizer));
+  const answered = attendee.status && attendee.status !== 'pending'
+    ? `<p>${saved ? 'Thanks, your answer was saved' : 'Your current answer'}: <strong>${RSVP_LABELS[attendee.status]}</strong></p>`
+    : '';
+  const buttons = Object.keys(RSVP_LABELS)
+    .map(s => `<button type="submit" name="status" value="${s}"${s === status && !saved ? ' autofocus' : ''}>${RSVP_LABELS[s]}</button>`)
+    .join(' ');
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><meta name="robots" content="noindex"><title>${title}</title></head><body>
+<h1>${title}</h1>
+<p>When: ${when}</p>
+${answered}
+<form method="post" action="${apiBaseUrl()}/api/reminders/rsvp/${escapeHtml(attendee.rsvpToken)}">
+<p>Will you attend? ${buttons}</p>
+</form>
+</body></html>`;
+}
+
+// RSVP from a Voxa user who is on the meeting's attendee list. Returns null when they are not
+async function respondAsUser(reminderId, user, status) {
+  const reminder = await Reminder.findOne({ _id: reminderId, type: 'Meeting' });
+  const attendee = reminder && findAttendee(reminder, user);
+  if (!attendee) return null;
+  if (!attendee.user) attendee.user = user._id || user.id;
+  return recordResponse(reminder, attendee, status);
+}
+
+// Upcoming meetings other people invited the user to, with the user's RSVP status
+async function listInvitations(user, { now = new Date() } = {}) {
+  const email = String(user.email || '').toLowerCase();
+  const meetings = await Reminder.find({
+    type: 'Meeting',
+    $or: [{ 'attendees.user': user._id || user.id }, { 'attendees.email': email }]
+  })
+    .sort({ startDate: 1 })
+    .limit(200)
+    .populate('user', 'fullname email timezone');
+
+  const invitations = [];
+  for (const meeting of meetings) {
+    const attendee = findAttendee(meeting, user);
+    if (!attendee || !meeting.startDate) continue;
+    // A recurring meeting is listed by its next occurrence
+    const next = isRecurring(meeting)
+      ? listOccurrences(meeting, now, new Date(8.64e15), { limit: 1 })[0]
+      : (meeting.startDate >= now ? meeting.startDate : null);
+    if (!next) continue;
+    const length = meetingEnd(meeting).getTime() - meeting.startDate.getTime();
+    invitations.push({
+      id: meeting._id,
+      title: meeting.title,
+      description: meeting.description || '',
+      startDate: next,
+      endDate: new Date(next.getTime() + length),
+      isRecurring: isRecurring(meeting),
+      repeats: isRecurring(meeting) ? describeRepeat(meeting, meetingTimeZone(meeting, meeting.user)) : null,
+      organizer: { name: meeting.user?.fullname, email: meeting.user?.email },
+      status: attendee.status,
+      respondedAt: attendee.respondedAt
+    });
+  }
+  return invitations.sort((a, b) => a.startDate - b.startDate);
+}
+
+module.exports = {
+  MAX_ATTENDEES,
+  RSVP_STATUSES,
+  normalizeAttendees,
+  sendMeetingInvites,
+  sendMeetingCancellation,
+  sendOccurrenceCancellation,
+  scheduleMeetingInvites,
+  scheduleMeetingCancellation,
+  scheduleOccurrenceCancellation,
+  findInvitationByToken,
+  respondByToken,
+  renderRsvpPage,
+  respondAsUser,
+  listInvitations,
+};
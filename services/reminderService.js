@@ -0,0 +1,513 @@
+const Reminder = require('../models/reminderModel');
+const { ensureReminderTTS } = require('../utils/ttsService');
+const { resolveTimeZone, parseZonedDateTime, addZonedDays, getZonedParts, toZonedDateString } = require('../utils/timezone');
+const {
+  normalizeAttendees,
+  scheduleMeetingInvites,
+  scheduleMeetingCancellation,
+  scheduleOccurrenceCancellation,
+} = require('./meetingInvites');
+const {
+  simpleRule,
+  untilEndOfDay,
+  ruleOf,
+  isOccurrence,
+  listOccurrences,
+  buildRecurrenceFields,
+  mirrorDays,
+  migrateRecurrence,
+} = require('../utils/recurrence');
+const { parseRRule, formatRRule, untilInstant } = require('../utils/rrule');
+const { formatIcsDate } = require('../utils/ics');
+const { findOccurrence, completionsByDate, occurrenceStatus } = require('../utils/habits');
+const { snoozeEnd, snoozedUntil } = require('../utils/snooze');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Snoozes kept in a reminder's history (snooze.count keeps counting)
+const MAX_SNOOZE_HISTORY = 100;
+
+// Lazily require to avoid circular dependencies on startup
+let ai;
+try { ai = require('./aiScheduler'); } catch {}
+
+// Helper: sanitize update payload to only allow known fields
+function pickReminderFields(src = {}) {
+  const out = {};
+  const allowed = [
+    'type',
+    'title',
+    'description',
+    'icon',
+    'startDate',
+    'location',
+    // Location-based fields
+    'day',
+    'status',
+    'lastTriggeredAt',
+    'triggeredLocation',
+    'isCompleted',
+    // New scheduling fields
+    'isManualSchedule',
+    'scheduleType',
+    'scheduleTime',
+    'scheduleDays',
+    'notificationPreferenceMinutes',
+    // Repeat rule (RRULE) and the occurrences left out of it
+    'rrule',
+    'exdates',
+    // Meetings
+    'attendees',
+  ];
+  for (const k of allowed) {
+    if (Object.prototype.hasOwnProperty.call(src, k)) out[k] = src[k];
+  }
+  return out;
+}
+
+// What a meeting's occurrences depend on, to tell whether an edit moved them
+function seriesOf(reminder) {
+  if (reminder.scheduleType !== 'routine') return null;
+  return {
+    rule: reminder.rrule || null,
+    days: reminder.scheduleDays || [],
+    time: reminder.scheduleTime?.fixedTime || null
+  };
+}
+
+function excludedOf(reminder) {
+  return [...(reminder.exdates || []), ...(reminder.cancelledOccurrences || [])].map(d => new Date(d).getTime()).sort();
+}
+
+// The repeat rule after an edit: a new rrule, or the current rule with new days
+// (from clients that only know scheduleDays) and/or `recurrence` changes
+// ({ interval, until, count }, the shorthand recurring meetings are made with)
+function editedRule(before, updates, recurrence, zone) {
+  if (updates.rrule) return parseRRule(updates.rrule);
+  const current = ruleOf({ ...before, scheduleType: 'routine' });
+  const end = current?.until ? untilInstant(current.until, zone) : null;
+  const rule = updates.scheduleDays !== undefined || !current
+    ? simpleRule({ scheduleDays: updates.scheduleDays ?? before.scheduleDays, interval: current?.interval, count: current?.count, until: end })
+    : { ...current };
+  if (recurrence?.interval !== undefined) rule.interval = recurrence.interval > 1 ? recurrence.interval : 1;
+  // An end date replaces a count, and the other way round; the series still
+  // occurs on its end date
+  if (recurrence?.until !== undefined && recurrence?.count === undefined) {
+    rule.until = recurrence.until ? formatIcsDate(untilEndOfDay(recurrence.until, zone)) : null;
+    rule.count = null;
+  } else if (recurrence?.count !== undefined) {
+    rule.count = recurrence.count || null;
+    rule.until = null;
+  }
+  return rule;
+}
+
+// Task and meeting fields that follow from an edit to their time or repeat rule:
+// a meeting's end moves with its start, a repeating reminder repeats at its
+// (new) start time by its (edited) rule, and left-out occurrences follow the
+// series to its new time or go when their day no longer has one.
+// Returns { set, unset }.
+function rescheduleSeriesFields(beforeDoc, updates, recurrence) {
+  const before = beforeDoc.toObject ? beforeDoc.toObject() : beforeDoc;
+  const set = {};
+  const unset = {};
+  const zone = resolveTimeZone(updates.scheduleTime?.timeZone || before.scheduleTime?.timeZone || before.user?.timezone);
+  const repeats = (updates.scheduleType || before.scheduleType) === 'routine' || !!updates.rrule;
+  let start = updates.startDate !== undefined ? updates.startDate : before.startDate;
+  const newTime = updates.scheduleTime?.fixedTime;
+  // Moving a repeating reminder's time moves its first occurrence with it
+  if (repeats && updates.startDate === undefined && start && /^\d{2}:\d{2}$/.test(newTime || '')) {
+    start = parseZonedDateTime(toZonedDateString(start, zone), newTime, zone);
+  }
+
+  if (repeats) {
+    const rule = editedRule(before, updates, recurrence, zone);
+    if (start) {
+      Object.assign(set, buildRecurrenceFields(start, rule, {
+        timeZone: zone,
+        minutesBeforeStart: updates.scheduleTime?.minutesBeforeStart ?? before.scheduleTime?.minutesBeforeStart ?? 10
+      }));
+      start = set.startDate;
+    } else {
+      // Routine tasks without a start repeat at scheduleTime.fixedTime
+      set.rrule = formatRRule(rule);
+      set.scheduleDays = mirrorDays(rule, new Date(), zone);
+    }
+    const excluded = updates.exdates ?? [...(before.exdates || []), ...(before.cancelledOccurrences || [])];
+    const time = set.scheduleTime?.fixedTime || newTime || before.scheduleTime?.fixedTime;
+    if (excluded.length && time) {
+      const series = { ...before, ...set, scheduleTime: { ...before.scheduleTime, ...set.scheduleTime, fixedTime: time }, exdates: [], cancelledOccurrences: [] };
+      set.exdates = excluded
+        .map(d => parseZonedDateTime(toZonedDateString(d, zone), time, zone))
+        .filter(d => isOccurrence(series, d, { timeZone: zone }));
+    }
+    if (before.recurrence) unset.recurrence = 1;
+    if (before.cancelledOccurrences) unset.cancelledOccurrences = 1;
+  } else if (before.rrule || before.exdates) {
+    unset.rrule = 1;
+    unset.exdates = 1;
+  }
+
+  const length = before.endDate && before.startDate ? before.endDate - before.startDate : 0;
+  if (before.type === 'Meeting' && updates.endDate === undefined && length > 0 && start &&
+      start.getTime() !== before.startDate?.getTime()) {
+    set.endDate = new Date(start.getTime() + length);
+  }
+  return { set, unset };
+}
+
+// Update a user's reminder, then refresh TTS and AI fields.
+// Shared by the REST controller and the assistant.
+// Returns { reminder, aiMeta } (reminder is null when not found; aiMeta only set in USE_SYNC_AI mode)
+async function updateUserReminder({ userId, id, updates: rawUpdates = {} }) {
+  const updates = pickReminderFields(rawUpdates);
+  // Older names: cancelledOccurrences for exdates; recurrence edits the rule
+  if (rawUpdates.cancelledOccurrences !== undefined && updates.exdates === undefined) {
+    updates.exdates = rawUpdates.cancelledOccurrences;
+  }
+  const recurrence = rawUpdates.recurrence || null;
+  if (updates.exdates) updates.exdates = updates.exdates.map(d => new Date(d));
+
+  // Coerce startDate when provided
+  if (Object.prototype.hasOwnProperty.call(updates, 'startDate')) {
+    updates.startDate = updates.startDate ? new Date(updates.startDate) : null;
+  }
+
+  // Meetings whose attendees already have an invitation get an updated one
+  // when the time or the details change; new attendees get their first one
+  const has = k => Object.prototype.hasOwnProperty.call(updates, k);
+  const seriesFields = ['startDate', 'scheduleType', 'scheduleDays', 'scheduleTime', 'rrule', 'exdates'];
+  const touchesSeries = !!recurrence || seriesFields.some(has);
+  const before = touchesSeries || ['attendees', 'title', 'description'].some(has)
+    ? await Reminder.findOne({ _id: id, user: userId }).populate('user', 'fullname email timezone')
+    : null;
+  if (before === null && (touchesSeries || has('attendees'))) return { reminder: null };
+  if (has('attendees')) {
+    // Merged with the current list so earlier RSVPs are kept
+    updates.attendees = await normalizeAttendees(updates.attendees, before.user, before.attendees);
+  }
+  let unset = {};
+  if (before && ['Task', 'Meeting'].includes(updates.type || before.type) && touchesSeries) {
+    const changes = rescheduleSeriesFields(before, updates, recurrence);
+    Object.assign(updates, changes.set);
+    unset = changes.unset;
+  }
+  for (const path of Object.keys(unset)) delete updates[path];
+  // A new time or completing it ends a snooze (its count and history stay)
+  if (touchesSeries || updates.isCompleted === true) {
+    updates['snooze.until'] = null;
+    updates['snooze.occurrence'] = null;
+  }
+
+  // Apply update, ensuring ownership
+  const updated = await Reminder.findOneAndUpdate(
+    { _id: id, user: userId },
+    { $set: updates, ...(Object.keys(unset).length ? { $unset: unset } : {}) },
+    { new: true }
+  ).populate('user', 'fullname email');
+
+  if (!updated) return { reminder: null };
+
+  if (before && updated.type === 'Meeting') {
+    const timeChanged = String(before.startDate?.getTime()) !== String(updated.startDate?.getTime()) ||
+      JSON.stringify(seriesOf(before)) !== JSON.stringify(seriesOf(updated));
+    const detailsChanged = before.title !== updated.title || (before.description || '') !== (updated.description || '') ||
+      JSON.stringify(excludedOf(before)) !== JSON.stringify(excludedOf(updated));
+    if (updated.attendees?.length) {
+      scheduleMeetingInvites(updated._id, { resend: timeChanged || detailsChanged, resetResponses: timeChanged });
+    }
+    const dropped = (before.attendees || []).filter(a => a.invitedAt && !(updated.attendees || []).some(b => b.email === a.email));
+    if (dropped.length) scheduleMeetingCancellation({ ...updated.toObject(), attendees: dropped });
+  }
+
+  // Fire-and-forget TTS generation only when we have a startDate
+  try {
+    if (updated.startDate) {
+      await ensureReminderTTS(updated._id, { user: updated.user });
+    }
+  } catch (e) {
+    console.warn('[tts] generation failed on update', e?.message);
+  }
+
+  const useSync = process.env.USE_SYNC_AI === '1';
+  if (useSync && ai?.processBackgroundAI) {
+    console.log('[ai] USE_SYNC_AI enabled: processing AI synchronously on update');
+    try {
+      const { reminder: afterAI, meta } = await ai.processBackgroundAI(updated._id, { user: updated.user });
+      return { reminder: afterAI || updated, aiMeta: meta || null };
+    } catch (e) {
+      console.warn('[ai] sync AI failed on update; returning base reminder', e?.message);
+      return { reminder: updated, aiMeta: { error: e?.message } };
+    }
+  }
+
+  // Background AI processing (non-blocking)
+  setImmediate(() => {
+    try {
+      if (ai?.processBackgroundAI) {
+        ai.processBackgroundAI(updated._id, { user: updated.user }).catch(err => console.warn('[ai] background update failed', err?.message));
+      }
+    } catch (err) {
+      console.warn('[ai] scheduler not available', err?.message);
+    }
+  });
+  return { reminder: updated };
+}
+
+// Delete a user's reminder (invited meeting attendees get a cancellation).
+// Returns the removed document or null
+async function deleteUserReminder({ userId, id }) {
+  const removed = await Reminder.findOneAndDelete({ _id: id, user: userId });
+  if (removed) scheduleMeetingCancellation(removed);
+  return removed;
+}
+
+// Cancel one occurrence of a user's recurring meeting; invited attendees are told.
+// Returns { reminder, occurrence } (reminder is null when not found, occurrence
+// is null when the meeting does not happen at that time)
+async function cancelMeetingOccurrence({ userId, id, occurrence }) {
+  const reminder = await Reminder.findOne({ _id: id, user: userId, type: 'Meeting' }).populate('user', 'fullname email timezone');
+  if (!reminder) return { reminder: null };
+  const at = new Date(occurrence);
+  if (!isOccurrence(reminder, at, { timeZone: reminder.user?.timezone })) return { reminder, occurrence: null };
+
+  const excluded = reminder.exdates || [];
+  if (!excluded.some(d => d.getTime() === at.getTime()) &&
+      !(reminder.cancelledOccurrences || []).some(d => d.getTime() === at.getTime())) {
+    reminder.exdates = [...excluded, at].sort((a, b) => a - b);
+    await reminder.save();
+    scheduleOccurrenceCancellation(reminder, at);
+  }
+  return { reminder, occurrence: at };
+}
+
+// Log one occurrence of a user's routine as 'done' or 'skipped', or clear its
+// entry (status null). `occurrence` is its ISO start time or its day (YYYY-MM-DD).
+// Occurrences after `notAfter` are left alone (tooEarly).
+// Returns { reminder, occurrence, entry, previous, tooEarly } (reminder is null
+// when not found, occurrence is null when the reminder is not a routine occurring
+// then; previous is the entry it replaced)
+async function setOccurrenceStatus({ userId, id, occurrence, status, source = 'app', loggedAt = new Date(), notAfter = null }) {
+  const reminder = await Reminder.findOne({ _id: id, user: userId }).populate('user', 'timezone');
+  if (!reminder) return { reminder: null };
+  const timeZone = reminder.user?.timezone;
+  const at = reminder.scheduleType === 'routine' ? findOccurrence(reminder, occurrence, { timeZone }) : null;
+  if (!at) return { reminder, occurrence: null };
+  if (notAfter && at > notAfter) return { reminder, occurrence: at, tooEarly: true };
+
+  const date = toZonedDateString(at, resolveTimeZone(reminder.scheduleTime?.timeZone || timeZone));
+  const previous = completionsByDate(reminder).get(date) || null;
+  const kept = (reminder.completions || []).filter(c => c.date !== date);
+  const entry = status ? { occurrence: at, date, status, source, at: loggedAt } : null;
+  reminder.completions = entry
+    ? [...kept, entry].sort((a, b) => a.occurrence - b.occurrence)
+    : kept;
+  // Done is done: a snooze of this occurrence would only ring again for nothing
+  if (status === 'done' && snoozedUntil(reminder, at)) {
+    reminder.snooze.until = null;
+    reminder.snooze.occurrence = null;
+  }
+  await reminder.save();
+  return { reminder, occurrence: at, entry, previous: previous && (previous.toObject ? previous.toObject() : previous) };
+}
+
+// Snooze a user's reminder: its notification rings again at the end of the snooze
+// ({ preset } | { minutes } | { until }, see utils/snooze.js) while startDate and
+// the routine's schedule stay as they are. A routine snoozes one occurrence
+// (`occurrence`: its ISO start or day; by default the latest one of the past day,
+// else the next), and only until the routine comes round again.
+// TTS is refreshed only when the spoken text changed (see ensureReminderTTS).
+// Returns { reminder, snoozedUntil, occurrence } or { reminder, error } where
+// error is 'invalid_duration' | 'not_scheduled' | 'no_occurrence' | 'past_next_occurrence'
+// (reminder is null when not found)
+async function snoozeReminder({ userId, id, preset, minutes, until, occurrence, source = 'app', now = new Date() }) {
+  const reminder = await Reminder.findOne({ _id: id, user: userId }).populate('user', 'fullname timezone');
+  if (!reminder) return { reminder: null };
+  const timeZone = reminder.user?.timezone;
+  const end = snoozeEnd({ preset, minutes, until }, { now, timeZone });
+  if (!end) return { reminder, error: 'invalid_duration' };
+
+  let at = null;
+  if (reminder.scheduleType === 'routine' && reminder.type !== 'Location') {
+    at = occurrence
+      ? findOccurrence(reminder, occurrence, { timeZone })
+      : (listOccurrences(reminder, new Date(now.getTime() - DAY_MS), now, { timeZone }).pop() ||
+        listOccurrences(reminder, now, addZonedDays(now, 366, resolveTimeZone(timeZone)), { timeZone, limit: 1 })[0]);
+    if (!at) return { reminder, error: 'no_occurrence' };
+    const [next] = listOccurrences(reminder, new Date(at.getTime() + 1), end, { timeZone, limit: 1 });
+    if (next) return { reminder, error: 'past_next_occurrence', next };
+  } else if (reminder.type !== 'Location') {
+    if (!reminder.startDate) return { reminder, error: 'not_scheduled' };
+    at = reminder.startDate;
+  }
+
+  const history = (reminder.snooze?.history || []).map(h => (h.toObject ? h.toObject() : h));
+  reminder.snooze = {
+    until: end,
+    occurrence: at,
+    count: (reminder.snooze?.count || 0) + 1,
+    history: [...history, { at: now, until: end, preset: preset || undefined, occurrence: at, source }].slice(-MAX_SNOOZE_HISTORY)
+  };
+  await reminder.save();
+
+  // Snoozing leaves the spoken text alone, so this normally reuses the audio
+  let latest = reminder;
+  try {
+    latest = (await ensureReminderTTS(reminder._id, { user: reminder.user })) || reminder;
+  } catch (e) {
+    console.warn('[tts] generation failed on snooze', e?.message);
+  }
+  return { reminder: latest, snoozedUntil: end, occurrence: at };
+}
+
+function escapeRegex(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Find reminders matching a spoken reference ("my gym session", "Friday's standup").
+// target: { keywords?: string[], dateISO?: 'YYYY-MM-DD', itemType?: 'task'|'meeting'|'any' }
+// Upcoming items come first; at most `limit` results.
+async function findReminderCandidates({ userId, target = {}, excludeCompleted = false, now = new Date(), limit = 5, timeZone }) {
+  const keywords = (target.keywords || []).map(k => String(k).trim()).filter(Boolean);
+  // target.dateISO is a calendar day in the user's time zone
+  const zone = resolveTimeZone(timeZone);
+  const day = target.dateISO ? parseZonedDateTime(target.dateISO, null, zone) : null;
+  if (!keywords.length && !day) return [];
+
+  const q = { user: userId };
+  if (keywords.length) {
+    q.$or = keywords.map(k => ({ title: { $regex: escapeRegex(k), $options: 'i' } }));
+  }
+  if (target.itemType === 'task') q.type = 'Task';
+  if (target.itemType === 'meeting') q.type = 'Meeting';
+  if (excludeCompleted) q.isCompleted = { $ne: true };
+
+  let items = await Reminder.find(q).sort({ startDate: 1 }).limit(50);
+
+  if (day) {
+    const dayEnd = addZonedDays(day, 1, zone);
+    const weekday = getZonedParts(day, zone).weekday;
+    items = items.filter(r => {
+      if (r.scheduleType === 'routine' && r.scheduleTime?.fixedTime) {
+        return listOccurrences(r, day, new Date(dayEnd.getTime() - 1), { timeZone: zone, limit: 1 }).length > 0;
+      }
+      if (r.scheduleType === 'routine') {
+        const days = r.scheduleDays || [];
+        return !days.length || days.includes(weekday);
+      }
+      return r.startDate && r.startDate >= day && r.startDate < dayEnd;
+    });
+  }
+
+  const upcoming = items.filter(r => r.scheduleType === 'routine' || !r.startDate || r.startDate >= now);
+  const past = items.filter(r => !upcoming.includes(r)).reverse();
+  return [...upcoming, ...past].slice(0, limit);
+}
+
+const MAX_OCCURRENCES = 5000;
+
+// Every reminder of a user as concrete occurrences within [from, to], oldest first:
+// repeating tasks and meetings once per occurrence, one-off ones at their start,
+// and active Location reminders once per day they apply to (all-day).
+// Returns { items, truncated } with at most MAX_OCCURRENCES items.
+async function listReminderOccurrences({ userId, from, to, timeZone, type }) {
+  const zone = resolveTimeZone(timeZone);
+  const q = {
+    user: userId,
+    $or: [
+      { startDate: { $gte: from, $lte: to } },
+      { scheduleType: 'routine' },
+      { rrule: { $exists: true } },
+      { type: 'Location', status: 'active' }
+    ]
+  };
+  if (type) q.type = type;
+  const reminders = await Reminder.find(q)
+    .select('type title startDate endDate scheduleType scheduleTime scheduleDays rrule exdates recurrence cancelledOccurrences day status isCompleted completions snooze createdAt')
+    .lean();
+
+  const items = [];
+  const push = (r, start, allDay) => {
+    const logged = r.scheduleType === 'routine' && !allDay ? occurrenceStatus(r, start, { timeZone: zone }) : undefined;
+    const length = r.type === 'Meeting' && r.endDate && r.startDate ? new Date(r.endDate) - new Date(r.startDate) : 0;
+    items.push({
+      reminderId: r._id,
+      type: r.type,
+      title: r.title,
+      start: start.toISOString(),
+      end: allDay
+        ? addZonedDays(start, 1, zone).toISOString()
+        : (length > 0 ? new Date(start.getTime() + length).toISOString() : null),
+      allDay,
+      isRecurring: allDay || r.scheduleType === 'routine',
+      isCompleted: logged !== undefined ? logged === 'done' : !!r.isCompleted,
+      // Routines: how this occurrence was logged ('done' / 'skipped'), if at all
+      ...(logged !== undefined ? { completion: logged } : {}),
+      // When a snoozed notification for this occurrence rings again
+      snoozedUntil: allDay ? null : snoozedUntil(r, start)
+    });
+  };
+
+  for (const r of reminders) {
+    if (r.type === 'Location') {
+      if (r.status !== 'active') continue;
+      // Location reminders repeat daily in the user's zone (or on their days)
+      const days = listOccurrences(r, from, to, { timeZone: zone, limit: MAX_OCCURRENCES + 1 });
+      // The day `from` falls in counts too
+      const first = parseZonedDateTime(toZonedDateString(from, zone), null, zone);
+      if (first < from && listOccurrences(r, first, first, { timeZone: zone }).length) days.unshift(first);
+      for (const at of days) push(r, at, true);
+    } else if (r.scheduleType === 'routine') {
+      for (const at of listOccurrences(r, from, to, { timeZone: zone, limit: MAX_OCCURRENCES + 1 })) push(r, at, false);
+    } else if (r.startDate && r.startDate >= from && r.startDate <= to) {
+      push(r, new Date(r.startDate), false);
+    }
+  }
+
+  items.sort((a, b) => a.start.localeCompare(b.start));
+  return { items: items.slice(0, MAX_OCCURRENCES), truncated: items.length > MAX_OCCURRENCES };
+}
+
+// Move reminders saved with the older recurrence fields over to rrule/exdates
+// (see migrateRecurrence). Safe to run on every start; returns how many changed.
+async function migrateLegacyRecurrences({ batchSize = 200 } = {}) {
+  const q = {
+    $or: [
+      { type: { $in: ['Task', 'Meeting'] }, scheduleType: 'routine', rrule: { $exists: false } },
+      { recurrence: { $exists: true } },
+      { cancelledOccurrences: { $exists: true } },
+      { type: 'Location', day: { $exists: true }, scheduleDays: { $exists: false } }
+    ]
+  };
+  let migrated = 0;
+  let lastId = null;
+  for (;;) {
+    const batch = await Reminder.find(lastId ? { ...q, _id: { $gt: lastId } } : q)
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .lean();
+    if (!batch.length) break;
+    for (const r of batch) {
+      const changes = migrateRecurrence(r);
+      if (!changes) continue;
+      const update = {};
+      if (Object.keys(changes.set).length) update.$set = changes.set;
+      if (Object.keys(changes.unset).length) update.$unset = changes.unset;
+      await Reminder.updateOne({ _id: r._id }, update);
+      migrated++;
+    }
+    lastId = batch[batch.length - 1]._id;
+  }
+  return migrated;
+}
+
+module.exports = {
+  pickReminderFields,
+  updateUserReminder,
+  deleteUserReminder,
+  cancelMeetingOccurrence,
+  setOccurrenceStatus,
+  snoozeReminder,
+  findReminderCandidates,
+  listReminderOccurrences,
+  migrateLegacyRecurrences,
+};
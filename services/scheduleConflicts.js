@@ -0,0 +1,122 @@
+// Overlap checks for new or moved items against the user's reminders and synced
+// calendar events, plus the nearest free alternatives. Used by the assistant
+// before it asks "Should I create this?".
+const { findScheduleItems } = require('./scheduleQuery');
+const { resolveTimeZone, getZonedParts } = require('../utils/timezone');
+
+const MINUTE = 60 * 1000;
+// Tasks have no length of their own; treat them as a short block
+const DEFAULT_TASK_MINUTES = 15;
+const DEFAULT_MEETING_MINUTES = 30;
+// Items that started this long before a span can still overlap it
+const LOOKBACK_MINUTES = 12 * 60;
+// Free-slot search: how far around the requested time, in which steps, and
+// only in waking hours (user's local time)
+const SLOT_SEARCH_MINUTES = 12 * 60;
+const SLOT_STEP_MINUTES = 30;
+const FIRST_SLOT_HOUR = 7;
+const LAST_SLOT_HOUR = 22;
+const MAX_SUGGESTED_SLOTS = 3;
+
+// Busy intervals ({ start, end, item }) between from and to
+async function loadBusyIntervals({ userId, from, to, excludeIds = [], timeZone }) {
+  const { items } = await findScheduleItems({
+    userId,
+    query: { rangeStartISO: from.toISOString(), rangeEndISO: to.toISOString() },
+    now: from,
+    timeZone
+  });
+  const excluded = new Set(excludeIds.map(String));
+  return items
+    .filter(it => it.start && !it.isCompleted && !excluded.has(String(it.id)))
+    .map(it => {
+      const start = new Date(it.start);
+      const fallback = it.type === 'Meeting' || it.source === 'calendar' ? DEFAULT_MEETING_MINUTES : DEFAULT_TASK_MINUTES;
+      const end = it.end ? new Date(it.end) : new Date(start.getTime() + fallback * MINUTE);
+      return { start, end: end > start ? end : new Date(start.getTime() + fallback * MINUTE), item: it };
+    });
+}
+
+function overlaps(a, b) {
+  return a.start < b.end && a.end > b.start;
+}
+
+function toConflict({ item, start, end }) {
+  return {
+    id: item.id,
+    source: item.source,
+    type: item.type,
+    title: item.title,
+    start: start.toISOString(),
+    end: end.toISOString()
+  };
+}
+
+function isWakingSlot(start, end, timeZone) {
+  const s = getZonedParts(start, timeZone);
+  const e = getZonedParts(new Date(end.getTime() - 1), timeZone);
+  return s.hour >= FIRST_SLOT_HOUR && e.hour < LAST_SLOT_HOUR && s.day === e.day;
+}
+
+// Nearest free slots of the span's length around it, closest first
+function findFreeSlots(span, busy, { now, timeZone }) {
+  const length = span.end.getTime() - span.start.getTime();
+  const slots = [];
+  for (let step = 1; step <= SLOT_SEARCH_MINUTES / SLOT_STEP_MINUTES && slots.length < MAX_SUGGESTED_SLOTS; step++) {
+    // Later first: "an hour later" is usually what people want
+    for (const direction of [1, -1]) {
+      const start = new Date(span.start.getTime() + direction * step * SLOT_STEP_MINUTES * MINUTE);
+      const candidate = { start, end: new Date(start.getTime() + length) };
+      if (start < now || !isWakingSlot(candidate.start, candidate.end, timeZone)) continue;
+      if (busy.some(b => overlaps(candidate, b))) continue;
+      if (slots.some(s => overlaps(candidate, s))) continue;
+      slots.push(candidate);
+      if (slots.length >= MAX_SUGGESTED_SLOTS) break;
+    }
+  }
+  return slots.map(s => ({ start: s.start.toISOString(), end: s.end.toISOString() }));
+}
+
+// Check spans ([{ start: Date, end: Date }]) for overlaps.
+// Returns { conflicts, suggestedSlots }: conflicts lists each overlapping item once,
+// suggestedSlots are free alternatives around the first conflicting span.
+async function checkScheduleConflicts({ userId, spans, excludeIds = [], now = new Date(), timeZone }) {
+  timeZone = resolveTimeZone(timeZone);
+  const valid = (spans || []).filter(s => s.start && !isNaN(s.start.getTime()) && s.end > s.start);
+  if (!valid.length) return { conflicts: [], suggestedSlots: [] };
+
+  const first = Math.min(...valid.map(s => s.start.getTime()));
+  const last = Math.max(...valid.map(s => s.end.getTime()));
+  const busy = await loadBusyIntervals({
+    userId,
+    from: new Date(first - (LOOKBACK_MINUTES + SLOT_SEARCH_MINUTES) * MINUTE),
+    to: new Date(last + SLOT_SEARCH_MINUTES * MINUTE),
+    excludeIds,
+    timeZone
+  });
+
+  const conflicts = [];
+  const seen = new Set();
+  let conflicting = null;
+  for (const span of valid) {
+    for (const b of busy) {
+      if (!overlaps(span, b)) continue;
+      conflicting = conflicting || span;
+      const key = `${b.item.source}:${b.item.id}:${b.start.toISOString()}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      conflicts.push(toConflict(b));
+    }
+  }
+
+  return {
+    conflicts,
+    suggestedSlots: conflicting ? findFreeSlots(conflicting, busy, { now, timeZone }) : []
+  };
+}
+
+module.exports = {
+  DEFAULT_TASK_MINUTES,
+  DEFAULT_MEETING_MINUTES,
+  checkScheduleConflicts,
+};
@@ -0,0 +1,224 @@
+const Reminder = require('../models/reminderModel');
+const Calendar = require('../models/calendarModel');
+const llm = require('./llm');
+const {
+  resolveTimeZone,
+  getZonedParts,
+  endOfZonedDay,
+  addZonedDays,
+  parseZonedDateTime,
+  formatOffset
+} = require('../utils/timezone');
+const { t, dateLocale, replyInstruction } = require('../utils/i18n');
+const { listOccurrences } = require('../utils/recurrence');
+const { occurrenceStatus } = require('../utils/habits');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LOOKAHEAD_DAYS = 90;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Normalize the range extracted by the intent detector.
+// query: { rangeStartISO?, rangeEndISO?, keywords?: string[], itemType?: 'task'|'meeting'|'any' }
+// Day boundaries are taken in the user's time zone.
+function resolveRange(query = {}, now = new Date(), timeZone) {
+  let start = query.rangeStartISO ? new Date(query.rangeStartISO) : null;
+  let end = query.rangeEndISO ? new Date(query.rangeEndISO) : null;
+  if (start && isNaN(start.getTime())) start = null;
+  if (end && isNaN(end.getTime())) end = null;
+
+  if (!start && !end) {
+    // "When is my dentist appointment?" → look ahead; otherwise the rest of today
+    start = new Date(now);
+    end = (query.keywords || []).length
+      ? new Date(now.getTime() + DEFAULT_LOOKAHEAD_DAYS * DAY_MS)
+      : endOfZonedDay(now, timeZone);
+  } else if (!start) {
+    start = new Date(Math.min(now.getTime(), end.getTime()));
+  } else if (!end) {
+    end = endOfZonedDay(start, timeZone);
+  }
+  if (end < start) [start, end] = [end, start];
+  return { start, end };
+}
+
+function matchesKeywords(text, keywords) {
+  if (!keywords.length) return true;
+  const hay = String(text || '').toLowerCase();
+  return keywords.some(k => hay.includes(k));
+}
+
+// Expand a routine reminder (or recurring meeting) into concrete occurrences within [start, end].
+// fixedTime is wall-clock time in the reminder's zone (or the user's when unset).
+function expandRoutine(reminder, start, end, timeZone) {
+  return listOccurrences(reminder, start, end, { timeZone });
+}
+
+function toReminderItem(r, start, timeZone) {
+  return {
+    id: r._id,
+    source: 'reminder',
+    type: r.type,
+    title: r.title,
+    description: r.description || '',
+    start: start ? start.toISOString() : null,
+    end: r.type === 'Meeting' && r.endDate && r.startDate && start
+      ? new Date(start.getTime() + (new Date(r.endDate) - new Date(r.startDate))).toISOString()
+      : null,
+    isRoutine: r.scheduleType === 'routine',
+    // A routine is done per occurrence
+    isCompleted: r.scheduleType === 'routine' && start
+      ? occurrenceStatus(r, start, { timeZone }) === 'done'
+      : !!r.isCompleted,
+    status: r.status || null,
+    location: r.location?.name || null
+  };
+}
+
+// [start, end) of a synced calendar event. All-day events (start.date / end.date,
+// end exclusive) span whole days in the user's zone. Null when it has no time.
+function calendarEventSpan(ev, timeZone) {
+  if (ev.start?.dateTime) {
+    const start = new Date(ev.start.dateTime);
+    return { start, end: ev.end?.dateTime ? new Date(ev.end.dateTime) : null, allDay: false };
+  }
+  const start = parseZonedDateTime(ev.start?.date, null, timeZone);
+  if (!start) return null;
+  const end = parseZonedDateTime(ev.end?.date, null, timeZone);
+  return { start, end: end && end > start ? end : addZonedDays(start, 1, timeZone), allDay: true };
+}
+
+// Collect the user's reminders and synced calendar events that match the query.
+// Returns { range: { start, end }, items } with items sorted by start time.
+async function findScheduleItems({ userId, query = {}, now = new Date(), timeZone }) {
+  timeZone = resolveTimeZone(timeZone);
+  const { start, end } = resolveRange(query, now, timeZone);
+  const keywords = (query.keywords || []).map(k => String(k).toLowerCase().trim()).filter(Boolean);
+  const itemType = query.itemType || 'any';
+  const items = [];
+
+  const reminders = await Reminder.find({
+    user: userId,
+    $or: [
+      { startDate: { $gte: start, $lte: end } },
+      { scheduleType: 'routine' },
+      { type: 'Location', status: 'active' }
+    ]
+  })
+    .select('type title description startDate endDate scheduleType scheduleTime scheduleDays rrule exdates recurrence cancelledOccurrences createdAt day status isCompleted completions location')
+    .lean();
+
+  const rangeDays = new Set();
+  for (let d = new Date(start); d <= end && rangeDays.size < 7; d = new Date(d.getTime() + DAY_MS)) {
+    rangeDays.add(getZonedParts(d, timeZone).weekday);
+  }
+  rangeDays.add(getZonedParts(end, timeZone).weekday);
+
+  for (const r of reminders) {
+    if (itemType === 'task' && r.type !== 'Task') continue;
+    if (itemType === 'meeting' && r.type !== 'Meeting') continue;
+    if (!matchesKeywords(`${r.title} ${r.description || ''} ${r.location?.name || ''}`, keywords)) continue;
+
+    if (r.type === 'Location') {
+      // Location reminders have no time; include them on the weekdays they apply to
+      const days = Array.isArray(r.scheduleDays) && r.scheduleDays.length
+        ? r.scheduleDays
+        : (r.day ? [DAY_NAMES.indexOf(r.day)] : [...rangeDays]);
+      if (days.some(d => rangeDays.has(d))) items.push(toReminderItem(r, null));
+      continue;
+    }
+
+    if (r.scheduleType === 'routine') {
+      for (const at of expandRoutine(r, start, end, timeZone)) items.push(toReminderItem(r, at, timeZone));
+      continue;
+    }
+
+    if (r.startDate) items.push(toReminderItem(r, new Date(r.startDate)));
+  }
+
+  if (itemType !== 'task') {
+    try {
+      const cal = await Calendar.findOne({ user: userId }).select('events').lean();
+      for (const ev of cal?.events || []) {
+        const span = ev && ev.status !== 'cancelled' ? calendarEventSpan(ev, timeZone) : null;
+        if (!span) continue;
+        // Timed events by their start; all-day ones when any of their days is in range
+        if (span.allDay ? span.start > end || span.end <= start : span.start < start || span.start > end) continue;
+        if (!matchesKeywords(`${ev.summary} ${ev.description || ''} ${ev.location || ''}`, keywords)) continue;
+        items.push({
+          id: ev.googleEventId || String(ev._id),
+          source: 'calendar',
+          type: 'Event',
+          title: ev.summary || 'Event',
+          description: ev.description || '',
+          start: span.start.toISOString(),
+          end: span.end ? span.end.toISOString() : null,
+          allDay: span.allDay,
+          isRoutine: false,
+          isCompleted: false,
+          location: ev.location || null,
+          link: ev.htmlLink || null
+        });
+      }
+    } catch (e) {
+      console.warn('[query] calendar lookup failed', e?.message);
+    }
+  }
+
+  items.sort((a, b) => {
+    if (!a.start) return 1;
+    if (!b.start) return -1;
+    return new Date(a.start) - new Date(b.start);
+  });
+
+  return { range: { start: start.toISOString(), end: end.toISOString() }, items };
+}
+
+// Plain-text answer used when the model is unavailable
+function buildTemplateAnswer(items, timeZone) {
+  if (!items.length) return t('query.nothing');
+  const lines = items.slice(0, 10).map(it => {
+    if (!it.start) return t('query.nearby', { title: it.title });
+    if (it.allDay) {
+      // end is exclusive: the last day is the one before it
+      const days = [it.start, new Date(new Date(it.end).getTime() - 1)]
+        .map(d => new Date(d).toLocaleDateString(dateLocale(), { weekday: 'short', month: 'short', day: 'numeric', timeZone }));
+      const date = days[0] === days[1] ? days[0] : `${days[0]} – ${days[1]}`;
+      return t('query.item', { title: it.title, when: t('query.allDay', { date }), done: '' });
+    }
+    const when = new Date(it.start).toLocaleString(dateLocale(), {
+      weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone
+    });
+    return t('query.item', { title: it.title, when, done: it.isCompleted ? t('query.done') : '' });
+  });
+  const more = items.length > 10 ? t('query.more', { count: items.length - 10 }) : '';
+  return t('query.found', { list: `${lines.join('\n')}${more}` });
+}
+
+// Ask the model for a short answer grounded ONLY in the given items
+async function answerWithModel({ question, items, range, now, timeZone }) {
+  const systemPrompt = `You are Bela, a scheduling assistant. Answer the user's question about their schedule using ONLY the items provided. Never invent items, times or details that are not in the list. If the list is empty, say that nothing is scheduled for that. Mention times in a friendly 12-hour format, converted to the user's time zone. Keep it short (at most 5 sentences or a short list). Return plain text only. ${replyInstruction()}`.trim();
+  const userContent = `Now (UTC): ${now.toISOString()}\nUser time zone: ${timeZone} (UTC${formatOffset(now, timeZone)})\nRange (UTC): ${range.start} to ${range.end}\nItems:\n${JSON.stringify(items.slice(0, 50), null, 2)}\nQuestion: ${question}`;
+  const text = await llm.generateText({
+    task: 'schedule_answer',
+    system: systemPrompt,
+    prompt: userContent,
+    input: { question, items, range, now, timeZone }
+  });
+  return String(text || '').trim();
+}
+
+// Answer a schedule question. Returns { response, range, items }
+async function answerScheduleQuery({ userId, question, query = {}, now = new Date(), timeZone }) {
+  timeZone = resolveTimeZone(timeZone);
+  const { range, items } = await findScheduleItems({ userId, query, now, timeZone });
+  let response = '';
+  try {
+    response = await answerWithModel({ question, items, range, now, timeZone });
+  } catch (e) {
+    console.warn('[query] model answer failed; using template', e?.message);
+  }
+  if (!response) response = buildTemplateAnswer(items, timeZone);
+  return { response, range, items };
+}
+
+module.exports = { findScheduleItems, answerScheduleQuery };
@@ -0,0 +1,29 @@
+const axios = require('axios');
+
+const DEFAULT_MODEL = 'scribe_v1';
+
+function createProvider({ apiKey = process.env.ELEVENLABS_API_KEY, model = process.env.ELEVENLABS_STT_MODEL || DEFAULT_MODEL } = {}) {
+  return {
+    name: 'elevenlabs',
+
+    async transcribe({ audio, mimeType = 'audio/mpeg', language }) {
+      if (!apiKey) throw new Error('ELEVENLABS_API_KEY not configured');
+
+      const form = new FormData();
+      form.append('model_id', model);
+      if (language) form.append('language_code', language);
+      form.append('file', new Blob([audio], { type: mimeType }), 'speech');
+
+      const resp = await axios.post('https://api.elevenlabs.io/v1/speech-to-text', form, {
+        headers: { 'xi-api-key': apiKey },
+        timeout: 30000
+      });
+      return {
+        text: String(resp.data?.text || '').trim(),
+        language: resp.data?.language_code || language || null
+      };
+    },
+  };
+}
+
+module.exports = { createProvider };
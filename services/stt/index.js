@@ -0,0 +1,35 @@
+// Speech-to-text backend selection. Voice input goes through one provider:
+//   transcribe({ audio, mimeType, language?, hint? }) -> Promise<{ text, language }>
+// audio is a Buffer; hint is an optional client-side transcript the local stub can use.
+//
+// STT_PROVIDER selects the implementation: 'elevenlabs' (default) or 'local'
+// (offline stub; see localProvider.js).
+
+const providers = {
+  elevenlabs: () => require('./elevenlabsProvider'),
+  local: () => require('./localProvider'),
+};
+
+let cached = null;
+
+function getProvider() {
+  let name = String(process.env.STT_PROVIDER || 'elevenlabs').toLowerCase().trim();
+  if (!providers[name]) {
+    console.warn(`[stt] unknown STT_PROVIDER "${name}", using elevenlabs`);
+    name = 'elevenlabs';
+  }
+  if (!cached || cached.name !== name) {
+    cached = providers[name]().createProvider();
+    console.log('[stt] provider:', cached.name);
+  }
+  return cached;
+}
+
+function transcribe(options) {
+  return getProvider().transcribe(options);
+}
+
+module.exports = {
+  getProvider,
+  transcribe,
+};
@@ -0,0 +1,26 @@
+// Offline speech-to-text stub (STT_PROVIDER=local). It does not decode audio;
+// the transcript comes from, in order:
+//   1. the request's hint (a transcript the client already has, e.g. from on-device STT)
+//   2. STT_STUB_TRANSCRIPT
+//   3. the upload itself when it is plain UTF-8 text (handy for scripted tests)
+
+function readTextUpload(audio) {
+  if (!audio?.length) return '';
+  const text = audio.toString('utf8');
+  // Reject binary audio: replacement chars or control bytes other than whitespace
+  if (/[\uFFFD\u0000-\u0008\u000E-\u001F]/.test(text)) return '';
+  return text.trim();
+}
+
+function createProvider() {
+  return {
+    name: 'local',
+
+    async transcribe({ audio, hint, language }) {
+      const text = String(hint || process.env.STT_STUB_TRANSCRIPT || readTextUpload(audio) || '').trim();
+      return { text, language: language || null };
+    },
+  };
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,140 @@
+// Long-term memory: short facts about a user's habits and preferences ("Goes to
+// the gym at 06:00", "Team standup is at 09:30 on weekdays"). Facts are picked up
+// from chat messages in the background, only while the user has opted in
+// (assistantSettings.memoryEnabled), and are added to the intent-detection and
+// scheduling prompts so defaults follow the user's own routine.
+const User = require('../models/userModel');
+const UserMemory = require('../models/userMemoryModel');
+const { generateJSON } = require('./llm/structured');
+
+// Facts kept per user; the least recently confirmed ones are dropped first
+const MAX_MEMORIES = 50;
+// Facts added to a prompt (most recent first)
+const PROMPT_MEMORIES = 20;
+// Longest fact stored (UserMemory.text); longer ones are not short facts, so they are skipped
+const MAX_FACT_LENGTH = 200;
+// Shorter messages ("yes", "7pm", "cancel") cannot state a habit
+const MIN_MESSAGE_WORDS = 4;
+
+function isMemoryEnabled(user) {
+  return user?.assistantSettings?.memoryEnabled === true;
+}
+
+// Comparison key for facts ("Goes to the gym at 06:00." == "goes to the gym at 06:00")
+function factKey(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}:]+/gu, ' ').trim();
+}
+
+function toMemorySummary(memory) {
+  return {
+    id: memory._id,
+    text: memory.text,
+    category: memory.category,
+    conversationId: memory.conversationId || null,
+    createdAt: memory.createdAt,
+    updatedAt: memory.updatedAt
+  };
+}
+
+async function listMemories(userId) {
+  const memories = await UserMemory.find({ user: userId }).sort({ updatedAt: -1 }).lean();
+  return memories.map(toMemorySummary);
+}
+
+async function deleteMemory(userId, memoryId) {
+  return UserMemory.findOneAndDelete({ _id: memoryId, user: userId });
+}
+
+async function clearMemories(userId) {
+  const { deletedCount } = await UserMemory.deleteMany({ user: userId });
+  return deletedCount;
+}
+
+// Remembered facts for the prompts, [] when the user has none or turned memory off
+async function loadPromptMemories(userId) {
+  if (!userId) return [];
+  const user = await User.findById(userId).select('assistantSettings');
+  if (!isMemoryEnabled(user)) return [];
+  const memories = await UserMemory.find({ user: userId }).sort({ updatedAt: -1 }).limit(PROMPT_MEMORIES).lean();
+  return memories.map(m => m.text);
+}
+
+// Ask the model for lasting facts in a user message and store the new ones.
+// A fact that updates a known one ("my standup moved to 10") replaces it.
+// Returns the facts that were added or changed.
+async function extractMemories({ userId, message, conversationId }) {
+  const known = await UserMemory.find({ user: userId }).sort({ updatedAt: -1 }).limit(MAX_MEMORIES);
+  const prompt = `You keep a short list of lasting facts about the user of a scheduling assistant.
+Find facts in the user's message that will help schedule things for them later:
+- habits and routines with their usual time ("Goes to the gym at 06:00")
+- fixed commitments ("Team standup is at 09:30 on weekdays")
+- preferences ("Prefers meetings in the afternoon")
+
+Rules:
+- Only lasting facts the user states about themselves; ignore one-off requests ("remind me to call John tomorrow"), questions and small talk
+- Write each fact as one short sentence without the user's name; write times as HH:mm (24h)
+- Skip facts that are already known (below). If the message changes a known fact, return the new fact and put the old fact's text in "replaces"
+- Never keep passwords, health, financial or other sensitive details
+- Return {"facts": []} when there is nothing worth remembering
+
+Known facts:
+${known.length ? known.map(m => `- ${m.text}`).join('\n') : '(none)'}
+
+User message: "${message}"
+
+Return ONLY JSON: {"facts":[{"text":"...","category":"habit|schedule|preference|other","replaces":"old fact or null"}]}`;
+
+  const { facts } = await generateJSON({ task: 'memory_extraction', prompt, input: { message, known: known.map(m => m.text) } });
+
+  const byKey = new Map(known.map(m => [factKey(m.text), m]));
+  const saved = [];
+  for (const fact of facts) {
+    const key = factKey(fact.text);
+    if (!key || byKey.has(key) || fact.text.trim().length > MAX_FACT_LENGTH) continue;
+    const replaced = fact.replaces ? byKey.get(factKey(fact.replaces)) : null;
+    const memory = replaced || new UserMemory({ user: userId });
+    if (replaced) byKey.delete(factKey(replaced.text));
+    memory.text = fact.text.trim();
+    memory.category = fact.category;
+    if (conversationId) memory.conversationId = conversationId;
+    // One fact that cannot be saved does not lose the others
+    try {
+      await memory.save();
+    } catch (err) {
+      console.warn('[memory] could not save fact', err?.message);
+      continue;
+    }
+    byKey.set(key, memory);
+    saved.push(memory);
+  }
+
+  if (saved.length) {
+    console.log(`🧠 [memory] remembered ${saved.length} fact(s) for user ${userId}`);
+    // Keep the newest MAX_MEMORIES facts
+    const stale = await UserMemory.find({ user: userId }).sort({ updatedAt: -1 }).skip(MAX_MEMORIES).select('_id').lean();
+    if (stale.length) await UserMemory.deleteMany({ _id: { $in: stale.map(m => m._id) } });
+  }
+  return saved.map(toMemorySummary);
+}
+
+// Fire-and-forget extraction after a chat message, so the reply is not delayed
+function scheduleMemoryExtraction({ user, message, conversationId }) {
+  if (!isMemoryEnabled(user)) return;
+  if (String(message || '').trim().split(/\s+/).length < MIN_MESSAGE_WORDS) return;
+  const userId = user.id || user._id;
+  setImmediate(() => {
+    extractMemories({ userId, message, conversationId })
+      .catch(err => console.warn('[memory] extraction failed', err?.message));
+  });
+}
+
+module.exports = {
+  MAX_MEMORIES,
+  isMemoryEnabled,
+  listMemories,
+  deleteMemory,
+  clearMemories,
+  loadPromptMemories,
+  extractMemories,
+  scheduleMemoryExtraction,
+};
@@ -0,0 +1,58 @@
+// Rule-based reading of the people a meeting request names ("meeting with Sara
+// and Ali tomorrow at 3", "sync with ali@example.com"), for when there is no
+// model to ask. Names are only taken when capitalized, so "with the team" and
+// "with my manager" name nobody.
+
+const EMAIL_PATTERN = /[^\s@,;:<>()"']+@[^\s@,;:<>()"']+\.[a-z]{2,}/gi;
+const IS_EMAIL = /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i;
+const NAME_PATTERN = /^\p{Lu}[\p{L}'’-]*$/u;
+// Capitalized words after "with" that are not people
+const NOT_NAMES = new Set([
+  'today', 'tomorrow', 'tonight', 'next', 'this', 'every', 'at', 'on', 'in', 'from', 'about', 'for', 'to',
+  'sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday',
+  'the', 'my', 'our', 'me', 'team', 'everyone', 'all', 'client', 'clients', 'manager', 'boss'
+]);
+const MAX_NAME_WORDS = 2;
+
+// Returns [{ name, email }] (one of the two may be null), in the order mentioned
+function parseAttendeeMentions(text) {
+  const message = String(text || '');
+  const found = [];
+  const add = (name, email) => {
+    const key = email ? email.toLowerCase() : name.toLowerCase();
+    if (found.some(a => (a.email || a.name.toLowerCase()) === key)) return;
+    found.push({ name: name || null, email: email ? email.toLowerCase() : null });
+  };
+
+  for (const email of message.match(EMAIL_PATTERN) || []) add(null, email);
+
+  const lead = /\b(?:with|invite|inviting)\s+/gi;
+  let match;
+  while ((match = lead.exec(message))) {
+    const tokens = message.slice(match.index + match[0].length).replace(/,/g, ' , ').split(/\s+/).filter(Boolean);
+    let current = [];
+    const flush = () => {
+      if (current.length) add(current.join(' '), null);
+      current = [];
+    };
+    for (const token of tokens) {
+      const word = token.replace(/[.!?;:]+$/, '');
+      if (token === ',' || /^(and|&)$/i.test(word)) {
+        flush();
+        continue;
+      }
+      if (IS_EMAIL.test(word)) {
+        flush();
+        continue;
+      }
+      if (!NAME_PATTERN.test(word) || NOT_NAMES.has(word.toLowerCase()) || current.length >= MAX_NAME_WORDS) break;
+      current.push(word);
+      // Sentence ends after this word
+      if (word !== token) break;
+    }
+    flush();
+  }
+  return found;
+}
+
+module.exports = { parseAttendeeMentions };
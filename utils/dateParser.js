@@ -0,0 +1,286 @@
+// Rule-based parser for common date/time phrases ("tomorrow 5pm", "next Monday at 2",
+// "every weekday at 9", "in 30 minutes", "on the 3rd").
+// Produces the same schedule shape the assistant extracts with the model, so it can
+// stand in when the model fails and double-check the dates the model returns.
+const {
+  resolveTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  addZonedDays,
+  toZonedDateString,
+  toZonedTimeString
+} = require('./timezone');
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR'];
+const DAY_PATTERN = '(sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)(?:day|nesday|rsday|urday)?';
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12
+};
+const MONTH_PATTERN = '(jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\\.?';
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, fifteen: 15, twenty: 20, thirty: 30, 'forty five': 45
+};
+// Times used when only a part of the day is mentioned
+const PARTS_OF_DAY = [
+  [/\b(?:at )?noon\b/, '12:00'],
+  [/\b(?:at )?midnight\b/, '00:00'],
+  [/\b(?:this |in the |every )?morning\b/, '09:00'],
+  [/\b(?:this |in the |every )?afternoon\b/, '14:00'],
+  [/\b(?:this |in the |every )?evening\b/, '18:00'],
+  [/\btonight\b/, '20:00'],
+  [/\b(?:at |every )night\b/, '21:00'],
+];
+// Date-only results are scheduled at this local time
+const DEFAULT_TIME = '09:00';
+
+function dayCode(word) {
+  const key = String(word).toLowerCase().slice(0, 2);
+  return DAY_CODES.find(c => c.toLowerCase() === key) || null;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Tracks what has been consumed so the same words are not read twice.
+// Matching runs on a lowercase copy; rest() keeps the original casing when it can.
+function createScanner(text) {
+  let original = ` ${String(text || '').replace(/\s+/g, ' ')} `;
+  let work = original.toLowerCase();
+  if (work.length !== original.length) original = work;
+  const blank = (str, m) => str.slice(0, m.index) + ' '.repeat(m[0].length) + str.slice(m.index + m[0].length);
+  return {
+    take(regex) {
+      const m = work.match(regex);
+      if (!m) return null;
+      work = blank(work, m);
+      original = blank(original, m);
+      return m;
+    },
+    peek(regex) {
+      return regex.test(work);
+    },
+    rest() {
+      return original;
+    }
+  };
+}
+
+function readNumber(word) {
+  if (/^\d+$/.test(word)) return parseInt(word, 10);
+  return NUMBER_WORDS[word] ?? null;
+}
+
+// "in 30 minutes", "in an hour", "in half an hour", "in 3 days", "in 2 weeks"
+function takeOffset(scan) {
+  const half = scan.take(/\bin half an? hour\b/);
+  if (half) return { minutes: 30 };
+  const m = scan.take(/\bin (\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten|fifteen|twenty|thirty|forty five) ?(minutes?|mins?|hours?|hrs?|h|days?|weeks?)\b/);
+  if (!m) return null;
+  const n = readNumber(m[1]);
+  if (!n) return null;
+  if (/^(m)/.test(m[2])) return { minutes: n };
+  if (/^(h)/.test(m[2])) return { minutes: n * 60 };
+  if (/^d/.test(m[2])) return { days: n };
+  return { days: n * 7 };
+}
+
+// "every day", "daily", "every weekday", "weekends", "every Monday and Thursday", "on Fridays"
+function takeRecurrence(scan) {
+  if (scan.take(/\b(?:every ?day|daily|each day)\b/)) return [...DAY_CODES];
+  // "every morning": leave the part of the day for the time reader
+  if (scan.take(/\bevery(?= (?:morning|afternoon|evening|night)\b)/)) return [...DAY_CODES];
+  if (scan.take(/\b(?:every |on )?week ?days\b|\bevery week ?day\b/)) return [...WEEKDAYS];
+  if (scan.take(/\b(?:every |on )?weekends?\b/)) return ['SA', 'SU'];
+
+  const list = new RegExp(`\\bevery ${DAY_PATTERN}s?(?:(?: ?, ?| and | & | ?, and )${DAY_PATTERN}s?)*\\b`);
+  const plural = new RegExp(`\\b(?:on )?${DAY_PATTERN}s(?:(?: ?, ?| and | & | ?, and )${DAY_PATTERN}s)*\\b`);
+  const m = scan.take(list) || scan.take(plural);
+  if (!m) return null;
+  const codes = [];
+  for (const word of m[0].match(new RegExp(DAY_PATTERN, 'g')) || []) {
+    const code = dayCode(word);
+    if (code && !codes.includes(code)) codes.push(code);
+  }
+  return codes.length ? codes : null;
+}
+
+// Returns { year, month, day } in the user's zone, or null
+function takeDate(scan, today, now, timeZone) {
+  const shift = (n) => getZonedParts(addZonedDays(now, n, timeZone), timeZone);
+
+  let m = scan.take(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (m) return { year: +m[1], month: +m[2], day: +m[3] };
+
+  if (scan.take(/\b(?:the )?day after tomorrow\b/)) return shift(2);
+  if (scan.take(/\btomorrow\b/)) return shift(1);
+  if (scan.peek(/\btonight\b/) || scan.take(/\btoday\b/)) return today;
+  // "next week": the coming Monday
+  if (scan.take(/\bnext week\b/)) return shift(((1 - today.weekday + 7) % 7) || 7);
+
+  m = scan.take(new RegExp(`\\b(?:(next|this|coming|on) )?${DAY_PATTERN}\\b`));
+  if (m) {
+    const target = DAY_CODES.indexOf(dayCode(m[2]));
+    let diff = (target - today.weekday + 7) % 7;
+    if (diff === 0 && m[1] !== 'this') diff = 7;
+    return shift(diff);
+  }
+
+  // "May 3", "May 3rd, 2027", "3 May", "the 3rd of May"
+  m = scan.take(new RegExp(`\\b${MONTH_PATTERN} (\\d{1,2})(?:st|nd|rd|th)?(?:,? (\\d{4}))?\\b`)) ||
+    scan.take(new RegExp(`\\b(?:the )?(\\d{1,2})(?:st|nd|rd|th)? (?:of )?${MONTH_PATTERN}(?:,? (\\d{4}))?\\b`));
+  if (m) {
+    const monthFirst = isNaN(parseInt(m[1], 10));
+    const month = MONTHS[monthFirst ? m[1] : m[2]];
+    const day = parseInt(monthFirst ? m[2] : m[1], 10);
+    let year = m[3] ? parseInt(m[3], 10) : today.year;
+    if (!month || day < 1 || day > daysInMonth(year, month)) return null;
+    if (!m[3] && (month < today.month || (month === today.month && day < today.day))) year += 1;
+    return { year, month, day };
+  }
+
+  // "on the 3rd": this month, or next month once the day has passed
+  m = scan.take(/\b(?:on )?the (\d{1,2})(?:st|nd|rd|th)?\b/) || scan.take(/\b(?:on )?(\d{1,2})(?:st|nd|rd|th)\b/);
+  if (m) {
+    const day = parseInt(m[1], 10);
+    if (day < 1 || day > 31) return null;
+    let { year, month } = today;
+    if (day < today.day) month += 1;
+    for (let i = 0; i < 12; i++, month++) {
+      if (month > 12) { month = 1; year += 1; }
+      if (day <= daysInMonth(year, month)) return { year, month, day };
+    }
+  }
+  return null;
+}
+
+// Returns "HH:mm" or null
+function takeTime(scan) {
+  const hint = scan.peek(/\bmorning\b/) ? 'am'
+    : scan.peek(/\b(?:afternoon|evening|tonight|night)\b/) ? 'pm' : null;
+
+  let m = scan.take(/(?:\bat |@ ?)?\b(\d{1,2})(?::(\d{2}))? ?(a\.?m\.?|p\.?m\.?)(?=\W)/);
+  if (m) {
+    let h = parseInt(m[1], 10) % 12;
+    if (m[3].startsWith('p')) h += 12;
+    return `${pad(h)}:${m[2] || '00'}`;
+  }
+  m = scan.take(/(?:\bat |@ ?)?\b([01]?\d|2[0-3]):([0-5]\d)\b/);
+  if (m) {
+    let h = parseInt(m[1], 10);
+    if (hint === 'pm' && h < 12) h += 12;
+    return `${pad(h)}:${m[2]}`;
+  }
+  // "at 2" / "at 9 in the morning": guess am/pm from the hint or typical waking hours
+  m = scan.take(/(?:\bat|@) ?(\d{1,2})\b(?! ?(?:st|nd|rd|th|min|hour|day|week|%))/);
+  if (m) {
+    let h = parseInt(m[1], 10);
+    if (h > 23) return null;
+    if (h <= 12) {
+      if (hint === 'pm' && h < 12) h += 12;
+      else if (!hint && h >= 1 && h <= 7) h += 12;
+    }
+    return `${pad(h)}:00`;
+  }
+  for (const [regex, time] of PARTS_OF_DAY) {
+    if (scan.take(regex)) return time;
+  }
+  return null;
+}
+
+// Parse the date/time phrases in a message.
+// Returns null when nothing date-like is found, otherwise
+// {
+//   startDateISO,                      // next occurrence, UTC
+//   scheduleType: 'one-day'|'routine',
+//   isRoutine,
+//   scheduleDays: ['MO', ...],         // [] for one-day
+//   scheduleTime: { fixedTime },       // local "HH:mm" or null
+//   dateISO,                           // local "YYYY-MM-DD" of startDateISO
+//   matched: { date, time, recurrence },
+//   rest                               // the message with the parsed phrases removed
+// }
+function parseDateTime(text, { now = new Date(), timeZone } = {}) {
+  const zone = resolveTimeZone(timeZone);
+  const today = getZonedParts(now, zone);
+  const scan = createScanner(text);
+
+  const offset = takeOffset(scan);
+  const recurrence = takeRecurrence(scan);
+  const date = offset?.days ? getZonedParts(addZonedDays(now, offset.days, zone), zone) : takeDate(scan, today, now, zone);
+  let time = offset?.minutes ? null : takeTime(scan);
+  if (!offset && !recurrence && !date && !time) return null;
+  // Drop part-of-day words already covered by an explicit time ("tonight at 9")
+  scan.take(/\b(?:tonight|(?:this |in the )?(?:morning|afternoon|evening))\b/);
+
+  const rest = scan.rest().replace(/\s+/g, ' ').trim();
+  let start;
+  if (offset?.minutes) {
+    start = new Date(now.getTime() + offset.minutes * 60000);
+    time = toZonedTimeString(start, zone);
+  } else if (recurrence) {
+    // Next matching day on or after the given date whose time has not passed yet
+    const from = date || today;
+    const [hour, minute] = (time || '00:00').split(':').map(Number);
+    for (let i = 0; i <= 7 && !start; i++) {
+      const at = zonedTimeToUtc({ year: from.year, month: from.month, day: from.day + i, hour, minute }, zone);
+      const onDay = recurrence.includes(DAY_CODES[getZonedParts(at, zone).weekday]);
+      if (onDay && (!time || at > now)) start = at;
+    }
+  } else {
+    const base = date || today;
+    const [hour, minute] = (time || DEFAULT_TIME).split(':').map(Number);
+    start = zonedTimeToUtc({ year: base.year, month: base.month, day: base.day, hour, minute }, zone);
+    // A bare time that already passed today means tomorrow
+    if (!date && start <= now) start = addZonedDays(start, 1, zone);
+  }
+  if (!start) return null;
+
+  return {
+    startDateISO: start.toISOString(),
+    scheduleType: recurrence ? 'routine' : 'one-day',
+    isRoutine: !!recurrence,
+    scheduleDays: recurrence || [],
+    scheduleTime: { fixedTime: time },
+    dateISO: toZonedDateString(start, zone),
+    matched: { date: !!(date || offset), time: !!time, recurrence: !!recurrence },
+    rest
+  };
+}
+
+// Split a message that asks for several things into one clause per request:
+// "pay rent on the 1st, call mom Sunday evening and book a dentist next week"
+// -> ["pay rent on the 1st", "call mom Sunday evening", "book a dentist next week"].
+// Pieces without a date or time stay attached to their neighbour, so
+// "buy salt and pepper tomorrow" remains one clause.
+function splitRequestClauses(text, options = {}) {
+  const parts = String(text || '').split(/(\s*[,;]\s*(?:and |then )?|\s+and (?:then |also )?)/i);
+  const clauses = [];
+  let current = '';
+  let separator = ' ';
+  for (let i = 0; i < parts.length; i += 2) {
+    current += parts[i];
+    if (current.trim() && parseDateTime(current, options)) {
+      clauses.push(current.trim());
+      current = '';
+      separator = parts[i + 1] || ' ';
+    } else if (i + 1 < parts.length) {
+      current += parts[i + 1];
+    }
+  }
+  const rest = current.trim();
+  if (rest) {
+    if (clauses.length) clauses[clauses.length - 1] += `${separator}${rest}`;
+    else clauses.push(rest);
+  }
+  return clauses.length ? clauses : [String(text || '').trim()];
+}
+
+module.exports = { parseDateTime, splitRequestClauses };
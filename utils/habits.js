@@ -0,0 +1,96 @@
+// Completion history of routines. Each occurrence of a repeating task or meeting
+// can be logged as done or skipped (reminder.completions: { occurrence, date,
+// status, source, at }); entries are matched by `date`, the occurrence's day in
+// the series' zone, so they stay attached when the routine's time moves.
+const { recurrenceOf, listOccurrences } = require('./recurrence');
+const {
+  resolveTimeZone,
+  parseZonedDateTime,
+  toZonedDateString,
+  addZonedDays,
+  endOfZonedDay
+} = require('./timezone');
+
+const COMPLETION_STATUSES = ['done', 'skipped'];
+const COMPLETION_SOURCES = ['app', 'notification', 'assistant'];
+// Streaks look back at most this far
+const MAX_HISTORY_DAYS = 730;
+
+// The occurrence `value` names: its ISO start time, or a "YYYY-MM-DD" day (the
+// occurrence on that day). Null when the routine does not occur then; occurrences
+// left out of the series (exdates) cannot be logged.
+function findOccurrence(reminder, value, { timeZone } = {}) {
+  const series = recurrenceOf(reminder, { timeZone });
+  if (!series) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(value || ''))) {
+    const day = parseZonedDateTime(value, null, series.timeZone);
+    return listOccurrences(reminder, day, endOfZonedDay(day, series.timeZone), { timeZone, limit: 1 })[0] || null;
+  }
+  const at = new Date(value);
+  if (isNaN(at.getTime())) return null;
+  return listOccurrences(reminder, at, at, { timeZone }).find(d => d.getTime() === at.getTime()) || null;
+}
+
+// Log entries of a reminder by occurrence day
+function completionsByDate(reminder) {
+  return new Map((reminder.completions || []).map(c => [c.date, c]));
+}
+
+// How the occurrence starting at `at` was logged ('done' / 'skipped'), or null
+function occurrenceStatus(reminder, at, { timeZone } = {}) {
+  if (!reminder.completions?.length) return null;
+  const date = toZonedDateString(at, resolveTimeZone(reminder.scheduleTime?.timeZone || timeZone));
+  return reminder.completions.find(c => c.date === date)?.status || null;
+}
+
+// Current and longest streak of done occurrences, and the completion rate over
+// the last `days` days. A skipped occurrence neither breaks nor extends a streak,
+// a missed one breaks it, and today's occurrence does not count until it is logged
+// (or the day is over). Returns null when the reminder does not repeat.
+function routineStats(reminder, { now = new Date(), timeZone, days = 30 } = {}) {
+  const series = recurrenceOf(reminder, { timeZone });
+  if (!series) return null;
+  const zone = series.timeZone;
+  const today = toZonedDateString(now, zone);
+  const windowStart = toZonedDateString(addZonedDays(now, -(days - 1), zone), zone);
+  const historyStart = addZonedDays(now, -MAX_HISTORY_DAYS, zone);
+  const from = series.dtstart > historyStart ? series.dtstart : historyStart;
+  const occurrences = listOccurrences(reminder, from, endOfZonedDay(now, zone), { timeZone });
+  const logged = completionsByDate(reminder);
+
+  let current = 0;
+  let longest = 0;
+  const window = { done: 0, skipped: 0, missed: 0 };
+  for (const at of occurrences) {
+    const date = toZonedDateString(at, zone);
+    const status = logged.get(date)?.status || (date === today ? null : 'missed');
+    if (status === 'done') {
+      current++;
+      longest = Math.max(longest, current);
+    } else if (status === 'missed') {
+      current = 0;
+    }
+    if (status && date >= windowStart) window[status]++;
+  }
+
+  const due = window.done + window.missed;
+  const lastDone = (reminder.completions || [])
+    .filter(c => c.status === 'done')
+    .reduce((latest, c) => (!latest || c.occurrence > latest.occurrence ? c : latest), null);
+  return {
+    currentStreak: current,
+    longestStreak: longest,
+    completionRate: due ? Math.round((window.done / due) * 1000) / 1000 : null,
+    window: { days, from: windowStart, to: today, ...window },
+    lastCompletedAt: lastDone ? lastDone.at : null
+  };
+}
+
+module.exports = {
+  COMPLETION_STATUSES,
+  COMPLETION_SOURCES,
+  findOccurrence,
+  completionsByDate,
+  occurrenceStatus,
+  routineStats,
+};
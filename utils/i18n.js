@@ -0,0 +1,142 @@
+// Message catalog for the assistant's canned replies (utils/locales/<code>.js).
+// The language of a request is set once with withLanguage() (from the user's
+// assistantSettings.language) and read by t() further down the call chain, so
+// the many reply helpers do not each need a language parameter.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const catalogs = {
+  en: require('./locales/en'),
+  ur: require('./locales/ur'),
+};
+
+const DEFAULT_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = Object.keys(catalogs);
+const storage = new AsyncLocalStorage();
+
+function isSupportedLanguage(language) {
+  return SUPPORTED_LANGUAGES.includes(language);
+}
+
+// Language of a user (assistantSettings.language), English when unset or unknown
+function resolveLanguage(user) {
+  const language = user?.assistantSettings?.language;
+  return isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE;
+}
+
+// Run fn with `language` as the current language for everything it awaits
+function withLanguage(language, fn) {
+  return storage.run(isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE, fn);
+}
+
+function currentLanguage() {
+  return storage.getStore() || DEFAULT_LANGUAGE;
+}
+
+function catalog() {
+  return catalogs[currentLanguage()];
+}
+
+function lookup(messages, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), messages);
+}
+
+// Translate key in the current language (falls back to English, then the key).
+// Entries are strings with {placeholders} or functions of params (for plurals).
+function t(key, params = {}) {
+  let entry = lookup(catalog().messages, key);
+  if (entry === undefined) entry = lookup(catalogs[DEFAULT_LANGUAGE].messages, key);
+  if (entry === undefined) return key;
+  if (typeof entry === 'function') return entry(params);
+  return String(entry).replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+function hasMessage(key) {
+  return lookup(catalogs[DEFAULT_LANGUAGE].messages, key) !== undefined;
+}
+
+// Locale for toLocaleDateString / toLocaleTimeString
+function dateLocale() {
+  return catalog().locale;
+}
+
+// "a, b and c" in the current language
+function joinList(parts, conjunction = 'and') {
+  const words = catalog().list;
+  if (parts.length <= 1) return parts.join('');
+  return `${parts.slice(0, -1).join(words.separator)} ${words[conjunction]} ${parts[parts.length - 1]}`;
+}
+
+// Day name for an assistant day code ('SU'..'SA')
+function dayName(code) {
+  return catalog().dayNames[code]?.[0] || code;
+}
+
+// Extra system prompt line for free-text replies ('' for English)
+function replyInstruction(language = currentLanguage()) {
+  return (catalogs[language] || catalog()).prompts.reply;
+}
+
+// Extra prompt line for structured (JSON) parsing ('' for English)
+function parsingInstruction() {
+  return catalog().prompts.parsing;
+}
+
+// Arabic-keyboard variants of Urdu letters (ه ي ك) written the Urdu way
+function normalizeLetters(text) {
+  return String(text || '').replace(/ه/g, 'ہ').replace(/[يى]/g, 'ی').replace(/ك/g, 'ک');
+}
+
+// Day codes named in text, in any supported language ("پیر اور بدھ", "mangal", "Friday").
+// "every day" phrases give all seven days.
+function findDayCodes(text) {
+  const lower = ` ${normalizeLetters(text).toLowerCase().replace(/[\s,،.;:!?؟۔()/-]+/g, ' ')} `;
+  const found = [];
+  for (const { dayNames, everyDay } of Object.values(catalogs)) {
+    if (everyDay.some(phrase => lower.includes(` ${phrase} `))) return ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+    for (const [code, names] of Object.entries(dayNames)) {
+      if (!found.includes(code) && names.some(name => lower.includes(` ${name.toLowerCase()} `))) found.push(code);
+    }
+  }
+  return found;
+}
+
+// Whether the whole message asks to drop the request in progress ("never mind",
+// "please cancel that", "رہنے دیں"), in any supported language
+function isCancelPhrase(text) {
+  const message = normalizeLetters(text).toLowerCase().replace(/[\s,،.;:!?؟۔]+/g, ' ').trim();
+  return Object.values(catalogs).some(({ cancel }) => {
+    let rest = message;
+    for (;;) {
+      if (cancel.phrases.includes(rest)) return true;
+      const filler = cancel.fillers.find(f => rest.startsWith(`${f} `) || rest.endsWith(` ${f}`));
+      if (!filler) return false;
+      rest = (rest.startsWith(`${filler} `) ? rest.slice(filler.length + 1) : rest.slice(0, -filler.length - 1)).trim();
+    }
+  });
+}
+
+// Day names of every supported language, for the day-extraction prompts
+function describeDayNames() {
+  return Object.keys(catalogs[DEFAULT_LANGUAGE].dayNames)
+    .map(code => `- ${code}: ${SUPPORTED_LANGUAGES.flatMap(lang => catalogs[lang].dayNames[code]).join(', ')}`)
+    .join('\n');
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  isSupportedLanguage,
+  resolveLanguage,
+  withLanguage,
+  currentLanguage,
+  t,
+  hasMessage,
+  dateLocale,
+  joinList,
+  dayName,
+  replyInstruction,
+  parsingInstruction,
+  findDayCodes,
+  isCancelPhrase,
+  describeDayNames,
+};
@@ -0,0 +1,174 @@
+// Minimal iCalendar (RFC 5545) writer for meeting invitations: one VEVENT per
+// file, REQUEST for invites and updates, CANCEL when a meeting (or one
+// occurrence of a recurring meeting) is cancelled.
+const { getZonedParts, getTimeZoneOffsetMinutes } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const PARTSTAT = {
+  pending: 'NEEDS-ACTION',
+  accepted: 'ACCEPTED',
+  declined: 'DECLINED',
+  tentative: 'TENTATIVE'
+};
+
+// 2026-10-20T10:00:00.000Z -> 20261020T100000Z
+function formatIcsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Wall-clock time in the zone, for TZID= values: 20261020T150000
+function formatIcsLocalDate(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const pad = n => String(n).padStart(2, '0');
+  return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+}
+
+// -300 -> "-0500"
+function formatIcsOffset(minutes) {
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+// Offset changes of the zone within [from, to]: [{ at, offsetFrom, offsetTo }],
+// found day by day and then narrowed down to the minute
+function zoneTransitions(timeZone, from, to) {
+  const out = [];
+  let prev = getTimeZoneOffsetMinutes(from, timeZone);
+  for (let t = from.getTime() + DAY_MS; t <= to.getTime(); t += DAY_MS) {
+    const offset = getTimeZoneOffsetMinutes(new Date(t), timeZone);
+    if (offset === prev) continue;
+    let lo = t - DAY_MS;
+    let hi = t;
+    while (hi - lo > 60000) {
+      const mid = Math.floor((lo + hi) / 120000) * 60000;
+      if (mid <= lo) break;
+      if (getTimeZoneOffsetMinutes(new Date(mid), timeZone) === prev) lo = mid;
+      else hi = mid;
+    }
+    out.push({ at: new Date(hi), offsetFrom: prev, offsetTo: offset });
+    prev = offset;
+  }
+  return out;
+}
+
+// Wall-clock start of a transition (in the offset it leaves) and the yearly
+// "nth weekday of the month" rule it falls on ("-1SU" for the last one)
+function describeTransition({ at, offsetFrom }) {
+  const local = new Date(at.getTime() + offsetFrom * 60000);
+  const day = local.getUTCDate();
+  const monthDays = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+  const nth = day + 7 > monthDays ? -1 : Math.ceil(day / 7);
+  return {
+    dtstart: formatIcsDate(local).replace(/Z$/, ''),
+    time: formatIcsDate(local).slice(9, 15),
+    rule: `FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYDAY=${nth}${WEEKDAY_CODES[local.getUTCDay()]}`
+  };
+}
+
+// VTIMEZONE for the zone TZID= values refer to (RFC 5545 3.6.5), with the offset
+// changes around `date`. Changes that repeat every year by the same rule are
+// written once with an RRULE so later occurrences of a series are covered too.
+function buildVTimezone(timeZone, date) {
+  const year = new Date(date).getUTCFullYear();
+  const transitions = zoneTransitions(timeZone, new Date(Date.UTC(year - 1, 0, 1)), new Date(Date.UTC(year + 2, 0, 1)));
+  const observance = (kind, { offsetFrom, offsetTo }, dtstart, rule) => [
+    `BEGIN:${kind}`,
+    `DTSTART:${dtstart}`,
+    ...(rule ? [`RRULE:${rule}`] : []),
+    `TZOFFSETFROM:${formatIcsOffset(offsetFrom)}`,
+    `TZOFFSETTO:${formatIcsOffset(offsetTo)}`,
+    `END:${kind}`
+  ];
+  const components = [];
+  if (!transitions.length) {
+    const offset = getTimeZoneOffsetMinutes(date, timeZone);
+    components.push(...observance('STANDARD', { offsetFrom: offset, offsetTo: offset }, '19700101T000000'));
+  }
+  for (const kind of ['DAYLIGHT', 'STANDARD']) {
+    const group = transitions.filter(tr => (tr.offsetTo > tr.offsetFrom) === (kind === 'DAYLIGHT'));
+    if (!group.length) continue;
+    const described = group.map(describeTransition);
+    const yearly = described.every(d => d.rule === described[0].rule && d.time === described[0].time) &&
+      group.every(tr => tr.offsetFrom === group[0].offsetFrom && tr.offsetTo === group[0].offsetTo);
+    if (yearly) {
+      components.push(...observance(kind, group[0], described[0].dtstart, described[0].rule));
+    } else {
+      group.forEach((tr, i) => components.push(...observance(kind, tr, described[i].dtstart)));
+    }
+  }
+  return ['BEGIN:VTIMEZONE', `TZID:${timeZone}`, ...components, 'END:VTIMEZONE'];
+}
+
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 characters continue on the next line after a space
+function foldLine(line) {
+  const parts = [];
+  let rest = line;
+  while (rest.length > 75) {
+    parts.push(rest.slice(0, 75));
+    rest = ` ${rest.slice(75)}`;
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+}
+
+// ORGANIZER / ATTENDEE line; CN is a quoted parameter, so quotes are dropped from it
+function person(prefix, { name, email }, params = []) {
+  const cn = name ? [`CN="${String(name).replace(/["\r\n]/g, '')}"`] : [];
+  return `${[prefix, ...cn, ...params].join(';')}:mailto:${email}`;
+}
+
+// event: { uid, sequence, start, end, title, description, organizer: { name, email },
+//          attendees: [{ name, email, status }],
+//          recurring series: rrule ("FREQ=WEEKLY;BYDAY=MO"), exdates, timeZone,
+//          one occurrence of a series: recurrenceId (its original start) }
+// Recurring times are written in the organizer's zone (described by a VTIMEZONE)
+// so the series keeps its wall-clock time across DST changes.
+function buildIcsEvent(event, { method = 'REQUEST', now = new Date() } = {}) {
+  const zoned = !!(event.timeZone && (event.rrule || event.recurrenceId));
+  const dateLine = (name, date) => (zoned
+    ? `${name};TZID=${event.timeZone}:${formatIcsLocalDate(date, event.timeZone)}`
+    : `${name}:${formatIcsDate(date)}`);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Voxa//Meetings//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    ...(zoned ? buildVTimezone(event.timeZone, event.start) : []),
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatIcsDate(now)}`,
+    ...(event.recurrenceId ? [dateLine('RECURRENCE-ID', event.recurrenceId)] : []),
+    dateLine('DTSTART', event.start),
+    dateLine('DTEND', event.end),
+    ...(event.rrule ? [`RRULE:${event.rrule}`] : []),
+    ...(event.rrule && event.exdates?.length
+      ? [zoned
+        ? `EXDATE;TZID=${event.timeZone}:${event.exdates.map(d => formatIcsLocalDate(d, event.timeZone)).join(',')}`
+        : `EXDATE:${event.exdates.map(formatIcsDate).join(',')}`]
+      : []),
+    `SUMMARY:${escapeText(event.title)}`,
+    ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+    ...(event.organizer?.email ? [person('ORGANIZER', event.organizer)] : []),
+    ...(event.attendees || [])
+      .filter(a => a.email)
+      .map(a => person('ATTENDEE', a, ['ROLE=REQ-PARTICIPANT', `PARTSTAT=${PARTSTAT[a.status] || PARTSTAT.pending}`, 'RSVP=TRUE'])),
+    `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = { buildIcsEvent, formatIcsDate };
@@ -0,0 +1,270 @@
+// English assistant messages (the default; other catalogs fall back to these keys)
+const plural = (n, one, many) => (n === 1 ? one : many);
+
+module.exports = {
+  locale: 'en-US',
+  list: { separator: ', ', and: 'and', or: 'or' },
+  // First entry is the display name; the rest are also understood in replies
+  dayNames: {
+    SU: ['Sunday', 'sundays'],
+    MO: ['Monday', 'mondays'],
+    TU: ['Tuesday', 'tuesdays'],
+    WE: ['Wednesday', 'wednesdays'],
+    TH: ['Thursday', 'thursdays'],
+    FR: ['Friday', 'fridays'],
+    SA: ['Saturday', 'saturdays'],
+  },
+  everyDay: ['every day', 'everyday', 'daily', 'all days'],
+  // Whole messages that drop the request in progress; fillers may come before or after
+  cancel: {
+    phrases: ['never mind', 'nevermind', 'nvm', 'stop', 'cancel', 'abort', 'quit', 'forget it', 'forget that', 'forget about it', 'scratch that', 'no thanks', 'no thank'],
+    fillers: ['please', 'it', 'that', 'this'],
+  },
+  prompts: {
+    reply: '',
+    parsing: '',
+  },
+  messages: {
+    actionLabel: {
+      batch: 'Creating several tasks, meetings or location reminders at once',
+      create_task: 'Creating a Task',
+      schedule_meeting: 'Scheduling a Meeting',
+      create_location_reminder: 'Creating a Location Reminder',
+      reschedule_reminder: 'Rescheduling an existing reminder',
+      complete_reminder: 'Marking an existing reminder as done',
+      delete_reminder: 'Deleting an existing reminder',
+      unknown: 'your request',
+    },
+    pending: {
+      expired: "⌛ It's been a while, so I dropped your earlier request ({label}). Could you tell me again what you'd like to do?",
+      cancelled: "Okay, I've cancelled that ({label}). Is there anything else I can help with?",
+    },
+    routine: {
+      askSchedule: "Great! Would you like this as a:\n1. Daily routine (every day)\n2. Specific days of the week\n\nPlease specify which option you'd like.",
+      askDays: "Please specify which days of the week:\nYou can say days like 'Monday, Wednesday, Friday' or 'weekdays' or 'weekends'",
+      daysNotUnderstood: "I couldn't understand the days. Please specify like 'Monday and Wednesday' or 'weekdays' or 'Monday, Tuesday, Friday'",
+      question: 'Would you like to set this as a routine task? This seems like something you might do regularly.',
+    },
+    missing: {
+      fields: {
+        title: 'a title or name',
+        startDateISO: 'a date and time',
+        duration: 'a duration (how long)',
+        description: 'more details or description',
+        placeKeyword: 'the kind of place (e.g. grocery store, pharmacy)',
+        scheduleDays: "which days it should be active (e.g. 'Saturdays', 'weekdays' or 'every day')",
+      },
+      on: 'on {date} at {time}',
+      understood: 'I understand you want to create {what}. ',
+      ask: 'Could you please provide {fields}?',
+    },
+    confirm: {
+      task: {
+        header: '📋 Task Details:',
+        scheduled: '• Scheduled:{when}{reminder}',
+        on: ' on {date} at {time}',
+        at: ' at {time}',
+        reminder: ' ({minutes} min reminder)',
+        type: '• Type:{type}',
+        daily: ' (Daily Routine)',
+        routine: ' (Routine Task)',
+        repeats: '• Repeats: {days}',
+        ask: 'Should I create this task? (Yes/No, or tell me what to change)',
+      },
+      meeting: {
+        header: '📅 Meeting Details:',
+        when: '• When: {when}',
+        dateTime: '{date} at {time}',
+        duration: '• Duration: {minutes} minutes',
+        recurring: '• Recurring: {value}',
+        with: '• With: {names}',
+        noEmail: "ℹ️ I don't have an email address for {names}, so they won't get an invitation.",
+        everyDay: 'Every day',
+        everyNDays: 'Every {interval} days',
+        everyDays: 'Every {days}',
+        everyNWeeks: 'Every {interval} weeks on {days}',
+        until: '{repeat} until {date}',
+        times: '{repeat}, {count} times',
+        ask: 'Should I schedule this meeting? (Yes/No, or tell me what to change)',
+      },
+      location: {
+        header: '📍 Location Reminder Details:',
+        reminder: '• Reminder: "{title}"',
+        near: '• Near: {place}',
+        active: '• Active: {days}',
+        everyDay: 'Every day',
+        ask: 'Should I create this location reminder? (Yes/No, or tell me what to change)',
+      },
+      reschedule: {
+        header: '🔁 Reschedule:',
+        from: '• From: {when}',
+        to: '• To: {when}',
+        unchanged: 'unchanged',
+        ask: 'Should I move it? (Yes/No, or tell me what to change)',
+      },
+      complete: {
+        header: '✔️ Complete:',
+        ask: 'Should I mark this as done? (Yes/No)',
+      },
+      delete: {
+        header: '🗑️ Delete:',
+        ask: 'Should I delete this? (Yes/No)',
+      },
+      cancelOccurrence: {
+        header: '🗑️ Cancel one meeting:',
+        ask: 'Should I cancel just this one? The rest of the series stays. (Yes/No)',
+      },
+      title: '• Title: "{title}"',
+      item: '• {type}: "{title}"',
+      when: '• When: {when}',
+      description: '• Description: {description}',
+      yes: 'Yes',
+      no: 'No',
+      fallback: 'Should I proceed with this?',
+      updated: "Got it! I've updated the details.\n\n{confirmation}",
+      unclear: "I didn't quite catch that. Would you like me to create this? Please say 'yes' to confirm, 'no' to cancel, or tell me what you'd like to change.",
+      declined: "Okay, I won't create that. Is there anything else I can help with?",
+    },
+    reminderType: {
+      Task: 'Task',
+      Meeting: 'Meeting',
+      Location: 'Location',
+      Reminder: 'Reminder',
+    },
+    conflicts: {
+      headsUp: '⚠️ Heads up, this overlaps with:',
+      item: '• "{title}" ({kind}), {start} – {end}',
+      calendarEvent: 'calendar event',
+      more: '• …and {count} more',
+      freeNearby: '💡 Free nearby: {slots}',
+    },
+    created: {
+      task: '✅ Task "{title}" has been created successfully!',
+      meeting: '✅ Meeting "{title}" has been scheduled successfully!',
+      invites: '📧 Invitations are on their way to {names}.',
+      location: "✅ Got it! I'll remind you to {what} when you're near a {place}.",
+      locationDefault: 'check in',
+      failed: "Sorry, I couldn't create that. {error}",
+    },
+    batch: {
+      labels: {
+        create_task: 'Task',
+        schedule_meeting: 'Meeting',
+        create_location_reminder: 'Location reminder',
+        item: 'Item',
+      },
+      progress: '({index}/{total}) {question}',
+      near: '{label} near {place}, {days}',
+      everyDay: 'every day',
+      meeting: '{label}{on} ({minutes} min)',
+      onWhen: ' on {when}',
+      routine: '{label} every {days}{at}',
+      day: 'day',
+      at: ' at {time}',
+      header: ({ count }) => `📋 I'll create these ${count} items:`,
+      ask: 'Should I create them all? (Yes/No, or edit one item, e.g. "change 2 to 7pm" or "remove 3")',
+      created: '✅ Created {created} of {total}:',
+      noneCreated: "Sorry, I couldn't create any of those.",
+      failed: "⚠️ Couldn't create:",
+      removedLast: "Okay, I removed the last item, so there's nothing left to create.",
+      removed: 'Removed "{title}".\n\n{next}',
+      editUnclear: 'I couldn\'t tell what to change about item {number}. Try something like "change {number} to Friday at 3pm".',
+      updated: "Got it! I've updated item {number}.\n\n{next}",
+      declined: "Okay, I won't create any of those. Is there anything else I can help with?",
+      whichItem: 'Which item should I change? Say the number, e.g. "change 2 to 7pm" or "remove 3".',
+      unclear: "I didn't quite catch that. Say 'yes' to create them all, 'no' to cancel, or edit one item, e.g. \"change 2 to 7pm\" or \"remove 3\".",
+      actionLabel: ({ count }) => `created ${count} ${plural(count, 'item', 'items')}`,
+    },
+    when: {
+      routine: 'routine at {time}',
+      dateTime: '{date} at {time}',
+    },
+    change: {
+      notFound: "I couldn't find a reminder matching that. Could you tell me its name?",
+      notFoundAnymore: "I couldn't find that reminder anymore. It may have been deleted.",
+      fewMatches: 'I found a few matches. Which one do you mean?\n{list}',
+      whichOne: 'Which one do you mean? Reply with the number:\n{list}',
+      askWhen: 'When would you like to move "{title}" to?',
+      deleted: '🗑️ "{title}" has been deleted.',
+      done: '✅ Marked "{title}" as done.',
+      moved: '✅ "{title}" has been moved.',
+      movedTo: '✅ "{title}" has been moved to {when}.',
+      occurrenceCancelled: '🗑️ "{title}" on {when} has been cancelled. The rest of the series stays.',
+      occurrenceDone: '✅ Marked "{title}" as done for {when}.',
+      streak: ({ count }) => `🔥 That's ${count} in a row.`,
+      gone: 'That reminder no longer exists.',
+    },
+    applied: {
+      theReminder: 'the reminder',
+      create_task: 'created task {title}',
+      schedule_meeting: 'scheduled meeting {title}',
+      create_location_reminder: 'created location reminder {title}',
+      reschedule_reminder: 'rescheduled {title}',
+      complete_reminder: 'marked {title} as done',
+      delete_reminder: 'deleted {title}',
+      cancel_occurrence: 'cancelled one meeting of {title}',
+      complete_occurrence: 'marked one {title} as done',
+      other: 'changed {title}',
+    },
+    undo: {
+      nothing: "There's nothing for me to undo right now.",
+      failed: "Sorry, I couldn't undo that. {error}",
+      alreadyUndone: 'That action has already been undone.',
+      expired: 'Actions can only be undone within {minutes} minutes.',
+      done: '↩️ Undone: {label}.',
+      reminderGone: 'The reminder this action changed no longer exists.',
+    },
+    query: {
+      nothing: "I couldn't find anything on your schedule for that.",
+      nearby: "• {title} (when you're nearby)",
+      item: '• {title} — {when}{done}',
+      allDay: '{date} (all day)',
+      done: ' (done)',
+      more: '\n…and {count} more.',
+      found: "Here's what I found:\n{list}",
+    },
+    suggestions: {
+      yes: 'Yes',
+      no: 'No',
+      confirm: {
+        create_task: 'Yes, create it',
+        schedule_meeting: 'Yes, schedule it',
+        create_location_reminder: 'Yes, create it',
+        reschedule_reminder: 'Yes, move it',
+        complete_reminder: 'Yes, mark it done',
+        delete_reminder: 'Yes, delete it',
+        cancel_occurrence: 'Yes, cancel this one',
+        batch: 'Yes, create them all',
+      },
+      makeRoutine: 'Yes, make it a routine',
+      justOnce: 'No, just once',
+      daily: 'Daily',
+      weekdays: 'Weekdays',
+      weekends: 'Weekends',
+      monWedFri: 'Mon/Wed/Fri',
+      tueThu: 'Tue/Thu',
+      pickDays: 'Pick days',
+      changeTime: 'Change time',
+      askTime: 'Sure, what time would you like instead?',
+      moveTo: 'Move to {time}',
+      undo: 'Undo',
+      stale: "That option isn't available anymore. What would you like to do?",
+    },
+    briefing: {
+      greetingPlan: "Hi {name}, here's your plan for {date}.",
+      morning: "Good morning {name}, here's your day for {date}.",
+      afternoon: "Good afternoon {name}, here's your day for {date}.",
+      evening: "Good evening {name}, here's your day for {date}.",
+      scheduledItem: '{title} at {time}',
+      allDayItem: '{title} (all day)',
+      scheduled: ({ count, list, more }) =>
+        `You have ${count === 1 ? 'one thing' : `${count} things`} scheduled: ${list}${more ? ', and more' : ''}.`,
+      nothing: 'Nothing is scheduled.',
+      overdue: ({ count, list, more }) =>
+        `You also have ${count === 1 ? 'one overdue task' : `${count} overdue tasks`}: ${list}${more ? ', and more' : ''}.`,
+      near: '{title} near {place}',
+      out: "When you're out: {list}.",
+      defaultName: 'there',
+    },
+  },
+};
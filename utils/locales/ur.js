@@ -0,0 +1,272 @@
+// Urdu assistant messages. Keys missing here fall back to English (en.js).
+// Batch edit examples stay in English: those commands are matched in English only.
+module.exports = {
+  locale: 'ur-PK',
+  list: { separator: '، ', and: 'اور', or: 'یا' },
+  // First entry is the display name; the rest (incl. Roman Urdu) are also understood in replies
+  dayNames: {
+    SU: ['اتوار', 'itwar', 'itwaar', 'atwar'],
+    MO: ['پیر', 'سوموار', 'peer', 'pir', 'somwar'],
+    TU: ['منگل', 'منگلوار', 'mangal', 'mangalwar'],
+    WE: ['بدھ', 'بدھوار', 'budh', 'budhwar'],
+    TH: ['جمعرات', 'jumeraat', 'jumerat', 'jumairat', 'jumarat'],
+    FR: ['جمعہ', 'juma', 'jumma', 'jummah', 'jumah'],
+    SA: ['ہفتہ', 'hafta', 'sanichar'],
+  },
+  everyDay: ['روزانہ', 'ہر روز', 'ہر دن', 'rozana', 'rozaana', 'har roz', 'har din'],
+  cancel: {
+    phrases: [
+      'رہنے دو', 'رہنے دیں', 'چھوڑو', 'چھوڑ دو', 'چھوڑ دیں', 'منسوخ', 'منسوخ کرو', 'منسوخ کر دو', 'منسوخ کر دیں',
+      'کینسل', 'کینسل کرو', 'کینسل کر دو', 'کینسل کر دیں', 'رکو', 'رک جاؤ', 'بس کرو',
+      'rehne do', 'rehne dein', 'chhoro', 'chhor do', 'chor do', 'cancel karo', 'cancel kar do', 'bas karo',
+    ],
+    fillers: ['براہ کرم', 'پلیز', 'اسے', 'یہ', 'اس کو', 'please', 'isay', 'ise'],
+  },
+  prompts: {
+    reply: 'Always reply in Urdu (اردو) written in Urdu script, even when the user writes in English or Roman Urdu. Keep names and titles as the user gave them.',
+    parsing: 'The user writes in Urdu (Urdu script or Roman Urdu), possibly mixed with English. Understand Urdu day names, dates and times (e.g. پیر / peer = Monday, جمعہ / juma = Friday, شام 7 بجے = 19:00). Keep JSON keys, enum values and day codes exactly as specified; write user-facing text fields (title, description, question) in Urdu.',
+  },
+  messages: {
+    actionLabel: {
+      batch: 'ایک ساتھ کئی ٹاسک، میٹنگز یا لوکیشن ریمائنڈرز بنانا',
+      create_task: 'ٹاسک بنانا',
+      schedule_meeting: 'میٹنگ شیڈول کرنا',
+      create_location_reminder: 'لوکیشن ریمائنڈر بنانا',
+      reschedule_reminder: 'موجودہ ریمائنڈر کا وقت بدلنا',
+      complete_reminder: 'موجودہ ریمائنڈر کو مکمل کرنا',
+      delete_reminder: 'موجودہ ریمائنڈر کو حذف کرنا',
+      unknown: 'آپ کی درخواست',
+    },
+    pending: {
+      expired: '⌛ کافی دیر ہو گئی تھی، اس لیے آپ کی پچھلی درخواست ({label}) ختم کر دی گئی۔ کیا آپ دوبارہ بتا سکتے ہیں کہ آپ کیا کرنا چاہتے ہیں؟',
+      cancelled: 'ٹھیک ہے، اسے منسوخ کر دیا گیا ({label})۔ کیا اور کچھ مدد چاہیے؟',
+    },
+    routine: {
+      askSchedule: 'بہت خوب! آپ اسے کس طرح رکھنا چاہیں گے:\n1. روزانہ کا معمول (ہر دن)\n2. ہفتے کے مخصوص دن\n\nبراہِ کرم بتائیں کہ آپ کون سا آپشن چاہتے ہیں۔',
+      askDays: "براہِ کرم ہفتے کے دن بتائیں:\nآپ کہہ سکتے ہیں جیسے 'پیر، بدھ، جمعہ' یا 'روزانہ'",
+      daysNotUnderstood: "دن سمجھ نہیں آئے۔ براہِ کرم اس طرح بتائیں: 'پیر اور بدھ' یا 'پیر، منگل، جمعہ'",
+      question: 'کیا آپ اسے روزمرہ کے معمول کے طور پر رکھنا چاہیں گے؟ لگتا ہے یہ کام آپ باقاعدگی سے کرتے ہیں۔',
+    },
+    missing: {
+      fields: {
+        title: 'عنوان یا نام',
+        startDateISO: 'تاریخ اور وقت',
+        duration: 'دورانیہ (کتنی دیر)',
+        description: 'مزید تفصیل',
+        placeKeyword: 'جگہ کی قسم (مثلاً گروسری اسٹور، فارمیسی)',
+        scheduleDays: "کن دنوں یہ فعال ہو (مثلاً 'ہفتہ'، 'پیر اور جمعہ' یا 'روزانہ')",
+      },
+      on: '{date}، {time}',
+      understood: 'سمجھ آ گیا، آپ {what} بنانا چاہتے ہیں۔ ',
+      ask: 'کیا آپ {fields} بتا سکتے ہیں؟',
+    },
+    confirm: {
+      task: {
+        header: '📋 ٹاسک کی تفصیلات:',
+        scheduled: '• وقت:{when}{reminder}',
+        on: ' {date}، {time}',
+        at: ' {time}',
+        reminder: ' ({minutes} منٹ پہلے یاد دہانی)',
+        type: '• قسم:{type}',
+        daily: ' (روزانہ کا معمول)',
+        routine: ' (معمول کا ٹاسک)',
+        repeats: '• دہرائیں: {days}',
+        ask: 'کیا یہ ٹاسک بنا دوں؟ (ہاں/نہیں، یا بتائیں کیا بدلنا ہے)',
+      },
+      meeting: {
+        header: '📅 میٹنگ کی تفصیلات:',
+        when: '• کب: {when}',
+        dateTime: '{date}، {time}',
+        duration: '• دورانیہ: {minutes} منٹ',
+        recurring: '• دہرائی جانے والی: {value}',
+        with: '• شرکاء: {names}',
+        noEmail: 'ℹ️ میرے پاس {names} کا ای میل نہیں ہے، اس لیے انہیں دعوت نامہ نہیں جائے گا۔',
+        everyDay: 'ہر روز',
+        everyNDays: 'ہر {interval} دن بعد',
+        everyDays: 'ہر {days}',
+        everyNWeeks: 'ہر {interval} ہفتے بعد، {days}',
+        until: '{repeat}، {date} تک',
+        times: '{repeat}، {count} بار',
+        ask: 'کیا یہ میٹنگ شیڈول کر دوں؟ (ہاں/نہیں، یا بتائیں کیا بدلنا ہے)',
+      },
+      location: {
+        header: '📍 لوکیشن ریمائنڈر کی تفصیلات:',
+        reminder: '• یاد دہانی: "{title}"',
+        near: '• قریب: {place}',
+        active: '• فعال: {days}',
+        everyDay: 'ہر روز',
+        ask: 'کیا یہ لوکیشن ریمائنڈر بنا دوں؟ (ہاں/نہیں، یا بتائیں کیا بدلنا ہے)',
+      },
+      reschedule: {
+        header: '🔁 وقت کی تبدیلی:',
+        from: '• پہلے: {when}',
+        to: '• نیا وقت: {when}',
+        unchanged: 'کوئی تبدیلی نہیں',
+        ask: 'کیا اسے منتقل کر دوں؟ (ہاں/نہیں، یا بتائیں کیا بدلنا ہے)',
+      },
+      complete: {
+        header: '✔️ مکمل:',
+        ask: 'کیا اسے مکمل کر دوں؟ (ہاں/نہیں)',
+      },
+      delete: {
+        header: '🗑️ حذف:',
+        ask: 'کیا اسے حذف کر دوں؟ (ہاں/نہیں)',
+      },
+      cancelOccurrence: {
+        header: '🗑️ ایک میٹنگ منسوخ:',
+        ask: 'کیا صرف یہ ایک منسوخ کر دوں؟ باقی سلسلہ برقرار رہے گا۔ (ہاں/نہیں)',
+      },
+      title: '• عنوان: "{title}"',
+      item: '• {type}: "{title}"',
+      when: '• کب: {when}',
+      description: '• تفصیل: {description}',
+      yes: 'ہاں',
+      no: 'نہیں',
+      fallback: 'کیا آگے بڑھوں؟',
+      updated: 'ٹھیک ہے! تفصیلات بدل دی گئی ہیں۔\n\n{confirmation}',
+      unclear: "بات پوری طرح سمجھ نہیں آئی۔ کیا اسے بنا دوں؟ تصدیق کے لیے 'ہاں'، منسوخ کرنے کے لیے 'نہیں' کہیں، یا بتائیں کہ کیا بدلنا ہے۔",
+      declined: 'ٹھیک ہے، یہ نہیں بنایا جائے گا۔ کیا اور کچھ مدد چاہیے؟',
+    },
+    reminderType: {
+      Task: 'ٹاسک',
+      Meeting: 'میٹنگ',
+      Location: 'لوکیشن',
+      Reminder: 'ریمائنڈر',
+    },
+    conflicts: {
+      headsUp: '⚠️ دھیان دیں، یہ ان سے ٹکراتا ہے:',
+      item: '• "{title}" ({kind})، {start} – {end}',
+      calendarEvent: 'کیلنڈر ایونٹ',
+      more: '• …اور {count} مزید',
+      freeNearby: '💡 قریب کے خالی اوقات: {slots}',
+    },
+    created: {
+      task: '✅ ٹاسک "{title}" بن گیا ہے!',
+      meeting: '✅ میٹنگ "{title}" شیڈول ہو گئی ہے!',
+      invites: '📧 {names} کو دعوت نامے بھیجے جا رہے ہیں۔',
+      location: '✅ ٹھیک ہے! جب آپ کسی {place} کے قریب ہوں گے تو آپ کو {what} کی یاد دہانی کرائی جائے گی۔',
+      locationDefault: 'چیک اِن',
+      failed: 'معذرت، یہ نہیں بن سکا۔ {error}',
+    },
+    batch: {
+      labels: {
+        create_task: 'ٹاسک',
+        schedule_meeting: 'میٹنگ',
+        create_location_reminder: 'لوکیشن ریمائنڈر',
+        item: 'آئٹم',
+      },
+      progress: '({index}/{total}) {question}',
+      near: '{label}، {place} کے قریب، {days}',
+      everyDay: 'ہر روز',
+      meeting: '{label}{on} ({minutes} منٹ)',
+      onWhen: '، {when}',
+      routine: '{label} ہر {days}{at}',
+      day: 'روز',
+      at: '، {time}',
+      header: ({ count }) => `📋 یہ ${count} آئٹمز بنائے جائیں گے:`,
+      ask: 'کیا یہ سب بنا دوں؟ (ہاں/نہیں، یا کوئی ایک آئٹم بدلیں، مثلاً "change 2 to 7pm" یا "remove 3")',
+      created: '✅ {total} میں سے {created} بن گئے:',
+      noneCreated: 'معذرت، ان میں سے کوئی بھی نہیں بن سکا۔',
+      failed: '⚠️ یہ نہیں بن سکے:',
+      removedLast: 'ٹھیک ہے، آخری آئٹم ہٹا دیا گیا، اب بنانے کو کچھ نہیں بچا۔',
+      removed: '"{title}" ہٹا دیا گیا۔\n\n{next}',
+      editUnclear: 'سمجھ نہیں آیا کہ آئٹم {number} میں کیا بدلنا ہے۔ کچھ اس طرح کہیں: "change {number} to Friday at 3pm"۔',
+      updated: 'ٹھیک ہے! آئٹم {number} بدل دیا گیا ہے۔\n\n{next}',
+      declined: 'ٹھیک ہے، ان میں سے کوئی نہیں بنایا جائے گا۔ کیا اور کچھ مدد چاہیے؟',
+      whichItem: 'کون سا آئٹم بدلنا ہے؟ نمبر بتائیں، مثلاً "change 2 to 7pm" یا "remove 3"۔',
+      unclear: "بات سمجھ نہیں آئی۔ سب بنانے کے لیے 'ہاں'، منسوخ کرنے کے لیے 'نہیں' کہیں، یا کوئی ایک آئٹم بدلیں، مثلاً \"change 2 to 7pm\" یا \"remove 3\"۔",
+      actionLabel: ({ count }) => `${count} آئٹمز بنائے`,
+    },
+    when: {
+      routine: 'معمول، {time}',
+      dateTime: '{date}، {time}',
+    },
+    change: {
+      notFound: 'اس سے ملتا کوئی ریمائنڈر نہیں ملا۔ کیا آپ اس کا نام بتا سکتے ہیں؟',
+      notFoundAnymore: 'وہ ریمائنڈر اب موجود نہیں، شاید حذف ہو چکا ہے۔',
+      fewMatches: 'کچھ ملتے جلتے ریمائنڈرز ملے ہیں۔ آپ کس کی بات کر رہے ہیں؟\n{list}',
+      whichOne: 'آپ کس کی بات کر رہے ہیں؟ نمبر لکھ کر جواب دیں:\n{list}',
+      askWhen: '"{title}" کو کب منتقل کرنا ہے؟',
+      deleted: '🗑️ "{title}" حذف کر دیا گیا ہے۔',
+      done: '✅ "{title}" مکمل کر دیا گیا۔',
+      moved: '✅ "{title}" منتقل کر دیا گیا ہے۔',
+      movedTo: '✅ "{title}" کو {when} پر منتقل کر دیا گیا ہے۔',
+      occurrenceCancelled: '🗑️ {when} کی "{title}" منسوخ کر دی گئی ہے۔ باقی سلسلہ برقرار ہے۔',
+      occurrenceDone: '✅ {when} کا "{title}" مکمل کر دیا گیا۔',
+      streak: ({ count }) => `🔥 مسلسل ${count} بار۔`,
+      gone: 'وہ ریمائنڈر اب موجود نہیں۔',
+    },
+    applied: {
+      theReminder: 'ریمائنڈر',
+      create_task: 'ٹاسک {title} بنایا',
+      schedule_meeting: 'میٹنگ {title} شیڈول کی',
+      create_location_reminder: 'لوکیشن ریمائنڈر {title} بنایا',
+      reschedule_reminder: '{title} کا وقت بدلا',
+      complete_reminder: '{title} مکمل کیا',
+      delete_reminder: '{title} حذف کیا',
+      cancel_occurrence: '{title} کی ایک میٹنگ منسوخ کی',
+      complete_occurrence: '{title} کا ایک دن مکمل کیا',
+      other: '{title} میں تبدیلی کی',
+    },
+    undo: {
+      nothing: 'ابھی واپس لینے کے لیے کچھ نہیں ہے۔',
+      failed: 'معذرت، یہ واپس نہیں ہو سکا۔ {error}',
+      alreadyUndone: 'یہ کام پہلے ہی واپس لیا جا چکا ہے۔',
+      expired: 'کام صرف {minutes} منٹ کے اندر واپس لیے جا سکتے ہیں۔',
+      done: '↩️ واپس لے لیا: {label}۔',
+      reminderGone: 'جس ریمائنڈر میں یہ تبدیلی کی گئی تھی وہ اب موجود نہیں۔',
+    },
+    query: {
+      nothing: 'اس کے لیے آپ کے شیڈول میں کچھ نہیں ملا۔',
+      nearby: '• {title} (جب آپ قریب ہوں)',
+      item: '• {title} — {when}{done}',
+      allDay: '{date} (پورا دن)',
+      done: ' (مکمل)',
+      more: '\n…اور {count} مزید۔',
+      found: 'یہ ملا ہے:\n{list}',
+    },
+    suggestions: {
+      yes: 'ہاں',
+      no: 'نہیں',
+      confirm: {
+        create_task: 'ہاں، بنا دیں',
+        schedule_meeting: 'ہاں، شیڈول کر دیں',
+        create_location_reminder: 'ہاں، بنا دیں',
+        reschedule_reminder: 'ہاں، منتقل کر دیں',
+        complete_reminder: 'ہاں، مکمل کر دیں',
+        delete_reminder: 'ہاں، حذف کر دیں',
+        cancel_occurrence: 'ہاں، یہ ایک منسوخ کر دیں',
+        batch: 'ہاں، سب بنا دیں',
+      },
+      makeRoutine: 'ہاں، معمول بنا دیں',
+      justOnce: 'نہیں، صرف ایک بار',
+      daily: 'روزانہ',
+      weekdays: 'پیر تا جمعہ',
+      weekends: 'ہفتہ اور اتوار',
+      monWedFri: 'پیر/بدھ/جمعہ',
+      tueThu: 'منگل/جمعرات',
+      pickDays: 'دن منتخب کریں',
+      changeTime: 'وقت بدلیں',
+      askTime: 'ٹھیک ہے، آپ کون سا وقت چاہیں گے؟',
+      moveTo: '{time} پر کر دیں',
+      undo: 'واپس لیں',
+      stale: 'یہ آپشن اب دستیاب نہیں۔ آپ کیا کرنا چاہیں گے؟',
+    },
+    briefing: {
+      greetingPlan: 'السلام علیکم {name}، {date} کے لیے آپ کا پروگرام یہ ہے۔',
+      morning: 'صبح بخیر {name}، {date} کے لیے آپ کا دن یہ ہے۔',
+      afternoon: 'السلام علیکم {name}، {date} کے لیے آپ کا دن یہ ہے۔',
+      evening: 'شام بخیر {name}، {date} کے لیے آپ کا دن یہ ہے۔',
+      scheduledItem: '{title}، {time}',
+      allDayItem: '{title} (پورا دن)',
+      scheduled: ({ count, list, more }) =>
+        `${count === 1 ? 'ایک کام شیڈول ہے' : `${count} کام شیڈول ہیں`}: ${list}${more ? '، اور مزید' : ''}۔`,
+      nothing: 'کچھ بھی شیڈول نہیں ہے۔',
+      overdue: ({ count, list, more }) =>
+        `${count === 1 ? 'ایک ٹاسک ایسا بھی ہے جس' : `${count} ٹاسک ایسے بھی ہیں جن`} کا وقت گزر چکا ہے: ${list}${more ? '، اور مزید' : ''}۔`,
+      near: '{title}، {place} کے قریب',
+      out: 'باہر جائیں تو: {list}۔',
+      defaultName: 'دوست',
+    },
+  },
+};
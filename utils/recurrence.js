@@ -0,0 +1,216 @@
+// Occurrences of repeating reminders. A task or meeting repeats by its `rrule`
+// (RFC 5545, see utils/rrule.js) from its first occurrence, leaving out `exdates`,
+// at scheduleTime.fixedTime wall-clock time in scheduleTime.timeZone (or the
+// owner's zone). Location reminders are all-day and active on scheduleDays.
+//
+// Reminders saved before rrule existed say the same with the older fields, which
+// are read as a rule here and moved over by migrateRecurrence:
+//   scheduleType 'routine' + scheduleDays (0 = Sunday; every day when empty),
+//   the Location `day` name, and recurring meetings' recurrence
+//   { interval, until, count } and cancelledOccurrences.
+const {
+  resolveTimeZone,
+  getZonedParts,
+  parseZonedDateTime,
+  toZonedDateString,
+  toZonedTimeString,
+  endOfZonedDay
+} = require('./timezone');
+const { formatIcsDate } = require('./ics');
+const { parseRRule, formatRRule, expandRRule, untilInstant } = require('./rrule');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// Series with neither a start nor a creation date are read as running since then
+const EPOCH = new Date(Date.UTC(2000, 0, 1));
+
+function floorToMinute(date) {
+  return new Date(Math.floor(new Date(date).getTime() / 60000) * 60000);
+}
+
+function isTimed(reminder) {
+  return reminder.type === 'Task' || reminder.type === 'Meeting';
+}
+
+function plainDays(days) {
+  return [...new Set((days || []).filter(d => Number.isInteger(d) && d >= 0 && d <= 6))].sort((a, b) => a - b);
+}
+
+// Every day, or every week on `days`, every `interval` days/weeks, ending at
+// `until` or after `count` occurrences
+function simpleRule({ scheduleDays = [], interval, until, count } = {}) {
+  const days = plainDays(scheduleDays);
+  const weekly = days.length > 0 && days.length < 7;
+  return {
+    freq: weekly ? 'WEEKLY' : 'DAILY',
+    interval: interval > 1 ? interval : 1,
+    byDay: weekly ? days.map(weekday => ({ weekday, ordinal: 0 })) : [],
+    byMonthDay: [],
+    byMonth: [],
+    count: count || null,
+    until: count || !until ? null : formatIcsDate(until),
+    wkst: 1
+  };
+}
+
+// The end of a series given as a day ("2026-11-30", the date part of a date-time,
+// or a Date's day in the zone): the last instant of that day in the series' zone,
+// so an occurrence on the end day is still in the series
+function untilEndOfDay(value, timeZone) {
+  if (!value) return null;
+  const zone = resolveTimeZone(timeZone);
+  const day = parseZonedDateTime(value instanceof Date ? toZonedDateString(value, zone) : String(value), null, zone);
+  return day ? endOfZonedDay(day, zone) : null;
+}
+
+// Rule the older fields describe
+function legacyRule(reminder) {
+  const days = Array.isArray(reminder.scheduleDays) && reminder.scheduleDays.length
+    ? reminder.scheduleDays
+    : (reminder.day ? [DAY_NAMES.indexOf(reminder.day)] : []);
+  const { interval, until, count } = reminder.recurrence || {};
+  return simpleRule({ scheduleDays: days, interval, until, count });
+}
+
+// The reminder's repeat rule, or null when it does not repeat
+function ruleOf(reminder) {
+  if (reminder.rrule) return parseRRule(reminder.rrule);
+  if (reminder.type === 'Location' || (isTimed(reminder) && reminder.scheduleType === 'routine')) return legacyRule(reminder);
+  return null;
+}
+
+// { rule, dtstart, timeZone, exdates, allDay } of a repeating reminder, or null.
+// The series starts on the day of startDate (else the day the reminder was made).
+function recurrenceOf(reminder, { timeZone } = {}) {
+  const rule = ruleOf(reminder);
+  if (!rule) return null;
+  const zone = resolveTimeZone(reminder.scheduleTime?.timeZone || timeZone);
+  const allDay = reminder.type === 'Location';
+  const base = reminder.startDate || reminder.createdAt || EPOCH;
+  let time = allDay ? '00:00' : reminder.scheduleTime?.fixedTime;
+  if (!/^\d{2}:\d{2}$/.test(time || '')) {
+    // A rule without a routine time repeats at its start time
+    if (!reminder.rrule || !reminder.startDate) return null;
+    time = toZonedTimeString(reminder.startDate, zone);
+  }
+  const dtstart = parseZonedDateTime(toZonedDateString(base, zone), time, zone);
+  const exdates = [...(reminder.exdates || []), ...(reminder.cancelledOccurrences || [])].map(d => new Date(d));
+  return { rule, dtstart, timeZone: zone, exdates, allDay };
+}
+
+// Occurrence start times of a repeating reminder within [start, end], oldest first.
+// options: { timeZone (owner's zone), includeCancelled (keep exdates), limit }
+function listOccurrences(reminder, start, end, { timeZone, includeCancelled = false, limit = Infinity } = {}) {
+  const series = recurrenceOf(reminder, { timeZone });
+  if (!series) return [];
+  return expandRRule(series.rule, {
+    dtstart: series.dtstart,
+    timeZone: series.timeZone,
+    exdates: includeCancelled ? [] : series.exdates,
+    from: start,
+    to: end,
+    limit
+  });
+}
+
+// True when `date` is one of the reminder's occurrences (excluded ones included)
+function isOccurrence(reminder, date, { timeZone } = {}) {
+  const at = new Date(date);
+  if (isNaN(at.getTime())) return false;
+  return listOccurrences(reminder, at, at, { timeZone, includeCancelled: true })
+    .some(d => d.getTime() === at.getTime());
+}
+
+// Start of a series' last occurrence (COUNT) or its UNTIL; null when it does not end
+function seriesEnd(reminder, { timeZone } = {}) {
+  const series = recurrenceOf(reminder, { timeZone });
+  if (!series) return null;
+  if (series.rule.count) {
+    const all = expandRRule(series.rule, { dtstart: series.dtstart, timeZone: series.timeZone });
+    return all.length ? all[all.length - 1] : null;
+  }
+  return untilInstant(series.rule.until, series.timeZone);
+}
+
+// scheduleDays mirrored from a rule for clients that read them: its weekdays
+// when it repeats on plain weekdays, else every day
+function mirrorDays(rule, startDate, timeZone) {
+  if (rule.byMonthDay.length || rule.byMonth.length || !['DAILY', 'WEEKLY'].includes(rule.freq)) return [];
+  if (rule.byDay.length) return plainDays(rule.byDay.map(d => d.weekday));
+  return rule.freq === 'WEEKLY' ? [getZonedParts(startDate, timeZone).weekday] : [];
+}
+
+// Fields of a reminder repeating by `rule` from its first occurrence at
+// `startDate` (to the minute): the time of day it repeats at, in the zone, the
+// rule itself and the older fields that mirror it.
+function buildRecurrenceFields(startDate, rule, { timeZone, minutesBeforeStart = 10 } = {}) {
+  const zone = resolveTimeZone(timeZone);
+  const start = floorToMinute(startDate);
+  return {
+    startDate: start,
+    scheduleType: 'routine',
+    scheduleDays: mirrorDays(rule, start, zone),
+    scheduleTime: { minutesBeforeStart, fixedTime: toZonedTimeString(start, zone), timeZone: zone },
+    rrule: formatRRule(rule)
+  };
+}
+
+// Changes that bring a reminder saved with the older fields up to date, as
+// { set, unset } (null when there is nothing to do):
+// - tasks and meetings that repeat get the matching rrule (and exdates from
+//   cancelledOccurrences); with `rebuild`, an existing rrule is rewritten from
+//   changed scheduleDays, keeping its interval and end
+// - ones that stopped repeating lose their rrule and exdates
+// - a Location `day` becomes scheduleDays
+function migrateRecurrence(reminder, { rebuild = false } = {}) {
+  const set = {};
+  const unset = {};
+  const repeats = isTimed(reminder) && reminder.scheduleType === 'routine';
+  if (reminder.type === 'Location') {
+    if (reminder.day && !(reminder.scheduleDays || []).length) set.scheduleDays = [DAY_NAMES.indexOf(reminder.day)];
+  } else if (isTimed(reminder) && !repeats) {
+    if (reminder.rrule) unset.rrule = 1;
+    if (reminder.exdates?.length) unset.exdates = 1;
+  } else if (repeats && (!reminder.rrule || rebuild)) {
+    const current = reminder.rrule ? parseRRule(reminder.rrule) : null;
+    const rule = current
+      ? simpleRule({
+        scheduleDays: reminder.scheduleDays,
+        interval: current.interval,
+        count: current.count,
+        until: untilInstant(current.until, reminder.scheduleTime?.timeZone)
+      })
+      : legacyRule(reminder);
+    const rrule = formatRRule(rule);
+    if (rrule !== reminder.rrule) set.rrule = rrule;
+  }
+  if (repeats && reminder.cancelledOccurrences?.length) {
+    const seen = new Set();
+    set.exdates = [...(reminder.exdates || []), ...reminder.cancelledOccurrences]
+      .map(d => new Date(d))
+      .filter(d => !seen.has(d.getTime()) && seen.add(d.getTime()))
+      .sort((a, b) => a - b);
+  }
+  if (reminder.recurrence && Object.values(reminder.recurrence).some(v => v != null)) unset.recurrence = 1;
+  if (reminder.cancelledOccurrences) unset.cancelledOccurrences = 1;
+  return Object.keys(set).length || Object.keys(unset).length ? { set, unset } : null;
+}
+
+// RRULE value for invitations
+function toRRule(reminder) {
+  const rule = ruleOf(reminder);
+  return rule ? formatRRule(rule) : null;
+}
+
+module.exports = {
+  simpleRule,
+  untilEndOfDay,
+  ruleOf,
+  recurrenceOf,
+  listOccurrences,
+  isOccurrence,
+  seriesEnd,
+  mirrorDays,
+  buildRecurrenceFields,
+  migrateRecurrence,
+  toRRule,
+};
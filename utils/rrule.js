@@ -0,0 +1,335 @@
+// RFC 5545 recurrence rules (the RRULE value, e.g. "FREQ=WEEKLY;BYDAY=MO,TH;COUNT=6")
+// and their expansion into occurrence start times. Supported: FREQ DAILY, WEEKLY,
+// MONTHLY and YEARLY, INTERVAL, BYDAY (with ordinals such as "2TU" or "-1FR" in
+// monthly and yearly rules), BYMONTHDAY, BYMONTH, COUNT, UNTIL and WKST.
+// Occurrences keep the wall-clock time of DTSTART in the series' zone, so a
+// 09:00 meeting stays at 09:00 across DST changes.
+const { resolveTimeZone, getZonedParts, zonedTimeToUtc } = require('./timezone');
+const { formatIcsDate } = require('./ics');
+
+const FREQS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_COUNT = 1000;
+const MAX_INTERVAL = 1000;
+// Days, weeks, months or years walked at most for one expansion
+const MAX_PERIODS = 20000;
+
+// Calendar date arithmetic on plain { year, month, day } values (month 1-12);
+// out-of-range days and months roll over
+function civil(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), weekday: d.getUTCDay() };
+}
+
+function dayNumber({ year, month, day }) {
+  return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+function daysInMonth(year, month) {
+  return civil(year, month + 1, 0).day;
+}
+
+function toInt(value, min, max, key) {
+  const n = Number(value);
+  if (!/^[+-]?\d+$/.test(value) || n < min || n > max) {
+    throw new Error(`RRULE ${key} must be a whole number from ${min} to ${max}`);
+  }
+  return n;
+}
+
+// "MO" -> { weekday: 1, ordinal: 0 }, "-1FR" -> { weekday: 5, ordinal: -1 }
+function parseWeekday(value) {
+  const m = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(value);
+  const ordinal = m && m[1] ? Number(m[1]) : 0;
+  if (!m || Math.abs(ordinal) > 53) throw new Error(`RRULE BYDAY has an invalid day "${value}"`);
+  return { weekday: WEEKDAYS.indexOf(m[2]), ordinal };
+}
+
+// UNTIL is kept as written ("20261231T235959Z", floating "20261231T100000" or a
+// date "20261231"); floating values and dates are resolved in the series' zone
+function parseUntil(value) {
+  if (!/^\d{8}(T\d{6}Z?)?$/.test(value)) throw new Error('RRULE UNTIL must look like 20261231 or 20261231T235959Z');
+  const p = untilParts(value);
+  const check = civil(p.year, p.month, p.day);
+  if (check.month !== p.month || check.day !== p.day || p.hour > 23 || p.minute > 59 || p.second > 59) {
+    throw new Error('RRULE UNTIL is not a valid date');
+  }
+  return value;
+}
+
+function untilParts(value) {
+  const n = (from, to) => Number(value.slice(from, to));
+  return {
+    year: n(0, 4), month: n(4, 6), day: n(6, 8),
+    hour: value.length > 8 ? n(9, 11) : 23,
+    minute: value.length > 8 ? n(11, 13) : 59,
+    second: value.length > 8 ? n(13, 15) : 59
+  };
+}
+
+// Last instant a series may start at
+function untilInstant(until, timeZone) {
+  if (!until) return null;
+  const p = untilParts(until);
+  return until.endsWith('Z')
+    ? new Date(Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second))
+    : zonedTimeToUtc(p, timeZone);
+}
+
+// RRULE value (with or without the "RRULE:" prefix) -> rule:
+// { freq, interval, byDay: [{ weekday, ordinal }], byMonthDay: [], byMonth: [], count, until, wkst }
+// Throws an Error saying what is wrong with an invalid or unsupported rule.
+function parseRRule(value) {
+  const text = String(value || '').trim().replace(/^RRULE:/i, '');
+  if (!text) throw new Error('RRULE is empty');
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], byMonth: [], count: null, until: null, wkst: 1 };
+  const seen = new Set();
+  for (const part of text.split(';').filter(Boolean)) {
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const val = rawValue.trim().toUpperCase();
+    if (seen.has(key)) throw new Error(`RRULE has ${key} more than once`);
+    seen.add(key);
+    if (!val) throw new Error(`RRULE ${key} has no value`);
+    switch (key) {
+      case 'FREQ':
+        if (!FREQS.includes(val)) throw new Error(`RRULE FREQ must be one of ${FREQS.join(', ')}`);
+        rule.freq = val;
+        break;
+      case 'INTERVAL':
+        rule.interval = toInt(val, 1, MAX_INTERVAL, key);
+        break;
+      case 'COUNT':
+        rule.count = toInt(val, 1, MAX_COUNT, key);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(val);
+        break;
+      case 'BYDAY':
+        rule.byDay = val.split(',').map(parseWeekday);
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = val.split(',').map(v => {
+          const n = toInt(v, -31, 31, key);
+          if (!n) throw new Error('RRULE BYMONTHDAY cannot be 0');
+          return n;
+        });
+        break;
+      case 'BYMONTH':
+        rule.byMonth = val.split(',').map(v => toInt(v, 1, 12, key));
+        break;
+      case 'WKST':
+        if (!WEEKDAYS.includes(val)) throw new Error('RRULE WKST must be a day such as MO');
+        rule.wkst = WEEKDAYS.indexOf(val);
+        break;
+      default:
+        throw new Error(`RRULE ${key} is not supported`);
+    }
+  }
+  if (!rule.freq) throw new Error('RRULE needs a FREQ');
+  if (rule.count && rule.until) throw new Error('RRULE cannot have both COUNT and UNTIL');
+  if (rule.byDay.some(d => d.ordinal) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw new Error('RRULE BYDAY days with a number ("2TU") need FREQ=MONTHLY or YEARLY');
+  }
+  if (rule.byMonthDay.length && rule.freq === 'WEEKLY') throw new Error('RRULE BYMONTHDAY cannot be used with FREQ=WEEKLY');
+  return rule;
+}
+
+// rule -> canonical RRULE value; `until` may also be given as a Date
+function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byMonth?.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byDay?.length) {
+    parts.push(`BYDAY=${rule.byDay.map(d => `${d.ordinal || ''}${WEEKDAYS[d.weekday]}`).join(',')}`);
+  }
+  if (rule.wkst !== undefined && rule.wkst !== 1) parts.push(`WKST=${WEEKDAYS[rule.wkst]}`);
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  } else if (rule.until) {
+    parts.push(`UNTIL=${rule.until instanceof Date ? formatIcsDate(rule.until) : rule.until}`);
+  }
+  return parts.join(';');
+}
+
+// All matching days, or the nth (from the end when negative) when there is an ordinal
+function pickOrdinal(matches, ordinal) {
+  if (!ordinal) return matches;
+  const n = matches[ordinal > 0 ? ordinal - 1 : matches.length + ordinal];
+  return n ? [n] : [];
+}
+
+// Days of a month picked by BYMONTHDAY / BYDAY, or DTSTART's day of the month
+function monthDays(rule, year, month, start) {
+  const length = daysInMonth(year, month);
+  let days;
+  if (rule.byMonthDay.length) {
+    days = rule.byMonthDay.map(n => (n > 0 ? n : length + n + 1)).filter(n => n >= 1 && n <= length);
+    if (rule.byDay.length) {
+      days = days.filter(n => rule.byDay.some(d => d.weekday === civil(year, month, n).weekday));
+    }
+  } else if (rule.byDay.length) {
+    days = [];
+    const first = civil(year, month, 1).weekday;
+    for (const { weekday, ordinal } of rule.byDay) {
+      const matches = [];
+      for (let n = 1 + ((weekday - first + 7) % 7); n <= length; n += 7) matches.push(n);
+      days.push(...pickOrdinal(matches, ordinal));
+    }
+  } else {
+    days = start.day <= length ? [start.day] : [];
+  }
+  return [...new Set(days)].sort((a, b) => a - b).map(n => civil(year, month, n));
+}
+
+// Days of a yearly rule without BYMONTH that BYDAY picks across the whole year
+function yearWeekdays(rule, year) {
+  const days = [];
+  const first = civil(year, 1, 1).weekday;
+  const length = dayNumber({ year: year + 1, month: 1, day: 1 }) - dayNumber({ year, month: 1, day: 1 });
+  for (const { weekday, ordinal } of rule.byDay) {
+    const matches = [];
+    for (let n = 1 + ((weekday - first + 7) % 7); n <= length; n += 7) matches.push(n);
+    days.push(...pickOrdinal(matches, ordinal));
+  }
+  return [...new Set(days)].sort((a, b) => a - b).map(n => civil(year, 1, n));
+}
+
+// Candidate dates of the rule's `index`-th period (counted from DTSTART's period),
+// oldest first, plus the first day of that period
+function periodDays(rule, start, index) {
+  const step = index * rule.interval;
+  const inMonths = d => !rule.byMonth.length || rule.byMonth.includes(d.month);
+  switch (rule.freq) {
+    case 'DAILY': {
+      const d = civil(start.year, start.month, start.day + step);
+      const keep = inMonths(d) &&
+        (!rule.byDay.length || rule.byDay.some(b => b.weekday === d.weekday)) &&
+        (!rule.byMonthDay.length || monthDays({ ...rule, byDay: [] }, d.year, d.month, start).some(m => m.day === d.day));
+      return { first: d, days: keep ? [d] : [] };
+    }
+    case 'WEEKLY': {
+      const offset = (start.weekday - rule.wkst + 7) % 7;
+      const first = civil(start.year, start.month, start.day - offset + step * 7);
+      const wanted = rule.byDay.length ? rule.byDay.map(b => b.weekday) : [start.weekday];
+      const days = [];
+      for (let i = 0; i < 7; i++) {
+        const d = civil(first.year, first.month, first.day + i);
+        if (wanted.includes(d.weekday) && inMonths(d)) days.push(d);
+      }
+      return { first, days };
+    }
+    case 'MONTHLY': {
+      const first = civil(start.year, start.month + step, 1);
+      return { first, days: inMonths(first) ? monthDays(rule, first.year, first.month, start) : [] };
+    }
+    default: {
+      const year = start.year + step;
+      const first = civil(year, 1, 1);
+      if (!rule.byMonth.length && rule.byDay.length && !rule.byMonthDay.length) {
+        return { first, days: yearWeekdays(rule, year) };
+      }
+      // Without BYMONTH, a yearly rule repeats in DTSTART's month (every month with BYMONTHDAY)
+      const months = rule.byMonth.length
+        ? rule.byMonth
+        : (rule.byMonthDay.length ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [start.month]);
+      const days = [...months].sort((a, b) => a - b).flatMap(m => monthDays(rule, year, m, start));
+      return { first, days };
+    }
+  }
+}
+
+// Number of whole periods between DTSTART's period and the one holding `date`
+function periodsBetween(rule, start, date) {
+  switch (rule.freq) {
+    case 'DAILY': return Math.floor((dayNumber(date) - dayNumber(start)) / rule.interval);
+    case 'WEEKLY': return Math.floor((dayNumber(date) - dayNumber(start)) / 7 / rule.interval);
+    case 'MONTHLY': return Math.floor(((date.year - start.year) * 12 + date.month - start.month) / rule.interval);
+    default: return Math.floor((date.year - start.year) / rule.interval);
+  }
+}
+
+// Occurrence start times of a rule within [from, to], oldest first.
+// options: { dtstart (first occurrence), timeZone, exdates (left out, still counted
+// towards COUNT), from, to, limit }
+function expandRRule(rule, { dtstart, timeZone, exdates = [], from, to, limit = Infinity } = {}) {
+  const zone = resolveTimeZone(timeZone);
+  const first = new Date(dtstart);
+  if (isNaN(first.getTime())) return [];
+  const start = getZonedParts(first, zone);
+  const time = { hour: start.hour, minute: start.minute, second: start.second };
+  const lower = from && new Date(from) > first ? new Date(from) : first;
+  const until = untilInstant(rule.until, zone);
+  const upper = [to ? new Date(to) : null, until].filter(Boolean).sort((a, b) => a - b)[0] || null;
+  if (upper && lower > upper) return [];
+  const excluded = new Set(exdates.map(d => new Date(d).getTime()));
+
+  // Without COUNT, nothing before `from` matters, so start a period before it
+  let index = 0;
+  if (!rule.count && lower > first) {
+    index = Math.max(0, periodsBetween(rule, start, getZonedParts(lower, zone)) - 1);
+  }
+
+  const out = [];
+  let counted = 0;
+  for (let n = 0; n < MAX_PERIODS; n++, index++) {
+    const { first: periodStart, days } = periodDays(rule, start, index);
+    if (upper && zonedTimeToUtc({ ...periodStart }, zone) > upper) break;
+    for (const day of days) {
+      const at = zonedTimeToUtc({ year: day.year, month: day.month, day: day.day, ...time }, zone);
+      if (at < first) continue;
+      if ((upper && at > upper) || (rule.count && counted >= rule.count)) return out;
+      counted++;
+      if (at < lower || excluded.has(at.getTime())) continue;
+      out.push(at);
+      if (out.length >= limit) return out;
+    }
+    if (rule.count && counted >= rule.count) break;
+  }
+  return out;
+}
+
+function ordinalWord(n) {
+  if (n === -1) return 'last';
+  if (n < 0) return `${ordinalWord(-n)} to last`;
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+}
+
+// English summary for emails: "every 2 weeks on Monday, Thursday",
+// "monthly on the last Friday", "every day until Dec 1, 2026", "yearly in March, 10 times"
+function describeRRule(rule, timeZone) {
+  const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+  const every = rule.interval > 1 ? `every ${rule.interval} ${units[rule.freq]}s` : `every ${units[rule.freq]}`;
+  const days = rule.byDay.map(d => (d.ordinal ? `the ${ordinalWord(d.ordinal)} ${DAY_NAMES[d.weekday]}` : DAY_NAMES[d.weekday]));
+  let text = every;
+  if (rule.freq === 'WEEKLY' && days.length) {
+    text = rule.interval > 1 ? `${every} on ${days.join(', ')}` : `every ${days.join(', ')}`;
+  } else if (days.length) {
+    text += ` on ${days.join(', ')}`;
+  }
+  if (rule.byMonthDay.length) {
+    text += ` on ${rule.byMonthDay.map(n => (n < 0 ? `the ${ordinalWord(n)} day` : `day ${n}`)).join(', ')}`;
+  }
+  if (rule.byMonth.length) text += ` in ${rule.byMonth.map(m => MONTH_NAMES[m - 1]).join(', ')}`;
+  if (rule.count) {
+    text += `, ${rule.count} times`;
+  } else if (rule.until) {
+    text += ` until ${untilInstant(rule.until, timeZone).toLocaleDateString('en-US', { dateStyle: 'medium', timeZone: resolveTimeZone(timeZone) })}`;
+  }
+  return text;
+}
+
+module.exports = {
+  WEEKDAYS,
+  parseRRule,
+  formatRRule,
+  expandRRule,
+  untilInstant,
+  describeRRule,
+};
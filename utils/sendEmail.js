@@ -1,6 +1,7 @@
 const nodemailer = require('nodemailer');
 
-exports.sendEmail = async (to, subject, html) => {
+// options.attachments: nodemailer attachments, e.g. [{ filename, content, contentType }]
+exports.sendEmail = async (to, subject, html, { attachments } = {}) => {
   const transporter = nodemailer.createTransport({
     service: 'gmail',
     auth: {
@@ -13,5 +14,6 @@ exports.sendEmail = async (to, subject, html) => {
     to,
     subject,
     html,
+    ...(attachments ? { attachments } : {}),
   });
 }; 
\ No newline at end of file
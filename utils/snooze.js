@@ -0,0 +1,53 @@
+// Snoozing puts off a reminder's notification without touching its schedule:
+// reminder.snooze holds when it rings again (until), the occurrence of a routine
+// it applies to, and a count and history of every snooze.
+const { resolveTimeZone, addZonedDays, parseZonedDateTime, toZonedDateString } = require('./timezone');
+
+// Preset durations in minutes; 'tomorrow' is 09:00 the next day in the user's zone
+const SNOOZE_PRESETS = {
+  '5m': 5,
+  '10m': 10,
+  '15m': 15,
+  '30m': 30,
+  '1h': 60,
+  '3h': 180,
+  tomorrow: null
+};
+const SNOOZE_SOURCES = ['app', 'notification', 'assistant'];
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+const TOMORROW_TIME = '09:00';
+
+// When a snooze of { preset } / { minutes } / { until } made at `now` ends,
+// or null when it names no valid time after `now`
+function snoozeEnd({ preset, minutes, until } = {}, { now = new Date(), timeZone } = {}) {
+  let end = null;
+  if (preset === 'tomorrow') {
+    const zone = resolveTimeZone(timeZone);
+    end = parseZonedDateTime(toZonedDateString(addZonedDays(now, 1, zone), zone), TOMORROW_TIME, zone);
+  } else if (preset) {
+    end = SNOOZE_PRESETS[preset] ? new Date(now.getTime() + SNOOZE_PRESETS[preset] * 60000) : null;
+  } else if (minutes !== undefined && minutes !== null) {
+    const n = Number(minutes);
+    end = Number.isInteger(n) && n >= 1 && n <= MAX_SNOOZE_MINUTES ? new Date(now.getTime() + n * 60000) : null;
+  } else if (until) {
+    end = new Date(until);
+  }
+  if (!end || isNaN(end.getTime()) || end <= now || end - now > MAX_SNOOZE_MINUTES * 60000) return null;
+  return end;
+}
+
+// The snooze end in effect for the occurrence starting at `at` (null when not snoozed)
+function snoozedUntil(reminder, at, now = new Date()) {
+  const snooze = reminder.snooze;
+  if (!snooze?.until || new Date(snooze.until) <= now) return null;
+  if (snooze.occurrence && at && new Date(snooze.occurrence).getTime() !== new Date(at).getTime()) return null;
+  return new Date(snooze.until);
+}
+
+module.exports = {
+  SNOOZE_PRESETS,
+  SNOOZE_SOURCES,
+  MAX_SNOOZE_MINUTES,
+  snoozeEnd,
+  snoozedUntil,
+};
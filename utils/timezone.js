@@ -0,0 +1,127 @@
+// Helpers for IANA time zones (e.g. "Asia/Karachi") built on the Intl API.
+// Dates are always stored in UTC; these convert between UTC instants and a
+// user's wall-clock time.
+
+const DEFAULT_TIME_ZONE = 'UTC';
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const formatters = new Map();
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Fall back to UTC for missing or unknown zones
+function resolveTimeZone(timeZone) {
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+}
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Wall-clock parts of a UTC instant in the zone: { year, month (1-12), day, hour, minute, second, weekday (0=Sun) }
+function getZonedParts(date, timeZone) {
+  const out = {};
+  for (const { type, value } of getFormatter(resolveTimeZone(timeZone)).formatToParts(new Date(date))) {
+    if (type === 'weekday') out.weekday = WEEKDAYS.indexOf(value);
+    else if (type !== 'literal') out[type] = parseInt(value, 10);
+  }
+  return out;
+}
+
+// Minutes the zone is ahead of UTC at the given instant (PKT → 300)
+function getTimeZoneOffsetMinutes(date, timeZone) {
+  const d = new Date(date);
+  const p = getZonedParts(d, timeZone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUTC - (d.getTime() - d.getMilliseconds())) / 60000);
+}
+
+// "+05:00" style offset for prompts and ISO strings
+function formatOffset(date, timeZone) {
+  const minutes = getTimeZoneOffsetMinutes(date, timeZone);
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+// UTC instant for a wall-clock time in the zone. Out-of-range values roll over (day 32 → next month).
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getTimeZoneOffsetMinutes(new Date(guess), timeZone);
+  let result = guess - offset * 60000;
+  // Re-check across DST transitions
+  const corrected = getTimeZoneOffsetMinutes(new Date(result), timeZone);
+  if (corrected !== offset) result = guess - corrected * 60000;
+  return new Date(result);
+}
+
+function startOfZonedDay(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year: p.year, month: p.month, day: p.day }, timeZone);
+}
+
+function endOfZonedDay(date, timeZone) {
+  return new Date(addZonedDays(startOfZonedDay(date, timeZone), 1, timeZone).getTime() - 1);
+}
+
+// Same wall-clock time `days` later in the zone
+function addZonedDays(date, days, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ ...p, day: p.day + days }, timeZone);
+}
+
+// Instant for a "YYYY-MM-DD" date and optional "HH:mm" time in the zone; null when invalid
+function parseZonedDateTime(dateStr, timeStr, timeZone) {
+  const m = String(dateStr || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!m) return null;
+  const [hour, minute] = /^\d{2}:\d{2}$/.test(timeStr || '') ? timeStr.split(':').map(Number) : [0, 0];
+  return zonedTimeToUtc({ year: +m[1], month: +m[2], day: +m[3], hour, minute }, timeZone);
+}
+
+// "YYYY-MM-DD" of the instant in the zone
+function toZonedDateString(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+// "HH:mm" of the instant in the zone
+function toZonedTimeString(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  resolveTimeZone,
+  getZonedParts,
+  getTimeZoneOffsetMinutes,
+  formatOffset,
+  zonedTimeToUtc,
+  startOfZonedDay,
+  endOfZonedDay,
+  addZonedDays,
+  parseZonedDateTime,
+  toZonedDateString,
+  toZonedTimeString,
+};
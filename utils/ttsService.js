@@ -1,6 +1,7 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const Reminder = require('../models/reminderModel');
+const VoiceReply = require('../models/voiceReplyModel');
 
 function buildNotificationText(reminder, user, fixedMinutes = null) {
   // Always prefer AI line when present for voice parity with text
@@ -119,8 +120,67 @@ async function ensureReminderTTS(reminderId, { user, overrideVoiceId, fixedMinut
   return reminder;
 }
 
+// Assistant replies are written for the chat UI: drop emoji, bullets and
+// markdown so the spoken version reads naturally
+function toSpeechText(text) {
+  return String(text || '')
+    .replace(/[\u{1F000}-\u{1FAFF}\u{2600}-\u{27BF}\u{2B00}-\u{2BFF}\u{FE0F}]/gu, '')
+    .replace(/[*_`#>]/g, '')
+    .replace(/^\s*[•\-]\s*/gm, '')
+    .replace(/\s*\n+\s*/g, '. ')
+    .replace(/([.!?:])\.\s/g, '$1 ')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+}
+
+// Render an assistant reply for the voice endpoint. Reuses the user's earlier
+// audio for the same text and voice, like ensureReminderTTS does per reminder.
+// Returns the VoiceReply (status 'failed' when ElevenLabs is unavailable).
+async function ensureVoiceReplyTTS(text, { userId, conversationId, overrideVoiceId, sourceHash } = {}) {
+  const spoken = toSpeechText(text);
+  const voiceId = overrideVoiceId || process.env.ELEVENLABS_DEFAULT_VOICE_ID;
+  const hash = computeTextHash(spoken, voiceId);
+
+  const existing = await VoiceReply.findOne({ user: userId, textHash: hash, status: 'ready' });
+  if (existing?.audio?.data?.length) {
+    if (sourceHash && existing.sourceHash !== sourceHash) {
+      existing.sourceHash = sourceHash;
+      await existing.save();
+    }
+    return existing;
+  }
+
+  const reply = await VoiceReply.create({
+    user: userId,
+    conversationId,
+    text: spoken,
+    voiceId,
+    textHash: hash,
+    sourceHash,
+    status: 'pending'
+  });
+
+  try {
+    const { buffer, contentType } = await generateElevenLabsAudio({ text: spoken, voiceId });
+    reply.audio = {
+      data: buffer,
+      contentType,
+      size: buffer.length
+    };
+    reply.status = 'ready';
+    reply.generatedAt = new Date();
+  } catch (e) {
+    console.warn('[tts] voice reply generation failed', e?.response?.status || '', e?.message);
+    reply.status = 'failed';
+  }
+  await reply.save();
+  return reply;
+}
+
 module.exports = {
   buildNotificationText,
   computeTextHash,
   ensureReminderTTS,
+  toSpeechText,
+  ensureVoiceReplyTTS,
 };